@@ -9,9 +9,17 @@ import * as ui from './src/ui.js';
 import * as selection from './src/selection.js';
 import * as stats from './src/stats.js';
 import * as grid from './src/grid.js';
+import * as importDialog from './src/importDialog.js';
+import * as archive from './src/archive.js';
+import * as octree from './src/octree.js';
+import * as editing from './src/editing.js';
+import { showArchiveEntryDialog } from './src/archiveDialog.js';
 import { MeasurementTool } from './src/measurement.js';
 import { ProfileTool } from './src/profile.js';
+import { LassoTool } from './src/lasso.js';
 import { initDraggablePanels } from './src/ui.js';
+import { initBookmarks } from './src/bookmarks.js';
+import { initSelectionStatsPanel } from './src/selectionStats.js';
 
 // Global variabel for å spore om brukeren har lastet en fil
 let hasUserUploadedFile = false;
@@ -50,6 +58,10 @@ updateUploadButtonVisibility();
 // Initialiser draggable panels
 initDraggablePanels();
 
+// Kamera-bokmerker (panel + toolbar-knapp)
+initBookmarks();
+initSelectionStatsPanel();
+
 // Initialiser Selection Box
 const { selectionBox, transformControls } = selection.initSelectionBox(
   viewer.getScene(),
@@ -69,9 +81,12 @@ transformControls.addEventListener('change', () => {
   ui.boxSettings.z = selectionBox.position.z;
   ui.updateDisplay();
 
-  // Update selection dynamically while box moves (without alert)
-  if (ui.boxSettings.visible && viewer.getPointCloud()) {
-    selection.selectPointsInBox(viewer.getPointCloud(), ui.boxSettings, false);
+  // Klippeboksen følger med (rotasjon og skalering også)
+  selection.updateClipBox();
+
+  // Update selection dynamically while box moves (without alert) - combined with the applied selection
+  if (ui.boxSettings.visible && viewer.getLayers().length > 0) {
+    selection.selectPointsInBox(viewer.getVisiblePointClouds(), ui.boxSettings);
   }
 });
 
@@ -87,18 +102,27 @@ const measurementTool = new MeasurementTool(
 viewer.setMeasurementTool(measurementTool);
 ui.setMeasurementTool(measurementTool);
 
+// Verktøyene følger aktivt kamera når projeksjonen byttes (perspektiv/ortografisk)
+viewer.onCameraChange((camera) => {
+  transformControls.camera = camera;
+  measurementTool.camera = camera;
+});
+
 // Initialiser Profile Tool
 const profileTool = new ProfileTool({ x: 0, y: 0, z: 0 });
 
 // Sett referanse til profile tool
 ui.setProfileTool(profileTool);
 
+// Initialiser lasso/polygon-valg (tegnes over 3D-visningen)
+ui.setLassoTool(new LassoTool(viewer.getRendererElement()));
+
 
 
 // Wrapper for completeMeasurement som også oppdaterer dashboard
 const originalCompleteMeasurement = measurementTool.completeMeasurement.bind(measurementTool);
-measurementTool.completeMeasurement = function(startPoint, endPoint) {
-  const measurement = originalCompleteMeasurement(startPoint, endPoint);
+measurementTool.completeMeasurement = function(startPoint, endPoint, startOriginal, endOriginal) {
+  const measurement = originalCompleteMeasurement(startPoint, endPoint, startOriginal, endOriginal);
   if (measurement) {
     // Log measurement data to console
     console.log('📏 Measurement completed:');
@@ -153,7 +177,6 @@ async function loadDefaultCloud() {
     const { centeredPositions, offset } = parser.centerPositions(combinedPositions, combinedBounds);
     
     // Lagre offset
-    selection.setCoordinateOffset(offset.x, offset.y, offset.z);
     viewer.setCoordinateOffset(offset.x, offset.y, offset.z);
     measurementTool.setCoordinateOffset(offset);
     profileTool.setCoordinateOffset(offset);
@@ -223,8 +246,7 @@ async function loadDefaultCloud() {
     // Update GUI
     ui.updateDisplay();
 
-    // Reset originalColors
-    selection.resetOriginalColors();
+    editing.clearHistory();
 
     // Mark that this is the default cloud and save velocity data for explosion
     viewer.setIsDefaultCloud(true, combinedVelocities);
@@ -255,188 +277,371 @@ loadDefaultCloud().then(() => {
 // Handle file upload
 const fileInput = document.getElementById('fileInput');
 
-// Function to load file (used by both file input and drag-drop)
-function loadFile(file) {
-  if (!file) {
-    stats.showDashboardMessage('No file selected', 'error');
+/**
+ * Oppdaterer dashboard, legend, rapport-statistikk, grid og GUI for alle lag i økten
+ * Kalles når et lag legges til eller fjernes. Statistikken bruker ORIGINALE koordinater.
+ * @param {string} [colorMode] - Fargemodus som skal brukes (høydefargene deler Z-område på tvers av lag)
+ */
+function updateSessionView(colorMode = ui.settings.colorMode) {
+  const layers = viewer.getLayers();
+
+  if (layers.length === 0) {
+    // Siste lag fjernet - tilbake til tom økt
+    stats.clearDashboard();
+    ui.setLegendVisible(false);
+    ui.updateStats(null);
+    grid.disposeGrid(viewer.getScene());
+    selection.getSelectionBox().visible = false;
+    selection.getTransformControls().visible = false;
+    ui.boxSettings.visible = false;
+    ui.updateDisplay();
+
+    hasUserUploadedFile = false;
+    updateUploadButtonVisibility();
     return;
   }
 
-  const reader = new FileReader();
+  const { positions, count, bounds } = viewer.getOriginalPositions();
+  const fileName = layers.length === 1 ? layers[0].name : `${layers.length} layers`;
+
+  // Update dashboard with statistics (using ORIGINAL positions for histogram)
+  const resolution = stats.updateDashboard(count, bounds, positions, fileName);
+  stats.updateSelectedCount(selection.getSelectedCount(viewer.getVisiblePointClouds()));
+
+  // Update legend with Z-values
+  ui.updateLegend(bounds.minZ, bounds.maxZ);
+
+  // Save statistics for report (including original positions for histogram)
+  ui.updateStats({
+    pointCount: count,
+    minZ: bounds.minZ,
+    maxZ: bounds.maxZ,
+    areaX: bounds.maxX - bounds.minX,
+    areaY: bounds.maxY - bounds.minY,
+    resolution: resolution,
+    positions: positions  // Store original positions for PDF histogram
+  });
+
+  // Create coordinate grid with original coordinates around all layers
+  const { boundingBox } = viewer.getLayersBoundingBox(false);
+  grid.updateGrid(boundingBox, viewer.getCoordinateOffset(), viewer.getScene());
+  grid.setGridVisible(ui.settings.showGrid);
+
+  // Update GUI ranges based on actual data
+  ui.updateGUIRanges(bounds);
+  ui.refreshLayersGUI();
+
+  // Height colours are recalculated over the Z range of all layers
+  ui.applyLayerMaterials();
+  ui.setColorMode(colorMode);
+}
 
-  reader.onload = (e) => {
-    const content = e.target.result;
+// Fjerning av lag fra GUI oppdaterer resten av økten
+ui.layerSettings.onLayersChanged = () => updateSessionView();
 
-    console.log('=== FILE UPLOADED ===');
-    console.log(`Filename: ${file.name}`);
-    console.log(`Size: ${(file.size / 1024).toFixed(2)} KB`);
+/**
+ * Legger en ferdig parset punktsky til som et nytt lag og oppdaterer alle moduler
+ * Første lag bestemmer koordinat-offset; senere lag sentreres med samme offset
+ * slik at nabofliser og epoker havner riktig i forhold til hverandre.
+ * @param {Object} data - { positions, colors, count, bounds, attributes } fra parser
+ * @param {string} fileName - Filnavn som brukes som lagnavn
+ */
+function displayPointCloud(data, fileName) {
+  const { positions, colors, count, bounds, attributes } = data;
+  const isFirstLayer = viewer.getLayers().length === 0;
+
+  console.log('Parsing completed. Creating point cloud...');
+  console.log(`Positions array length: ${positions.length}`);
+  console.log(`Colors array length: ${colors.length}`);
+
+  // Center positions around origin for better WebGL precision (shared offset for all layers)
+  const { centeredPositions, offset } = parser.centerPositions(
+    positions,
+    bounds,
+    isFirstLayer ? null : viewer.getCoordinateOffset()
+  );
+
+  if (isFirstLayer) {
+    // Save offset in viewer module for inversion and export
+    viewer.setCoordinateOffset(offset.x, offset.y, offset.z);
 
-    // Function that actually loads the new file
-    const processNewFile = () => {
-    try {
-      // Show loading spinner
-      stats.showLoadingSpinner(`Parsing ${file.name}...`);
-      
-      console.log('Starting file parsing...');
-
-      // Parse XYZ file (use setTimeout to allow UI to update)
-      setTimeout(() => {
-      try {
-      const { positions, colors, count, bounds } = parser.parseXYZFile(content);
-
-      if (count === 0) {
-        stats.showDashboardMessage('No valid points found in file!', 'error');
-        return;
+    // Save offset in measurement tool
+    measurementTool.setCoordinateOffset(offset);
+
+    // Save offset in profile tool
+    profileTool.setCoordinateOffset(offset);
+
+    console.log('📏 Measurement tool updated for new point cloud');
+    console.log('✂️ Profile tool updated for new point cloud');
+    console.log(`   Coordinate offset: (${offset.x.toFixed(2)}, ${offset.y.toFixed(2)}, ${offset.z.toFixed(2)})`);
+  }
+
+  // File metadata (format, CRS etc.) of the latest file must be set before the dashboard is rendered
+  stats.updateMetadata(data.metadata || {});
+  stats.updateDiagnostics(data.diagnostics || null);
+
+  // Create point cloud and add to scene as a new layer (using CENTERED positions for rendering)
+  const pointCloud = viewer.addLayer(
+    fileName,
+    centeredPositions,
+    colors,
+    ui.settings.pointSize,
+    ui.settings.useHeightColor,
+    ui.settings.pointColor,
+    attributes,
+    data.octreeNodes
+  );
+
+  // Keep the original Float64 coordinates so export and measurements
+  // round-trip the exact input values (the GPU only gets centered Float32)
+  pointCloud.geometry.userData.originalPositions = positions;
+  pointCloud.geometry.userData.coordinateDecimals = data.decimals ?? null;
+  pointCloud.geometry.userData.intensityNormalized = data.intensityNormalized ?? false;
+
+  // Undo history belongs to the previous set of layers
+  editing.clearHistory();
+
+  // Files with RGB open in true colour; the heatmap button switches to height colours
+  updateSessionView(attributes.trueColor ? 'trueColor' : (isFirstLayer ? 'height' : ui.settings.colorMode));
+
+  // Center camera on all layers
+  const { boundingBox, boundingSphere } = viewer.getLayersBoundingBox();
+  const { center, size } = viewer.centerCameraOnBounds(boundingBox, boundingSphere);
+
+  // Respect GUI settings for axes
+  viewer.setAxesVisible(ui.settings.showAxes);
+
+  // Hide selection box by default
+  selectionBox.visible = false;
+  transformControls.visible = false;
+  ui.boxSettings.visible = false;
+  selection.cancelBoxSelection(viewer.getVisiblePointClouds(), ui.boxSettings);
+
+  // Position selection box
+  selection.positionSelectionBox(center, size, ui.boxSettings);
+
+  // Update GUI
+  ui.updateDisplay();
+
+  // Mark that this is no longer the default cloud
+  viewer.setIsDefaultCloud(false, null);
+
+  console.log('Point cloud created!');
+  stats.showDashboardMessage(`✓ ${fileName} loaded! ${count.toLocaleString('nb-NO')} points visualized.`, 'info');
+
+  // Marker at brukeren har lastet en fil
+  hasUserUploadedFile = true;
+
+  // Oppdater upload knapp visning etter fil er lastet
+  updateUploadButtonVisibility();
+}
+
+/**
+ * Parser én fil og legger den til som lag
+ * @returns {Promise<boolean>} false hvis brukeren avbrøt (resten av filene hoppes over)
+ */
+async function processFile(file, columnMapping) {
+  // Cancel button in the loading overlay aborts the parser worker
+  const abortController = new AbortController();
+  const cancel = () => abortController.abort();
+
+  // Show loading spinner
+  stats.showLoadingSpinner(`Parsing ${file.name}...`, cancel);
+
+  try {
+    console.log('Starting file parsing...');
+
+    // Small delay to allow UI to update before parsing
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    // Parse file based on its extension (XYZ, CSV/TXT, PLY, PCD or LAS/LAZ).
+    // Text formats are streamed in a worker and report progress.
+    const data = await parser.parsePointFile(file, {
+      columnMapping,
+      signal: abortController.signal,
+      onProgress: (fraction) => {
+        stats.showLoadingSpinner(`Parsing ${file.name}... ${Math.round(fraction * 100)}%`, cancel);
       }
+    });
 
-      console.log('Parsing completed. Creating point cloud...');
-      console.log(`Positions array length: ${positions.length}`);
-      console.log(`Colors array length: ${colors.length}`);
-
-      // Center positions around origin for better WebGL precision
-      const { centeredPositions, offset } = parser.centerPositions(positions, bounds);
-
-      // Save offset in selection module for correct export
-      selection.setCoordinateOffset(offset.x, offset.y, offset.z);
-
-      // Save offset in viewer module for inversion
-      viewer.setCoordinateOffset(offset.x, offset.y, offset.z);
-
-      // Save offset in measurement tool
-      measurementTool.setCoordinateOffset(offset);
-      
-      // Save offset in profile tool
-      profileTool.setCoordinateOffset(offset);
-
-      console.log('📏 Measurement tool updated for new point cloud');
-      console.log('✂️ Profile tool updated for new point cloud');
-      console.log(`   Coordinate offset: (${offset.x.toFixed(2)}, ${offset.y.toFixed(2)}, ${offset.z.toFixed(2)})`);
-      
-      // Update dashboard with statistics (using ORIGINAL positions for histogram)
-      const resolution = stats.updateDashboard(count, bounds, positions, file.name);
-
-      // Update legend with Z-values
-      ui.updateLegend(bounds.minZ, bounds.maxZ);
-
-      // Save statistics for report (including original positions for histogram)
-      ui.updateStats({
-        pointCount: count,
-        minZ: bounds.minZ,
-        maxZ: bounds.maxZ,
-        areaX: bounds.maxX - bounds.minX,
-        areaY: bounds.maxY - bounds.minY,
-        resolution: resolution,
-        positions: positions  // Store original positions for PDF histogram
-      });
-
-      // Create point cloud and add to scene (using CENTERED positions for rendering)
-      const pointCloud = viewer.addPointCloud(
-        centeredPositions,
-        colors,
-        ui.settings.pointSize,
-        ui.settings.useHeightColor,
-        ui.settings.pointColor
-      );
-
-      // Calculate bounding box and center camera
-      const geometry = pointCloud.geometry;
-      geometry.computeBoundingBox();
-      geometry.computeBoundingSphere();
-
-      const { center, size, maxDim } = viewer.centerCameraOnBounds(
-        geometry.boundingBox,
-        geometry.boundingSphere
-      );
-
-      // Respect GUI settings for axes
-      viewer.setAxesVisible(ui.settings.showAxes);
-
-      // Create coordinate grid with original coordinates (but keep it hidden by default)
-      grid.createSurveyGrid(geometry.boundingBox, offset, viewer.getScene());
-      grid.setGridVisible(ui.settings.showGrid);
-
-      // Keep all folders closed by default
-      // ui.openPointFolder();
-
-      // Update GUI ranges based on actual data
-      ui.updateGUIRanges(bounds);
-
-      // Hide selection box by default
-      selectionBox.visible = false;
-      transformControls.visible = false;
-      ui.boxSettings.visible = false;
-      
-      // Position selection box
-      selection.positionSelectionBox(center, size, ui.boxSettings);
-
-      // Update GUI
-      ui.updateDisplay();
-
-      // Reset originalColors when new file is loaded
-      selection.resetOriginalColors();
-
-      // Mark that this is no longer the default cloud
-      viewer.setIsDefaultCloud(false, null);
-
-      // Hide loading spinner
+    if (data.count === 0) {
       stats.hideLoadingSpinner();
+      const skipped = data.diagnostics?.skippedRows;
+      const details = skipped?.count > 0
+        ? ` ${skipped.count.toLocaleString('nb-NO')} rows skipped (${stats.formatDiagnosticLines(skipped)})`
+        : '';
+      stats.showDashboardMessage(`No valid points found in ${file.name}!${details}`, 'error');
+      return true;
+    }
 
-      console.log('Point cloud created!');
-      stats.showDashboardMessage(`✓ Point cloud loaded! ${count.toLocaleString('nb-NO')} points visualized.`, 'info');
+    // Sort the points into an octree (worker) so the viewer can stream level of detail
+    stats.showLoadingSpinner(`Building octree for ${file.name}...`, cancel);
+    const indexedData = await octree.buildOctree(data, {
+      signal: abortController.signal,
+      onProgress: (fraction) => {
+        stats.showLoadingSpinner(`Building octree for ${file.name}... ${Math.round(fraction * 100)}%`, cancel);
+      }
+    });
+
+    displayPointCloud(indexedData, file.name);
 
-      // Marker at brukeren har lastet en fil
-      hasUserUploadedFile = true;
+    // Hide loading spinner
+    stats.hideLoadingSpinner();
+    return true;
 
-      // Oppdater upload knapp visning etter fil er lastet
-      updateUploadButtonVisibility();
-      
-      } catch (error) {
+  } catch (error) {
+    stats.hideLoadingSpinner();
+
+    if (error.name === 'AbortError') {
+      stats.showDashboardMessage('Loading cancelled', 'info');
+      return false;
+    }
+
+    console.error('Error parsing file:', error);
+    console.error('Error message:', error.message);
+    console.error('Error stack:', error.stack);
+    stats.showDashboardMessage(`Error parsing ${file.name}: ${error.message}`, 'error');
+    return true;
+  }
+}
+
+/**
+ * Pakker ut .gz- og .zip-filer til punktfiler som kan parses
+ * For ZIP-arkiver velger brukeren hvilke filer som skal lastes.
+ * Nøstede arkiver (f.eks. .xyz.gz i en .zip) pakkes også ut.
+ * @returns {Promise<File[]>} Filene i samme rekkefølge, med arkivene erstattet av innholdet
+ */
+async function expandArchives(files) {
+  const expanded = [];
+
+  for (const file of files) {
+    if (!archive.isArchive(file.name)) {
+      expanded.push(file);
+      continue;
+    }
+
+    try {
+      if (file.name.toLowerCase().endsWith('.gz')) {
+        stats.showLoadingSpinner(`Decompressing ${file.name}...`);
+        const decompressed = await archive.decompressGzip(file);
         stats.hideLoadingSpinner();
-        console.error('Error parsing file:', error);
-        console.error('Error message:', error.message);
-        console.error('Error stack:', error.stack);
-        stats.showDashboardMessage(`Error parsing: ${error.message}`, 'error');
+
+        // F.eks. data.tar.gz gir data.tar - det er ingen punktfil og skal ikke leses som XYZ
+        if (!archive.isArchive(decompressed.name) && !parser.isSupportedPointFile(decompressed.name)) {
+          console.warn(`Unsupported file in ${file.name}: ${decompressed.name}`);
+          stats.showDashboardMessage(`Unsupported file in archive ${file.name}: ${decompressed.name}`, 'error');
+          continue;
+        }
+        expanded.push(...await expandArchives([decompressed]));
+        continue;
       }
-      }, 100); // Small delay to allow UI to update
 
+      const entries = await archive.readZipEntries(file);
+      if (entries.length === 0) {
+        stats.showDashboardMessage(`${file.name} is empty`, 'error');
+        continue;
+      }
+
+      const selectedEntries = await showArchiveEntryDialog(file.name, entries);
+      if (!selectedEntries) {
+        console.log(`Import of ${file.name} cancelled by user`);
+        stats.showDashboardMessage(`Import of ${file.name} cancelled`, 'info');
+        continue;
+      }
+
+      // En ødelagt fil i arkivet skal ikke stoppe de andre som er valgt
+      const failed = [];
+      for (const entry of selectedEntries) {
+        try {
+          stats.showLoadingSpinner(`Extracting ${entry.name}...`);
+          const extracted = await archive.extractZipEntry(file, entry);
+          stats.hideLoadingSpinner();
+          expanded.push(...await expandArchives([extracted]));
+        } catch (error) {
+          stats.hideLoadingSpinner();
+          console.error(`Error extracting ${entry.name} from ${file.name}:`, error);
+          failed.push(`${entry.name} (${error.message})`);
+        }
+      }
+      if (failed.length > 0) {
+        stats.showDashboardMessage(
+          `Could not extract ${failed.length} of ${selectedEntries.length} files from ${file.name}: ${failed.join(', ')}`, 'error');
+      }
     } catch (error) {
       stats.hideLoadingSpinner();
-      console.error('Error parsing file:', error);
-      console.error('Error message:', error.message);
-      console.error('Error stack:', error.stack);
-      stats.showDashboardMessage(`Error parsing: ${error.message}`, 'error');
+      console.error(`Error reading archive ${file.name}:`, error);
+      stats.showDashboardMessage(`Error reading ${file.name}: ${error.message}`, 'error');
+    }
+  }
+
+  return expanded;
+}
+
+// Function to load files (used by both file input and drag-drop).
+// Each file becomes its own layer in the current session.
+async function loadFiles(files) {
+  if (!files || files.length === 0) {
+    stats.showDashboardMessage('No file selected', 'error');
+    return;
+  }
+
+  // .gz/.zip are unpacked locally first; their contents load like normal files
+  files = await expandArchives(files);
+
+  // Ask for all CSV/TXT column mappings first, so parsing can run uninterrupted
+  const jobs = [];
+  for (const file of files) {
+    console.log('=== FILE UPLOADED ===');
+    console.log(`Filename: ${file.name}`);
+    console.log(`Size: ${(file.size / 1024).toFixed(2)} KB`);
+
+    // CSV/TXT: let the user check delimiter, decimal mark and columns first
+    let columnMapping = null;
+    if (importDialog.needsColumnMapping(file.name)) {
+      columnMapping = await importDialog.showColumnMappingDialog(file);
+      if (!columnMapping) {
+        console.log(`Import of ${file.name} cancelled by user`);
+        stats.showDashboardMessage(`Import of ${file.name} cancelled`, 'info');
+        continue;
       }
-    };
+      console.log('Column mapping:', columnMapping);
+    }
+
+    jobs.push({ file, columnMapping });
+  }
 
-    // Check if we should trigger explosion
-    if (viewer.getIsDefaultCloud()) {
-      console.log('🎆 Default cloud detected! Starting explosion before loading new file...');
-      stats.showDashboardMessage('🎆 Exploding logo...', 'info');
-
-      // Trigger explosion, and load new file when animation is finished
-      viewer.animateExplosion(() => {
-        console.log('Explosion finished, loading new file...');
-        processNewFile();
-      });
-    } else {
-      // Not default cloud, load file directly
-      processNewFile();
+  if (jobs.length === 0) return;
+
+  // Function that actually loads the new files, one layer at a time
+  const processNewFiles = async () => {
+    for (const { file, columnMapping } of jobs) {
+      const completed = await processFile(file, columnMapping);
+      if (!completed) break;
     }
   };
-  
-  reader.onerror = () => {
-    stats.showDashboardMessage('Feil ved lesing av fil', 'error');
-    console.error('FileReader feil:', reader.error);
-  };
-  
-  // Les filen som tekst
-  reader.readAsText(file);
+
+  // Check if we should trigger explosion
+  if (viewer.getIsDefaultCloud()) {
+    console.log('🎆 Default cloud detected! Starting explosion before loading new file...');
+    stats.showDashboardMessage('🎆 Exploding logo...', 'info');
+
+    // Trigger explosion, and load new files when animation is finished
+    viewer.animateExplosion(() => {
+      console.log('Explosion finished, loading new file...');
+      processNewFiles();
+    });
+  } else {
+    // Not default cloud, load files directly
+    processNewFiles();
+  }
 }
 
 // Event listener for file input
 fileInput.addEventListener('change', async (event) => {
-  const file = event.target.files[0];
-  loadFile(file);
+  loadFiles(Array.from(event.target.files));
+
+  // Allow picking the same file again (e.g. after removing its layer)
+  event.target.value = '';
 });
 
 // Event listener for toolbar upload button
@@ -466,19 +671,19 @@ body.addEventListener('drop', (e) => {
   e.stopPropagation();
   body.classList.remove('dragging');
 
-  const files = e.dataTransfer.files;
+  const files = Array.from(e.dataTransfer.files);
   if (files.length > 0) {
-    const file = files[0];
+    // Check file types - every valid file becomes its own layer
+    const isValid = (file) => parser.isSupportedPointFile(file.name) || archive.isArchive(file.name);
+    const validFiles = files.filter(isValid);
+    const invalidFiles = files.filter(file => !isValid(file));
 
-    // Check file type
-    const validExtensions = ['.txt', '.xyz', '.pcd', '.ply'];
-    const fileName = file.name.toLowerCase();
-    const isValid = validExtensions.some(ext => fileName.endsWith(ext));
+    if (invalidFiles.length > 0) {
+      stats.showDashboardMessage(`Invalid file type: ${invalidFiles.map(file => file.name).join(', ')}. Supported formats: ${[...parser.SUPPORTED_EXTENSIONS, ...archive.ARCHIVE_EXTENSIONS].join(', ')}`, 'error');
+    }
 
-    if (isValid) {
-      loadFile(file);
-    } else {
-      stats.showDashboardMessage('Invalid file type. Supported formats: .txt, .xyz, .pcd, .ply', 'error');
+    if (validFiles.length > 0) {
+      loadFiles(validFiles);
     }
   }
 });
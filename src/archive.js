@@ -0,0 +1,191 @@
+/**
+ * Lesing av komprimerte punktfiler (.gz og .zip) lokalt i nettleseren
+ * - .gz dekomprimeres med nettleserens DecompressionStream
+ * - .zip leses via sentralkatalogen (inkl. ZIP64); hver fil pakkes ut ved behov,
+ *   lagret (method 0) eller deflate (method 8 via 'deflate-raw')
+ * Resultatet er vanlige File-objekter som sendes videre til parsePointFile.
+ */
+
+export const ARCHIVE_EXTENSIONS = ['.gz', '.zip'];
+
+// Signaturer i ZIP-formatet (little-endian)
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIR_SIGNATURE = 0x06054b50;
+const ZIP64_END_SIGNATURE = 0x06064b50;
+const ZIP64_LOCATOR_SIGNATURE = 0x07064b50;
+
+// End of central directory er 22 bytes + opptil 65535 bytes kommentar
+const END_OF_CENTRAL_DIR_SIZE = 22;
+const MAX_COMMENT_LENGTH = 0xffff;
+
+/**
+ * Sjekker om filen er et arkiv som må pakkes ut før parsing
+ */
+export function isArchive(fileName) {
+  const name = fileName.toLowerCase();
+  return ARCHIVE_EXTENSIONS.some(ext => name.endsWith(ext));
+}
+
+/**
+ * Dekomprimerer en .gz-fil
+ * @param {File} file - f.eks. "tile_017.xyz.gz"
+ * @returns {Promise<File>} Dekomprimert fil uten .gz-endelsen ("tile_017.xyz")
+ */
+export async function decompressGzip(file) {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('This browser cannot decompress .gz files (DecompressionStream missing)');
+  }
+
+  const stream = file.stream().pipeThrough(new DecompressionStream('gzip'));
+  const blob = await new Response(stream).blob();
+  const name = file.name.replace(/\.gz$/i, '');
+
+  console.log(`Decompressed ${file.name}: ${formatBytes(file.size)} → ${formatBytes(blob.size)}`);
+  return new File([blob], name);
+}
+
+/**
+ * Leser innholdsfortegnelsen (sentralkatalogen) i et ZIP-arkiv
+ * Bare slutten av filen og katalogen leses - selve dataene pakkes ut senere.
+ * @param {File} file - ZIP-arkivet
+ * @returns {Promise<Array<Object>>} { name, compressedSize, size, method, offset, encrypted }
+ *   for hver fil (mapper er utelatt)
+ */
+export async function readZipEntries(file) {
+  // Finn "end of central directory" bakerst i filen
+  const tailSize = Math.min(file.size, END_OF_CENTRAL_DIR_SIZE + MAX_COMMENT_LENGTH);
+  const tailStart = file.size - tailSize;
+  const tail = new DataView(await file.slice(tailStart).arrayBuffer());
+
+  let endOffset = -1;
+  for (let i = tail.byteLength - END_OF_CENTRAL_DIR_SIZE; i >= 0; i--) {
+    if (tail.getUint32(i, true) === END_OF_CENTRAL_DIR_SIGNATURE) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset === -1) {
+    throw new Error('Not a valid ZIP archive (end of central directory not found)');
+  }
+
+  let entryCount = tail.getUint16(endOffset + 10, true);
+  let directorySize = tail.getUint32(endOffset + 12, true);
+  let directoryOffset = tail.getUint32(endOffset + 16, true);
+
+  // ZIP64: de ekte verdiene ligger i en egen post som locatoren peker på
+  const locatorOffset = endOffset - 20;
+  if (locatorOffset >= 0 && tail.getUint32(locatorOffset, true) === ZIP64_LOCATOR_SIGNATURE) {
+    const zip64EndOffset = readUint64(tail, locatorOffset + 8);
+    const zip64End = new DataView(await file.slice(zip64EndOffset, zip64EndOffset + 56).arrayBuffer());
+    if (zip64End.getUint32(0, true) !== ZIP64_END_SIGNATURE) {
+      throw new Error('Invalid ZIP64 end of central directory');
+    }
+    entryCount = readUint64(zip64End, 32);
+    directorySize = readUint64(zip64End, 40);
+    directoryOffset = readUint64(zip64End, 48);
+  }
+
+  const directory = new DataView(await file.slice(directoryOffset, directoryOffset + directorySize).arrayBuffer());
+  const decoder = new TextDecoder('utf-8');
+  const entries = [];
+
+  let pos = 0;
+  for (let i = 0; i < entryCount; i++) {
+    if (pos + 46 > directory.byteLength || directory.getUint32(pos, true) !== CENTRAL_HEADER_SIGNATURE) {
+      throw new Error(`Corrupt ZIP central directory at entry ${i + 1}`);
+    }
+
+    const flags = directory.getUint16(pos + 8, true);
+    const method = directory.getUint16(pos + 10, true);
+    let compressedSize = directory.getUint32(pos + 20, true);
+    let size = directory.getUint32(pos + 24, true);
+    const nameLength = directory.getUint16(pos + 28, true);
+    const extraLength = directory.getUint16(pos + 30, true);
+    const commentLength = directory.getUint16(pos + 32, true);
+    let offset = directory.getUint32(pos + 42, true);
+
+    const name = decoder.decode(new Uint8Array(directory.buffer, pos + 46, nameLength));
+
+    // ZIP64 extra field (0x0001) har 64-bits verdier for feltene som er 0xFFFFFFFF
+    let extraPos = pos + 46 + nameLength;
+    const extraEnd = extraPos + extraLength;
+    while (extraPos + 4 <= extraEnd) {
+      const headerId = directory.getUint16(extraPos, true);
+      const dataSize = directory.getUint16(extraPos + 2, true);
+      if (headerId === 0x0001) {
+        let valuePos = extraPos + 4;
+        if (size === 0xffffffff) { size = readUint64(directory, valuePos); valuePos += 8; }
+        if (compressedSize === 0xffffffff) { compressedSize = readUint64(directory, valuePos); valuePos += 8; }
+        if (offset === 0xffffffff) { offset = readUint64(directory, valuePos); }
+      }
+      extraPos += 4 + dataSize;
+    }
+
+    if (!name.endsWith('/')) {
+      entries.push({
+        name,
+        compressedSize,
+        size,
+        method,
+        offset,
+        encrypted: (flags & 0x1) !== 0
+      });
+    }
+
+    pos += 46 + nameLength + extraLength + commentLength;
+  }
+
+  console.log(`ZIP archive ${file.name}: ${entries.length} files`);
+  return entries;
+}
+
+/**
+ * Pakker ut én fil fra et ZIP-arkiv
+ * @param {File} file - ZIP-arkivet
+ * @param {Object} entry - Fra readZipEntries()
+ * @returns {Promise<File>} Utpakket fil (navnet uten mappesti)
+ */
+export async function extractZipEntry(file, entry) {
+  if (entry.encrypted) {
+    throw new Error(`${entry.name} is encrypted`);
+  }
+
+  // Lokal header har egne lengder på navn og extra field
+  const header = new DataView(await file.slice(entry.offset, entry.offset + 30).arrayBuffer());
+  if (header.getUint32(0, true) !== LOCAL_HEADER_SIGNATURE) {
+    throw new Error(`Corrupt ZIP entry: ${entry.name}`);
+  }
+  const dataStart = entry.offset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+  const data = file.slice(dataStart, dataStart + entry.compressedSize);
+
+  let blob;
+  if (entry.method === 0) {
+    blob = data; // Lagret uten komprimering
+  } else if (entry.method === 8) {
+    if (typeof DecompressionStream === 'undefined') {
+      throw new Error('This browser cannot decompress ZIP entries (DecompressionStream missing)');
+    }
+    blob = await new Response(data.stream().pipeThrough(new DecompressionStream('deflate-raw'))).blob();
+  } else {
+    throw new Error(`Unsupported compression method ${entry.method} in ${entry.name}`);
+  }
+
+  const name = entry.name.split('/').pop();
+  console.log(`Extracted ${entry.name} (${formatBytes(blob.size)})`);
+  return new File([blob], name);
+}
+
+/**
+ * Formaterer filstørrelse for visning
+ */
+export function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${bytes} B`;
+}
+
+function readUint64(view, offset) {
+  return Number(view.getBigUint64(offset, true));
+}
@@ -0,0 +1,125 @@
+/**
+ * Dialog for å velge hvilke filer i et ZIP-arkiv som skal lastes
+ * Punktfiler (og nøstede .gz/.zip) er forhåndsvalgt; andre filer vises,
+ * men kan ikke velges.
+ */
+
+import { isSupportedPointFile } from './parser.js';
+import { isArchive, formatBytes } from './archive.js';
+
+let dialogElement = null;
+let currentEntries = [];
+let resolveDialog = null;
+
+/**
+ * Viser innholdet i et ZIP-arkiv
+ * @param {string} archiveName - Navnet på arkivet (vises i tittelen)
+ * @param {Array<Object>} entries - Fra archive.readZipEntries()
+ * @returns {Promise<Array<Object>|null>} Valgte filer, eller null hvis brukeren avbrøt
+ */
+export function showArchiveEntryDialog(archiveName, entries) {
+  initDialog();
+
+  currentEntries = entries;
+  dialogElement.querySelector('#archive-file-name').textContent = archiveName;
+  renderEntries();
+
+  dialogElement.style.display = 'flex';
+
+  return new Promise(resolve => {
+    resolveDialog = (selected) => {
+      dialogElement.style.display = 'none';
+      resolveDialog = null;
+      resolve(selected);
+    };
+  });
+}
+
+/**
+ * Sjekker om en fil i arkivet kan lastes
+ */
+function isLoadable(entry) {
+  return !entry.encrypted && (isSupportedPointFile(entry.name) || isArchive(entry.name));
+}
+
+/**
+ * Kobler event listeners til dialog-elementene (kun første gang)
+ */
+function initDialog() {
+  if (dialogElement) return;
+
+  dialogElement = document.getElementById('archive-dialog');
+
+  dialogElement.querySelector('#archive-cancel').addEventListener('click', () => cancel());
+  dialogElement.querySelector('#archive-close').addEventListener('click', () => cancel());
+
+  dialogElement.querySelector('#archive-confirm').addEventListener('click', () => {
+    resolveDialog?.(getCheckedEntries());
+  });
+
+  dialogElement.querySelector('#archive-entries').addEventListener('change', (e) => {
+    if (e.target.id === 'archive-select-all') {
+      dialogElement.querySelectorAll('.archive-entry-checkbox:not(:disabled)')
+        .forEach(checkbox => { checkbox.checked = e.target.checked; });
+    }
+    updateSummary();
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && resolveDialog) {
+      cancel();
+    }
+  });
+}
+
+function cancel() {
+  resolveDialog?.(null);
+}
+
+/**
+ * Tegner fillisten med avkrysningsbokser
+ */
+function renderEntries() {
+  const rows = currentEntries.map((entry, index) => {
+    const loadable = isLoadable(entry);
+    const note = entry.encrypted ? 'encrypted' : (loadable ? '' : 'unsupported');
+    return `<tr class="${loadable ? '' : 'archive-entry-unsupported'}">
+      <td><input type="checkbox" class="archive-entry-checkbox" data-index="${index}" ${loadable ? 'checked' : 'disabled'}></td>
+      <td class="archive-entry-name" title="${escapeHtml(entry.name)}">${escapeHtml(entry.name)}</td>
+      <td>${formatBytes(entry.size)}</td>
+      <td class="archive-entry-note">${note}</td>
+    </tr>`;
+  });
+
+  dialogElement.querySelector('#archive-entries').innerHTML = `
+    <thead><tr>
+      <th><input type="checkbox" id="archive-select-all" checked></th>
+      <th class="archive-entry-name">File</th>
+      <th>Size</th>
+      <th></th>
+    </tr></thead>
+    <tbody>${rows.join('')}</tbody>`;
+
+  updateSummary();
+}
+
+function getCheckedEntries() {
+  return Array.from(dialogElement.querySelectorAll('.archive-entry-checkbox:checked'))
+    .map(checkbox => currentEntries[Number(checkbox.dataset.index)]);
+}
+
+/**
+ * Viser antall valgte filer og deaktiverer Load når ingenting er valgt
+ */
+function updateSummary() {
+  const selected = getCheckedEntries();
+  const totalSize = selected.reduce((sum, entry) => sum + entry.size, 0);
+
+  dialogElement.querySelector('#archive-summary').textContent =
+    `${selected.length} of ${currentEntries.length} files selected (${formatBytes(totalSize)})`;
+  dialogElement.querySelector('#archive-confirm').disabled = selected.length === 0;
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
@@ -0,0 +1,215 @@
+import * as THREE from 'three';
+import { sampleRamp } from './colorMap.js';
+
+/**
+ * Farging etter punkt-attributt ("Color By") i shaderen
+ * Fargebufferet i laget røres ikke: node-materialene leser attributtet direkte
+ * (se pointShading.enhancePointMaterial) og slår opp fargen i en tekstur.
+ * - Numeriske attributter (intensitet, returnummer, GPS-tid ...): rampe + verdiområde
+ * - Kategoriske attributter (klassifisering): ASPRS-palett med av/på per klasse
+ *
+ * Uniformene er felles for alle node-materialer, så endret område, rampe eller
+ * synlige klasser krever ingen ny kompilering.
+ */
+
+// Navnet attributtet får i node-geometrien (shaderen kjenner bare dette navnet)
+export const COLOR_ATTRIBUTE = 'colorAttribute';
+
+// Attributter som er klasser, ikke måleverdier
+export const CATEGORICAL_ATTRIBUTES = ['classification'];
+
+// ASPRS standard punktklasser (LAS 1.4, R15)
+export const CLASSIFICATION_CLASSES = {
+  0: { name: 'Never classified', color: '#a0a0a0' },
+  1: { name: 'Unclassified', color: '#d0d0d0' },
+  2: { name: 'Ground', color: '#a0522d' },
+  3: { name: 'Low vegetation', color: '#9be29b' },
+  4: { name: 'Medium vegetation', color: '#3cb043' },
+  5: { name: 'High vegetation', color: '#1e6b1e' },
+  6: { name: 'Building', color: '#e8a33d' },
+  7: { name: 'Low point (noise)', color: '#ff00ff' },
+  8: { name: 'Model key-point', color: '#ffff00' },
+  9: { name: 'Water', color: '#2d7bd8' },
+  10: { name: 'Rail', color: '#7a4fa3' },
+  11: { name: 'Road surface', color: '#5a5a5a' },
+  12: { name: 'Overlap', color: '#ffb6c1' },
+  13: { name: 'Wire - guard', color: '#f0f080' },
+  14: { name: 'Wire - conductor', color: '#ffe100' },
+  15: { name: 'Transmission tower', color: '#c23b22' },
+  16: { name: 'Wire - connector', color: '#c8c800' },
+  17: { name: 'Bridge deck', color: '#8c8cff' },
+  18: { name: 'High noise', color: '#ff0080' }
+};
+
+// Visningsnavn for attributtene loaderne gir (andre vises med eget navn)
+const ATTRIBUTE_LABELS = {
+  intensity: 'Intensity',
+  classification: 'Classification',
+  returnNumber: 'Return number',
+  numberOfReturns: 'Number of returns',
+  gpsTime: 'GPS time (relative)'
+};
+
+// Antall klasser i paletten (klassifisering er én byte)
+const CLASS_COUNT = 256;
+
+// Oppløsning på rampe-teksturen
+const RAMP_SIZE = 256;
+
+const state = {
+  attribute: null,            // Attributtet det farges etter, eller null (fargebufferet brukes)
+  ramp: 'grayscale',          // Fargeskala for numeriske attributter (se colorMap.COLOR_MAPS)
+  hiddenClasses: new Set()    // Klasser som ikke tegnes
+};
+
+const uniforms = {
+  attributeRange: { value: new THREE.Vector2(0, 1) },
+  attributeRamp: { value: createTexture(RAMP_SIZE) },
+  classificationPalette: { value: createTexture(CLASS_COUNT) }
+};
+
+updateRampTexture();
+updatePaletteTexture();
+
+/**
+ * Velger attributtet punktene farges etter
+ * @param {string|null} name - Attributtnavn, eller null for vanlige farger (høyde / RGB)
+ */
+export function setColorByAttribute(name) {
+  state.attribute = name || null;
+}
+
+export function getColorByAttribute() {
+  return state.attribute;
+}
+
+/**
+ * Shader-variant for aktivt attributt: null, 'ramp' eller 'classification'
+ */
+export function getColorByMode() {
+  if (!state.attribute) return null;
+  return isCategorical(state.attribute) ? 'classification' : 'ramp';
+}
+
+export function isCategorical(name) {
+  return CATEGORICAL_ATTRIBUTES.includes(name);
+}
+
+/**
+ * Setter verdiområdet rampen strekkes over (numeriske attributter)
+ */
+export function setAttributeRange(min, max) {
+  uniforms.attributeRange.value.set(Math.min(min, max), Math.max(min, max));
+}
+
+export function getAttributeRange() {
+  const range = uniforms.attributeRange.value;
+  return { min: range.x, max: range.y };
+}
+
+/**
+ * Velger fargeskala for numeriske attributter
+ * @param {string} name - Nøkkel i colorMap.COLOR_MAPS (ikke egendefinerte trinn)
+ */
+export function setAttributeRamp(name) {
+  state.ramp = name;
+  updateRampTexture();
+}
+
+export function getAttributeRamp() {
+  return state.ramp;
+}
+
+/**
+ * Viser eller skjuler en klasse (gjelder alle lag)
+ */
+export function setClassVisible(classId, visible) {
+  if (visible) {
+    state.hiddenClasses.delete(classId);
+  } else {
+    state.hiddenClasses.add(classId);
+  }
+  updatePaletteTexture();
+}
+
+export function isClassVisible(classId) {
+  return !state.hiddenClasses.has(classId);
+}
+
+/**
+ * Navn og farge for en klasse (også klasser utenfor ASPRS-tabellen)
+ * @returns {{name: string, color: string}}
+ */
+export function getClassInfo(classId) {
+  if (CLASSIFICATION_CLASSES[classId]) return CLASSIFICATION_CLASSES[classId];
+
+  // Brukerdefinerte klasser: jevnt spredte fargetoner (gyldne vinkel)
+  const color = new THREE.Color().setHSL((classId * 0.618034) % 1, 0.7, 0.55);
+  return { name: `Class ${classId}`, color: `#${color.getHexString()}` };
+}
+
+export function getAttributeLabel(name) {
+  return ATTRIBUTE_LABELS[name] || name;
+}
+
+/**
+ * CSS-gradient for rampen til numeriske attributter (legenden)
+ * @param {string} [direction='to top'] - CSS-retning (fra laveste til høyeste verdi)
+ */
+export function getRampCSSGradient(direction = 'to top') {
+  const stops = [];
+  for (let i = 0; i <= 10; i++) {
+    stops.push(`${sampleRamp(state.ramp, i / 10).getStyle()} ${i * 10}%`);
+  }
+  return `linear-gradient(${direction}, ${stops.join(', ')})`;
+}
+
+/**
+ * Felles uniformer for node-materialene
+ */
+export function getAttributeUniforms() {
+  return uniforms;
+}
+
+function createTexture(width) {
+  const texture = new THREE.DataTexture(new Uint8Array(width * 4), width, 1, THREE.RGBAFormat);
+  texture.magFilter = THREE.NearestFilter;
+  texture.minFilter = THREE.NearestFilter;
+  return texture;
+}
+
+/**
+ * Fyller rampe-teksturen (lineære farger, som vertex colors)
+ */
+function updateRampTexture() {
+  const texture = uniforms.attributeRamp.value;
+  const data = texture.image.data;
+  const color = new THREE.Color();
+
+  for (let i = 0; i < RAMP_SIZE; i++) {
+    sampleRamp(state.ramp, i / (RAMP_SIZE - 1), color);
+    data[i * 4] = Math.round(color.r * 255);
+    data[i * 4 + 1] = Math.round(color.g * 255);
+    data[i * 4 + 2] = Math.round(color.b * 255);
+    data[i * 4 + 3] = 255;
+  }
+  texture.needsUpdate = true;
+}
+
+/**
+ * Fyller klasse-paletten; alfa = 0 betyr skjult klasse
+ */
+function updatePaletteTexture() {
+  const texture = uniforms.classificationPalette.value;
+  const data = texture.image.data;
+  const color = new THREE.Color();
+
+  for (let i = 0; i < CLASS_COUNT; i++) {
+    color.set(getClassInfo(i).color);
+    data[i * 4] = Math.round(color.r * 255);
+    data[i * 4 + 1] = Math.round(color.g * 255);
+    data[i * 4 + 2] = Math.round(color.b * 255);
+    data[i * 4 + 3] = state.hiddenClasses.has(i) ? 0 : 255;
+  }
+  texture.needsUpdate = true;
+}
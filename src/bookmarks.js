@@ -0,0 +1,267 @@
+import * as THREE from 'three';
+import * as viewer from './viewer.js';
+import { DraggablePanel } from './ui.js';
+import { downloadBlob } from './download.js';
+
+/**
+ * Kamera-bokmerker - navngitte visninger man kan gå tilbake til
+ *
+ * Bokmerkene lagres i originale koordinater (sentrert + koordinat-offset), så de
+ * treffer samme sted selv om filen lastes på nytt og får et annet offset.
+ * JSON-eksporten har sentrerte koordinater sammen med offset, som resten av appen.
+ */
+
+const FILE_TYPE = 'CloudStream3D camera bookmarks';
+const FILE_VERSION = 1;
+
+let bookmarks = []; // { id, name, position, target, up: [x, y, z], projection, viewHeight }
+let nextId = 1;
+
+/**
+ * Lagrer gjeldende kameravisning som bokmerke
+ * @param {string} [name] - Navn (standard: "View N")
+ * @returns {Object} Bokmerket
+ */
+export function addBookmark(name = '') {
+  const state = viewer.getCameraState();
+  const offset = viewer.getCoordinateOffset();
+
+  const bookmark = {
+    id: nextId++,
+    name: name.trim() || `View ${bookmarks.length + 1}`,
+    position: toOriginal(state.position, offset),
+    target: toOriginal(state.target, offset),
+    up: state.up.toArray(),
+    projection: state.projection,
+    viewHeight: state.viewHeight
+  };
+  bookmarks.push(bookmark);
+  renderBookmarkList();
+
+  console.log(`✓ Bookmark "${bookmark.name}" saved`);
+  return bookmark;
+}
+
+export function getBookmarks() {
+  return bookmarks;
+}
+
+export function removeBookmark(id) {
+  bookmarks = bookmarks.filter(bookmark => bookmark.id !== id);
+  renderBookmarkList();
+}
+
+/**
+ * Flytter kameraet til et bokmerke (animert)
+ * @param {number} id
+ * @param {number} [duration] - Millisekunder (standard: vanlig kamera-overgang)
+ * @returns {Promise<void>} Når overgangen er ferdig
+ */
+export function goToBookmark(id, duration) {
+  const bookmark = bookmarks.find(b => b.id === id);
+  if (!bookmark) return Promise.resolve();
+
+  const offset = viewer.getCoordinateOffset();
+  console.log(`Going to bookmark "${bookmark.name}"`);
+
+  return viewer.applyCameraState({
+    position: toCentered(bookmark.position, offset),
+    target: toCentered(bookmark.target, offset),
+    up: new THREE.Vector3().fromArray(bookmark.up),
+    projection: bookmark.projection,
+    viewHeight: bookmark.viewHeight
+  }, duration);
+}
+
+/**
+ * Speiler bokmerkene i Z (følger viewer.invertZAxis, som snur originale Z)
+ * Up-vektoren beholdes, som kameraet i invertZAxis.
+ */
+export function invertBookmarksZ() {
+  bookmarks.forEach(bookmark => {
+    bookmark.position[2] = -bookmark.position[2];
+    bookmark.target[2] = -bookmark.target[2];
+  });
+}
+
+/**
+ * Bokmerkene som JSON (sentrerte koordinater + offset)
+ * @returns {string}
+ */
+export function exportBookmarks() {
+  const offset = viewer.getCoordinateOffset();
+
+  return JSON.stringify({
+    type: FILE_TYPE,
+    version: FILE_VERSION,
+    coordinateOffset: { x: offset.x, y: offset.y, z: offset.z },
+    bookmarks: bookmarks.map(bookmark => ({
+      name: bookmark.name,
+      projection: bookmark.projection,
+      position: toCentered(bookmark.position, offset).toArray(),
+      target: toCentered(bookmark.target, offset).toArray(),
+      up: bookmark.up,
+      viewHeight: bookmark.viewHeight
+    }))
+  }, null, 2);
+}
+
+/**
+ * Leser bokmerker fra JSON (se exportBookmarks) og legger dem til listen
+ * @param {string} text - Filinnhold
+ * @returns {number} Antall bokmerker lagt til
+ * @throws {Error} Hvis filen ikke er en bokmerke-fil
+ */
+export function importBookmarks(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+
+  if (data?.type !== FILE_TYPE || !Array.isArray(data.bookmarks)) {
+    throw new Error('The file does not contain camera bookmarks');
+  }
+
+  // Uten forskyvning er koordinatene allerede originale; en ødelagt forskyvning
+  // ville gitt NaN-kameraer, så da avvises filen
+  const fileOffset = data.coordinateOffset ?? { x: 0, y: 0, z: 0 };
+  if (!['x', 'y', 'z'].every(axis => Number.isFinite(fileOffset?.[axis]))) {
+    throw new Error('The file has an invalid coordinate offset');
+  }
+  const isVector = (value) => Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+
+  let added = 0;
+  data.bookmarks.forEach(entry => {
+    if (!isVector(entry.position) || !isVector(entry.target)) {
+      console.warn('Skipping bookmark without position/target:', entry);
+      return;
+    }
+
+    bookmarks.push({
+      id: nextId++,
+      name: String(entry.name || `View ${bookmarks.length + 1}`),
+      position: toOriginal(new THREE.Vector3().fromArray(entry.position), fileOffset),
+      target: toOriginal(new THREE.Vector3().fromArray(entry.target), fileOffset),
+      up: isVector(entry.up) ? entry.up : [0, 0, 1],
+      projection: entry.projection === 'orthographic' ? 'orthographic' : 'perspective',
+      viewHeight: Number.isFinite(entry.viewHeight) ? entry.viewHeight : null
+    });
+    added++;
+  });
+
+  renderBookmarkList();
+  console.log(`✓ ${added} bookmark(s) imported`);
+  return added;
+}
+
+/**
+ * Kobler bokmerke-panelet og toolbar-knappen til DOM
+ */
+export function initBookmarks() {
+  const panel = document.getElementById('bookmark-panel');
+  const toolbarBtn = document.getElementById('toolbar-bookmarks');
+  const form = document.getElementById('bookmark-form');
+  const nameInput = document.getElementById('bookmark-name');
+  const fileInput = document.getElementById('bookmark-file');
+  if (!panel || !toolbarBtn) return;
+
+  new DraggablePanel(panel, panel.querySelector('.bookmark-header'));
+
+  const setPanelVisible = (visible) => {
+    panel.style.display = visible ? 'flex' : 'none';
+    toolbarBtn.classList.toggle('active', visible);
+  };
+
+  toolbarBtn.addEventListener('click', () => setPanelVisible(panel.style.display === 'none'));
+  document.getElementById('bookmark-close').addEventListener('click', () => setPanelVisible(false));
+
+  form.addEventListener('submit', (event) => {
+    event.preventDefault();
+    addBookmark(nameInput.value);
+    nameInput.value = '';
+  });
+
+  document.getElementById('bookmark-export').addEventListener('click', () => {
+    if (bookmarks.length === 0) {
+      console.warn('No bookmarks to export');
+      return;
+    }
+    const filename = `camera_bookmarks_${Date.now()}.json`;
+    downloadBlob(new Blob([exportBookmarks()], { type: 'application/json' }), filename);
+    console.log(`✓ Bookmarks saved to file: ${filename}`);
+  });
+
+  document.getElementById('bookmark-import').addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files[0];
+    fileInput.value = ''; // Samme fil kan velges igjen
+    if (!file) return;
+
+    try {
+      importBookmarks(await file.text());
+    } catch (error) {
+      console.error('Bookmark import failed:', error);
+      alert(`Could not import bookmarks: ${error.message}`);
+    }
+  });
+
+  // Liste-knappene (gå til / slett) håndteres samlet
+  document.getElementById('bookmark-list').addEventListener('click', (event) => {
+    const item = event.target.closest('[data-bookmark-id]');
+    if (!item) return;
+    const id = Number(item.dataset.bookmarkId);
+
+    if (event.target.closest('.bookmark-delete')) {
+      removeBookmark(id);
+    } else if (event.target.closest('.bookmark-go')) {
+      goToBookmark(id);
+    }
+  });
+
+  renderBookmarkList();
+}
+
+/**
+ * Tegner listen i panelet på nytt
+ */
+function renderBookmarkList() {
+  const list = document.getElementById('bookmark-list');
+  if (!list) return;
+
+  list.innerHTML = '';
+  bookmarks.forEach(bookmark => {
+    const item = document.createElement('li');
+    item.className = 'bookmark-item';
+    item.dataset.bookmarkId = bookmark.id;
+
+    const goBtn = document.createElement('button');
+    goBtn.className = 'bookmark-go';
+    goBtn.textContent = bookmark.name;
+    goBtn.title = `Go to "${bookmark.name}"`;
+
+    const projection = document.createElement('span');
+    projection.className = 'bookmark-projection';
+    projection.textContent = bookmark.projection === 'orthographic' ? 'Ortho' : 'Persp';
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'bookmark-delete';
+    deleteBtn.textContent = '×';
+    deleteBtn.title = 'Delete bookmark';
+
+    item.append(goBtn, projection, deleteBtn);
+    list.appendChild(item);
+  });
+
+  const empty = document.querySelector('#bookmark-panel .bookmark-empty');
+  if (empty) empty.style.display = bookmarks.length === 0 ? 'block' : 'none';
+}
+
+function toOriginal(vector, offset) {
+  return [vector.x + offset.x, vector.y + offset.y, vector.z + offset.z];
+}
+
+function toCentered(values, offset) {
+  return new THREE.Vector3(values[0] - offset.x, values[1] - offset.y, values[2] - offset.z);
+}
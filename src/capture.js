@@ -0,0 +1,327 @@
+import * as THREE from 'three';
+import * as viewer from './viewer.js';
+import * as bookmarks from './bookmarks.js';
+import { downloadBlob } from './download.js';
+
+/**
+ * Skjermbilder og video av visningen
+ * - Skjermbilde i valgfri oppløsning (viewer.captureScreenshot tegner i fliser),
+ *   med legende og målestokk tegnet oppå bildet
+ * - Video (WebM via MediaRecorder) av en turntable rundt target eller en flytur
+ *   gjennom kamera-bokmerkene
+ */
+
+export const VIDEO_MODES = {
+  turntable: 'Turntable',
+  bookmarks: 'Bookmark flight'
+};
+
+// Foretrukne videoformater (første som nettleseren støtter brukes)
+const VIDEO_MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+const VIDEO_BITS_PER_SECOND = 12_000_000;
+
+// Overlegg er tegnet for 1080 piksler høyde og skaleres med bildet
+const OVERLAY_REFERENCE_HEIGHT = 1080;
+
+let recording = null; // { recorder, cancelled, stopped, controlsEnabled } mens video tas opp
+
+/**
+ * Tar skjermbilde og laster det ned som PNG
+ * @param {Object} options
+ * @param {number} options.width - Bredde i piksler
+ * @param {number} options.height - Høyde i piksler
+ * @param {boolean} [options.transparent=false] - Gjennomsiktig bakgrunn
+ * @param {Object|null} [options.legend=null] - Legende å tegne (se drawLegend), null = ingen
+ * @param {boolean} [options.scaleBar=false] - Målestokk (meter ved target)
+ * @returns {Promise<string>} Filnavnet
+ */
+export async function saveScreenshot({ width, height, transparent = false, legend = null, scaleBar = false }) {
+  const canvas = viewer.captureScreenshot({ width, height, transparent });
+  const ctx = canvas.getContext('2d');
+  const scale = Math.max(canvas.height / OVERLAY_REFERENCE_HEIGHT, 0.5);
+
+  if (legend) drawLegend(ctx, legend, scale);
+  if (scaleBar) drawScaleBar(ctx, getWorldUnitsPerPixel(canvas.height), scale);
+
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+  if (!blob) throw new Error('The browser could not encode the screenshot');
+
+  const filename = `cloudstream3d_${canvas.width}x${canvas.height}_${Date.now()}.png`;
+  downloadBlob(blob, filename);
+  console.log(`✓ Screenshot saved: ${filename}`);
+  return filename;
+}
+
+/**
+ * Om nettleseren kan ta opp video av tegneflaten
+ */
+export function isVideoSupported() {
+  return typeof MediaRecorder !== 'undefined' &&
+    typeof HTMLCanvasElement.prototype.captureStream === 'function' &&
+    VIDEO_MIME_TYPES.some(type => MediaRecorder.isTypeSupported(type));
+}
+
+export function isRecording() {
+  return recording !== null;
+}
+
+/**
+ * Tar opp video av en kamerabane og laster den ned som WebM
+ * Kameraet styres av opptaket; navigasjonen er slått av til det er ferdig.
+ * @param {Object} options
+ * @param {string} options.mode - 'turntable' eller 'bookmarks' (se VIDEO_MODES)
+ * @param {number} [options.duration=10] - Sekunder per runde (turntable)
+ * @param {number} [options.secondsPerBookmark=3] - Sekunder per overgang (bokmerker)
+ * @param {number} [options.fps=30] - Bilder per sekund
+ * @returns {Promise<string|null>} Filnavnet, eller null hvis opptaket ble avbrutt (eller stoppet før start)
+ * @throws {Error} Hvis video ikke støttes eller det er for få bokmerker
+ */
+export async function recordVideo({ mode, duration = 10, secondsPerBookmark = 3, fps = 30 }) {
+  if (recording) throw new Error('A recording is already in progress');
+  if (!isVideoSupported()) throw new Error('Video recording (WebM) is not supported in this browser');
+
+  const path = bookmarks.getBookmarks().slice();
+  if (mode === 'bookmarks' && path.length < 2) {
+    throw new Error('Add at least two camera bookmarks to record a flight');
+  }
+
+  const controls = viewer.getControls();
+  recording = { recorder: null, cancelled: false, stopped: false, controlsEnabled: controls.enabled };
+  controls.enabled = false;
+
+  try {
+    // Flyturen starter i første bokmerke
+    if (mode === 'bookmarks') await bookmarks.goToBookmark(path[0].id);
+    if (recording.cancelled || recording.stopped) return null;
+
+    const mimeType = VIDEO_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+    const stream = viewer.getRendererElement().captureStream(fps);
+    const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: VIDEO_BITS_PER_SECOND });
+    recording.recorder = recorder;
+
+    const chunks = [];
+    recorder.addEventListener('dataavailable', (event) => {
+      if (event.data.size > 0) chunks.push(event.data);
+    });
+    const stopped = new Promise(resolve => recorder.addEventListener('stop', resolve, { once: true }));
+
+    recorder.start();
+    console.log(`⏺ Recording ${VIDEO_MODES[mode] || mode} (${mimeType})`);
+
+    if (mode === 'bookmarks') {
+      for (const bookmark of path.slice(1)) {
+        if (recording.cancelled || recording.stopped) break;
+        await bookmarks.goToBookmark(bookmark.id, secondsPerBookmark * 1000);
+      }
+    } else {
+      await playTurntable(duration * 1000);
+    }
+
+    recorder.stop();
+    await stopped;
+    stream.getTracks().forEach(track => track.stop());
+
+    if (recording.cancelled || chunks.length === 0) {
+      console.log('Recording cancelled');
+      return null;
+    }
+
+    const filename = `cloudstream3d_${mode}_${Date.now()}.webm`;
+    downloadBlob(new Blob(chunks, { type: 'video/webm' }), filename);
+    console.log(`✓ Video saved: ${filename}`);
+    return filename;
+  } finally {
+    controls.enabled = recording.controlsEnabled;
+    recording = null;
+  }
+}
+
+/**
+ * Stopper opptaket og laster ned det som er tatt opp så langt
+ */
+export function stopRecording() {
+  if (!recording) return;
+  recording.stopped = true;
+  viewer.stopCameraAnimation();
+}
+
+/**
+ * Avbryter opptaket (ingenting lastes ned)
+ */
+export function cancelRecording() {
+  if (!recording) return;
+  recording.cancelled = true;
+  viewer.stopCameraAnimation();
+}
+
+/**
+ * Én runde rundt target om kameraets up-akse
+ * @returns {Promise<void>} Når runden er ferdig eller opptaket avbrutt
+ */
+function playTurntable(durationMs) {
+  const camera = viewer.getCamera();
+  const target = viewer.getControls().target.clone();
+  const axis = camera.up.clone().normalize();
+  const offset = camera.position.clone().sub(target);
+  const rotated = new THREE.Vector3();
+  const start = performance.now();
+
+  return new Promise(resolve => {
+    const step = (now) => {
+      const t = Math.min((now - start) / durationMs, 1);
+      rotated.copy(offset).applyAxisAngle(axis, t * Math.PI * 2);
+      camera.position.copy(target).add(rotated);
+      camera.lookAt(target);
+
+      if (t === 1 || recording.cancelled || recording.stopped) {
+        resolve();
+      } else {
+        requestAnimationFrame(step);
+      }
+    };
+    requestAnimationFrame(step);
+  });
+}
+
+/**
+ * Verdensenheter per piksel ved target (perspektiv) eller i hele bildet (ortografisk)
+ * @param {number} imageHeight - Bildets høyde i piksler
+ */
+function getWorldUnitsPerPixel(imageHeight) {
+  const camera = viewer.getCamera();
+
+  if (camera.isOrthographicCamera) {
+    return (camera.top - camera.bottom) / camera.zoom / imageHeight;
+  }
+
+  const direction = camera.getWorldDirection(new THREE.Vector3());
+  const depth = viewer.getControls().target.clone().sub(camera.position).dot(direction);
+  const visibleHeight = 2 * Math.max(depth, 0) * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2) / camera.zoom;
+  return visibleHeight / imageHeight;
+}
+
+/**
+ * Tegner legenden nede til høyre
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} legend - { title, min, max, stops: [{ offset, color }] } for en skala,
+ *   eller { title, classes: [{ label, color }] } for klasser (farger som CSS-strenger)
+ * @param {number} scale - Størrelse i forhold til 1080p
+ */
+function drawLegend(ctx, legend, scale) {
+  const { width, height } = ctx.canvas;
+  const margin = 20 * scale;
+  const padding = 12 * scale;
+  const fontSize = 14 * scale;
+  const lineHeight = fontSize * 1.5;
+
+  ctx.save();
+  ctx.font = `600 ${fontSize}px sans-serif`;
+  ctx.textBaseline = 'middle';
+
+  let boxWidth, boxHeight, rows;
+  if (legend.classes) {
+    rows = legend.classes;
+    const textWidth = Math.max(ctx.measureText(legend.title).width,
+      ...rows.map(row => ctx.measureText(row.label).width + lineHeight));
+    boxWidth = textWidth + padding * 2;
+    boxHeight = padding * 2 + lineHeight * (rows.length + 1);
+  } else {
+    const labels = [legend.max, (legend.min + legend.max) / 2, legend.min].map(value => value.toFixed(2));
+    rows = labels;
+    const textWidth = Math.max(...labels.map(label => ctx.measureText(label).width));
+    boxWidth = Math.max(ctx.measureText(legend.title).width, 24 * scale + padding + textWidth) + padding * 2;
+    boxHeight = padding * 2 + lineHeight + 180 * scale;
+  }
+
+  const x = width - margin - boxWidth;
+  const y = height - margin - boxHeight;
+
+  ctx.fillStyle = 'rgba(20, 20, 30, 0.75)';
+  ctx.beginPath();
+  ctx.roundRect(x, y, boxWidth, boxHeight, 8 * scale);
+  ctx.fill();
+
+  ctx.fillStyle = '#ffffff';
+  ctx.fillText(legend.title, x + padding, y + padding + lineHeight / 2);
+  const top = y + padding + lineHeight;
+
+  if (legend.classes) {
+    rows.forEach((row, index) => {
+      const rowY = top + index * lineHeight;
+      ctx.fillStyle = row.color;
+      ctx.fillRect(x + padding, rowY + lineHeight * 0.2, lineHeight * 0.6, lineHeight * 0.6);
+      ctx.fillStyle = '#ffffff';
+      ctx.fillText(row.label, x + padding + lineHeight, rowY + lineHeight / 2);
+    });
+  } else {
+    const barHeight = 180 * scale - padding;
+    const barWidth = 24 * scale;
+    const gradient = ctx.createLinearGradient(0, top + barHeight, 0, top);
+    legend.stops.forEach(stop => gradient.addColorStop(stop.offset, stop.color));
+    ctx.fillStyle = gradient;
+    ctx.fillRect(x + padding, top, barWidth, barHeight);
+
+    ctx.fillStyle = '#ffffff';
+    rows.forEach((label, index) => {
+      ctx.fillText(label, x + padding + barWidth + padding, top + barHeight * index / 2);
+    });
+  }
+  ctx.restore();
+}
+
+/**
+ * Tegner målestokk nede til venstre (rund lengde, ca. en femdel av bildebredden)
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} unitsPerPixel - Meter per piksel
+ * @param {number} scale - Størrelse i forhold til 1080p
+ */
+function drawScaleBar(ctx, unitsPerPixel, scale) {
+  if (!(unitsPerPixel > 0) || !Number.isFinite(unitsPerPixel)) return;
+
+  const { width, height } = ctx.canvas;
+  const length = niceLength(unitsPerPixel * width / 5);
+  const barWidth = length / unitsPerPixel;
+  const barHeight = 8 * scale;
+  const margin = 20 * scale;
+  const fontSize = 14 * scale;
+  const x = margin + 12 * scale;
+  const y = height - margin - 12 * scale - barHeight;
+
+  ctx.save();
+  ctx.fillStyle = 'rgba(20, 20, 30, 0.75)';
+  ctx.beginPath();
+  ctx.roundRect(margin, y - fontSize * 2, barWidth + 24 * scale, fontSize * 2 + barHeight + 12 * scale, 8 * scale);
+  ctx.fill();
+
+  // Annenhver halvdel svart/hvit, som på kart
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(x, y, barWidth / 2, barHeight);
+  ctx.fillStyle = '#000000';
+  ctx.fillRect(x + barWidth / 2, y, barWidth / 2, barHeight);
+  ctx.strokeStyle = '#ffffff';
+  ctx.lineWidth = Math.max(1, scale);
+  ctx.strokeRect(x, y, barWidth, barHeight);
+
+  ctx.font = `600 ${fontSize}px sans-serif`;
+  ctx.fillStyle = '#ffffff';
+  ctx.textBaseline = 'bottom';
+  ctx.fillText(formatLength(length), x, y - 4 * scale);
+  ctx.restore();
+}
+
+/**
+ * Nærmeste "runde" lengde (1, 2 eller 5 × 10^n) som ikke er større enn verdien
+ */
+function niceLength(value) {
+  const exponent = Math.floor(Math.log10(value));
+  const base = Math.pow(10, exponent);
+  const fraction = value / base;
+  const nice = fraction >= 5 ? 5 : fraction >= 2 ? 2 : 1;
+  return nice * base;
+}
+
+function formatLength(meters) {
+  if (meters >= 1000) return `${meters / 1000} km`;
+  if (meters >= 1) return `${meters} m`;
+  return `${Math.round(meters * 1000 * 1000) / 1000} mm`;
+}
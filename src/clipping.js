@@ -0,0 +1,137 @@
+import * as THREE from 'three';
+
+/**
+ * Klipping av punktskyen i shaderen (skjuler punkter, endrer ingen data)
+ * - Inntil MAX_CLIP_PLANES plan: punkter på baksiden av et aktivt plan skjules
+ * - Klippeboks (selection box): vis bare punktene inne i boksen, bare utenfor, eller av
+ *
+ * Uniformene er felles for alle node-materialer (se pointShading.enhancePointMaterial),
+ * så det koster ingenting å flytte plan eller boks - heller ikke på store skyer.
+ * Samme test finnes på CPU (isPointClipped / isBoxClipped) for plukking og LOD.
+ */
+
+export const MAX_CLIP_PLANES = 6;
+
+export const CLIP_BOX_MODES = {
+  off: 'Off',
+  inside: 'Show inside',
+  outside: 'Show outside'
+};
+
+// Modus som tall i shaderen
+const BOX_MODE_IDS = { off: 0, inside: 1, outside: 2 };
+
+// Klippeboksen i sitt eget koordinatsystem (BoxGeometry 1x1x1)
+const UNIT_BOX = new THREE.Box3(new THREE.Vector3(-0.5, -0.5, -0.5), new THREE.Vector3(0.5, 0.5, 0.5));
+
+const scratchPoint = new THREE.Vector3();
+const scratchBox = new THREE.Box3();
+
+const state = {
+  planes: [],        // THREE.Plane per aktivt plan (punkter med negativ avstand skjules)
+  boxMode: 'off',
+  boxInverse: new THREE.Matrix4() // Verden -> boksens enhetskube (±0.5)
+};
+
+const uniforms = {
+  clipPlanes: { value: Array.from({ length: MAX_CLIP_PLANES }, () => new THREE.Vector4()) },
+  clipPlaneCount: { value: 0 },
+  clipBoxMode: { value: 0 },
+  clipBoxInverse: { value: state.boxInverse }
+};
+
+/**
+ * Setter klippeplanene (erstatter alle)
+ * @param {THREE.Plane[]} planes - Maks MAX_CLIP_PLANES; punkter der distanceToPoint < 0 skjules
+ */
+export function setClipPlanes(planes) {
+  if (planes.length > MAX_CLIP_PLANES) {
+    console.warn(`Only ${MAX_CLIP_PLANES} clipping planes are supported`);
+  }
+  state.planes = planes.slice(0, MAX_CLIP_PLANES).map(plane => plane.clone());
+
+  state.planes.forEach((plane, i) => {
+    uniforms.clipPlanes.value[i].set(plane.normal.x, plane.normal.y, plane.normal.z, plane.constant);
+  });
+  uniforms.clipPlaneCount.value = state.planes.length;
+}
+
+export function getClipPlanes() {
+  return state.planes;
+}
+
+/**
+ * Setter klippeboksens modus
+ * @param {string} mode - 'off', 'inside' (vis inni) eller 'outside' (vis utenfor)
+ */
+export function setClipBoxMode(mode) {
+  state.boxMode = CLIP_BOX_MODES[mode] ? mode : 'off';
+  uniforms.clipBoxMode.value = BOX_MODE_IDS[state.boxMode];
+}
+
+export function getClipBoxMode() {
+  return state.boxMode;
+}
+
+/**
+ * Oppdaterer klippeboksen fra boksens verdensmatrise (enhetskube skalert til størrelsen)
+ * @param {THREE.Matrix4} matrixWorld - F.eks. selectionBox.matrixWorld
+ */
+export function setClipBox(matrixWorld) {
+  state.boxInverse.copy(matrixWorld).invert();
+}
+
+/**
+ * Om noe klippes i det hele tatt
+ */
+export function isClippingActive() {
+  return state.planes.length > 0 || state.boxMode !== 'off';
+}
+
+/**
+ * Om et punkt (verdenskoordinater) er skjult - samme regel som shaderen
+ * @param {THREE.Vector3} point
+ */
+export function isPointClipped(point) {
+  for (const plane of state.planes) {
+    if (plane.distanceToPoint(point) < 0) return true;
+  }
+
+  if (state.boxMode !== 'off') {
+    const local = scratchPoint.copy(point).applyMatrix4(state.boxInverse);
+    const inside = Math.abs(local.x) <= 0.5 && Math.abs(local.y) <= 0.5 && Math.abs(local.z) <= 0.5;
+    return state.boxMode === 'inside' ? !inside : inside;
+  }
+  return false;
+}
+
+/**
+ * Om hele boksen er skjult (konservativt: false hvis noe av den kan synes)
+ * Brukes til å hoppe over octree-noder i LOD og plukking.
+ * @param {THREE.Box3} box - Verdenskoordinater
+ */
+export function isBoxClipped(box) {
+  for (const plane of state.planes) {
+    // Hjørnet lengst i planets retning er på baksiden -> hele boksen er bak
+    scratchPoint.set(
+      plane.normal.x > 0 ? box.max.x : box.min.x,
+      plane.normal.y > 0 ? box.max.y : box.min.y,
+      plane.normal.z > 0 ? box.max.z : box.min.z
+    );
+    if (plane.distanceToPoint(scratchPoint) < 0) return true;
+  }
+
+  // Bare "vis inni" kan skjule en hel node (boks helt utenfor klippeboksen)
+  if (state.boxMode === 'inside') {
+    const local = scratchBox.copy(box).applyMatrix4(state.boxInverse);
+    return !local.intersectsBox(UNIT_BOX);
+  }
+  return false;
+}
+
+/**
+ * Felles uniformer for node-materialene
+ */
+export function getClippingUniforms() {
+  return uniforms;
+}
@@ -0,0 +1,336 @@
+import * as THREE from 'three';
+
+/**
+ * Fargeskalaer for høydefarging
+ * Én felles modul for 3D-visningen, legenden, histogrammet i dashboard og PDF-rapporten,
+ * slik at alle viser samme skala.
+ * - Innebygde rampe: rainbow (blå → rød, standard), viridis, terrain, bathymetric, grayscale
+ * - Egendefinerte trinn: faste farger fra en gitt Z-verdi og oppover
+ * - Valgfritt fast verdiområde (clamp), så enkeltpunkter langt unna ikke presser sammen skalaen
+ *
+ * Alle Z-verdier og områder er i ORIGINALE koordinater; sentrerte koordinater
+ * regnes om med zOffset (se computeColors).
+ */
+
+export const COLOR_MAPS = {
+  rainbow: 'Rainbow (blue → red)',
+  viridis: 'Viridis',
+  terrain: 'Terrain',
+  bathymetric: 'Bathymetric',
+  grayscale: 'Grayscale',
+  stepped: 'Custom steps'
+};
+
+// Kontrollpunkter [t, farge] for rampene; interpoleres lineært
+const RAMP_STOPS = {
+  viridis: [
+    [0.0, '#440154'], [0.125, '#472d7b'], [0.25, '#3b528b'], [0.375, '#2c728e'], [0.5, '#21918c'],
+    [0.625, '#28ae80'], [0.75, '#5ec962'], [0.875, '#addc30'], [1.0, '#fde725']
+  ],
+  terrain: [
+    [0.0, '#333399'], [0.15, '#0099ff'], [0.25, '#00cc66'], [0.5, '#ffff99'], [0.75, '#805c54'], [1.0, '#ffffff']
+  ],
+  bathymetric: [
+    [0.0, '#081d58'], [0.25, '#253494'], [0.5, '#1d91c0'], [0.75, '#7fcdbb'], [1.0, '#edf8b1']
+  ],
+  grayscale: [
+    [0.0, '#000000'], [1.0, '#ffffff']
+  ]
+};
+
+// Antall oppslag i fargetabellen per rampe
+const LUT_SIZE = 256;
+
+// Antall gradient-stopp for legenden (kontinuerlige rampe)
+const GRADIENT_STOPS = 11;
+
+// Lyshet i forhold til skjermfargene for utskrift på hvit bakgrunn (PDF-kart og -legende)
+const PRINT_LIGHTNESS = 0.7;
+
+const state = {
+  name: 'rainbow',
+  range: null,  // { min, max } eller null = hele dataområdet
+  steps: []     // [{ value, color: THREE.Color }] sortert etter value
+};
+
+// Fargetabeller (lineær fargerom, som vertex colors) - lages første gang rampen brukes
+const lutCache = {};
+
+/**
+ * Velger fargeskala
+ * @param {string} name - Nøkkel i COLOR_MAPS
+ */
+export function setColorMap(name) {
+  state.name = COLOR_MAPS[name] ? name : 'rainbow';
+}
+
+export function getColorMap() {
+  return state.name;
+}
+
+/**
+ * Setter fast verdiområde for skalaen (originale Z-verdier)
+ * Kall uten argumenter (eller med null) for å bruke hele dataområdet igjen.
+ */
+export function setColorRange(min = null, max = null) {
+  if (min === null || max === null || !isFinite(min) || !isFinite(max)) {
+    state.range = null;
+    return;
+  }
+  state.range = { min: Math.min(min, max), max: Math.max(min, max) };
+}
+
+/**
+ * Henter brukerens faste verdiområde, eller null hvis skalaen følger dataene
+ */
+export function getColorRange() {
+  return state.range ? { ...state.range } : null;
+}
+
+/**
+ * Verdiområdet skalaen faktisk bruker for gitte data
+ * @param {number} dataMinZ - Laveste Z i dataene
+ * @param {number} dataMaxZ - Høyeste Z i dataene
+ * @returns {{min: number, max: number}}
+ */
+export function resolveRange(dataMinZ, dataMaxZ) {
+  return state.range ? { ...state.range } : { min: dataMinZ, max: dataMaxZ };
+}
+
+/**
+ * Setter egendefinerte trinn fra tekst, f.eks. "-10:#08306b, 0:#6baed6, 5:yellow"
+ * Hvert trinn gjelder fra sin Z-verdi og opp til neste; punkter under første trinn
+ * får første farge.
+ * @param {string} text - Kommaseparerte "Z:farge"-par
+ * @returns {boolean} false hvis teksten ikke kunne tolkes (trinnene er da uendret)
+ */
+export function setCustomSteps(text) {
+  const steps = [];
+
+  for (const part of text.split(/[,;]/)) {
+    if (!part.trim()) continue;
+
+    const separator = part.lastIndexOf(':');
+    const value = parseFloat(part.slice(0, separator));
+    const colorText = part.slice(separator + 1).trim().replace(/^(?=[0-9a-f]{6}$)/i, '#');
+    if (separator <= 0 || !isFinite(value) || !isValidColor(colorText)) {
+      console.warn(`Ugyldig fargetrinn: "${part.trim()}"`);
+      return false;
+    }
+
+    steps.push({ value, color: new THREE.Color(colorText) });
+  }
+
+  if (steps.length === 0) return false;
+
+  state.steps = steps.sort((a, b) => a.value - b.value);
+  return true;
+}
+
+/**
+ * Egendefinerte trinn som tekst (samme format som setCustomSteps)
+ */
+export function getCustomStepsText() {
+  return state.steps
+    .map(step => `${formatValue(step.value)}:#${step.color.getHexString()}`)
+    .join(', ');
+}
+
+/**
+ * Lager jevnt fordelte trinn over et område (startpunkt for egendefinerte trinn)
+ * @param {number} min - Laveste Z
+ * @param {number} max - Høyeste Z
+ * @param {number} [count=5] - Antall trinn
+ * @returns {string} Trinn i tekstformat, farger fra viridis
+ */
+export function createDefaultSteps(min, max, count = 5) {
+  const lut = getLUT('viridis');
+  const color = new THREE.Color();
+  const parts = [];
+
+  for (let i = 0; i < count; i++) {
+    const value = min + (max - min) * i / count;
+    readLUT(lut, count > 1 ? i / (count - 1) : 0, color);
+    parts.push(`${formatValue(value)}:#${color.getHexString()}`);
+  }
+
+  return parts.join(', ');
+}
+
+/**
+ * Skriver fargen for en Z-verdi inn i et farge-array
+ * @param {number} z - Z-verdi (originale koordinater)
+ * @param {{min: number, max: number}} range - Fra resolveRange()
+ * @param {Float32Array|Array} out - Array å skrive RGB til
+ * @param {number} [offset=0] - Indeks for R i out
+ */
+export function writeColor(z, range, out, offset = 0) {
+  if (state.name === 'stepped' && state.steps.length > 0) {
+    const color = stepColor(z);
+    out[offset] = color.r;
+    out[offset + 1] = color.g;
+    out[offset + 2] = color.b;
+    return;
+  }
+
+  const lut = getLUT(state.name);
+  const t = (z - range.min) / (range.max - range.min || 1);
+  const index = Math.round((t < 0 ? 0 : (t > 1 ? 1 : t)) * (LUT_SIZE - 1)) * 3;
+  out[offset] = lut[index];
+  out[offset + 1] = lut[index + 1];
+  out[offset + 2] = lut[index + 2];
+}
+
+/**
+ * Fargen for en Z-verdi som THREE.Color
+ * @param {number} z - Z-verdi (originale koordinater)
+ * @param {{min: number, max: number}} range - Fra resolveRange()
+ * @param {THREE.Color} [target] - Gjenbrukbart farge-objekt
+ * @returns {THREE.Color}
+ */
+export function getColor(z, range, target = new THREE.Color()) {
+  const rgb = [0, 0, 0];
+  writeColor(z, range, rgb);
+  return target.setRGB(rgb[0], rgb[1], rgb[2]);
+}
+
+/**
+ * Farge fra en navngitt rampe uavhengig av valgt skala og område (f.eks. for attributt-farging)
+ * @param {string} name - Nøkkel i COLOR_MAPS (egendefinerte trinn gir rainbow)
+ * @param {number} t - Posisjon i rampen (0-1)
+ * @param {THREE.Color} [target] - Gjenbrukbart farge-objekt
+ * @returns {THREE.Color}
+ */
+export function sampleRamp(name, t, target = new THREE.Color()) {
+  const lut = getLUT(RAMP_STOPS[name] ? name : 'rainbow');
+  return readLUT(lut, t < 0 ? 0 : (t > 1 ? 1 : t), target);
+}
+
+/**
+ * Beregner høydefarger for en hel posisjons-array
+ * @param {Float32Array|Float64Array} positions - XYZ-posisjoner
+ * @param {number} dataMinZ - Laveste Z i dataene (samme koordinater som positions)
+ * @param {number} dataMaxZ - Høyeste Z i dataene
+ * @param {Float32Array} [colors] - Array å skrive til (opprettes hvis ikke gitt)
+ * @param {number} [zOffset=0] - Legges til Z for å få originale koordinater
+ * @returns {Float32Array} RGB-farger i området 0-1
+ */
+export function computeColors(positions, dataMinZ, dataMaxZ, colors = new Float32Array(positions.length), zOffset = 0) {
+  const range = resolveRange(dataMinZ + zOffset, dataMaxZ + zOffset);
+
+  for (let i = 0; i < positions.length; i += 3) {
+    writeColor(positions[i + 2] + zOffset, range, colors, i);
+  }
+
+  return colors;
+}
+
+/**
+ * Gradient-stopp for legenden
+ * @param {{min: number, max: number}} range - Fra resolveRange()
+ * @returns {Array<{offset: number, color: THREE.Color}>} offset 0 = range.min, 1 = range.max
+ */
+export function getGradientStops(range) {
+  const span = range.max - range.min || 1;
+
+  if (state.name === 'stepped' && state.steps.length > 0) {
+    // Harde overganger: to stopp med samme posisjon ved hver trinngrense
+    const stops = [{ offset: 0, color: stepColor(range.min).clone() }];
+    state.steps.forEach((step, index) => {
+      if (index === 0 || step.value <= range.min || step.value >= range.max) return;
+      const offset = (step.value - range.min) / span;
+      stops.push({ offset, color: state.steps[index - 1].color.clone() });
+      stops.push({ offset, color: step.color.clone() });
+    });
+    stops.push({ offset: 1, color: stepColor(range.max).clone() });
+    return stops;
+  }
+
+  const stops = [];
+  for (let i = 0; i < GRADIENT_STOPS; i++) {
+    const offset = i / (GRADIENT_STOPS - 1);
+    stops.push({ offset, color: getColor(range.min + offset * span, range) });
+  }
+  return stops;
+}
+
+/**
+ * CSS-gradient for legenden i visningen
+ * @param {{min: number, max: number}} range - Fra resolveRange()
+ * @param {string} [direction='to top'] - CSS-retning (fra laveste til høyeste verdi)
+ */
+export function getCSSGradient(range, direction = 'to top') {
+  const stops = getGradientStops(range)
+    .map(stop => `${stop.color.getStyle()} ${(stop.offset * 100).toFixed(1)}%`);
+  return `linear-gradient(${direction}, ${stops.join(', ')})`;
+}
+
+/**
+ * Mørkere tone av en skalafarge for utskrift på hvit bakgrunn
+ * Beholder fargetone og metning, så rampen er gjenkjennelig i PDF-en.
+ * @param {THREE.Color} color - Endres direkte
+ * @returns {THREE.Color}
+ */
+export function shadeForPrint(color) {
+  const hsl = {};
+  color.getHSL(hsl);
+  return color.setHSL(hsl.h, hsl.s, hsl.l * PRINT_LIGHTNESS);
+}
+
+/**
+ * Fargetabell for en rampe (lages ved første bruk)
+ */
+function getLUT(name) {
+  if (lutCache[name]) return lutCache[name];
+
+  const lut = new Float32Array(LUT_SIZE * 3);
+  const color = new THREE.Color();
+  const stops = RAMP_STOPS[name] && RAMP_STOPS[name].map(([t, hex]) => ({ t, color: new THREE.Color(hex) }));
+
+  for (let i = 0; i < LUT_SIZE; i++) {
+    const t = i / (LUT_SIZE - 1);
+
+    if (stops) {
+      let upper = 1;
+      while (upper < stops.length - 1 && stops[upper].t < t) upper++;
+      const lower = stops[upper - 1];
+      const alpha = (t - lower.t) / (stops[upper].t - lower.t);
+      color.copy(lower.color).lerp(stops[upper].color, Math.min(Math.max(alpha, 0), 1));
+    } else {
+      // Rainbow: blå (0.6) til rød (0.0), som den opprinnelige høydefargingen
+      color.setHSL(0.6 - t * 0.6, 1.0, 0.5);
+    }
+
+    lut[i * 3] = color.r;
+    lut[i * 3 + 1] = color.g;
+    lut[i * 3 + 2] = color.b;
+  }
+
+  lutCache[name] = lut;
+  return lut;
+}
+
+function readLUT(lut, t, target) {
+  const index = Math.round(t * (LUT_SIZE - 1)) * 3;
+  return target.setRGB(lut[index], lut[index + 1], lut[index + 2]);
+}
+
+/**
+ * Fargen til trinnet en Z-verdi hører til
+ */
+function stepColor(z) {
+  let step = state.steps[0];
+  for (let i = 1; i < state.steps.length && state.steps[i].value <= z; i++) {
+    step = state.steps[i];
+  }
+  return step.color;
+}
+
+function isValidColor(text) {
+  if (/^#[0-9a-f]{6}$/i.test(text)) return true;
+  return text.toLowerCase() in THREE.Color.NAMES;
+}
+
+function formatValue(value) {
+  return Number(value.toFixed(2)).toString();
+}
@@ -0,0 +1,19 @@
+/**
+ * Nedlasting av filer generert i nettleseren (eksport, skjermbilder, video, bokmerker)
+ */
+
+/**
+ * Laster ned en Blob som fil via en midlertidig lenke
+ * @param {Blob} blob - Filinnholdet
+ * @param {string} filename - Foreslått filnavn
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,324 @@
+import * as THREE from 'three';
+import * as viewer from './viewer.js';
+import * as selection from './selection.js';
+import { remapNodes } from './octreeBuilder.js';
+
+/**
+ * Redigering av punktskyen - slette valgte punkter, beskjære til seleksjon eller boks
+ *
+ * Punktene fjernes fra alle per-punkt arrayene i laget (posisjon, farge, attributter,
+ * seleksjonsmasken og originalkoordinatene). Resten beholder rekkefølgen, så
+ * octree-nodene regnes om (remapNodes) i stedet for å bygges på nytt.
+ *
+ * Alle endringer - også Z-inversjon (registreres av ui.js) - legges i en angre/gjør om-stabel.
+ * Et steg husker bare de fjernede punktene (indeks og verdier); angre fletter dem inn
+ * igjen, gjør om filtrerer dem bort på nytt.
+ */
+
+// Maks antall steg som kan angres
+export const MAX_HISTORY = 20;
+
+// Maks minne historikken holder på (fjernede punkter); eldste steg forkastes først
+export const MAX_HISTORY_BYTES = 512 * 1024 * 1024;
+
+let undoStack = []; // { label, bytes, undo(), redo() }
+let redoStack = [];
+let historyListeners = [];
+let pointsChangedListeners = [];
+
+/**
+ * Legger en endring i angre-stabelen (og tømmer gjør om-stabelen)
+ * Siste steg beholdes alltid, selv om det alene er større enn MAX_HISTORY_BYTES.
+ * @param {{label: string, bytes?: number, undo: function(): void, redo: function(): void}} edit
+ */
+export function pushEdit(edit) {
+  undoStack.push(edit);
+  redoStack = [];
+
+  let bytes = undoStack.reduce((sum, item) => sum + (item.bytes ?? 0), 0);
+  while (undoStack.length > 1 && (undoStack.length > MAX_HISTORY || bytes > MAX_HISTORY_BYTES)) {
+    bytes -= undoStack.shift().bytes ?? 0;
+  }
+  notifyHistoryChange();
+}
+
+/**
+ * Angrer siste endring
+ * @returns {Object|null} Endringen som ble angret
+ */
+export function undo() {
+  const edit = undoStack.pop();
+  if (!edit) return null;
+
+  edit.undo();
+  redoStack.push(edit);
+  notifyHistoryChange();
+  return edit;
+}
+
+/**
+ * Gjør om siste angrede endring
+ * @returns {Object|null} Endringen som ble gjort om
+ */
+export function redo() {
+  const edit = redoStack.pop();
+  if (!edit) return null;
+
+  edit.redo();
+  undoStack.push(edit);
+  notifyHistoryChange();
+  return edit;
+}
+
+/**
+ * Navnet på endringene som kan angres / gjøres om (null hvis ingen)
+ * @returns {{ undo: string|null, redo: string|null }}
+ */
+export function getHistoryLabels() {
+  return {
+    undo: undoStack.length > 0 ? undoStack[undoStack.length - 1].label : null,
+    redo: redoStack.length > 0 ? redoStack[redoStack.length - 1].label : null
+  };
+}
+
+/**
+ * Tømmer historikken (f.eks. når lag legges til eller fjernes)
+ */
+export function clearHistory() {
+  undoStack = [];
+  redoStack = [];
+  notifyHistoryChange();
+}
+
+/**
+ * Varsles når angre/gjør om-stabelen endres
+ * @param {function({undo: string|null, redo: string|null}): void} callback
+ */
+export function onHistoryChange(callback) {
+  historyListeners.push(callback);
+}
+
+/**
+ * Varsles når lagene har fått nye punktdata (redigering, angre eller gjør om)
+ * @param {function(): void} callback
+ */
+export function onPointsChanged(callback) {
+  pointsChangedListeners.push(callback);
+}
+
+function notifyHistoryChange() {
+  const labels = getHistoryLabels();
+  historyListeners.forEach(callback => callback(labels));
+}
+
+/**
+ * Sletter de valgte punktene (seleksjonsmasken) i lagene
+ * @param {THREE.Points[]} pointClouds - Synlige lag
+ * @returns {number} Antall fjernede punkter
+ */
+export function deleteSelected(pointClouds) {
+  const keepMasks = new Map();
+  pointClouds.forEach(pointCloud => {
+    const mask = selection.getSelectionMask(pointCloud);
+    if (mask) keepMasks.set(pointCloud, mask.map(value => value ^ 1));
+  });
+  return removePoints(keepMasks, 'Delete selected');
+}
+
+/**
+ * Beholder bare de valgte punktene (seleksjonsmasken) i lagene
+ * Lag uten valgte punkter beholdes som de er.
+ * @param {THREE.Points[]} pointClouds - Synlige lag
+ * @returns {number} Antall fjernede punkter
+ */
+export function cropToSelection(pointClouds) {
+  const keepMasks = new Map();
+  pointClouds.forEach(pointCloud => {
+    if (selection.getSelectedCount(pointCloud) === 0) return;
+    keepMasks.set(pointCloud, selection.getSelectionMask(pointCloud).slice());
+  });
+  return removePoints(keepMasks, 'Crop to selection');
+}
+
+/**
+ * Beholder bare punktene inne i selection box
+ * @param {THREE.Points[]} pointClouds - Synlige lag
+ * @returns {number} Antall fjernede punkter
+ */
+export function cropToBox(pointClouds) {
+  const keepMasks = new Map(pointClouds.map(pointCloud => [pointCloud, selection.getPointsInBox(pointCloud)]));
+  return removePoints(keepMasks, 'Crop to box');
+}
+
+/**
+ * Fjerner punktene der keep er 0 og legger endringen i angre-stabelen
+ * Et lag kan ikke tømmes helt (bruk "Remove Layer" for det).
+ * @param {Map<THREE.Points, Uint8Array>} keepMasks - 1 for punkter som beholdes, per lag
+ * @param {string} label - Navn i angre-historikken
+ * @returns {number} Antall fjernede punkter (0: ingenting endret)
+ */
+function removePoints(keepMasks, label) {
+  const changes = [];
+  let removed = 0;
+  let bytes = 0;
+
+  keepMasks.forEach((keep, pointCloud) => {
+    let keptCount = 0;
+    for (let i = 0; i < keep.length; i++) keptCount += keep[i];
+    if (keptCount === keep.length) return;
+    if (keptCount === 0) {
+      throw new Error(`This would remove every point in ${pointCloud.name} - use Remove Layer instead`);
+    }
+
+    const id = pointCloud.userData.layerId;
+    const data = viewer.getLayerData(id);
+
+    const indices = new Uint32Array(keep.length - keptCount);
+    for (let i = 0, j = 0; i < keep.length; i++) {
+      if (!keep[i]) indices[j++] = i;
+    }
+    const removedMask = keep.map(value => value ^ 1);
+    const removedData = filterLayerData(data, removedMask, indices.length);
+
+    changes.push({
+      id,
+      indices,
+      values: removedData,
+      nodesBefore: data.octreeNodes,
+      nodesAfter: remapNodes(data.octreeNodes, keep),
+      after: filterLayerData(data, keep, keptCount)
+    });
+
+    removed += indices.length;
+    bytes += indices.byteLength + layerDataBytes(removedData);
+  });
+
+  if (changes.length === 0) return 0;
+
+  // Alle lag er sjekket - nå kan de endres (after slippes, gjør om filtrerer på nytt)
+  changes.forEach(change => {
+    viewer.setLayerData(change.id, { ...change.after, octreeNodes: change.nodesAfter });
+    delete change.after;
+  });
+  notifyPointsChanged();
+
+  pushEdit({
+    label,
+    bytes,
+    undo: () => {
+      changes.forEach(change => restorePoints(change));
+      notifyPointsChanged();
+    },
+    redo: () => {
+      changes.forEach(change => {
+        const data = viewer.getLayerData(change.id);
+        const keep = new Uint8Array(data.attributes.position.count).fill(1);
+        for (let i = 0; i < change.indices.length; i++) keep[change.indices[i]] = 0;
+        const keptCount = keep.length - change.indices.length;
+        viewer.setLayerData(change.id, { ...filterLayerData(data, keep, keptCount), octreeNodes: change.nodesAfter });
+      });
+      notifyPointsChanged();
+    }
+  });
+
+  console.log(`✓ ${label}: ${removed} punkter fjernet (${changes.length} lag)`);
+  return removed;
+}
+
+function notifyPointsChanged() {
+  pointsChangedListeners.forEach(callback => callback());
+}
+
+/**
+ * Fletter de fjernede punktene inn igjen på sine gamle plasser (angre)
+ * Attributter som er kommet til etter endringen (f.eks. seleksjonsmasken) får 0 for dem.
+ */
+function restorePoints({ id, indices, values, nodesBefore }) {
+  const data = viewer.getLayerData(id);
+  const total = data.attributes.position.count + indices.length;
+
+  const restoredArrays = new Map();
+  const restore = (array, removedArray, itemSize) => {
+    if (!restoredArrays.has(array)) {
+      restoredArrays.set(array, mergeArray(array, removedArray, itemSize, indices, total));
+    }
+    return restoredArrays.get(array);
+  };
+
+  const attributes = {};
+  for (const [name, attribute] of Object.entries(data.attributes)) {
+    const removedArray = values.attributes[name]?.array ?? null;
+    attributes[name] = new THREE.BufferAttribute(restore(attribute.array, removedArray, attribute.itemSize),
+      attribute.itemSize, attribute.normalized);
+  }
+
+  viewer.setLayerData(id, {
+    attributes,
+    originalPositions: data.originalPositions ? restore(data.originalPositions, values.originalPositions, 3) : null,
+    octreeNodes: nodesBefore
+  });
+}
+
+/**
+ * Nytt array med de fjernede verdiene satt inn foran punktene som fulgte dem
+ * @param {ArrayLike<number>} array - Punktene som er igjen
+ * @param {ArrayLike<number>|null} removedArray - Verdiene til de fjernede punktene (null: 0)
+ * @param {Uint32Array} indices - Indeksene de fjernede punktene hadde (stigende)
+ * @param {number} total - Antall punkter etter innflettingen
+ */
+function mergeArray(array, removedArray, itemSize, indices, total) {
+  const merged = new array.constructor(total * itemSize);
+  let kept = 0;
+  let next = 0;
+  for (let i = 0; i < total; i++) {
+    const fromRemoved = next < indices.length && indices[next] === i;
+    const source = fromRemoved ? removedArray : array;
+    const sourceIndex = fromRemoved ? next++ : kept++;
+    if (!source) continue;
+    for (let k = 0; k < itemSize; k++) merged[i * itemSize + k] = source[sourceIndex * itemSize + k];
+  }
+  return merged;
+}
+
+/**
+ * Minnet til arrayene i et utdrag av punktdata (delte arrays telles én gang)
+ */
+function layerDataBytes({ attributes, originalPositions }) {
+  const arrays = new Set(Object.values(attributes).map(attribute => attribute.array));
+  if (originalPositions) arrays.add(originalPositions);
+  return [...arrays].reduce((sum, array) => sum + array.byteLength, 0);
+}
+
+/**
+ * Nye arrays med bare punktene som beholdes (arrays som deles mellom attributter deles fortsatt)
+ */
+function filterLayerData(data, keep, keptCount) {
+  const filteredArrays = new Map();
+  const filter = (array, itemSize) => {
+    if (!filteredArrays.has(array)) {
+      filteredArrays.set(array, filterArray(array, itemSize, keep, keptCount));
+    }
+    return filteredArrays.get(array);
+  };
+
+  const attributes = {};
+  for (const [name, attribute] of Object.entries(data.attributes)) {
+    attributes[name] = new THREE.BufferAttribute(filter(attribute.array, attribute.itemSize),
+      attribute.itemSize, attribute.normalized);
+  }
+
+  return {
+    attributes,
+    originalPositions: data.originalPositions ? filter(data.originalPositions, 3) : null
+  };
+}
+
+function filterArray(array, itemSize, keep, keptCount) {
+  const filtered = new array.constructor(keptCount * itemSize);
+  let j = 0;
+  for (let i = 0; i < keep.length; i++) {
+    if (!keep[i]) continue;
+    for (let k = 0; k < itemSize; k++) filtered[j++] = array[i * itemSize + k];
+  }
+  return filtered;
+}
@@ -0,0 +1,131 @@
+/**
+ * Eksport-dialog - format, utvalg, presisjon, skilletegn og attributter
+ * Valgene huskes mellom gangene dialogen åpnes (i økten).
+ */
+
+import { EXPORT_FORMATS, EXPORT_SCOPES, DELIMITERS } from './pointExport.js';
+
+// Desimaler som kan velges ('auto' = filens presisjon)
+const PRECISIONS = ['auto', 0, 1, 2, 3, 4, 5, 6];
+
+let dialogElement = null;
+let resolveDialog = null;
+let currentInfo = null;
+let currentOptions = {
+  format: 'las',
+  scope: 'all',
+  precision: 'auto',
+  delimiter: ',',
+  attributes: { color: true, intensity: true, classification: true }
+};
+
+/**
+ * Viser eksport-dialogen
+ * @param {Object} info
+ * @param {string} [info.scope] - Utvalg som er valgt når dialogen åpnes (nøkkel i EXPORT_SCOPES)
+ * @param {Object} info.counts - Antall punkter per utvalg { all, selection, visible } (visible: før klipping og skjulte klasser)
+ * @param {Object} info.available - Attributter lagene har { color, intensity, classification }
+ * @returns {Promise<Object|null>} { format, scope, precision, delimiter, attributes }, eller null hvis brukeren avbrøt
+ */
+export function showExportDialog({ scope, counts, available }) {
+  initDialog();
+
+  currentInfo = { counts, available };
+  if (scope) currentOptions.scope = scope;
+  renderOptions();
+
+  dialogElement.style.display = 'flex';
+
+  return new Promise(resolve => {
+    resolveDialog = (options) => {
+      dialogElement.style.display = 'none';
+      resolveDialog = null;
+      resolve(options);
+    };
+  });
+}
+
+/**
+ * Fyller valglistene og kobler event listeners (kun første gang)
+ */
+function initDialog() {
+  if (dialogElement) return;
+
+  dialogElement = document.getElementById('export-dialog');
+
+  fillSelect('#export-format', EXPORT_FORMATS);
+  fillSelect('#export-scope', EXPORT_SCOPES);
+  fillSelect('#export-precision', Object.fromEntries(PRECISIONS.map(value =>
+    [value, value === 'auto' ? 'As in file' : `${value} decimals`])));
+  fillSelect('#export-delimiter', DELIMITERS);
+
+  dialogElement.querySelector('.import-options').addEventListener('change', (e) => {
+    const { id, value, checked } = e.target;
+    if (id === 'export-format') currentOptions.format = value;
+    if (id === 'export-scope') currentOptions.scope = value;
+    if (id === 'export-precision') currentOptions.precision = value === 'auto' ? 'auto' : Number(value);
+    if (id === 'export-delimiter') currentOptions.delimiter = value === '\\t' ? '\t' : value;
+    if (e.target.dataset.attribute) currentOptions.attributes[e.target.dataset.attribute] = checked;
+    renderOptions();
+  });
+
+  dialogElement.querySelector('#export-cancel').addEventListener('click', () => cancel());
+  dialogElement.querySelector('#export-close').addEventListener('click', () => cancel());
+
+  dialogElement.querySelector('#export-confirm').addEventListener('click', () => {
+    const { available } = currentInfo;
+    resolveDialog?.({
+      ...currentOptions,
+      attributes: {
+        color: currentOptions.attributes.color && available.color,
+        intensity: currentOptions.attributes.intensity && available.intensity,
+        classification: currentOptions.attributes.classification && available.classification
+      }
+    });
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && resolveDialog) {
+      cancel();
+    }
+  });
+}
+
+function cancel() {
+  resolveDialog?.(null);
+}
+
+function fillSelect(selector, options) {
+  dialogElement.querySelector(selector).innerHTML = Object.entries(options)
+    .map(([value, label]) => `<option value="${value === '\t' ? '\\t' : value}">${label}</option>`)
+    .join('');
+}
+
+/**
+ * Viser gjeldende valg; skilletegn gjelder bare tekstformatene, og binær PLY
+ * skriver alltid full presisjon
+ */
+function renderOptions() {
+  const { format, scope, precision, delimiter, attributes } = currentOptions;
+  const { counts, available } = currentInfo;
+  const isText = format === 'csv' || format === 'xyz';
+
+  dialogElement.querySelector('#export-format').value = format;
+  dialogElement.querySelector('#export-scope').value = scope;
+  dialogElement.querySelector('#export-precision').value = String(precision);
+  dialogElement.querySelector('#export-precision').disabled = format === 'ply';
+  dialogElement.querySelector('#export-delimiter').value = delimiter === '\t' ? '\\t' : delimiter;
+  dialogElement.querySelector('#export-delimiter').disabled = !isText;
+
+  dialogElement.querySelectorAll('[data-attribute]').forEach(checkbox => {
+    const name = checkbox.dataset.attribute;
+    checkbox.disabled = !available[name];
+    checkbox.checked = available[name] && attributes[name];
+  });
+
+  const count = counts[scope] ?? 0;
+  const note = scope === 'visible' ? ' before clipping and hidden classes' : '';
+  dialogElement.querySelector('#export-summary').textContent =
+    `${count.toLocaleString('nb-NO')} points${note} · original coordinates`;
+  dialogElement.querySelector('#export-confirm').disabled = count === 0;
+}
@@ -0,0 +1,378 @@
+/**
+ * Import-dialog for CSV/TXT - forhåndsvisning og kolonneoppsett
+ * Brukeren velger skilletegn, desimaltegn, antall header-linjer og hvilken
+ * kolonne som er X/Y/Z/R/G/B/intensitet. Oppsettet huskes per filmønster.
+ */
+
+import { splitColumns, parseColumnNumber } from './xyzParser.js';
+
+const STORAGE_KEY = 'rene-cloudstream3d-column-mappings';
+const PREVIEW_BYTES = 64 * 1024;
+const PREVIEW_ROWS = 12;
+
+// Filendelser som åpner import-dialogen (.xyz leses direkte)
+const MAPPED_EXTENSIONS = ['.csv', '.txt'];
+
+const DELIMITERS = {
+  whitespace: 'Space / tab',
+  ';': 'Semicolon (;)',
+  ',': 'Comma (,)',
+  '\t': 'Tab',
+  '|': 'Pipe (|)'
+};
+
+const ROLES = {
+  x: 'X',
+  y: 'Y',
+  z: 'Z',
+  r: 'R',
+  g: 'G',
+  b: 'B',
+  intensity: 'Intensity'
+};
+
+// Header-navn som gjenkjennes automatisk
+const HEADER_ALIASES = {
+  x: ['x', 'east', 'easting', 'e', 'øst', 'lon', 'longitude'],
+  y: ['y', 'north', 'northing', 'n', 'nord', 'lat', 'latitude'],
+  z: ['z', 'h', 'height', 'elevation', 'elev', 'høyde', 'depth', 'dybde'],
+  r: ['r', 'red', 'rød'],
+  g: ['g', 'green', 'grønn'],
+  b: ['b', 'blue', 'blå'],
+  intensity: ['i', 'intensity', 'intensitet', 'reflectance']
+};
+
+let dialogElement = null;
+let previewLines = [];
+let currentMapping = null;
+let resolveDialog = null;
+
+/**
+ * Sjekker om filen skal gjennom import-dialogen
+ */
+export function needsColumnMapping(fileName) {
+  const name = fileName.toLowerCase();
+  return MAPPED_EXTENSIONS.some(ext => name.endsWith(ext));
+}
+
+/**
+ * Viser import-dialogen for en fil
+ * @param {File} file - CSV/TXT-filen som skal importeres
+ * @returns {Promise<Object|null>} Kolonneoppsett, eller null hvis brukeren avbrøt
+ */
+export async function showColumnMappingDialog(file) {
+  initDialog();
+
+  // Les bare starten av filen for forhåndsvisning
+  const previewText = await file.slice(0, PREVIEW_BYTES).text();
+  previewLines = previewText.split(/\r?\n/);
+  if (file.size > PREVIEW_BYTES) {
+    previewLines.pop(); // Siste linje kan være kuttet
+  }
+
+  const pattern = getFilePattern(file.name);
+  const savedMapping = loadSavedMappings()[pattern];
+  currentMapping = savedMapping ? structuredClone(savedMapping) : detectMapping(previewLines);
+
+  console.log(`Import dialog for ${file.name} (pattern "${pattern}")${savedMapping ? ' - using saved mapping' : ''}`);
+
+  dialogElement.querySelector('#import-file-name').textContent = file.name;
+  dialogElement.querySelector('#import-pattern').textContent = pattern;
+  dialogElement.querySelector('#import-remember').checked = true;
+  syncControls();
+  renderPreview();
+
+  dialogElement.style.display = 'flex';
+
+  return new Promise(resolve => {
+    resolveDialog = (mapping) => {
+      dialogElement.style.display = 'none';
+      resolveDialog = null;
+
+      if (mapping && dialogElement.querySelector('#import-remember').checked) {
+        saveMapping(pattern, mapping);
+      }
+      resolve(mapping);
+    };
+  });
+}
+
+/**
+ * Lager et filmønster der tallsekvenser erstattes med '#'
+ * f.eks. "Scan_2024_017.csv" → "scan_#_#.csv"
+ */
+export function getFilePattern(fileName) {
+  return fileName.toLowerCase().replace(/\d+/g, '#');
+}
+
+/**
+ * Kobler event listeners til dialog-elementene (kun første gang)
+ */
+function initDialog() {
+  if (dialogElement) return;
+
+  dialogElement = document.getElementById('import-dialog');
+
+  const delimiterSelect = dialogElement.querySelector('#import-delimiter');
+  delimiterSelect.innerHTML = Object.entries(DELIMITERS)
+    .map(([value, label]) => `<option value="${value === '\t' ? '\\t' : value}">${label}</option>`)
+    .join('');
+
+  delimiterSelect.addEventListener('change', () => {
+    currentMapping.delimiter = delimiterSelect.value === '\\t' ? '\t' : delimiterSelect.value;
+    renderPreview();
+  });
+
+  dialogElement.querySelector('#import-decimal').addEventListener('change', (e) => {
+    currentMapping.decimalMark = e.target.value;
+    renderPreview();
+  });
+
+  dialogElement.querySelector('#import-skip').addEventListener('input', (e) => {
+    currentMapping.skipLines = Math.max(0, parseInt(e.target.value, 10) || 0);
+    renderPreview();
+  });
+
+  dialogElement.querySelector('#import-cancel').addEventListener('click', () => cancel());
+  dialogElement.querySelector('#import-close').addEventListener('click', () => cancel());
+
+  dialogElement.querySelector('#import-confirm').addEventListener('click', () => {
+    const error = validateMapping(currentMapping);
+    if (error) {
+      showError(error);
+      return;
+    }
+    resolveDialog?.(structuredClone(currentMapping));
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && resolveDialog) {
+      cancel();
+    }
+  });
+}
+
+function cancel() {
+  resolveDialog?.(null);
+}
+
+/**
+ * Oppdaterer skjemafeltene fra currentMapping
+ */
+function syncControls() {
+  const { delimiter, decimalMark, skipLines } = currentMapping;
+  dialogElement.querySelector('#import-delimiter').value = delimiter === '\t' ? '\\t' : delimiter;
+  dialogElement.querySelector('#import-decimal').value = decimalMark;
+  dialogElement.querySelector('#import-skip').value = skipLines;
+}
+
+/**
+ * Tegner forhåndsvisningen med en rolle-velger over hver kolonne
+ */
+function renderPreview() {
+  const { delimiter, decimalMark, skipLines, columns } = currentMapping;
+  const rows = previewLines.slice(0, skipLines + PREVIEW_ROWS).map(line => splitColumns(line, delimiter));
+  const columnCount = Math.max(1, ...rows.map(row => row.length));
+
+  // Kolonne → rolle (for å vise valgt rolle i hver velger)
+  const roleByColumn = {};
+  Object.entries(columns).forEach(([role, index]) => {
+    if (index >= 0) roleByColumn[index] = role;
+  });
+
+  let headHtml = '<tr><th class="import-line-number">#</th>';
+  for (let c = 0; c < columnCount; c++) {
+    const selected = roleByColumn[c] || '';
+    const options = [`<option value="">—</option>`]
+      .concat(Object.entries(ROLES).map(([role, label]) =>
+        `<option value="${role}"${role === selected ? ' selected' : ''}>${label}</option>`))
+      .join('');
+    headHtml += `<th><select class="import-role" data-column="${c}">${options}</select></th>`;
+  }
+  headHtml += '</tr>';
+
+  let bodyHtml = '';
+  rows.forEach((row, rowIndex) => {
+    // Header-, tomme og kommentar-linjer leses ikke av parseren
+    const isSkipped = rowIndex < skipLines || row.length === 0 || row[0].startsWith('#');
+    bodyHtml += `<tr class="${isSkipped ? 'import-row-skipped' : ''}"><td class="import-line-number">${rowIndex + 1}</td>`;
+    for (let c = 0; c < columnCount; c++) {
+      const value = row[c] ?? '';
+      const role = roleByColumn[c];
+      const isInvalid = !isSkipped && role && !Number.isFinite(parseColumnNumber(value, decimalMark));
+      bodyHtml += `<td class="${role ? 'import-cell-mapped' : ''}${isInvalid ? ' import-cell-invalid' : ''}">${escapeHtml(value)}</td>`;
+    }
+    bodyHtml += '</tr>';
+  });
+
+  const table = dialogElement.querySelector('#import-preview');
+  table.innerHTML = `<thead>${headHtml}</thead><tbody>${bodyHtml}</tbody>`;
+
+  table.querySelectorAll('.import-role').forEach(select => {
+    select.addEventListener('change', () => {
+      const column = parseInt(select.dataset.column, 10);
+
+      // Én rolle per kolonne og én kolonne per rolle
+      Object.keys(columns).forEach(role => {
+        if (columns[role] === column) columns[role] = -1;
+      });
+      if (select.value) {
+        columns[select.value] = column;
+      }
+      renderPreview();
+    });
+  });
+
+  showError(validateMapping(currentMapping));
+}
+
+/**
+ * Returnerer en feilmelding hvis oppsettet ikke kan brukes, ellers null
+ */
+function validateMapping(mapping) {
+  const { delimiter, decimalMark, columns } = mapping;
+
+  if (delimiter === ',' && decimalMark === ',') {
+    return 'Comma cannot be both delimiter and decimal mark.';
+  }
+
+  const missing = ['x', 'y', 'z'].filter(role => columns[role] < 0).map(role => ROLES[role]);
+  if (missing.length > 0) {
+    return `Choose a column for ${missing.join(', ')}.`;
+  }
+
+  const rgbCount = ['r', 'g', 'b'].filter(role => columns[role] >= 0).length;
+  if (rgbCount > 0 && rgbCount < 3) {
+    return 'Choose all of R, G and B, or none of them.';
+  }
+
+  return null;
+}
+
+function showError(message) {
+  const errorElement = dialogElement.querySelector('#import-error');
+  errorElement.textContent = message || '';
+  dialogElement.querySelector('#import-confirm').disabled = !!message;
+}
+
+/**
+ * Gjetter skilletegn, desimaltegn, header og kolonner fra de første linjene
+ */
+function detectMapping(lines) {
+  const sample = lines.filter(line => line.trim() && !line.trim().startsWith('#')).slice(0, 50);
+
+  // Velg kombinasjonen som gir flest numeriske kolonner på en typisk linje.
+  // Ved likt resultat vinner eksplisitte skilletegn og desimalpunktum.
+  let delimiter = 'whitespace';
+  let decimalMark = '.';
+  let bestScore = -1;
+  for (const candidate of [';', '\t', ',', '|', 'whitespace']) {
+    for (const mark of ['.', ',']) {
+      if (candidate === ',' && mark === ',') continue;
+
+      const score = mostCommon(sample.map(line => countNumericColumns(line, candidate, mark)));
+      if (score > bestScore) {
+        delimiter = candidate;
+        decimalMark = mark;
+        bestScore = score;
+      }
+    }
+  }
+
+  // Header-linjer: ledende linjer med færre enn tre numeriske kolonner
+  let skipLines = 0;
+  while (skipLines < lines.length && skipLines < 20 && countNumericColumns(lines[skipLines], delimiter, decimalMark) < 3) {
+    skipLines++;
+  }
+  if (skipLines === lines.length) skipLines = 0;
+
+  const columns = { x: -1, y: -1, z: -1, r: -1, g: -1, b: -1, intensity: -1 };
+
+  // Kolonnenavn fra siste header-linje
+  if (skipLines > 0) {
+    const headers = splitColumns(lines[skipLines - 1], delimiter).map(h => h.toLowerCase().replace(/["']/g, ''));
+    headers.forEach((header, index) => {
+      const role = Object.keys(HEADER_ALIASES).find(r => HEADER_ALIASES[r].includes(header));
+      if (role && columns[role] < 0) columns[role] = index;
+    });
+  }
+
+  // Uten gjenkjente navn: de tre første numeriske kolonnene er X/Y/Z
+  if (columns.x < 0 || columns.y < 0 || columns.z < 0) {
+    const textRows = lines.slice(skipLines, skipLines + 20)
+      .filter(line => line.trim() && !line.trim().startsWith('#'))
+      .map(line => splitColumns(line, delimiter));
+    const dataRows = textRows.map(row => row.map(value => parseColumnNumber(value, decimalMark)));
+    const firstRow = dataRows[0] || [];
+    const numericColumns = firstRow
+      .map((value, index) => Number.isFinite(value) ? index : -1)
+      .filter(index => index >= 0);
+
+    // Løpenummer i første kolonne (1, 2, 3, ...) hoppes over
+    const isSequence = dataRows.length > 1 &&
+      textRows.every(row => /^\d+$/.test(row[0])) &&
+      dataRows.every((row, i) => i === 0 || row[0] - dataRows[i - 1][0] === 1);
+    if (numericColumns.length >= 4 && numericColumns[0] === 0 && isSequence) {
+      numericColumns.shift();
+    }
+
+    [columns.x, columns.y, columns.z] = [numericColumns[0] ?? -1, numericColumns[1] ?? -1, numericColumns[2] ?? -1];
+
+    // Tre kolonner med heltall 0-255 etter Z tolkes som RGB
+    const rest = numericColumns.slice(3, 6);
+    const isColorColumn = (index) => dataRows.every(row => Number.isInteger(row[index]) && row[index] >= 0 && row[index] <= 255);
+    if (rest.length === 3 && rest.every(isColorColumn)) {
+      [columns.r, columns.g, columns.b] = rest;
+    }
+  }
+
+  return { delimiter, decimalMark, skipLines, columns };
+}
+
+function countNumericColumns(line, delimiter, decimalMark) {
+  return splitColumns(line, delimiter)
+    .filter(value => Number.isFinite(parseColumnNumber(value, decimalMark)))
+    .length;
+}
+
+function mostCommon(values) {
+  const counts = new Map();
+  let best = 0;
+  let bestCount = 0;
+  values.forEach(value => {
+    const count = (counts.get(value) || 0) + 1;
+    counts.set(value, count);
+    if (count > bestCount || (count === bestCount && value > best)) {
+      best = value;
+      bestCount = count;
+    }
+  });
+  return best;
+}
+
+/**
+ * Lagrede oppsett per filmønster (localStorage)
+ */
+function loadSavedMappings() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (error) {
+    console.warn('Could not read saved column mappings:', error);
+    return {};
+  }
+}
+
+function saveMapping(pattern, mapping) {
+  try {
+    const saved = loadSavedMappings();
+    saved[pattern] = mapping;
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+    console.log(`✓ Column mapping saved for "${pattern}"`);
+  } catch (error) {
+    console.warn('Could not save column mapping:', error);
+  }
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
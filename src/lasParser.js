@@ -0,0 +1,465 @@
+/**
+ * LAS/LAZ parser - ASPRS LAS 1.2–1.4, punktformat 0–10
+ * LAZ dekomprimeres lokalt i nettleseren med laz-perf (WASM), ingen server.
+ * Returnerer det felles resultatformatet (se parsePointFile i parser.js):
+ * { positions, colors, count, bounds, attributes, metadata }
+ */
+
+const LAS_HEADER_MIN_SIZE = 227;
+const VLR_HEADER_SIZE = 54;
+const EVLR_HEADER_SIZE = 60;
+
+// Minste record-lengde per punktformat (fra LAS 1.4-spesifikasjonen)
+const POINT_FORMAT_SIZES = [20, 28, 26, 34, 57, 63, 30, 36, 38, 59, 67];
+
+// GeoTIFF-nøkler som brukes i LASF_Projection / 34735
+const GEOKEY_PROJECTED_CS = 3072;
+const GEOKEY_GEOGRAPHIC = 2048;
+const GEOKEY_VERTICAL_CS = 4096;
+const GEOKEY_CITATION = 1026;
+const GEOKEY_USER_DEFINED = 32767;
+
+let lazPerfPromise = null;
+
+/**
+ * Parser en LAS- eller LAZ-fil fra en ArrayBuffer
+ * Koordinatene beregnes som heltall * skala + offset i double-presisjon
+ * og returneres som Float64Array.
+ * @param {ArrayBuffer} buffer - Hele filinnholdet
+ * @returns {Promise<Object>} { positions, colors, count, bounds, attributes, decimals, metadata }
+ */
+export async function parseLASFile(buffer) {
+  const view = new DataView(buffer);
+  const header = parseLASHeader(view);
+  const vlrs = [
+    ...readVLRs(view, header.headerSize, header.numberOfVLRs, false),
+    ...readVLRs(view, header.evlrStart, header.numberOfEVLRs, true)
+  ];
+
+  const isCompressed = header.isCompressed || vlrs.some(v => v.userId === 'laszip encoded');
+  const crs = readCRS(vlrs, header);
+
+  console.log(`LAS ${header.versionMajor}.${header.versionMinor}: point format ${header.pointFormat}, ${header.pointCount} points, record length ${header.recordLength}${isCompressed ? ' (LAZ)' : ''}`);
+  if (crs) console.log(`LAS CRS: ${crs}`);
+
+  const result = isCompressed
+    ? await readLAZPoints(buffer, header)
+    : readLASPoints(view, header);
+
+  // Antall desimaler som skalaen gir (0.001 → 3), brukes ved eksport
+  result.decimals = Math.max(...header.scale.map(scaleDecimals));
+
+  result.metadata = {
+    format: `${isCompressed ? 'LAZ' : 'LAS'} ${header.versionMajor}.${header.versionMinor}`,
+    systemIdentifier: header.systemIdentifier || '-',
+    generatingSoftware: header.generatingSoftware || '-',
+    pointFormat: header.pointFormat,
+    crs: crs || 'Not specified',
+    gpsTimeOffset: result.gpsTimeOffset
+  };
+  delete result.gpsTimeOffset;
+
+  return result;
+}
+
+/**
+ * Finner minste antall desimaler d der skala * 10^d er et heltall
+ */
+function scaleDecimals(scale) {
+  for (let d = 0; d <= 10; d++) {
+    const scaled = scale * Math.pow(10, d);
+    if (Math.abs(scaled - Math.round(scaled)) < 1e-9 * Math.max(1, scaled)) return d;
+  }
+  return 10;
+}
+
+/**
+ * Leser en fast-lengde ASCII-streng (null-terminert)
+ */
+function readString(view, offset, length) {
+  const bytes = new Uint8Array(view.buffer, view.byteOffset + offset, length);
+  const end = bytes.indexOf(0);
+  return new TextDecoder('ascii').decode(end === -1 ? bytes : bytes.subarray(0, end)).trim();
+}
+
+/**
+ * Leser LAS public header block
+ */
+function parseLASHeader(view) {
+  if (view.byteLength < LAS_HEADER_MIN_SIZE || readString(view, 0, 4) !== 'LASF') {
+    throw new Error('Not a LAS file (missing "LASF" signature)');
+  }
+
+  const versionMajor = view.getUint8(24);
+  const versionMinor = view.getUint8(25);
+  if (versionMajor !== 1 || versionMinor < 0 || versionMinor > 4) {
+    throw new Error(`Unsupported LAS version ${versionMajor}.${versionMinor}`);
+  }
+
+  const rawPointFormat = view.getUint8(104);
+  const header = {
+    versionMajor,
+    versionMinor,
+    globalEncoding: view.getUint16(6, true),
+    systemIdentifier: readString(view, 26, 32),
+    generatingSoftware: readString(view, 58, 32),
+    headerSize: view.getUint16(94, true),
+    pointDataOffset: view.getUint32(96, true),
+    numberOfVLRs: view.getUint32(100, true),
+    // Bit 7 (og 6) settes av LASzip for komprimerte filer
+    pointFormat: rawPointFormat & 0x3f,
+    isCompressed: (rawPointFormat & 0x80) !== 0,
+    recordLength: view.getUint16(105, true),
+    pointCount: view.getUint32(107, true),
+    scale: [view.getFloat64(131, true), view.getFloat64(139, true), view.getFloat64(147, true)],
+    offset: [view.getFloat64(155, true), view.getFloat64(163, true), view.getFloat64(171, true)],
+    evlrStart: 0,
+    numberOfEVLRs: 0
+  };
+
+  // LAS 1.4: 64-bits punktantall og extended VLRs
+  if (versionMinor >= 4 && header.headerSize >= 375) {
+    header.evlrStart = Number(view.getBigUint64(235, true));
+    header.numberOfEVLRs = view.getUint32(243, true);
+    const extendedCount = Number(view.getBigUint64(247, true));
+    if (extendedCount > 0) {
+      header.pointCount = extendedCount;
+    }
+  }
+
+  if (header.pointFormat > 10) {
+    throw new Error(`Unsupported LAS point data format ${header.pointFormat}`);
+  }
+  if (header.recordLength < POINT_FORMAT_SIZES[header.pointFormat]) {
+    throw new Error(`LAS point record length ${header.recordLength} is too short for point format ${header.pointFormat}`);
+  }
+
+  return header;
+}
+
+/**
+ * Leser (extended) variable length records
+ */
+function readVLRs(view, start, count, extended) {
+  const vlrs = [];
+  let offset = start;
+
+  for (let i = 0; i < count; i++) {
+    const headerSize = extended ? EVLR_HEADER_SIZE : VLR_HEADER_SIZE;
+    if (offset + headerSize > view.byteLength) {
+      console.warn(`LAS file is truncated: ${extended ? 'EVLR' : 'VLR'} ${i} is missing`);
+      break;
+    }
+
+    const userId = readString(view, offset + 2, 16);
+    const recordId = view.getUint16(offset + 18, true);
+    const length = extended
+      ? Number(view.getBigUint64(offset + 20, true))
+      : view.getUint16(offset + 20, true);
+    const dataOffset = offset + headerSize;
+
+    if (dataOffset + length > view.byteLength) {
+      console.warn(`LAS file is truncated inside VLR "${userId}" (${recordId})`);
+      break;
+    }
+
+    vlrs.push({ userId, recordId, dataOffset, length, view });
+    offset = dataOffset + length;
+  }
+
+  return vlrs;
+}
+
+/**
+ * Finner koordinatsystem fra LASF_Projection-VLRene (WKT eller GeoTIFF-nøkler)
+ * @returns {string|null} f.eks. "ETRS89 / UTM zone 32N (EPSG:25832)"
+ */
+function readCRS(vlrs, header) {
+  const projectionVLRs = vlrs.filter(v => v.userId === 'LASF_Projection');
+
+  // OGC WKT (record 2112) brukes når WKT-biten i global encoding er satt, og foretrekkes ellers også
+  const wktVLR = projectionVLRs.find(v => v.recordId === 2112);
+  if (wktVLR) {
+    const wkt = readString(wktVLR.view, wktVLR.dataOffset, wktVLR.length);
+    const described = describeWKT(wkt);
+    if (described) return described;
+  }
+
+  const keyVLR = projectionVLRs.find(v => v.recordId === 34735);
+  if (keyVLR) {
+    const asciiVLR = projectionVLRs.find(v => v.recordId === 34737);
+    const asciiParams = asciiVLR ? readString(asciiVLR.view, asciiVLR.dataOffset, asciiVLR.length) : '';
+    return describeGeoKeys(keyVLR, asciiParams);
+  }
+
+  if (header.globalEncoding & 0x10) {
+    console.warn('LAS header says CRS is WKT, but no WKT VLR was found');
+  }
+
+  return null;
+}
+
+/**
+ * Lager en kort beskrivelse av en WKT-streng (navn og EPSG-kode)
+ */
+function describeWKT(wkt) {
+  const nameMatch = /^\s*(?:PROJCS|PROJCRS|GEOGCS|GEOGCRS|GEODCRS|COMPD_CS|COMPOUNDCRS)\["([^"]+)"/.exec(wkt);
+
+  // Siste AUTHORITY/ID i strengen tilhører det ytterste CRS-et
+  const authorities = [...wkt.matchAll(/(?:AUTHORITY|ID)\["EPSG",\s*"?(\d+)"?\]/g)];
+  const epsg = authorities.length > 0 ? authorities[authorities.length - 1][1] : null;
+
+  if (nameMatch && epsg) return `${nameMatch[1]} (EPSG:${epsg})`;
+  if (nameMatch) return nameMatch[1];
+  if (epsg) return `EPSG:${epsg}`;
+  return null;
+}
+
+/**
+ * Lager en kort beskrivelse fra GeoKeyDirectoryTag (34735)
+ */
+function describeGeoKeys(vlr, asciiParams) {
+  const { view, dataOffset, length } = vlr;
+  if (length < 8) return null;
+
+  const numberOfKeys = view.getUint16(dataOffset + 6, true);
+  const keys = new Map();
+
+  for (let k = 0; k < numberOfKeys; k++) {
+    const entry = dataOffset + 8 + k * 8;
+    if (entry + 8 > dataOffset + length) break;
+
+    const keyId = view.getUint16(entry, true);
+    const location = view.getUint16(entry + 2, true);
+    const count = view.getUint16(entry + 4, true);
+    const valueOffset = view.getUint16(entry + 6, true);
+
+    if (location === 0) {
+      keys.set(keyId, valueOffset);
+    } else if (location === 34737) {
+      // Tekstverdi i GeoAsciiParamsTag, '|' avslutter hver verdi
+      keys.set(keyId, asciiParams.substr(valueOffset, count).replace(/\|$/, ''));
+    }
+  }
+
+  const parts = [];
+  const projected = keys.get(GEOKEY_PROJECTED_CS);
+  const geographic = keys.get(GEOKEY_GEOGRAPHIC);
+  const vertical = keys.get(GEOKEY_VERTICAL_CS);
+  const citation = keys.get(GEOKEY_CITATION);
+
+  if (projected && projected !== GEOKEY_USER_DEFINED) {
+    parts.push(`EPSG:${projected}`);
+  } else if (geographic && geographic !== GEOKEY_USER_DEFINED) {
+    parts.push(`EPSG:${geographic}`);
+  } else if (citation) {
+    parts.push(citation);
+  }
+
+  if (vertical && vertical !== GEOKEY_USER_DEFINED) {
+    parts.push(`vertical EPSG:${vertical}`);
+  }
+
+  return parts.length > 0 ? parts.join(' + ') : null;
+}
+
+/**
+ * Allokerer output-arrays for punktformatet
+ */
+function createOutput(count, pointFormat) {
+  const hasGpsTime = pointFormat === 1 || pointFormat >= 3;
+  const hasRGB = [2, 3, 5, 7, 8, 10].includes(pointFormat);
+
+  return {
+    positions: new Float64Array(count * 3),
+    colors: hasRGB ? new Float32Array(count * 3) : null,
+    intensity: new Uint16Array(count),
+    classification: new Uint8Array(count),
+    returnNumber: new Uint8Array(count),
+    numberOfReturns: new Uint8Array(count),
+    gpsTime: hasGpsTime ? new Float64Array(count) : null,
+    maxColor: 0,
+    bounds: {
+      minX: Infinity, maxX: -Infinity,
+      minY: Infinity, maxY: -Infinity,
+      minZ: Infinity, maxZ: -Infinity
+    }
+  };
+}
+
+/**
+ * Dekoder én punkt-record ved byte-offset o og skriver til indeks i
+ */
+function decodePoint(view, o, i, header, out) {
+  const { scale, offset, pointFormat } = header;
+  const bounds = out.bounds;
+
+  // Heltall * skala + offset i double-presisjon
+  const x = view.getInt32(o, true) * scale[0] + offset[0];
+  const y = view.getInt32(o + 4, true) * scale[1] + offset[1];
+  const z = view.getInt32(o + 8, true) * scale[2] + offset[2];
+
+  const i3 = i * 3;
+  out.positions[i3] = x;
+  out.positions[i3 + 1] = y;
+  out.positions[i3 + 2] = z;
+
+  if (x < bounds.minX) bounds.minX = x;
+  if (x > bounds.maxX) bounds.maxX = x;
+  if (y < bounds.minY) bounds.minY = y;
+  if (y > bounds.maxY) bounds.maxY = y;
+  if (z < bounds.minZ) bounds.minZ = z;
+  if (z > bounds.maxZ) bounds.maxZ = z;
+
+  out.intensity[i] = view.getUint16(o + 12, true);
+  const returnByte = view.getUint8(o + 14);
+
+  let rgbOffset = -1;
+  if (pointFormat <= 5) {
+    // Legacy-formater: 3 bits returnummer, 3 bits antall returer, 5 bits klasse
+    out.returnNumber[i] = returnByte & 0x07;
+    out.numberOfReturns[i] = (returnByte >> 3) & 0x07;
+    out.classification[i] = view.getUint8(o + 15) & 0x1f;
+    if (out.gpsTime) out.gpsTime[i] = view.getFloat64(o + 20, true);
+    if (pointFormat === 2) rgbOffset = 20;
+    else if (pointFormat === 3 || pointFormat === 5) rgbOffset = 28;
+  } else {
+    // Formater 6-10: 4 bits returnummer, 4 bits antall returer, egen klasse-byte
+    out.returnNumber[i] = returnByte & 0x0f;
+    out.numberOfReturns[i] = (returnByte >> 4) & 0x0f;
+    out.classification[i] = view.getUint8(o + 16);
+    out.gpsTime[i] = view.getFloat64(o + 22, true);
+    if (pointFormat === 7 || pointFormat === 8 || pointFormat === 10) rgbOffset = 30;
+  }
+
+  if (rgbOffset !== -1) {
+    const r = view.getUint16(o + rgbOffset, true);
+    const g = view.getUint16(o + rgbOffset + 2, true);
+    const b = view.getUint16(o + rgbOffset + 4, true);
+    out.colors[i3] = r;
+    out.colors[i3 + 1] = g;
+    out.colors[i3 + 2] = b;
+    if (r > out.maxColor) out.maxColor = r;
+    if (g > out.maxColor) out.maxColor = g;
+    if (b > out.maxColor) out.maxColor = b;
+  }
+}
+
+/**
+ * Bygger resultat-objektet med ekstra BufferGeometry-attributter
+ */
+function buildResult(out, count) {
+  // Mange programmer skriver 8-bits farger i 16-bits feltene
+  if (out.colors) {
+    const colorScale = out.maxColor <= 255 ? 1 / 255 : 1 / 65535;
+    for (let i = 0; i < out.colors.length; i++) {
+      out.colors[i] *= colorScale;
+    }
+  }
+
+  const attributes = {
+    intensity: { array: out.intensity, itemSize: 1 },
+    classification: { array: out.classification, itemSize: 1 },
+    returnNumber: { array: out.returnNumber, itemSize: 1 },
+    numberOfReturns: { array: out.numberOfReturns, itemSize: 1 }
+  };
+
+  // GPS-tid er for stor for float32 på GPU; lagres relativt til første tidspunkt
+  let gpsTimeOffset = null;
+  if (out.gpsTime && count > 0) {
+    gpsTimeOffset = Infinity;
+    for (let i = 0; i < count; i++) {
+      if (out.gpsTime[i] < gpsTimeOffset) gpsTimeOffset = out.gpsTime[i];
+    }
+    const relativeTime = new Float32Array(count);
+    for (let i = 0; i < count; i++) {
+      relativeTime[i] = out.gpsTime[i] - gpsTimeOffset;
+    }
+    attributes.gpsTime = { array: relativeTime, itemSize: 1 };
+  }
+
+  console.log(`Parsed ${count} LAS points. Z-Range: ${out.bounds.minZ} to ${out.bounds.maxZ}`);
+
+  return {
+    positions: out.positions,
+    colors: out.colors,
+    count,
+    bounds: out.bounds,
+    attributes,
+    gpsTimeOffset,
+    intensityNormalized: false // 16-bit heltall slik LAS lagrer det
+  };
+}
+
+/**
+ * Leser ukomprimerte LAS-punkter
+ */
+function readLASPoints(view, header) {
+  const { pointCount, recordLength, pointDataOffset } = header;
+
+  if (pointDataOffset + pointCount * recordLength > view.byteLength) {
+    const available = Math.max(0, Math.floor((view.byteLength - pointDataOffset) / recordLength));
+    throw new Error(`LAS file is truncated: expected ${pointCount} points, found ${available}`);
+  }
+
+  const out = createOutput(pointCount, header.pointFormat);
+  for (let i = 0; i < pointCount; i++) {
+    decodePoint(view, pointDataOffset + i * recordLength, i, header, out);
+  }
+
+  return buildResult(out, pointCount);
+}
+
+/**
+ * Laster laz-perf (WASM) ved første LAZ-fil
+ */
+function loadLazPerf() {
+  if (!lazPerfPromise) {
+    lazPerfPromise = Promise.all([
+      import('laz-perf'),
+      import('laz-perf/lib/web/laz-perf.wasm?url')
+    ]).then(([lazPerfModule, wasmModule]) => {
+      const createLazPerf = lazPerfModule.createLazPerf || lazPerfModule.default.createLazPerf;
+      return createLazPerf({ locateFile: () => wasmModule.default });
+    }).catch((error) => {
+      lazPerfPromise = null;
+      throw new Error(`Could not load LAZ decompressor: ${error.message || error}`);
+    });
+  }
+  return lazPerfPromise;
+}
+
+/**
+ * Dekomprimerer og leser LAZ-punkter lokalt med laz-perf
+ */
+async function readLAZPoints(buffer, header) {
+  const LazPerf = await loadLazPerf();
+  const fileBytes = new Uint8Array(buffer);
+
+  const filePtr = LazPerf._malloc(fileBytes.length);
+  const laszip = new LazPerf.LASZip();
+  let pointPtr = 0;
+
+  try {
+    LazPerf.HEAPU8.set(fileBytes, filePtr);
+    laszip.open(filePtr, fileBytes.length);
+
+    const count = laszip.getCount();
+    const recordLength = laszip.getPointLength();
+    pointPtr = LazPerf._malloc(recordLength);
+
+    const out = createOutput(count, header.pointFormat);
+    for (let i = 0; i < count; i++) {
+      laszip.getPoint(pointPtr);
+      // HEAPU8 kan byttes ut hvis WASM-minnet vokser, så hent viewet på nytt
+      const view = new DataView(LazPerf.HEAPU8.buffer, pointPtr, recordLength);
+      decodePoint(view, 0, i, header, out);
+    }
+
+    return buildResult(out, count);
+  } finally {
+    if (pointPtr) LazPerf._free(pointPtr);
+    LazPerf._free(filePtr);
+    laszip.delete();
+  }
+}
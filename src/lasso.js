@@ -0,0 +1,484 @@
+import * as THREE from 'three';
+import * as viewer from './viewer.js';
+import * as selection from './selection.js';
+import { getClippingUniforms, isClippingActive } from './clipping.js';
+import { selectPointsInMask } from './lassoSelect.js';
+
+/**
+ * Lasso- og polygonvalg tegnet på skjermen
+ * - Lasso: hold venstre museknapp og tegn rundt punktene
+ * - Polygon: klikk hjørnene; dobbeltklikk, Enter eller klikk på første hjørne lukker
+ * Shift = legg til, Alt = trekk fra, Shift+Alt = snitt (ellers valgt kombinasjon).
+ * Escape avbryter, Backspace fjerner siste polygon-hjørne.
+ *
+ * Punktene projiseres gjennom kameraet og testes mot polygonet rastrert til en maske;
+ * octreet luker bort noder utenfor polygonets firkant, og mange punkter testes i en
+ * Web Worker (se lassoSelect.js / lassoWorker.js).
+ * Resultatet kombineres med seleksjonsmasken i selection.js (samme utbleking og eksport som boksen).
+ */
+
+export const LASSO_SHAPES = {
+  lasso: 'Freehand lasso',
+  polygon: 'Polygon (click corners)'
+};
+
+// Flere punkter enn dette å teste (alle synlige lag til sammen) velges i en worker
+const WORKER_MIN_POINTS = 500000;
+
+// Punkter per melding til workeren (kopieres, så bare én bit om gangen)
+const WORKER_CHUNK_POINTS = 1000000;
+
+// Frihånds-lasso: nytt hjørne når musen har flyttet seg så mange piksler
+const LASSO_MIN_STEP = 3;
+
+// Polygon: klikk så nær første hjørne (piksler) lukker polygonet
+const CLOSE_DISTANCE = 10;
+
+/**
+ * Velger punktene i synlige lag som projiseres innenfor polygonet
+ * Bare octree-noder som når inn i polygonets firkant på skjermen testes. Er det
+ * mange punkter igjen, sendes de til workeren i biter (én om gangen), med fremdrift.
+ * @param {THREE.Points[]} pointClouds - Lagene som skal testes
+ * @param {Array<{x: number, y: number}>} polygon - Hjørner i piksler (relativt til tegneflaten)
+ * @param {THREE.Camera} camera - Kameraet polygonet ble tegnet i
+ * @param {{width: number, height: number}} viewport - Tegneflatens størrelse i piksler
+ * @param {Object} [options]
+ * @param {function(number): void} [options.onProgress] - Andel ferdig (0-1), bare når workeren brukes
+ * @param {AbortSignal} [options.signal] - Avbryter valget (worker termineres)
+ * @returns {Promise<Uint8Array[]>} 1 for valgte punkter, ett array per lag
+ */
+export function selectPointsInPolygon(pointClouds, polygon, camera, viewport, { onProgress = null, signal = null } = {}) {
+  const mask = rasterizePolygon(polygon, viewport);
+
+  camera.updateMatrixWorld();
+  const viewProjection = new THREE.Matrix4().multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+  const pickMatrix = createPickMatrix(polygon, viewport);
+
+  const clouds = pointClouds.map(cloud => {
+    cloud.updateMatrixWorld();
+    const matrix = new THREE.Matrix4().multiplyMatrices(viewProjection, cloud.matrixWorld);
+    const positions = cloud.geometry.attributes.position.array;
+    const count = positions.length / 3;
+
+    // Frustumet gjennom polygonets firkant, i lagets koordinater (som node-boksene)
+    const frustum = new THREE.Frustum().setFromProjectionMatrix(pickMatrix.clone().multiply(matrix));
+    const octree = cloud.userData.octree;
+
+    return {
+      positions,
+      count,
+      matrix: matrix.elements,
+      clip: getLocalClipping(cloud.matrixWorld),
+      ranges: octree ? octree.queryRanges(box => frustum.intersectsBox(box)) : [[0, count]]
+    };
+  });
+
+  const candidates = clouds.reduce((sum, cloud) =>
+    sum + cloud.ranges.reduce((rangeSum, [start, end]) => rangeSum + end - start, 0), 0);
+
+  if (candidates < WORKER_MIN_POINTS) {
+    return Promise.resolve(clouds.map(cloud => {
+      const selected = new Uint8Array(cloud.count);
+      cloud.ranges.forEach(([start, end]) => {
+        selected.set(selectPointsInMask(cloud.positions.subarray(start * 3, end * 3), cloud.matrix, mask, cloud.clip), start);
+      });
+      return selected;
+    }));
+  }
+
+  return selectPointsInWorker(clouds, mask, candidates, { onProgress, signal });
+}
+
+/**
+ * Tester punktområdene i workeren, WORKER_CHUNK_POINTS om gangen
+ * Hver bit kopieres og overføres, så bare én bit av posisjonene er dobbelt i minnet.
+ */
+function selectPointsInWorker(clouds, mask, candidates, { onProgress, signal }) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException('Lasso selection cancelled', 'AbortError'));
+      return;
+    }
+
+    const chunks = [];
+    clouds.forEach((cloud, index) => {
+      cloud.ranges.forEach(([start, end]) => {
+        for (let chunkStart = start; chunkStart < end; chunkStart += WORKER_CHUNK_POINTS) {
+          chunks.push({ index, start: chunkStart, end: Math.min(end, chunkStart + WORKER_CHUNK_POINTS) });
+        }
+      });
+    });
+
+    const selections = clouds.map(cloud => new Uint8Array(cloud.count));
+    let current = 0;
+    let tested = 0;
+
+    const worker = new Worker(new URL('./lassoWorker.js', import.meta.url), { type: 'module' });
+
+    const onAbort = () => {
+      worker.terminate();
+      reject(new DOMException('Lasso selection cancelled', 'AbortError'));
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    const cleanup = () => {
+      signal?.removeEventListener('abort', onAbort);
+      worker.terminate();
+    };
+
+    const sendChunk = () => {
+      const chunk = chunks[current];
+      const cloud = clouds[chunk.index];
+      const positions = cloud.positions.slice(chunk.start * 3, chunk.end * 3);
+      worker.postMessage({ type: 'chunk', positions, matrix: cloud.matrix, clip: cloud.clip }, [positions.buffer]);
+    };
+
+    worker.onmessage = (event) => {
+      const message = event.data;
+
+      if (message.type === 'error') {
+        cleanup();
+        reject(new Error(message.message));
+        return;
+      }
+
+      const chunk = chunks[current];
+      selections[chunk.index].set(message.selected, chunk.start);
+      tested += chunk.end - chunk.start;
+      onProgress?.(tested / candidates);
+
+      current++;
+      if (current < chunks.length) {
+        sendChunk();
+      } else {
+        cleanup();
+        resolve(selections);
+      }
+    };
+
+    worker.onerror = (event) => {
+      cleanup();
+      reject(new Error(event.message || 'Lasso worker failed'));
+    };
+
+    // Masken overføres én gang, deretter punktene bit for bit
+    worker.postMessage({ type: 'mask', mask }, [mask.data.buffer]);
+    sendChunk();
+  });
+}
+
+/**
+ * Velger med polygonet og kombinerer med seleksjonen (boks, lasso eller invertert)
+ * @param {Array<{x: number, y: number}>} polygon - Hjørner i piksler
+ * @param {string} mode - Nøkkel i COMBINE_MODES
+ * @param {Object} boxSettings - For utblekingen (hideOutside)
+ * @param {Object} [options] - { onProgress, signal } (se selectPointsInPolygon)
+ * @returns {Promise<number>} Antall valgte punkter
+ */
+export async function selectWithPolygon(polygon, mode, boxSettings, options = {}) {
+  const clouds = viewer.getVisiblePointClouds();
+  if (clouds.length === 0) return 0;
+
+  const element = viewer.getRendererElement();
+  const viewport = { width: element.clientWidth, height: element.clientHeight };
+  const selections = await selectPointsInPolygon(clouds, polygon, viewer.getCamera(), viewport, options);
+
+  const masks = new Map(clouds.map((cloud, index) => [cloud, selections[index]]));
+  return selection.combineWithSelection(masks, clouds, boxSettings, mode);
+}
+
+/**
+ * Verktøyet som tegner lasso/polygon over tegneflaten
+ */
+export class LassoTool {
+  constructor(domElement) {
+    this.domElement = domElement;
+    this.active = false;
+    this.shape = 'lasso';
+    this.combineMode = 'replace';
+    this.points = [];      // Hjørner i piksler (relativt til tegneflaten)
+    this.cursor = null;    // Musposisjon (polygon: linjen til neste hjørne)
+    this.drawing = false;
+    this.drawMode = null;  // Kombinasjon for polygonet som tegnes (fra tastene ved start)
+    this.onComplete = null; // (polygon, mode) => void
+    this.controlsEnabled = true; // Kameranavigasjonen slik den var før verktøyet ble aktivert
+
+    this.overlay = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    this.overlay.classList.add('lasso-overlay');
+    this.overlay.style.display = 'none';
+    this.outline = document.createElementNS('http://www.w3.org/2000/svg', 'polygon');
+    this.overlay.appendChild(this.outline);
+    document.body.appendChild(this.overlay);
+
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
+    this.handleDoubleClick = this.handleDoubleClick.bind(this);
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleContextMenu = this.handleContextMenu.bind(this);
+  }
+
+  /**
+   * Slår verktøyet av/på (kameranavigasjonen er av mens det er aktivt, og settes
+   * tilbake slik den var - f.eks. fortsatt av under videoopptak)
+   */
+  setActive(active) {
+    if (active === this.active) return;
+    this.active = active;
+    this.cancel();
+
+    const method = active ? 'addEventListener' : 'removeEventListener';
+    this.domElement[method]('pointerdown', this.handlePointerDown);
+    this.domElement[method]('pointermove', this.handlePointerMove);
+    this.domElement[method]('pointerup', this.handlePointerUp);
+    this.domElement[method]('dblclick', this.handleDoubleClick);
+    this.domElement[method]('contextmenu', this.handleContextMenu);
+    window[method]('keydown', this.handleKeyDown);
+
+    this.domElement.style.cursor = active ? 'crosshair' : '';
+    const controls = viewer.getControls();
+    if (controls) {
+      if (active) {
+        this.controlsEnabled = controls.enabled;
+        controls.enabled = false;
+      } else {
+        controls.enabled = this.controlsEnabled;
+      }
+    }
+  }
+
+  setShape(shape) {
+    this.shape = LASSO_SHAPES[shape] ? shape : 'lasso';
+    this.cancel();
+  }
+
+  setCombineMode(mode) {
+    this.combineMode = mode;
+  }
+
+  /**
+   * Avbryter polygonet som tegnes
+   */
+  cancel() {
+    this.drawing = false;
+    this.points = [];
+    this.cursor = null;
+    this.render();
+  }
+
+  /**
+   * Lukker polygonet og sender det videre (minst tre hjørner)
+   */
+  finish() {
+    const polygon = this.points.slice();
+    const mode = this.drawMode;
+    this.cancel();
+
+    if (polygon.length >= 3 && this.onComplete) {
+      this.onComplete(polygon, mode);
+    }
+  }
+
+  start(event) {
+    this.drawing = true;
+    this.points = [];
+    this.drawMode = getModifierMode(event) || this.combineMode;
+  }
+
+  handlePointerDown(event) {
+    if (event.button !== 0) return;
+    const point = this.getPoint(event);
+
+    if (this.shape === 'lasso') {
+      this.start(event);
+      this.points.push(point);
+      this.domElement.setPointerCapture(event.pointerId);
+    } else {
+      if (!this.drawing) this.start(event);
+
+      // Klikk på første hjørne lukker polygonet
+      if (this.points.length >= 3 && distance(point, this.points[0]) <= CLOSE_DISTANCE) {
+        this.finish();
+        return;
+      }
+      // Dobbeltklikk gir to klikk på samme sted - bare ett hjørne
+      const last = this.points[this.points.length - 1];
+      if (!last || distance(point, last) > 1) this.points.push(point);
+    }
+    this.render();
+  }
+
+  handlePointerMove(event) {
+    if (!this.drawing) return;
+    const point = this.getPoint(event);
+
+    if (this.shape === 'lasso') {
+      if (distance(point, this.points[this.points.length - 1]) >= LASSO_MIN_STEP) {
+        this.points.push(point);
+      }
+    } else {
+      this.cursor = point;
+    }
+    this.render();
+  }
+
+  handlePointerUp(event) {
+    if (this.shape !== 'lasso' || !this.drawing) return;
+    this.domElement.releasePointerCapture(event.pointerId);
+    this.finish();
+  }
+
+  handleDoubleClick(event) {
+    if (this.shape === 'polygon' && this.drawing) {
+      event.preventDefault();
+      this.finish();
+    }
+  }
+
+  handleContextMenu(event) {
+    if (!this.drawing) return;
+    event.preventDefault();
+    this.cancel();
+  }
+
+  handleKeyDown(event) {
+    if (!this.drawing || event.target.closest?.('input, textarea')) return;
+
+    if (event.key === 'Escape') {
+      this.cancel();
+    } else if (event.key === 'Enter' && this.shape === 'polygon') {
+      this.finish();
+    } else if (event.key === 'Backspace' && this.shape === 'polygon') {
+      event.preventDefault();
+      this.points.pop();
+      if (this.points.length === 0) this.cancel();
+      this.render();
+    }
+  }
+
+  /**
+   * Musposisjon i piksler relativt til tegneflaten
+   */
+  getPoint(event) {
+    const rect = this.domElement.getBoundingClientRect();
+    return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+  }
+
+  /**
+   * Tegner polygonet i SVG-overlegget over tegneflaten
+   */
+  render() {
+    const points = this.cursor && this.drawing ? [...this.points, this.cursor] : this.points;
+    if (points.length === 0) {
+      this.overlay.style.display = 'none';
+      return;
+    }
+
+    const rect = this.domElement.getBoundingClientRect();
+    Object.assign(this.overlay.style, {
+      display: 'block',
+      left: `${rect.left}px`,
+      top: `${rect.top}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`
+    });
+    this.outline.setAttribute('points', points.map(p => `${p.x},${p.y}`).join(' '));
+  }
+
+  dispose() {
+    this.setActive(false);
+    this.overlay.remove();
+  }
+}
+
+/**
+ * Kombinasjon fra tastene: Shift = legg til, Alt = trekk fra, begge = snitt
+ */
+function getModifierMode(event) {
+  if (event.shiftKey && event.altKey) return 'intersect';
+  if (event.shiftKey) return 'add';
+  if (event.altKey) return 'subtract';
+  return null;
+}
+
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+/**
+ * Rastrerer polygonet til en maske med én byte per piksel
+ * @returns {{data: Uint8Array, width: number, height: number}}
+ */
+function rasterizePolygon(polygon, { width, height }) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+  ctx.beginPath();
+  polygon.forEach((point, index) => {
+    if (index === 0) ctx.moveTo(point.x, point.y);
+    else ctx.lineTo(point.x, point.y);
+  });
+  ctx.closePath();
+  ctx.fill();
+
+  const pixels = ctx.getImageData(0, 0, width, height).data;
+  const data = new Uint8Array(width * height);
+  for (let i = 0; i < data.length; i++) {
+    data[i] = pixels[i * 4 + 3] >= 128 ? 1 : 0;
+  }
+  return { data, width, height };
+}
+
+/**
+ * Projeksjon som strekker polygonets firkant (piksler) over hele klipperommet,
+ * slik at frustumet fra den bare dekker firkanten
+ */
+function createPickMatrix(polygon, { width, height }) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  polygon.forEach(({ x, y }) => {
+    minX = Math.min(minX, x);
+    minY = Math.min(minY, y);
+    maxX = Math.max(maxX, x);
+    maxY = Math.max(maxY, y);
+  });
+
+  // NDC med én piksel margin (y opp, rad 0 øverst på skjermen)
+  const left = (minX - 1) / width * 2 - 1;
+  const right = (maxX + 1) / width * 2 - 1;
+  const bottom = 1 - (maxY + 1) / height * 2;
+  const top = 1 - (minY - 1) / height * 2;
+
+  const scaleX = 2 / (right - left);
+  const scaleY = 2 / (top - bottom);
+  return new THREE.Matrix4().set(
+    scaleX, 0, 0, -scaleX * (left + right) / 2,
+    0, scaleY, 0, -scaleY * (bottom + top) / 2,
+    0, 0, 1, 0,
+    0, 0, 0, 1
+  );
+}
+
+/**
+ * Klippeplan og klippeboks (clipping.js) uttrykt i lagets koordinater
+ * @returns {Object|null} Se lassoSelect.selectPointsInMask
+ */
+function getLocalClipping(matrixWorld) {
+  if (!isClippingActive()) return null;
+
+  const uniforms = getClippingUniforms();
+  const inverseWorld = matrixWorld.clone().invert();
+  const planes = [];
+  for (let i = 0; i < uniforms.clipPlaneCount.value; i++) {
+    const v = uniforms.clipPlanes.value[i];
+    const plane = new THREE.Plane(new THREE.Vector3(v.x, v.y, v.z), v.w).applyMatrix4(inverseWorld);
+    planes.push(plane.normal.x, plane.normal.y, plane.normal.z, plane.constant);
+  }
+
+  return {
+    planes,
+    boxMode: uniforms.clipBoxMode.value,
+    boxInverse: uniforms.clipBoxInverse.value.clone().multiply(matrixWorld).elements
+  };
+}
@@ -0,0 +1,62 @@
+/**
+ * Punktvalg i skjermrommet (lasso / polygon)
+ * Rene funksjoner uten DOM eller Three.js, så de kan kjøres både i hovedtråden og i lassoWorker.
+ *
+ * Polygonet er rastrert til en maske (én byte per skjermpiksel, 0 = utenfor), så testen per
+ * punkt er ett oppslag uansett hvor mange hjørner lassoen har.
+ */
+
+/**
+ * Finner punktene som projiseres innenfor masken
+ * @param {Float32Array} positions - xyz per punkt (lagets koordinater)
+ * @param {ArrayLike<number>} matrix - projection * view * model (16 tall, kolonnevis som THREE.Matrix4.elements)
+ * @param {{data: Uint8Array, width: number, height: number}} mask - Rastrert polygon, rad 0 øverst
+ * @param {Object} [clip] - Klipping som i shaderen: { planes: [nx, ny, nz, c, ...], boxMode: 0|1|2, boxInverse: 16 tall }
+ * @returns {Uint8Array} 1 for valgte punkter
+ */
+export function selectPointsInMask(positions, matrix, mask, clip = null) {
+  const count = positions.length / 3;
+  const selected = new Uint8Array(count);
+  const { data, width, height } = mask;
+  const m = matrix;
+
+  for (let i = 0; i < count; i++) {
+    const x = positions[i * 3];
+    const y = positions[i * 3 + 1];
+    const z = positions[i * 3 + 2];
+
+    // Klipp-koordinater; punkter bak kameraet eller utenfor near/far er ikke på skjermen
+    const w = m[3] * x + m[7] * y + m[11] * z + m[15];
+    if (w <= 0) continue;
+    const cz = m[2] * x + m[6] * y + m[10] * z + m[14];
+    if (cz < -w || cz > w) continue;
+
+    const px = Math.floor(((m[0] * x + m[4] * y + m[8] * z + m[12]) / w * 0.5 + 0.5) * width);
+    const py = Math.floor((0.5 - (m[1] * x + m[5] * y + m[9] * z + m[13]) / w * 0.5) * height);
+    if (px < 0 || py < 0 || px >= width || py >= height) continue;
+    if (data[py * width + px] === 0) continue;
+
+    if (clip && isClipped(x, y, z, clip)) continue;
+    selected[i] = 1;
+  }
+
+  return selected;
+}
+
+/**
+ * Samme regel som clipping.isPointClipped, med rene tall
+ */
+function isClipped(x, y, z, { planes, boxMode, boxInverse: b }) {
+  for (let i = 0; i < planes.length; i += 4) {
+    if (planes[i] * x + planes[i + 1] * y + planes[i + 2] * z + planes[i + 3] < 0) return true;
+  }
+
+  if (boxMode !== 0) {
+    const lx = b[0] * x + b[4] * y + b[8] * z + b[12];
+    const ly = b[1] * x + b[5] * y + b[9] * z + b[13];
+    const lz = b[2] * x + b[6] * y + b[10] * z + b[14];
+    const inside = Math.abs(lx) <= 0.5 && Math.abs(ly) <= 0.5 && Math.abs(lz) <= 0.5;
+    return boxMode === 1 ? !inside : inside;
+  }
+  return false;
+}
@@ -0,0 +1,30 @@
+/**
+ * Web Worker for lasso- og polygonvalg på store skyer
+ * Projiserer punktene gjennom kameraet og slår opp i den rastrerte masken.
+ * Punktene kommer i biter (se lasso.selectPointsInPolygon), én melding per bit.
+ *
+ * Meldinger inn:  { type: 'mask', mask: { data, width, height } }  (først, én gang)
+ *                 { type: 'chunk', positions, matrix, clip }
+ * Meldinger ut:   { type: 'done', selected: Uint8Array } per bit
+ *                 { type: 'error', message }
+ */
+
+import { selectPointsInMask } from './lassoSelect.js';
+
+let mask = null;
+
+self.onmessage = (event) => {
+  const message = event.data;
+
+  if (message.type === 'mask') {
+    mask = message.mask;
+    return;
+  }
+
+  try {
+    const selected = selectPointsInMask(message.positions, message.matrix, mask, message.clip);
+    self.postMessage({ type: 'done', selected }, [selected.buffer]);
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message || String(error) });
+  }
+};
@@ -1,6 +1,7 @@
 import * as THREE from 'three';
 import { CSS2DObject, CSS2DRenderer } from 'three/examples/jsm/renderers/CSS2DRenderer.js';
 import { DraggablePanel } from './ui.js';
+import { raycastPointClouds } from './octree.js';
 
 /**
  * MeasurementTool - Verktøy for å måle avstander mellom punkter i 3D
@@ -100,26 +101,23 @@ export class MeasurementTool {
     if (this.isFirstPoint) {
       // Første klikk: Sett startpunkt
       this.startPoint = intersect.point.clone();
+      this.startOriginal = intersect.originalPoint;
       this.createStartMarker(this.startPoint);
       this.isFirstPoint = false;
       
-      // Konverter til originale koordinater for logging
-      const startOrig = {
-        x: this.startPoint.x + this.coordinateOffset.x,
-        y: this.startPoint.y + this.coordinateOffset.y,
-        z: this.startPoint.z + this.coordinateOffset.z
-      };
+      const startOrig = this.startOriginal;
       console.log('✓ Start point set (original coordinates):',
-        `X: ${startOrig.x.toFixed(2)}, Y: ${startOrig.y.toFixed(2)}, Z: ${startOrig.z.toFixed(2)}`);
+        `X: ${startOrig.x}, Y: ${startOrig.y}, Z: ${startOrig.z}`);
     } else {
       // Andre klikk: Lås sluttpunkt og fullfør målingen
       const endPoint = intersect.point.clone();
-      this.completeMeasurement(this.startPoint, endPoint);
+      this.completeMeasurement(this.startPoint, endPoint, this.startOriginal, intersect.originalPoint);
       
       // Nullstill for neste måling
       this.clearTemporaryGeometry();
       this.isFirstPoint = true;
       this.startPoint = null;
+      this.startOriginal = null;
     }
   }
   
@@ -138,6 +136,8 @@ export class MeasurementTool {
   
   /**
    * Finn intersected point ved bruk av raycaster
+   * Punktet snappes til det treffede punktet i skyen, og originalPoint
+   * inneholder punktets originale koordinater (Float64 når tilgjengelig)
    */
   getIntersectedPoint(event) {
     // Beregn normalized device coordinates
@@ -149,16 +149,27 @@ export class MeasurementTool {
     // Oppdater raycaster
     this.raycaster.setFromCamera(mouse, this.camera);
     
-    // Finn punkter i scenen
-    const pointClouds = this.scene.children.filter(obj => obj.type === 'Points');
-    
-    if (pointClouds.length === 0) return null;
-    
-    // Sjekk intersections
-    const intersects = this.raycaster.intersectObjects(pointClouds, false);
+    // Sjekk intersections mot alle synlige lag (octree-spørring i stedet for alle punkter)
+    const intersects = raycastPointClouds(this.raycaster, this.scene);
     
     if (intersects.length > 0) {
-      return intersects[0]; // Returner første (nærmeste) intersection
+      const intersect = intersects[0]; // Første (nærmeste) intersection
+      const geometry = intersect.object.geometry;
+
+      // Bruk selve punktet i stedet for nærmeste punkt på strålen
+      intersect.point.fromBufferAttribute(geometry.attributes.position, intersect.index);
+      intersect.point.applyMatrix4(intersect.object.matrixWorld);
+
+      const originalPositions = geometry.userData.originalPositions;
+      intersect.originalPoint = originalPositions
+        ? {
+            x: originalPositions[intersect.index * 3],
+            y: originalPositions[intersect.index * 3 + 1],
+            z: originalPositions[intersect.index * 3 + 2]
+          }
+        : this.toOriginal(intersect.point);
+
+      return intersect;
     }
     
     return null;
@@ -201,32 +212,34 @@ export class MeasurementTool {
     this.scene.add(this.rubberBandLine);
   }
   
+  /**
+   * Konverterer et sentrert punkt til originale koordinater via offset
+   */
+  toOriginal(point) {
+    return {
+      x: point.x + this.coordinateOffset.x,
+      y: point.y + this.coordinateOffset.y,
+      z: point.z + this.coordinateOffset.z
+    };
+  }
+
   /**
    * Fullfør måling og opprett permanent geometri
+   * @param {THREE.Vector3} startPoint - Startpunkt (sentrerte koordinater)
+   * @param {THREE.Vector3} endPoint - Sluttpunkt (sentrerte koordinater)
+   * @param {Object} [startOriginal] - Eksakte originale koordinater for startpunktet
+   * @param {Object} [endOriginal] - Eksakte originale koordinater for sluttpunktet
    */
-  completeMeasurement(startPoint, endPoint) {
-    // Beregn avstander (i sentrerte koordinater)
-    const deltaX = endPoint.x - startPoint.x;
-    const deltaY = endPoint.y - startPoint.y;
-    const deltaZ = endPoint.z - startPoint.z;
+  completeMeasurement(startPoint, endPoint, startOriginal = this.toOriginal(startPoint), endOriginal = this.toOriginal(endPoint)) {
+    // Beregn avstander fra originale koordinater (double-presisjon)
+    const deltaX = endOriginal.x - startOriginal.x;
+    const deltaY = endOriginal.y - startOriginal.y;
+    const deltaZ = endOriginal.z - startOriginal.z;
     const distance3D = Math.sqrt(deltaX * deltaX + deltaY * deltaY + deltaZ * deltaZ);
     
-    // Konverter til originale koordinater
-    const startOriginal = {
-      x: startPoint.x + this.coordinateOffset.x,
-      y: startPoint.y + this.coordinateOffset.y,
-      z: startPoint.z + this.coordinateOffset.z
-    };
-    
-    const endOriginal = {
-      x: endPoint.x + this.coordinateOffset.x,
-      y: endPoint.y + this.coordinateOffset.y,
-      z: endPoint.z + this.coordinateOffset.z
-    };
-    
     console.log('📏 Measurement completed:');
-    console.log(`  Start: (${startOriginal.x.toFixed(2)}, ${startOriginal.y.toFixed(2)}, ${startOriginal.z.toFixed(2)})`);
-    console.log(`  Slutt: (${endOriginal.x.toFixed(2)}, ${endOriginal.y.toFixed(2)}, ${endOriginal.z.toFixed(2)})`);
+    console.log(`  Start: (${startOriginal.x}, ${startOriginal.y}, ${startOriginal.z})`);
+    console.log(`  Slutt: (${endOriginal.x}, ${endOriginal.y}, ${endOriginal.z})`);
     console.log(`  ΔX: ${deltaX.toFixed(2)} m, ΔY: ${deltaY.toFixed(2)} m, ΔZ: ${deltaZ.toFixed(2)} m`);
     console.log(`  Total avstand: ${distance3D.toFixed(2)} m`);
     
@@ -0,0 +1,389 @@
+import * as THREE from 'three';
+import { raycastPointClouds } from './octree.js';
+
+/**
+ * Navigasjonsmoduser i tillegg til OrbitControls
+ * - orbit: OrbitControls som før
+ * - fly:   førsteperson - WASD (+ Q/E ned/opp, Shift raskere), dra med musen for å se rundt,
+ *          musehjulet justerer farten. Farten følger skyens størrelse.
+ * - earth: dra i terrenget (punktet under markøren følger musen), høyre-dra roterer
+ *          rundt punktet, musehjulet zoomer mot punktet under markøren
+ *
+ * OrbitControls er fortsatt med i alle moduser: target holdes oppdatert (near/far,
+ * bokmerker og "Align to View" bruker det), og controls.enabled er bryteren
+ * verktøyene bruker for å slå av navigasjon (profil-tegning, TransformControls).
+ * I fly/earth slås bare OrbitControls' egne mus-bevegelser av.
+ */
+
+export const NAVIGATION_MODES = {
+  orbit: 'Orbit',
+  fly: 'Fly (WASD)',
+  earth: 'Earth'
+};
+
+// Fart i fly-modus: andel av skyens radius per sekund
+const FLY_SPEED = 0.15;
+const FLY_BOOST = 4; // Med Shift
+
+// Radianer per piksel ved mus-styring
+const LOOK_SPEED = 0.004;
+
+// Største vinkel over/under horisonten (unngår å se rett langs Z)
+const MAX_PITCH = THREE.MathUtils.degToRad(85);
+
+// Zoom per hjul-hakk i earth-modus
+const EARTH_ZOOM_STEP = 1.15;
+
+// Piksler musen kan flytte seg før et trykk regnes som dra (ikke klikk)
+const DRAG_THRESHOLD = 4;
+
+// Taster i fly-modus: [fremover, høyre, opp]
+const FLY_KEYS = {
+  KeyW: [1, 0, 0],
+  ArrowUp: [1, 0, 0],
+  KeyS: [-1, 0, 0],
+  ArrowDown: [-1, 0, 0],
+  KeyD: [0, 1, 0],
+  ArrowRight: [0, 1, 0],
+  KeyA: [0, -1, 0],
+  ArrowLeft: [0, -1, 0],
+  KeyE: [0, 0, 1],
+  KeyQ: [0, 0, -1]
+};
+
+const UP = new THREE.Vector3(0, 0, 1);
+
+export class NavigationControls {
+  /**
+   * @param {Object} viewer - PointCloudViewer (camera, controls, scene, getLayersSphere)
+   * @param {HTMLElement} domElement - Tegneflaten
+   */
+  constructor(viewer, domElement) {
+    this.viewer = viewer;
+    this.domElement = domElement;
+    this.mode = 'orbit';
+    this.keys = new Set();
+    this.speedFactor = 1;   // Justeres med musehjulet i fly-modus
+    this.drag = null;       // { button, startX, startY, lastX, lastY, moved, grabPoint, plane }
+    this.raycaster = new THREE.Raycaster();
+
+    this.onPointerDownBound = this.onPointerDown.bind(this);
+    this.onPointerMoveBound = this.onPointerMove.bind(this);
+    this.onPointerUpBound = this.onPointerUp.bind(this);
+    this.onWheelBound = this.onWheel.bind(this);
+    this.onKeyDownBound = this.onKeyDown.bind(this);
+    this.onKeyUpBound = this.onKeyUp.bind(this);
+    this.onBlurBound = () => this.keys.clear();
+
+    domElement.addEventListener('pointerdown', this.onPointerDownBound);
+    domElement.addEventListener('wheel', this.onWheelBound, { passive: false });
+    window.addEventListener('pointermove', this.onPointerMoveBound);
+    window.addEventListener('pointerup', this.onPointerUpBound);
+    window.addEventListener('keydown', this.onKeyDownBound);
+    window.addEventListener('keyup', this.onKeyUpBound);
+    window.addEventListener('blur', this.onBlurBound);
+  }
+
+  /**
+   * Bytter navigasjonsmodus
+   * @param {string} mode - 'orbit', 'fly' eller 'earth'
+   * @returns {string} Modusen som brukes
+   */
+  setMode(mode) {
+    if (!NAVIGATION_MODES[mode] || mode === this.mode) return this.mode;
+
+    const controls = this.viewer.controls;
+    const orbit = mode === 'orbit';
+    controls.enableRotate = orbit;
+    controls.enablePan = orbit;
+    controls.enableZoom = orbit;
+
+    if (mode === 'fly') {
+      // Target like foran kameraet, så near-planet kan bli lite (trange rom)
+      this.setTargetDistance(this.getSceneRadius() * 0.02);
+    } else if (this.mode === 'fly') {
+      // Tilbake fra fly: roter/zoom rundt punktet midt i bildet
+      const hit = this.pick(0, 0);
+      if (hit) {
+        this.viewer.controls.target.copy(hit);
+      } else {
+        this.setTargetDistance(this.getSceneRadius() * 0.5);
+      }
+    }
+
+    this.mode = mode;
+    this.keys.clear();
+    this.drag = null;
+    console.log(`Navigation: ${mode}`);
+    return mode;
+  }
+
+  getMode() {
+    return this.mode;
+  }
+
+  /**
+   * Flytter kameraet i fly-modus (kalles hver frame før controls.update)
+   * @param {number} delta - Sekunder siden forrige frame
+   */
+  update(delta) {
+    if (this.mode !== 'fly' || this.keys.size === 0 || !this.isEnabled()) return;
+
+    const move = new THREE.Vector3();
+    this.keys.forEach(code => {
+      const direction = FLY_KEYS[code];
+      if (direction) move.add(new THREE.Vector3(...direction));
+    });
+    if (move.lengthSq() === 0) return;
+
+    const camera = this.viewer.camera;
+    const forward = camera.getWorldDirection(new THREE.Vector3());
+    const right = new THREE.Vector3().crossVectors(forward, UP).normalize();
+
+    const boost = this.keys.has('ShiftLeft') || this.keys.has('ShiftRight') ? FLY_BOOST : 1;
+    const distance = this.getSceneRadius() * FLY_SPEED * this.speedFactor * boost * delta;
+
+    const offset = new THREE.Vector3()
+      .addScaledVector(forward, move.x)
+      .addScaledVector(right, move.y)
+      .addScaledVector(UP, move.z)
+      .normalize()
+      .multiplyScalar(distance);
+
+    this.translate(offset);
+  }
+
+  /**
+   * Fjerner alle lyttere
+   */
+  dispose() {
+    this.domElement.removeEventListener('pointerdown', this.onPointerDownBound);
+    this.domElement.removeEventListener('wheel', this.onWheelBound);
+    window.removeEventListener('pointermove', this.onPointerMoveBound);
+    window.removeEventListener('pointerup', this.onPointerUpBound);
+    window.removeEventListener('keydown', this.onKeyDownBound);
+    window.removeEventListener('keyup', this.onKeyUpBound);
+    window.removeEventListener('blur', this.onBlurBound);
+  }
+
+  // --- Hendelser ---
+
+  onPointerDown(event) {
+    if (this.mode === 'orbit' || !this.isEnabled()) return;
+    if (event.button !== 0 && event.button !== 2) return;
+
+    this.viewer.stopCameraAnimation();
+    this.drag = {
+      button: event.button,
+      startX: event.clientX,
+      startY: event.clientY,
+      lastX: event.clientX,
+      lastY: event.clientY,
+      moved: false,
+      grabPoint: null,
+      plane: null
+    };
+
+    if (this.mode === 'earth') {
+      // Punktet under markøren (eller target-høyden) er det som gripes
+      const ndc = this.toNDC(event);
+      const grabPoint = this.pick(ndc.x, ndc.y) || this.intersectTargetPlane(ndc);
+      if (grabPoint) {
+        this.drag.grabPoint = grabPoint;
+        this.drag.plane = new THREE.Plane().setFromNormalAndCoplanarPoint(UP, grabPoint);
+      }
+    }
+  }
+
+  onPointerMove(event) {
+    const drag = this.drag;
+    if (!drag) return;
+    if (!this.isEnabled()) {
+      this.drag = null;
+      return;
+    }
+
+    const dx = event.clientX - drag.lastX;
+    const dy = event.clientY - drag.lastY;
+    drag.lastX = event.clientX;
+    drag.lastY = event.clientY;
+
+    if (!drag.moved) {
+      drag.moved = Math.hypot(event.clientX - drag.startX, event.clientY - drag.startY) > DRAG_THRESHOLD;
+      if (!drag.moved) return;
+    }
+
+    if (this.mode === 'fly') {
+      this.look(dx, dy);
+    } else if (drag.button === 2) {
+      if (drag.grabPoint) this.rotateAround(drag.grabPoint, dx, dy);
+    } else if (drag.plane) {
+      // Flytt kameraet så det grepne punktet blir liggende under markøren
+      const ndc = this.toNDC(event);
+      this.raycaster.setFromCamera(ndc, this.viewer.camera);
+      const current = this.raycaster.ray.intersectPlane(drag.plane, new THREE.Vector3());
+      if (current) this.translate(drag.grabPoint.clone().sub(current));
+    }
+  }
+
+  onPointerUp() {
+    if (!this.drag) return;
+
+    // Et dra skal ikke bli et klikk for måle- og profilverktøyet
+    // (klikket kommer rett etter pointerup; lytteren fjernes uansett etterpå)
+    if (this.drag.moved) {
+      const swallowClick = (event) => event.stopImmediatePropagation();
+      this.domElement.addEventListener('click', swallowClick, { capture: true, once: true });
+      setTimeout(() => this.domElement.removeEventListener('click', swallowClick, { capture: true }), 0);
+    }
+    this.drag = null;
+  }
+
+  onWheel(event) {
+    if (this.mode === 'orbit' || !this.isEnabled()) return;
+    event.preventDefault();
+    this.viewer.stopCameraAnimation();
+
+    if (this.mode === 'fly') {
+      this.speedFactor = THREE.MathUtils.clamp(this.speedFactor * (event.deltaY < 0 ? 1.25 : 0.8), 0.01, 100);
+      return;
+    }
+
+    // Earth: zoom mot punktet under markøren
+    const ndc = this.toNDC(event);
+    const pivot = this.pick(ndc.x, ndc.y) || this.viewer.controls.target.clone();
+    const factor = event.deltaY < 0 ? 1 / EARTH_ZOOM_STEP : EARTH_ZOOM_STEP;
+    const camera = this.viewer.camera;
+    const target = this.viewer.controls.target;
+
+    if (camera.isOrthographicCamera) {
+      camera.zoom /= factor;
+      camera.updateProjectionMatrix();
+    } else {
+      camera.position.sub(pivot).multiplyScalar(factor).add(pivot);
+    }
+    target.sub(pivot).multiplyScalar(factor).add(pivot);
+  }
+
+  onKeyDown(event) {
+    if (this.mode !== 'fly' || isTyping(event)) return;
+    if (FLY_KEYS[event.code] || event.code.startsWith('Shift')) {
+      this.keys.add(event.code);
+      if (event.code.startsWith('Arrow')) event.preventDefault();
+    }
+  }
+
+  onKeyUp(event) {
+    this.keys.delete(event.code);
+  }
+
+  // --- Hjelpere ---
+
+  /**
+   * Navigasjon er slått av når verktøyene slår av OrbitControls (f.eks. under profil-tegning)
+   */
+  isEnabled() {
+    return this.viewer.controls.enabled;
+  }
+
+  /**
+   * Flytter kamera og target like mye
+   */
+  translate(offset) {
+    this.viewer.camera.position.add(offset);
+    this.viewer.controls.target.add(offset);
+  }
+
+  /**
+   * Ser rundt fra kameraets posisjon (fly): gir rundt Z, stamp rundt høyre-aksen
+   */
+  look(dx, dy) {
+    const camera = this.viewer.camera;
+    const target = this.viewer.controls.target;
+    const offset = target.clone().sub(camera.position);
+    const distance = offset.length();
+
+    // Retning som gir (rundt Z) og stamp (over horisonten)
+    const yaw = Math.atan2(offset.y, offset.x) - dx * LOOK_SPEED;
+    const pitch = THREE.MathUtils.clamp(Math.asin(offset.z / distance) - dy * LOOK_SPEED, -MAX_PITCH, MAX_PITCH);
+
+    target.set(
+      Math.cos(pitch) * Math.cos(yaw),
+      Math.cos(pitch) * Math.sin(yaw),
+      Math.sin(pitch)
+    ).multiplyScalar(distance).add(camera.position);
+  }
+
+  /**
+   * Roterer kamera og target rundt et punkt (earth, høyre-dra)
+   */
+  rotateAround(pivot, dx, dy) {
+    const camera = this.viewer.camera;
+    const target = this.viewer.controls.target;
+
+    const yaw = new THREE.Quaternion().setFromAxisAngle(UP, -dx * LOOK_SPEED);
+    const right = new THREE.Vector3().crossVectors(camera.getWorldDirection(new THREE.Vector3()), UP).normalize();
+    let pitch = new THREE.Quaternion().setFromAxisAngle(right, -dy * LOOK_SPEED);
+
+    // Ikke forbi loddrett (kameraet skal ikke velte)
+    const direction = target.clone().sub(camera.position).normalize().applyQuaternion(pitch);
+    if (Math.abs(direction.dot(UP)) > Math.sin(MAX_PITCH)) pitch = new THREE.Quaternion();
+
+    const rotation = yaw.multiply(pitch);
+    camera.position.sub(pivot).applyQuaternion(rotation).add(pivot);
+    target.sub(pivot).applyQuaternion(rotation).add(pivot);
+  }
+
+  /**
+   * Setter target langs synsretningen i gitt avstand fra kameraet
+   */
+  setTargetDistance(distance) {
+    const camera = this.viewer.camera;
+    const direction = camera.getWorldDirection(new THREE.Vector3());
+    this.viewer.controls.target.copy(camera.position).addScaledVector(direction, Math.max(distance, 1e-3));
+  }
+
+  /**
+   * Nærmeste synlige punkt under et punkt på skjermen
+   * @param {number} x - NDC (-1..1)
+   * @param {number} y - NDC (-1..1)
+   * @returns {THREE.Vector3|null}
+   */
+  pick(x, y) {
+    this.raycaster.setFromCamera(new THREE.Vector2(x, y), this.viewer.camera);
+    this.raycaster.params.Points.threshold = this.getSceneRadius() * 0.005;
+    const hit = raycastPointClouds(this.raycaster, this.viewer.scene)[0];
+    return hit ? hit.point : null;
+  }
+
+  /**
+   * Skjæring med det horisontale planet gjennom target (når ingen punkter treffes)
+   */
+  intersectTargetPlane(ndc) {
+    this.raycaster.setFromCamera(ndc, this.viewer.camera);
+    const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(UP, this.viewer.controls.target);
+    return this.raycaster.ray.intersectPlane(plane, new THREE.Vector3());
+  }
+
+  toNDC(event) {
+    const rect = this.domElement.getBoundingClientRect();
+    return new THREE.Vector2(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+  }
+
+  getSceneRadius() {
+    const sphere = this.viewer.getLayersSphere();
+    return sphere ? Math.max(sphere.radius, 1e-3) : 10;
+  }
+}
+
+/**
+ * Tastetrykk i tekstfelt (f.eks. bokmerkenavn) skal ikke flytte kameraet
+ */
+function isTyping(event) {
+  const target = event.target;
+  return target instanceof HTMLElement &&
+    (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+}
@@ -0,0 +1,600 @@
+import * as THREE from 'three';
+import { MAX_POINTS_PER_NODE, createSingleNode } from './octreeBuilder.js';
+import { enhancePointMaterial } from './pointShading.js';
+import { COLOR_ATTRIBUTE } from './attributeColors.js';
+import { SELECTION_ATTRIBUTE } from './selection.js';
+import { isPointClipped, isBoxClipped, isClippingActive } from './clipping.js';
+
+/**
+ * Octree-basert detaljnivå (LOD) for punktskyer
+ *
+ * Lagets THREE.Points beholder alle punktene (CPU) og er det resten av appen
+ * jobber mot (farger, seleksjon, eksport). Selve tegningen skjer via små
+ * THREE.Points per octree-node i PointOctree.group, som bruker subarray-visninger
+ * av lagets arrays og en kopi av lagets materiale (med nodens punktavstand for
+ * adaptiv punktstørrelse). Hver frame velges nodene etter
+ * skjerm-feil (screen-space error) innenfor et punktbudsjett, og noder lastes
+ * inn til / fjernes fra GPU etter hvert som kameraet beveger seg.
+ */
+
+// Attributter som tegnes per node (andre attributter blir bare liggende på CPU,
+// bortsett fra attributtet det farges etter - se PointOctree.setColorAttribute)
+const RENDER_ATTRIBUTES = ['position', 'color'];
+
+// Noder som lastes opp til GPU per frame (hindrer hakking når kameraet flyttes mye)
+const MAX_NODE_LOADS_PER_FRAME = 40;
+
+// Noder utenfor utvalget beholdes på GPU opp til dette (× punktbudsjett) før de fjernes
+const CACHE_FACTOR = 2;
+
+export const DEFAULT_POINT_BUDGET = 3000000;
+
+// Noder forfines til punktavstanden er under så mange piksler
+export const DEFAULT_SCREEN_SPACE_ERROR = 2;
+
+/**
+ * Bygger octree for en parset punktsky i en Web Worker
+ * Posisjoner, farger og attributter sorteres i node-rekkefølge (nye arrays i retur).
+ * Små skyer (én node) bygges direkte uten worker.
+ * @param {Object} data - Resultat fra parsePointFile (positions, colors, count, bounds, attributes)
+ * @param {Object} [options]
+ * @param {function(number): void} [options.onProgress] - Kalles med andel ferdig (0-1)
+ * @param {AbortSignal} [options.signal] - Avbryter byggingen (worker termineres)
+ * @returns {Promise<Object>} data med sorterte arrays og octreeNodes
+ */
+export function buildOctree(data, { onProgress = null, signal = null } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException('Octree build cancelled', 'AbortError'));
+      return;
+    }
+
+    if (data.count <= MAX_POINTS_PER_NODE) {
+      resolve({ ...data, octreeNodes: createSingleNode(data.count) });
+      return;
+    }
+
+    // Samme array kan ikke sorteres to ganger, så hvert array sendes bare én gang
+    const arrays = { colors: { array: data.colors, itemSize: 3 } };
+    for (const [name, attribute] of Object.entries(data.attributes || {})) {
+      if (attribute.array !== data.colors) {
+        arrays[`attribute:${name}`] = attribute;
+      }
+    }
+
+    const worker = new Worker(new URL('./octreeWorker.js', import.meta.url), { type: 'module' });
+    const startTime = performance.now();
+
+    const onAbort = () => {
+      worker.terminate();
+      console.log('Octree build cancelled');
+      reject(new DOMException('Octree build cancelled', 'AbortError'));
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    const cleanup = () => {
+      signal?.removeEventListener('abort', onAbort);
+      worker.terminate();
+    };
+
+    worker.onmessage = (event) => {
+      const message = event.data;
+
+      if (message.type === 'progress') {
+        onProgress?.(message.fraction);
+      } else if (message.type === 'done') {
+        cleanup();
+        const { positions, arrays: sorted, nodes } = message.result;
+
+        const attributes = {};
+        for (const [name, attribute] of Object.entries(data.attributes || {})) {
+          attributes[name] = attribute.array === data.colors
+            ? { array: sorted.colors.array, itemSize: attribute.itemSize }
+            : sorted[`attribute:${name}`];
+        }
+
+        console.log(`✓ Octree built: ${nodes.length} nodes for ${data.count.toLocaleString('nb-NO')} points (${Math.round(performance.now() - startTime)} ms)`);
+        resolve({ ...data, positions, colors: sorted.colors.array, attributes, octreeNodes: nodes });
+      } else if (message.type === 'error') {
+        cleanup();
+        reject(new Error(message.message));
+      }
+    };
+
+    worker.onerror = (event) => {
+      cleanup();
+      reject(new Error(event.message || 'Octree worker failed'));
+    };
+
+    const transfer = new Set([data.positions.buffer, ...Object.values(arrays).map(entry => entry.array.buffer)]);
+    worker.postMessage({ positions: data.positions, count: data.count, bounds: data.bounds, arrays }, [...transfer]);
+  });
+}
+
+/**
+ * Octree for ett lag
+ * Node-boksene beregnes fra lagets (sentrerte) posisjoner og oppdateres når
+ * posisjonene endres (f.eks. Z-inversjon).
+ */
+export class PointOctree {
+  /**
+   * @param {THREE.Points} points - Lagets punktsky med alle punktene (legges ikke i scenen)
+   * @param {Array<Object>} [nodes] - Node-tabell fra buildOctree (én node hvis utelatt)
+   */
+  constructor(points, nodes = null) {
+    this.points = points;
+    this.nodes = (nodes || createSingleNode(points.geometry.attributes.position.count)).map(node => ({
+      ...node,
+      box: new THREE.Box3(),     // Hele subtreet (egne punkter + barn)
+      sphere: new THREE.Sphere(),
+      object: null,              // THREE.Points når noden er lastet til GPU
+      lastVisibleFrame: -1,
+      uniforms: { nodeSpacing: { value: node.spacing } } // Effektiv punktavstand (adaptiv størrelse)
+    }));
+
+    this.group = new THREE.Group();
+    this.group.name = points.name;
+    this.group.userData.octree = this;
+
+    this.loadedPoints = 0;
+    this.colorAttribute = null; // Lag-attributtet som lastes som COLOR_ATTRIBUTE (farging i shaderen)
+    this.materialSignature = materialSignature(points.material);
+    this.sourceAttributes = {}; // { navn: { attribute, version } } for å oppdage endringer
+    this.trackSourceAttributes();
+    this.computeNodeBounds();
+  }
+
+  /**
+   * Beregner bokser for alle noder (barn ligger etter foreldre, så vi går baklengs)
+   */
+  computeNodeBounds() {
+    const positions = this.points.geometry.attributes.position.array;
+
+    for (let n = this.nodes.length - 1; n >= 0; n--) {
+      const node = this.nodes[n];
+      const box = node.box.makeEmpty();
+
+      let minX = Infinity, minY = Infinity, minZ = Infinity;
+      let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+      const end = (node.start + node.count) * 3;
+      for (let i = node.start * 3; i < end; i += 3) {
+        const x = positions[i], y = positions[i + 1], z = positions[i + 2];
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+        if (y < minY) minY = y;
+        if (y > maxY) maxY = y;
+        if (z < minZ) minZ = z;
+        if (z > maxZ) maxZ = z;
+      }
+      if (node.count > 0) {
+        box.min.set(minX, minY, minZ);
+        box.max.set(maxX, maxY, maxZ);
+      }
+
+      node.children.forEach(child => box.union(this.nodes[child].box));
+      box.getBoundingSphere(node.sphere);
+    }
+  }
+
+  /**
+   * Attributtene nodene tegner: [navn i laget, navn i node-geometrien]
+   */
+  attributeBindings() {
+    const bindings = RENDER_ATTRIBUTES.map(name => [name, name]);
+    // Seleksjonsmasken (utbleking i shaderen); lages først når noe velges
+    bindings.push([SELECTION_ATTRIBUTE, SELECTION_ATTRIBUTE]);
+    if (this.colorAttribute) bindings.push([this.colorAttribute, COLOR_ATTRIBUTE]);
+    return bindings;
+  }
+
+  trackSourceAttributes() {
+    const attributes = this.points.geometry.attributes;
+    this.sourceAttributes = {};
+    this.attributeBindings().forEach(([name]) => {
+      this.sourceAttributes[name] = { attribute: attributes[name], version: attributes[name]?.version };
+    });
+  }
+
+  /**
+   * Sørger for at lastede noder viser endringer i lagets arrays og material
+   * (fargemodus, seleksjon, Z-inversjon og eksplosjon skriver direkte til lagets geometri)
+   */
+  syncWithSource() {
+    const attributes = this.points.geometry.attributes;
+    let replaced = false;
+    let positionsChanged = false;
+
+    this.attributeBindings().forEach(([name, nodeName]) => {
+      const source = this.sourceAttributes[name];
+      const attribute = attributes[name];
+
+      if (attribute !== source.attribute) {
+        replaced = true;
+      } else if (attribute && attribute.version !== source.version) {
+        this.nodes.forEach(node => {
+          if (node.object) node.object.geometry.attributes[nodeName].needsUpdate = true;
+        });
+        if (name === 'position') positionsChanged = true;
+      }
+    });
+
+    if (replaced) {
+      // Nye arrays: nodene må lages på nytt med nye subarray-visninger
+      this.unloadAll();
+      positionsChanged = true;
+    }
+    if (positionsChanged) {
+      this.computeNodeBounds();
+    }
+    this.trackSourceAttributes();
+
+    this.group.visible = this.points.visible;
+
+    // Node-materialene er kopier; overfør størrelse, farge, opasitet osv. når laget endres
+    const signature = materialSignature(this.points.material);
+    if (signature !== this.materialSignature) {
+      this.materialSignature = signature;
+      this.nodes.forEach(node => {
+        if (!node.object) return;
+        node.object.material.copy(this.points.material);
+        node.object.material.needsUpdate = true;
+      });
+    }
+  }
+
+  /**
+   * Velger lag-attributtet som lastes til GPU for farging i shaderen
+   * Lastede noder får attributtet lagt til (eller fjernet) og kompileres på nytt.
+   * @param {string|null} name - Attributt med én verdi per punkt; lag uten det tegnes med fargebufferet
+   */
+  setColorAttribute(name) {
+    const attribute = name ? this.points.geometry.attributes[name] : null;
+    const colorAttribute = attribute && attribute.itemSize === 1 ? name : null;
+    if (colorAttribute === this.colorAttribute) return;
+
+    this.colorAttribute = colorAttribute;
+    this.trackSourceAttributes();
+
+    this.nodes.forEach(node => {
+      if (!node.object) return;
+      const geometry = node.object.geometry;
+      if (colorAttribute) {
+        geometry.setAttribute(COLOR_ATTRIBUTE, createNodeAttribute(attribute, node));
+      } else {
+        geometry.deleteAttribute(COLOR_ATTRIBUTE);
+      }
+      node.object.material.needsUpdate = true;
+    });
+  }
+
+  /**
+   * Kompilerer node-materialene på nytt (etter endret punktform eller adaptiv størrelse)
+   */
+  refreshMaterials() {
+    this.nodes.forEach(node => {
+      if (node.object) node.object.material.needsUpdate = true;
+    });
+  }
+
+  /**
+   * Laster en node til GPU (subarray-visninger, ingen kopiering på CPU)
+   */
+  loadNode(node) {
+    const geometry = new THREE.BufferGeometry();
+    const attributes = this.points.geometry.attributes;
+
+    this.attributeBindings().forEach(([name, nodeName]) => {
+      const source = attributes[name];
+      if (!source) return;
+      geometry.setAttribute(nodeName, createNodeAttribute(source, node));
+    });
+    geometry.boundingSphere = node.sphere.clone();
+
+    const material = this.points.material.clone();
+    enhancePointMaterial(material, node.uniforms, geometry);
+
+    const object = new THREE.Points(geometry, material);
+    object.frustumCulled = false;     // Nodene kulles av octreet
+    object.matrixAutoUpdate = false;
+    object.raycast = () => {};        // Plukking går via PointOctree.raycast
+    object.visible = false;
+
+    node.object = object;
+    this.group.add(object);
+    this.loadedPoints += node.count;
+  }
+
+  /**
+   * Fjerner en node fra GPU (dataene ligger fortsatt i laget)
+   */
+  unloadNode(node) {
+    if (!node.object) return;
+    this.group.remove(node.object);
+    node.object.geometry.dispose();
+    node.object.material.dispose();
+    node.object = null;
+    this.loadedPoints -= node.count;
+  }
+
+  unloadAll() {
+    this.nodes.forEach(node => this.unloadNode(node));
+  }
+
+  /**
+   * Finner punktområder i noder der subtreets boks godtas av filteret
+   * @param {function(THREE.Box3): boolean} intersectsBox - false hopper over hele subtreet
+   * @returns {Array<[number, number]>} [start, end) punktindekser i lagets arrays
+   */
+  queryRanges(intersectsBox) {
+    const ranges = [];
+    if (this.nodes.length === 0) return ranges;
+
+    // Boksene må følge med hvis posisjonene er endret siden forrige frame
+    this.syncWithSource();
+
+    const stack = [0];
+    while (stack.length > 0) {
+      const node = this.nodes[stack.pop()];
+      if (node.box.isEmpty() || !intersectsBox(node.box)) continue;
+      if (node.count > 0) ranges.push([node.start, node.start + node.count]);
+      stack.push(...node.children);
+    }
+    return ranges;
+  }
+
+  /**
+   * Raycast mot alle punktene i laget (full oppløsning, ikke bare det som tegnes)
+   * Gir samme treff-format som THREE.Points.raycast; object er lagets punktsky.
+   * Punkter som er skjult av klippeplan / klippeboks treffes ikke.
+   * @param {THREE.Raycaster} raycaster - Bruker params.Points.threshold
+   * @param {Array} intersects - Treff legges til her
+   */
+  raycast(raycaster, intersects) {
+    if (!this.points.visible) return;
+
+    const ray = raycaster.ray;
+    const threshold = raycaster.params.Points.threshold;
+    const thresholdSq = threshold * threshold;
+    const positions = this.points.geometry.attributes.position.array;
+    const expandedBox = new THREE.Box3();
+    const point = new THREE.Vector3();
+
+    const clipping = isClippingActive();
+    const ranges = this.queryRanges(box =>
+      ray.intersectsBox(expandedBox.copy(box).expandByScalar(threshold)) && !(clipping && isBoxClipped(box))
+    );
+
+    for (const [start, end] of ranges) {
+      for (let i = start; i < end; i++) {
+        point.fromArray(positions, i * 3);
+        const distanceToRaySq = ray.distanceSqToPoint(point);
+        if (distanceToRaySq >= thresholdSq) continue;
+        if (clipping && isPointClipped(point)) continue;
+
+        const closestPoint = new THREE.Vector3();
+        ray.closestPointToPoint(point, closestPoint);
+        const distance = ray.origin.distanceTo(closestPoint);
+        if (distance < raycaster.near || distance > raycaster.far) continue;
+
+        intersects.push({
+          distance,
+          distanceToRay: Math.sqrt(distanceToRaySq),
+          point: closestPoint,
+          index: i,
+          face: null,
+          object: this.points
+        });
+      }
+    }
+  }
+
+  /**
+   * Frigjør alle node-geometrier
+   */
+  dispose() {
+    this.unloadAll();
+  }
+}
+
+/**
+ * Velger og laster nodene som skal tegnes for alle lag (felles punktbudsjett)
+ * Noder prioriteres etter skjerm-feil: punktavstanden i noden projisert til piksler.
+ * En node forfines (barna tas med) så lenge feilen er over maxScreenSpaceError.
+ * @param {PointOctree[]} octrees - Octree for hvert lag
+ * @param {THREE.Camera} camera - Perspektiv- eller ortografisk kamera
+ * @param {number} viewportHeight - Høyde på tegneflaten i piksler
+ * @param {Object} [options]
+ * @param {number} [options.pointBudget] - Maks antall punkter som tegnes
+ * @param {number} [options.maxScreenSpaceError] - Piksler
+ * @param {boolean} [options.loadAll] - Last alle valgte noder nå (f.eks. for kart-bilde)
+ * @param {number} [options.frame] - Frame-teller for opprydding av GPU-cache
+ * @returns {{ visibleNodes: number, visiblePoints: number, loadedPoints: number }}
+ */
+export function updateOctrees(octrees, camera, viewportHeight, {
+  pointBudget = DEFAULT_POINT_BUDGET,
+  maxScreenSpaceError = DEFAULT_SCREEN_SPACE_ERROR,
+  loadAll = false,
+  frame = 0
+} = {}) {
+  camera.updateMatrixWorld();
+  const frustum = new THREE.Frustum().setFromProjectionMatrix(
+    new THREE.Matrix4().multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse)
+  );
+
+  // Piksler per verdensenhet (perspektiv: på avstand 1)
+  const projectionFactor = camera.isOrthographicCamera
+    ? viewportHeight * camera.zoom / (camera.top - camera.bottom)
+    : viewportHeight / (2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2));
+  const cameraPosition = new THREE.Vector3().setFromMatrixPosition(camera.matrixWorld);
+
+  const screenSpaceError = (node) => {
+    if (camera.isOrthographicCamera) return node.spacing * projectionFactor;
+    const distance = Math.max(cameraPosition.distanceTo(node.sphere.center) - node.sphere.radius, 1e-6);
+    return node.spacing * projectionFactor / distance;
+  };
+
+  // Noder som er helt klippet bort bruker ikke av budsjettet
+  const clipping = isClippingActive();
+  const isNodeVisible = (node) => !node.box.isEmpty() && frustum.intersectsBox(node.box) &&
+    !(clipping && isBoxClipped(node.box));
+
+  const queue = new NodeQueue();
+  octrees.forEach(octree => {
+    octree.syncWithSource();
+    const root = octree.nodes[0];
+    if (octree.points.visible && root && isNodeVisible(root)) {
+      queue.push({ octree, node: root, error: screenSpaceError(root) });
+    }
+  });
+
+  // Velg noder (største feil først) til budsjettet er brukt opp
+  const selected = [];
+  let visiblePoints = 0;
+  while (queue.size() > 0) {
+    const item = queue.pop();
+    if (visiblePoints + item.node.count > pointBudget) break;
+
+    visiblePoints += item.node.count;
+    selected.push(item);
+
+    if (item.error > maxScreenSpaceError) {
+      item.node.children.forEach(childIndex => {
+        const child = item.octree.nodes[childIndex];
+        if (isNodeVisible(child)) {
+          queue.push({ octree: item.octree, node: child, error: screenSpaceError(child) });
+        }
+      });
+    }
+  }
+
+  // Effektiv punktavstand for adaptiv størrelse: en node der alle barna vises
+  // dekkes tettere, ellers er det nodens egen avstand som synes (barn før foreldre)
+  const selectedSet = new Set(selected.map(item => item.node));
+  for (let i = selected.length - 1; i >= 0; i--) {
+    const node = selected[i].node;
+    const children = node.children.map(childIndex => selected[i].octree.nodes[childIndex]);
+    node.uniforms.nodeSpacing.value = children.length > 0 && children.every(child => selectedSet.has(child))
+      ? Math.max(...children.map(child => child.uniforms.nodeSpacing.value))
+      : node.spacing;
+  }
+
+  // Last inn valgte noder (foreldre før barn, siden de ble valgt først)
+  let loads = 0;
+  selected.forEach(({ octree, node }) => {
+    node.lastVisibleFrame = frame;
+    if (!node.object && (loadAll || loads < MAX_NODE_LOADS_PER_FRAME)) {
+      octree.loadNode(node);
+      loads++;
+    }
+  });
+
+  // Vis bare valgte noder, og rydd bort gamle noder når GPU-cachen er full
+  let loadedPoints = 0;
+  const unused = [];
+  octrees.forEach(octree => {
+    octree.nodes.forEach(node => {
+      if (!node.object) return;
+      node.object.visible = node.lastVisibleFrame === frame;
+      if (!node.object.visible) unused.push({ octree, node });
+    });
+    loadedPoints += octree.loadedPoints;
+  });
+
+  const cacheLimit = pointBudget * CACHE_FACTOR;
+  if (loadedPoints > cacheLimit) {
+    unused.sort((a, b) => a.node.lastVisibleFrame - b.node.lastVisibleFrame);
+    for (const { octree, node } of unused) {
+      if (loadedPoints <= cacheLimit) break;
+      loadedPoints -= node.count;
+      octree.unloadNode(node);
+    }
+  }
+
+  return { visibleNodes: selected.length, visiblePoints, loadedPoints };
+}
+
+/**
+ * Raycaster mot alle synlige lag i scenen via deres octree
+ * @param {THREE.Raycaster} raycaster
+ * @param {THREE.Scene} scene
+ * @returns {Array} Treff sortert etter avstand (som Raycaster.intersectObjects)
+ */
+export function raycastPointClouds(raycaster, scene) {
+  const intersects = [];
+  scene.children.forEach(object => {
+    if (object.visible && object.userData.octree) {
+      object.userData.octree.raycast(raycaster, intersects);
+    }
+  });
+  return intersects.sort((a, b) => a.distance - b.distance);
+}
+
+/**
+ * Subarray-visning av et lag-attributt for punktene i en node
+ */
+function createNodeAttribute(source, node) {
+  const itemSize = source.itemSize;
+  const array = source.array.subarray(node.start * itemSize, (node.start + node.count) * itemSize);
+  return new THREE.BufferAttribute(array, itemSize, source.normalized);
+}
+
+/**
+ * Egenskaper ved lagets materiale som må kopieres til node-materialene
+ */
+function materialSignature(material) {
+  return [
+    material.version,
+    material.size,
+    material.color.getHex(),
+    material.opacity,
+    material.transparent,
+    material.vertexColors,
+    material.sizeAttenuation
+  ].join('|');
+}
+
+/**
+ * Enkel max-heap på skjerm-feil
+ */
+class NodeQueue {
+  constructor() {
+    this.items = [];
+  }
+
+  size() {
+    return this.items.length;
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].error >= items[i].error) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      while (true) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let largest = i;
+        if (left < items.length && items[left].error > items[largest].error) largest = left;
+        if (right < items.length && items[right].error > items[largest].error) largest = right;
+        if (largest === i) break;
+        [items[largest], items[i]] = [items[i], items[largest]];
+        i = largest;
+      }
+    }
+    return top;
+  }
+}
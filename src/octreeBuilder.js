@@ -0,0 +1,208 @@
+/**
+ * Bygging av octree for punktskyer (ren JS, ingen Three.js - brukes av octreeWorker.js)
+ *
+ * Hvert punkt havner i nøyaktig én node. En indre node får et glisent utvalg
+ * (ett punkt per celle i et SAMPLE_GRID³-rutenett over noden), resten fordeles
+ * på de åtte barna. Løvnoder beholder alle gjenværende punkter.
+ * Punktene sorteres i node-rekkefølge (dybde først), slik at hver node er et
+ * sammenhengende område [start, start + count) i alle per-punkt arrayene.
+ */
+
+// Maks antall punkter i en løvnode
+export const MAX_POINTS_PER_NODE = 30000;
+
+// Oppløsning på utvalgs-rutenettet i hver indre node (avstand = nodestørrelse / SAMPLE_GRID)
+export const SAMPLE_GRID = 64;
+
+// Hindrer uendelig oppdeling av identiske punkter
+const MAX_DEPTH = 20;
+
+/**
+ * Lager node-tabellen for en sky uten octree (alle punkter i rot-noden)
+ * @param {number} count - Antall punkter
+ * @returns {Array<Object>} Én node
+ */
+export function createSingleNode(count) {
+  return [{ start: 0, count, level: 0, spacing: 0, children: [] }];
+}
+
+/**
+ * Bygger octree-indeksen for en punktsky
+ * @param {Float32Array|Float64Array} positions - XYZ-posisjoner
+ * @param {number} count - Antall punkter
+ * @param {Object} bounds - { minX, maxX, minY, maxY, minZ, maxZ }
+ * @param {function(number): void} [onProgress] - Kalles med andel ferdig (0-1)
+ * @returns {{ order: Uint32Array, nodes: Array<Object> }} order[i] er gammel indeks for nytt punkt i;
+ *   nodes er { start, count, level, spacing, children } i dybde-først rekkefølge (rot = 0)
+ */
+export function buildOctreeIndex(positions, count, bounds, onProgress = null) {
+  const order = new Uint32Array(count);
+  for (let i = 0; i < count; i++) order[i] = i;
+
+  const scratch = new Uint32Array(count);
+  const occupied = new Uint8Array(SAMPLE_GRID * SAMPLE_GRID * SAMPLE_GRID);
+  const nodes = [];
+
+  // Kubisk rot-boks, så alle noder får like sider
+  const rootSize = Math.max(
+    bounds.maxX - bounds.minX,
+    bounds.maxY - bounds.minY,
+    bounds.maxZ - bounds.minZ
+  ) || 1;
+
+  let placed = 0;
+  let lastReported = 0;
+  const reportPlaced = (n) => {
+    placed += n;
+    if (onProgress && placed / count - lastReported >= 0.01) {
+      lastReported = placed / count;
+      onProgress(lastReported);
+    }
+  };
+
+  const build = (start, end, minX, minY, minZ, size, level) => {
+    const node = { start, count: end - start, level, spacing: size / SAMPLE_GRID, children: [] };
+    const nodeIndex = nodes.length;
+    nodes.push(node);
+
+    if (end - start <= MAX_POINTS_PER_NODE || level >= MAX_DEPTH) {
+      // Løvnoden har alle gjenværende punkter: anslå avstanden som for en flate
+      node.spacing = size / Math.max(SAMPLE_GRID, Math.sqrt(end - start));
+      reportPlaced(end - start);
+      return nodeIndex;
+    }
+
+    // 1. Utvalg: første punkt i hver celle flyttes til starten av området
+    occupied.fill(0);
+    const cellScale = SAMPLE_GRID / size;
+    const maxCell = SAMPLE_GRID - 1;
+    let sampleEnd = start;
+
+    for (let i = start; i < end; i++) {
+      const p = order[i] * 3;
+      const ix = clampCell((positions[p] - minX) * cellScale, maxCell);
+      const iy = clampCell((positions[p + 1] - minY) * cellScale, maxCell);
+      const iz = clampCell((positions[p + 2] - minZ) * cellScale, maxCell);
+      const cell = ix + SAMPLE_GRID * (iy + SAMPLE_GRID * iz);
+
+      if (occupied[cell] === 0) {
+        occupied[cell] = 1;
+        const swap = order[sampleEnd];
+        order[sampleEnd] = order[i];
+        order[i] = swap;
+        sampleEnd++;
+      }
+    }
+
+    node.count = sampleEnd - start;
+    reportPlaced(node.count);
+
+    // 2. Resten fordeles på oktantene (tellesortering via scratch)
+    const half = size / 2;
+    const midX = minX + half, midY = minY + half, midZ = minZ + half;
+    const octantOf = (index) => {
+      const p = index * 3;
+      return (positions[p] >= midX ? 1 : 0) | (positions[p + 1] >= midY ? 2 : 0) | (positions[p + 2] >= midZ ? 4 : 0);
+    };
+
+    const counts = new Uint32Array(8);
+    for (let i = sampleEnd; i < end; i++) counts[octantOf(order[i])]++;
+
+    const offsets = new Uint32Array(8);
+    offsets[0] = sampleEnd;
+    for (let octant = 1; octant < 8; octant++) offsets[octant] = offsets[octant - 1] + counts[octant - 1];
+
+    const cursor = offsets.slice();
+    for (let i = sampleEnd; i < end; i++) {
+      const index = order[i];
+      scratch[cursor[octantOf(index)]++] = index;
+    }
+    order.set(scratch.subarray(sampleEnd, end), sampleEnd);
+
+    // 3. Barna bygges rekursivt i samme rekkefølge som de ligger i order
+    for (let octant = 0; octant < 8; octant++) {
+      if (counts[octant] === 0) continue;
+      const childIndex = build(
+        offsets[octant],
+        offsets[octant] + counts[octant],
+        octant & 1 ? midX : minX,
+        octant & 2 ? midY : minY,
+        octant & 4 ? midZ : minZ,
+        half,
+        level + 1
+      );
+      node.children.push(childIndex);
+    }
+
+    return nodeIndex;
+  };
+
+  if (count > 0) {
+    build(0, count, bounds.minX, bounds.minY, bounds.minZ, rootSize, 0);
+  }
+
+  return { order, nodes };
+}
+
+/**
+ * Sorterer et per-punkt array i octree-rekkefølge uten å lage en kopi
+ * (følger syklusene i permutasjonen - viktig for skyer med mange millioner punkter)
+ * @param {TypedArray} array - Arrayet som endres
+ * @param {number} itemSize - Antall verdier per punkt
+ * @param {Uint32Array} order - Fra buildOctreeIndex()
+ * @param {Uint8Array} [visited] - Gjenbrukbart arbeids-array (lengde = antall punkter)
+ */
+export function permuteInPlace(array, itemSize, order, visited = new Uint8Array(order.length)) {
+  visited.fill(0);
+  const temp = new array.constructor(itemSize);
+
+  for (let i = 0; i < order.length; i++) {
+    if (visited[i] || order[i] === i) continue;
+
+    // Ta vare på første element i syklusen, og flytt resten ett steg
+    for (let k = 0; k < itemSize; k++) temp[k] = array[i * itemSize + k];
+
+    let j = i;
+    while (true) {
+      visited[j] = 1;
+      const source = order[j];
+      if (source === i) {
+        for (let k = 0; k < itemSize; k++) array[j * itemSize + k] = temp[k];
+        break;
+      }
+      for (let k = 0; k < itemSize; k++) array[j * itemSize + k] = array[source * itemSize + k];
+      j = source;
+    }
+  }
+
+  return array;
+}
+
+/**
+ * Node-tabellen etter at punkter er fjernet (resten beholder rekkefølgen)
+ * Hver node beholder sine gjenværende punkter, så octreet trenger ikke bygges på nytt.
+ * @param {Array<Object>} nodes - { start, count, level, spacing, children } fra buildOctreeIndex()
+ * @param {Uint8Array} keep - 1 for punkter som beholdes (gammel indeks)
+ * @returns {Array<Object>} Nye noder med samme struktur
+ */
+export function remapNodes(nodes, keep) {
+  // Nodene dekker hvert sitt område, så de kan telles i én gjennomgang sortert etter start
+  const byStart = nodes.map((node, index) => index).sort((a, b) => nodes[a].start - nodes[b].start);
+  const remapped = new Array(nodes.length);
+
+  let kept = 0;
+  for (const index of byStart) {
+    const node = nodes[index];
+    const start = kept;
+    const end = node.start + node.count;
+    for (let i = node.start; i < end; i++) kept += keep[i];
+    remapped[index] = { ...node, start, count: kept - start, children: [...node.children] };
+  }
+
+  return remapped;
+}
+
+function clampCell(value, maxCell) {
+  const cell = Math.floor(value);
+  return cell < 0 ? 0 : (cell > maxCell ? maxCell : cell);
+}
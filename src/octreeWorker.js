@@ -0,0 +1,37 @@
+/**
+ * Web Worker for bygging av octree
+ * Bygger node-tabellen og sorterer alle per-punkt arrayene i node-rekkefølge.
+ * Arrayene overføres (transferable) begge veier uten kopiering.
+ *
+ * Meldinger inn:  { positions, count, bounds, arrays: { navn: { array, itemSize } } }
+ * Meldinger ut:   { type: 'progress', fraction }
+ *                 { type: 'done', result: { positions, arrays, nodes } }
+ *                 { type: 'error', message }
+ */
+
+import { buildOctreeIndex, permuteInPlace } from './octreeBuilder.js';
+
+self.onmessage = (event) => {
+  const { positions, count, bounds, arrays } = event.data;
+
+  try {
+    // Selve byggingen er mesteparten av jobben; sorteringen tar resten
+    const { order, nodes } = buildOctreeIndex(positions, count, bounds, (fraction) => {
+      self.postMessage({ type: 'progress', fraction: fraction * 0.8 });
+    });
+
+    const visited = new Uint8Array(order.length);
+    permuteInPlace(positions, 3, order, visited);
+
+    const entries = Object.values(arrays);
+    entries.forEach((entry, index) => {
+      permuteInPlace(entry.array, entry.itemSize, order, visited);
+      self.postMessage({ type: 'progress', fraction: 0.8 + 0.2 * (index + 1) / entries.length });
+    });
+
+    const transfer = new Set([positions.buffer, ...entries.map(entry => entry.array.buffer)]);
+    self.postMessage({ type: 'done', result: { positions, arrays, nodes } }, [...transfer]);
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message || String(error) });
+  }
+};
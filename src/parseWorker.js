@@ -0,0 +1,77 @@
+/**
+ * Web Worker for parsing av XYZ- og CSV/TXT-filer
+ * Leser File-objektet i biter via streams, deler på hele linjer og sender
+ * fremdrift tilbake. Resultat-arrayene overføres (transferable) uten kopiering.
+ *
+ * Meldinger inn:  { file, columnMapping }
+ * Meldinger ut:   { type: 'progress', loaded, total }
+ *                 { type: 'done', result }
+ *                 { type: 'error', message }
+ */
+
+import { createXYZLineParser, createDelimitedLineParser } from './xyzParser.js';
+
+// Send fremdrift maks hver 1% for ikke å oversvømme hovedtråden
+const PROGRESS_STEP = 0.01;
+
+self.onmessage = async (event) => {
+  const { file, columnMapping } = event.data;
+
+  try {
+    const result = await parseFile(file, columnMapping);
+
+    // Overfør bufferne i stedet for å kopiere dem
+    const transfer = [result.positions.buffer];
+    if (result.colors) transfer.push(result.colors.buffer);
+    Object.values(result.attributes || {}).forEach(attribute => transfer.push(attribute.array.buffer));
+
+    self.postMessage({ type: 'done', result }, transfer);
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message || String(error) });
+  }
+};
+
+async function parseFile(file, columnMapping) {
+  // En typisk linje er 25-50 bytes; parserne vokser ved behov
+  const estimatedPoints = Math.ceil(file.size / 40);
+  const lineParser = columnMapping
+    ? createDelimitedLineParser(columnMapping, estimatedPoints)
+    : createXYZLineParser(estimatedPoints);
+
+  const reader = file.stream().getReader();
+  const decoder = new TextDecoder('utf-8');
+  let remainder = ''; // Ufullstendig linje fra forrige bit
+  let loaded = 0;
+  let lastReported = 0;
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    loaded += value.byteLength;
+    const text = remainder + decoder.decode(value, { stream: true });
+
+    // Parse bare hele linjer; resten tas med i neste bit
+    const lastNewline = text.lastIndexOf('\n');
+    if (lastNewline === -1) {
+      remainder = text;
+    } else {
+      lineParser.parseLines(text.substring(0, lastNewline + 1));
+      remainder = text.substring(lastNewline + 1);
+    }
+
+    if (file.size > 0 && loaded / file.size - lastReported >= PROGRESS_STEP) {
+      lastReported = loaded / file.size;
+      self.postMessage({ type: 'progress', loaded, total: file.size });
+    }
+  }
+
+  // Siste linje uten linjeskift
+  remainder += decoder.decode();
+  if (remainder) {
+    lineParser.parseLines(remainder);
+  }
+
+  self.postMessage({ type: 'progress', loaded: file.size, total: file.size });
+  return lineParser.finish();
+}
@@ -1,102 +1,162 @@
-import * as THREE from 'three';
+import { parsePLYFile } from './plyParser.js';
+import { parsePCDFile } from './pcdParser.js';
+import { parseLASFile } from './lasParser.js';
+import { computeColors } from './colorMap.js';
 
 /**
- * Optimalisert parser for XYZ-filer
- * Bruker TypedArrays og unngår String.split() for å spare minne.
+ * Parser en XYZ- eller CSV/TXT-fil i en Web Worker
+ * Filen leses i biter (streams), så UI-et fryser ikke og vi unngår
+ * grensen for strenglengde. Resultat-arrayene overføres uten kopiering.
+ * @param {File} file - Tekstfilen som skal parses
+ * @param {Object} [options]
+ * @param {Object} [options.columnMapping] - Kolonneoppsett fra import-dialogen (ellers XYZ)
+ * @param {function(number): void} [options.onProgress] - Kalles med andel lest (0-1)
+ * @param {AbortSignal} [options.signal] - Avbryter parsingen (worker termineres)
+ * @returns {Promise<Object>} { positions, colors, count, bounds, attributes }
  */
-export function parseXYZFile(content) {
-  const len = content.length;
-
-  // 1. Estimer antall punkter for å pre-allokere minne.
-  // En typisk XYZ-linje er kanskje 25-50 bytes. Vi gjetter konservativt for å unngå resizing.
-  // Det er raskere å ha for mye minne og slice det etterpå, enn å growe arrayet.
-  const estimatedPoints = Math.ceil(len / 20);
-
-  // Alloker TypedArrays (mye raskere enn vanlige arrays)
-  let positions = new Float32Array(estimatedPoints * 3);
-  let colors = new Float32Array(estimatedPoints * 3);
-
-  let pIndex = 0; // Peker til hvor vi er i positions-arrayet
-  let minX = Infinity, maxX = -Infinity;
-  let minY = Infinity, maxY = -Infinity;
-  let minZ = Infinity, maxZ = -Infinity;
-
-  // Regex for å finne tall. Dette er ofte raskere enn manuell parsing i JS for store strenger
-  // fordi V8 sin regex-motor er skrevet i C++.
-  // Matcher: (tall) mellomrom (tall) mellomrom (tall)
-  const lineRegex = /([+-]?\d*\.?\d+(?:[eE][+-]?\d+)?)\s+([+-]?\d*\.?\d+(?:[eE][+-]?\d+)?)\s+([+-]?\d*\.?\d+(?:[eE][+-]?\d+)?)/g;
-
-  let match;
-
-  // --- PASS 1: Parse tekst til tall ---
-  // Vi kjører regex i en løkke. exec() returnerer neste match uten å lage en gigantisk array.
-  while ((match = lineRegex.exec(content)) !== null) {
-    const x = parseFloat(match[1]);
-    const y = parseFloat(match[2]);
-    const z = parseFloat(match[3]);
-
-    // Utvid arrays hvis estimatet var for lavt
-    if (pIndex + 3 >= positions.length) {
-      const newPos = new Float32Array(positions.length * 2);
-      newPos.set(positions);
-      positions = newPos;
-
-      const newCol = new Float32Array(colors.length * 2);
-      newCol.set(colors);
-      colors = newCol;
+export function parseTextFileInWorker(file, { columnMapping = null, onProgress = null, signal = null } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException('Parsing cancelled', 'AbortError'));
+      return;
     }
 
-    positions[pIndex] = x;
-    positions[pIndex + 1] = y;
-    positions[pIndex + 2] = z;
+    const worker = new Worker(new URL('./parseWorker.js', import.meta.url), { type: 'module' });
 
-    // Oppdater bounds "inline" for å unngå en ekstra loop
-    if (x < minX) minX = x;
-    if (x > maxX) maxX = x;
-    if (y < minY) minY = y;
-    if (y > maxY) maxY = y;
-    if (z < minZ) minZ = z;
-    if (z > maxZ) maxZ = z;
+    const onAbort = () => {
+      worker.terminate();
+      console.log(`Parsing of ${file.name} cancelled`);
+      reject(new DOMException('Parsing cancelled', 'AbortError'));
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
 
-    pIndex += 3;
-  }
+    const cleanup = () => {
+      signal?.removeEventListener('abort', onAbort);
+      worker.terminate();
+    };
 
-  const count = pIndex / 3;
+    worker.onmessage = (event) => {
+      const message = event.data;
+
+      if (message.type === 'progress') {
+        onProgress?.(message.loaded / message.total);
+      } else if (message.type === 'done') {
+        cleanup();
+        resolve(message.result);
+      } else if (message.type === 'error') {
+        cleanup();
+        reject(new Error(message.message));
+      }
+    };
 
-  // Trim arrays ned til faktisk størrelse
-  positions = positions.slice(0, pIndex);
-  colors = colors.slice(0, pIndex);
+    worker.onerror = (event) => {
+      cleanup();
+      reject(new Error(event.message || 'Parser worker failed'));
+    };
 
-  console.log(`Parsed ${count} points. Z-Range: ${minZ} to ${maxZ}`);
+    worker.postMessage({ file, columnMapping });
+  });
+}
 
-  // --- PASS 2: Fargelegging (Lynraskt siden vi jobber med tall) ---
-  const zRange = maxZ - minZ || 1;
-  const tempColor = new THREE.Color(); // Gjenbruk objektet for å spare GC
+/**
+ * Beregner høydebaserte farger med valgt fargeskala (se colorMap.js)
+ * @param {Float32Array} positions - XYZ-posisjoner
+ * @param {number} minZ - Laveste Z-verdi
+ * @param {number} maxZ - Høyeste Z-verdi
+ * @param {Float32Array} [colors] - Array å skrive til (opprettes hvis ikke gitt)
+ * @returns {Float32Array} RGB-farger i området 0-1
+ */
+export function computeHeightColors(positions, minZ, maxZ, colors = new Float32Array(positions.length)) {
+  return computeColors(positions, minZ, maxZ, colors);
+}
 
-  for (let i = 0; i < pIndex; i += 3) {
-    const z = positions[i + 2];
-    const normalizedZ = (z - minZ) / zRange;
+// Filendelser som parsePointFile kan lese (ukjente endelser leses som XYZ-tekst)
+export const SUPPORTED_EXTENSIONS = ['.txt', '.csv', '.xyz', '.pcd', '.ply', '.las', '.laz'];
 
-    // Blå (0.6) til Rød (0.0)
-    tempColor.setHSL(0.6 - normalizedZ * 0.6, 1.0, 0.5);
+/**
+ * Sjekker om filnavnet har en endelse som parsePointFile støtter
+ */
+export function isSupportedPointFile(fileName) {
+  const name = fileName.toLowerCase();
+  return SUPPORTED_EXTENSIONS.some(ext => name.endsWith(ext));
+}
 
-    colors[i] = tempColor.r;
-    colors[i + 1] = tempColor.g;
-    colors[i + 2] = tempColor.b;
+/**
+ * Leser og parser en punktsky-fil basert på filendelsen
+ * - .ply: binær eller ASCII PLY via parsePLYFile
+ * - .pcd: PCL-format (ascii, binary, binary_compressed) via parsePCDFile
+ * - .las/.laz: ASPRS LAS (LAZ dekomprimeres lokalt) via parseLASFile
+ * - CSV/TXT med kolonneoppsett fra import-dialogen, og alt annet som
+ *   tekstbasert XYZ - begge strømmes i en Web Worker (parseTextFileInWorker)
+ * colors er alltid høydebaserte farger. RGB fra filen legges i
+ * attributes.trueColor slik at brukeren kan bytte mellom de to.
+ * @param {File} file - Fil fra file input eller drag-and-drop
+ * @param {Object} [options] - { columnMapping, onProgress, signal } (se parseTextFileInWorker)
+ * positions er Float64Array med originale koordinater; decimals er antall
+ * koordinat-desimaler i filen (null hvis ukjent) og brukes ved eksport.
+ * Tekstformatene gir i tillegg diagnostics med linjenumre for ødelagte rader.
+ * intensityNormalized sier om intensiteten er 0-1 i kilden (skaleres til 16 bit ved LAS-eksport).
+ * @returns {Promise<Object>} { positions, colors, count, bounds, attributes, intensityNormalized, decimals?, metadata?, diagnostics? }
+ */
+export async function parsePointFile(file, options = {}) {
+  const fileName = file.name.toLowerCase();
+
+  let result;
+  if (fileName.endsWith('.ply')) {
+    const buffer = await file.arrayBuffer();
+    result = parsePLYFile(buffer);
+  } else if (fileName.endsWith('.pcd')) {
+    const buffer = await file.arrayBuffer();
+    result = parsePCDFile(buffer);
+  } else if (fileName.endsWith('.las') || fileName.endsWith('.laz')) {
+    const buffer = await file.arrayBuffer();
+    result = await parseLASFile(buffer);
+  } else {
+    result = await parseTextFileInWorker(file, options);
   }
 
-  return {
-    positions, // Returnerer nå Float32Array direkte
-    colors,    // Returnerer Float32Array direkte
-    count,
-    bounds: { minX, maxX, minY, maxY, minZ, maxZ }
-  };
+  // Binærformatene parses på hovedtråden og kan bare avbrytes når de er ferdige
+  options.signal?.throwIfAborted();
+
+  result.attributes = result.attributes || {};
+
+  // Formater uten fast intensitetsskala (flyttall): 0-1 i hele filen regnes som normalisert
+  if (result.intensityNormalized === undefined) {
+    const intensity = result.attributes.intensity?.array;
+    result.intensityNormalized = Boolean(intensity) && intensity.length > 0 && intensity.every(value => value <= 1);
+  }
+
+  // Egne farger fra filen beholdes som true-colour ved siden av høydefargene
+  if (result.colors) {
+    result.attributes.trueColor = { array: result.colors, itemSize: 3 };
+  }
+  result.colors = result.count > 0
+    ? computeHeightColors(result.positions, result.bounds.minZ, result.bounds.maxZ)
+    : new Float32Array(0);
+
+  return result;
+}
+
+/**
+ * Formaterer en original koordinat med filens presisjon
+ * @param {number} value - Koordinat i double-presisjon
+ * @param {number|null} [decimals] - Antall desimaler; null gir korteste eksakte representasjon
+ */
+export function formatCoordinate(value, decimals = null) {
+  return decimals === null || decimals === undefined ? String(value) : value.toFixed(decimals);
 }
 
-export function centerPositions(positions, bounds) {
-  const centerX = (bounds.minX + bounds.maxX) / 2;
-  const centerY = (bounds.minY + bounds.maxY) / 2;
-  const centerZ = (bounds.minZ + bounds.maxZ) / 2;
+/**
+ * Sentrerer posisjoner rundt origo for WebGL (Float32)
+ * Subtraksjonen gjøres i double-presisjon før resultatet lagres som Float32,
+ * så de originale koordinatene (Float64) kan beholdes for eksport og måling.
+ * @param {Object} [offset] - Eksisterende offset { x, y, z } (flere lag i samme økt);
+ *   uten offset brukes senteret av bounds
+ */
+export function centerPositions(positions, bounds, offset = null) {
+  const centerX = offset ? offset.x : (bounds.minX + bounds.maxX) / 2;
+  const centerY = offset ? offset.y : (bounds.minY + bounds.maxY) / 2;
+  const centerZ = offset ? offset.z : (bounds.minZ + bounds.maxZ) / 2;
 
   console.log(`Centering offset: ${centerX}, ${centerY}, ${centerZ}`);
 
@@ -131,7 +191,6 @@ export function generateDefaultCloud() {
 
   const positions = [];
   const colors = [];
-  const tempColor = new THREE.Color();
 
   // UTM-koordinater i 500.000 / 6.000.000 området
   const baseX = 500000;
@@ -199,17 +258,8 @@ export function generateDefaultCloud() {
   console.log(`✓ ${count} punkter generert`);
   console.log(`📍 Høydespenn: ${(maxZ - minZ).toFixed(2)}m (${minZ.toFixed(2)} til ${maxZ.toFixed(2)}m)`);
 
-  // Fargelegging i samme loop siden vi vet Z-range på forhånd (baseZ til baseZ+10)
-  const zRange = maxZ - minZ || 1;
-
-  for (let i = 0; i < positions.length; i += 3) {
-    const z = positions[i + 2];
-    const normalizedZ = (z - minZ) / zRange;
-
-    // Fargelegg basert på Z-verdi (samme gradient som i parseXYZFile)
-    tempColor.setHSL(0.6 - normalizedZ * 0.6, 1.0, 0.5); // Blå (0.6) til rød (0.0)
-    colors.push(tempColor.r, tempColor.g, tempColor.b);
-  }
+  // Fargelegging med valgt fargeskala nå som Z-range er kjent (baseZ til baseZ+10)
+  computeColors(positions, minZ, maxZ, colors);
 
   return {
     positions,
@@ -0,0 +1,482 @@
+/**
+ * PCD parser - Point Cloud Library-format (ASCII, binary og binary_compressed)
+ * Mapper feltene til det felles resultatformatet (se parsePointFile i parser.js):
+ * { positions, colors, count, bounds, attributes }
+ */
+
+const SUPPORTED_DATA = ['ascii', 'binary', 'binary_compressed'];
+
+// Felles buffer for å tolke pakket rgb lagret som float (PCL-konvensjon)
+const packedFloat = new Float32Array(1);
+const packedUint = new Uint32Array(packedFloat.buffer);
+
+/**
+ * Parser en PCD-fil fra en ArrayBuffer
+ * Returnerer colors = null hvis filen ikke har rgb/rgba, slik at kalleren
+ * kan fylle inn høydefarger.
+ * @param {ArrayBuffer} buffer - Hele filinnholdet
+ * @returns {Object} { positions, colors, count, bounds, attributes }
+ */
+export function parsePCDFile(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const header = parsePCDHeader(bytes);
+  const layout = getFieldLayout(header);
+
+  console.log(`PCD: data=${header.data}, ${header.points} points (${header.width} x ${header.height}), fields: ${header.fields.join(', ')}`);
+
+  if (header.data === 'ascii') {
+    return readASCIIPoints(bytes, header, layout);
+  }
+
+  if (header.data === 'binary') {
+    // Punktene ligger etter hverandre (row-major): x y z rgb | x y z rgb | ...
+    const view = new DataView(buffer, header.dataOffset);
+    if (view.byteLength < header.pointSize * header.points) {
+      throw new Error(`PCD file is truncated: expected ${header.points} points of ${header.pointSize} bytes`);
+    }
+    return readBinaryPoints(view, header, layout, (fieldOffset) => ({ base: fieldOffset, step: header.pointSize }));
+  }
+
+  // binary_compressed: LZF-komprimert, feltene ligger etter hverandre (column-major)
+  const headerView = new DataView(buffer, header.dataOffset);
+  if (headerView.byteLength < 8) {
+    throw new Error('PCD file is truncated: missing compressed data sizes');
+  }
+  const compressedSize = headerView.getUint32(0, true);
+  const uncompressedSize = headerView.getUint32(4, true);
+
+  if (uncompressedSize !== header.pointSize * header.points) {
+    throw new Error(`PCD compressed data size mismatch: expected ${header.pointSize * header.points} bytes, header says ${uncompressedSize}`);
+  }
+
+  const compressed = bytes.subarray(header.dataOffset + 8, header.dataOffset + 8 + compressedSize);
+  if (compressed.length < compressedSize) {
+    throw new Error('PCD file is truncated inside compressed data');
+  }
+
+  const decompressed = decompressLZF(compressed, uncompressedSize);
+  const view = new DataView(decompressed.buffer);
+  return readBinaryPoints(view, header, layout, (fieldOffset, field) => ({
+    base: fieldOffset * header.points,
+    step: field.size * field.count
+  }));
+}
+
+/**
+ * Leser PCD-headeren (alltid ASCII, avsluttes med DATA-linjen)
+ */
+function parsePCDHeader(bytes) {
+  const headerText = new TextDecoder('ascii').decode(bytes.subarray(0, Math.min(bytes.length, 65536)));
+
+  const dataMatch = /^DATA[ \t]+(\S+)[ \t]*\r?\n/m.exec(headerText);
+  if (!dataMatch) {
+    throw new Error('Not a PCD file (missing "DATA" line in header)');
+  }
+
+  const header = {
+    fields: [],
+    sizes: [],
+    types: [],
+    counts: [],
+    width: 0,
+    height: 1,
+    points: 0,
+    data: dataMatch[1].toLowerCase(),
+    dataOffset: dataMatch.index + dataMatch[0].length
+  };
+
+  if (!SUPPORTED_DATA.includes(header.data)) {
+    throw new Error(`Unsupported PCD data type "${dataMatch[1]}"`);
+  }
+
+  const lines = headerText.slice(0, dataMatch.index).split(/\r?\n/);
+  let hasPoints = false;
+
+  for (const rawLine of lines) {
+    const line = rawLine.trim();
+    if (line === '' || line.startsWith('#')) continue;
+
+    const tokens = line.split(/\s+/);
+    const keyword = tokens[0].toUpperCase();
+    const values = tokens.slice(1);
+
+    switch (keyword) {
+      case 'VERSION':
+      case 'VIEWPOINT':
+        break;
+      case 'FIELDS':
+        header.fields = values;
+        break;
+      case 'SIZE':
+        header.sizes = values.map(v => parseInt(v, 10));
+        break;
+      case 'TYPE':
+        header.types = values.map(v => v.toUpperCase());
+        break;
+      case 'COUNT':
+        header.counts = values.map(v => parseInt(v, 10));
+        break;
+      case 'WIDTH':
+        header.width = parseInt(values[0], 10);
+        break;
+      case 'HEIGHT':
+        header.height = parseInt(values[0], 10);
+        break;
+      case 'POINTS':
+        header.points = parseInt(values[0], 10);
+        hasPoints = true;
+        break;
+      default:
+        throw new Error(`Unknown PCD header keyword "${tokens[0]}"`);
+    }
+  }
+
+  const numFields = header.fields.length;
+  if (numFields === 0) {
+    throw new Error('PCD header is missing FIELDS');
+  }
+
+  // COUNT er valgfri (standard 1), SIZE og TYPE må matche FIELDS
+  if (header.counts.length === 0) {
+    header.counts = new Array(numFields).fill(1);
+  }
+  if (header.sizes.length !== numFields || header.types.length !== numFields || header.counts.length !== numFields) {
+    throw new Error('PCD header FIELDS, SIZE, TYPE and COUNT must have the same number of entries');
+  }
+
+  if (!hasPoints) {
+    header.points = header.width * header.height;
+  }
+  if (!Number.isFinite(header.points) || header.points < 0) {
+    throw new Error('PCD header has an invalid number of points');
+  }
+
+  header.pointSize = 0;
+  for (let f = 0; f < numFields; f++) {
+    checkFieldType(header.fields[f], header.types[f], header.sizes[f]);
+    header.pointSize += header.sizes[f] * header.counts[f];
+  }
+
+  return header;
+}
+
+function checkFieldType(name, type, size) {
+  const valid = (type === 'F' && (size === 4 || size === 8)) ||
+    ((type === 'I' || type === 'U') && [1, 2, 4, 8].includes(size));
+  if (!valid) {
+    throw new Error(`Unsupported PCD field "${name}": TYPE ${type} with SIZE ${size}`);
+  }
+}
+
+/**
+ * Finner hvilke felt som brukes og hvor de ligger i hvert punkt
+ */
+function getFieldLayout(header) {
+  const fields = [];
+  let offset = 0;
+  let tokenIndex = 0;
+
+  for (let f = 0; f < header.fields.length; f++) {
+    fields.push({
+      name: header.fields[f],
+      type: header.types[f],
+      size: header.sizes[f],
+      count: header.counts[f],
+      offset,
+      tokenIndex
+    });
+    offset += header.sizes[f] * header.counts[f];
+    tokenIndex += header.counts[f];
+  }
+
+  const find = (names) => fields.find(field => names.includes(field.name.toLowerCase())) || null;
+
+  const layout = {
+    fields,
+    tokensPerPoint: tokenIndex,
+    x: find(['x']),
+    y: find(['y']),
+    z: find(['z']),
+    rgb: find(['rgb', 'rgba']),
+    nx: find(['normal_x', 'nx']),
+    ny: find(['normal_y', 'ny']),
+    nz: find(['normal_z', 'nz']),
+    intensity: find(['intensity'])
+  };
+
+  if (!layout.x || !layout.y || !layout.z) {
+    throw new Error('Unsupported PCD layout: FIELDS must include x, y and z');
+  }
+
+  if (layout.rgb && layout.rgb.size !== 4) {
+    throw new Error(`Unsupported PCD layout: packed "${layout.rgb.name}" field must be 4 bytes`);
+  }
+
+  layout.hasNormals = !!(layout.nx && layout.ny && layout.nz);
+
+  return layout;
+}
+
+/**
+ * Dekomprimerer LZF-data (brukes av PCL for binary_compressed)
+ * @param {Uint8Array} input - Komprimerte bytes
+ * @param {number} outputLength - Forventet lengde etter dekomprimering
+ * @returns {Uint8Array}
+ */
+function decompressLZF(input, outputLength) {
+  const output = new Uint8Array(outputLength);
+  let ip = 0;
+  let op = 0;
+
+  while (ip < input.length) {
+    const ctrl = input[ip++];
+
+    if (ctrl < 32) {
+      // Literal run: ctrl + 1 bytes kopieres direkte
+      const len = ctrl + 1;
+      if (op + len > outputLength || ip + len > input.length) {
+        throw new Error('Corrupt LZF data in PCD file (literal run out of bounds)');
+      }
+      for (let i = 0; i < len; i++) {
+        output[op++] = input[ip++];
+      }
+    } else {
+      // Back reference: kopier fra tidligere dekomprimert output
+      let len = ctrl >> 5;
+      let ref = op - ((ctrl & 0x1f) << 8) - 1;
+
+      if (len === 7) {
+        len += input[ip++];
+      }
+      ref -= input[ip++];
+      len += 2;
+
+      if (ref < 0 || op + len > outputLength) {
+        throw new Error('Corrupt LZF data in PCD file (back reference out of bounds)');
+      }
+
+      // Byte for byte siden referansen kan overlappe output
+      for (let i = 0; i < len; i++) {
+        output[op++] = output[ref++];
+      }
+    }
+  }
+
+  if (op !== outputLength) {
+    throw new Error(`Corrupt LZF data in PCD file: got ${op} bytes, expected ${outputLength}`);
+  }
+
+  return output;
+}
+
+/**
+ * Lager en leser-funksjon for et binært PCD-felt (PCD er alltid little-endian)
+ */
+function createReader(view, field) {
+  const { type, size } = field;
+  if (type === 'F') {
+    return size === 4 ? (o) => view.getFloat32(o, true) : (o) => view.getFloat64(o, true);
+  }
+  if (type === 'U') {
+    switch (size) {
+      case 1: return (o) => view.getUint8(o);
+      case 2: return (o) => view.getUint16(o, true);
+      case 4: return (o) => view.getUint32(o, true);
+      default: return (o) => Number(view.getBigUint64(o, true));
+    }
+  }
+  switch (size) {
+    case 1: return (o) => view.getInt8(o);
+    case 2: return (o) => view.getInt16(o, true);
+    case 4: return (o) => view.getInt32(o, true);
+    default: return (o) => Number(view.getBigInt64(o, true));
+  }
+}
+
+/**
+ * Pakker ut rgb (0x00RRGGBB) til farger i området 0-1
+ */
+function storePackedRGB(colors, i3, packed) {
+  colors[i3] = ((packed >> 16) & 0xff) / 255;
+  colors[i3 + 1] = ((packed >> 8) & 0xff) / 255;
+  colors[i3 + 2] = (packed & 0xff) / 255;
+}
+
+/**
+ * Felles oppsamler for punktene: hopper over NaN-punkter (organiserte skyer)
+ * og holder styr på bounds
+ */
+function createCollector(capacity, layout) {
+  const collector = {
+    positions: new Float64Array(capacity * 3),
+    colors: layout.rgb ? new Float32Array(capacity * 3) : null,
+    normals: layout.hasNormals ? new Float32Array(capacity * 3) : null,
+    intensity: layout.intensity ? new Float32Array(capacity) : null,
+    count: 0,
+    bounds: {
+      minX: Infinity, maxX: -Infinity,
+      minY: Infinity, maxY: -Infinity,
+      minZ: Infinity, maxZ: -Infinity
+    }
+  };
+
+  // Returnerer indeksen punktet skal skrives til, eller -1 hvis det hoppes over
+  collector.add = (x, y, z) => {
+    if (!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(z)) {
+      return -1;
+    }
+
+    const i = collector.count++;
+    const i3 = i * 3;
+    const bounds = collector.bounds;
+
+    collector.positions[i3] = x;
+    collector.positions[i3 + 1] = y;
+    collector.positions[i3 + 2] = z;
+
+    if (x < bounds.minX) bounds.minX = x;
+    if (x > bounds.maxX) bounds.maxX = x;
+    if (y < bounds.minY) bounds.minY = y;
+    if (y > bounds.maxY) bounds.maxY = y;
+    if (z < bounds.minZ) bounds.minZ = z;
+    if (z > bounds.maxZ) bounds.maxZ = z;
+
+    return i;
+  };
+
+  return collector;
+}
+
+/**
+ * Bygger resultat-objektet i det felles formatet (se parsePointFile i parser.js)
+ */
+function buildResult(collector, totalPoints) {
+  const { count } = collector;
+  const skipped = totalPoints - count;
+
+  const attributes = {};
+  if (collector.normals) attributes.normal = { array: collector.normals.slice(0, count * 3), itemSize: 3 };
+  if (collector.intensity) attributes.intensity = { array: collector.intensity.slice(0, count), itemSize: 1 };
+
+  console.log(`Parsed ${count} PCD points${skipped > 0 ? ` (${skipped} invalid/NaN points skipped)` : ''}. Z-Range: ${collector.bounds.minZ} to ${collector.bounds.maxZ}`);
+
+  return {
+    positions: collector.positions.slice(0, count * 3),
+    colors: collector.colors ? collector.colors.slice(0, count * 3) : null,
+    count,
+    bounds: collector.bounds,
+    attributes
+  };
+}
+
+/**
+ * Leser binære punkter. addressOf(fieldOffset, field) gir { base, step } slik at
+ * byte-adressen til punkt i er base + i * step (+ komponent * size).
+ */
+function readBinaryPoints(view, header, layout, addressOf) {
+  const n = header.points;
+  const collector = createCollector(n, layout);
+
+  const accessor = (field) => {
+    if (!field) return null;
+    const { base, step } = addressOf(field.offset, field);
+    return { read: createReader(view, field), base, step };
+  };
+
+  const ax = accessor(layout.x);
+  const ay = accessor(layout.y);
+  const az = accessor(layout.z);
+  const anx = layout.hasNormals ? accessor(layout.nx) : null;
+  const any = layout.hasNormals ? accessor(layout.ny) : null;
+  const anz = layout.hasNormals ? accessor(layout.nz) : null;
+  const ai = accessor(layout.intensity);
+
+  // Pakket rgb leses alltid som uint32, uansett om TYPE er F eller U
+  const rgbAddress = layout.rgb ? addressOf(layout.rgb.offset, layout.rgb) : null;
+
+  for (let p = 0; p < n; p++) {
+    const i = collector.add(
+      ax.read(ax.base + p * ax.step),
+      ay.read(ay.base + p * ay.step),
+      az.read(az.base + p * az.step)
+    );
+    if (i === -1) continue;
+
+    const i3 = i * 3;
+
+    if (rgbAddress) {
+      storePackedRGB(collector.colors, i3, view.getUint32(rgbAddress.base + p * rgbAddress.step, true));
+    }
+
+    if (anx) {
+      collector.normals[i3] = anx.read(anx.base + p * anx.step);
+      collector.normals[i3 + 1] = any.read(any.base + p * any.step);
+      collector.normals[i3 + 2] = anz.read(anz.base + p * anz.step);
+    }
+
+    if (ai) {
+      collector.intensity[i] = ai.read(ai.base + p * ai.step);
+    }
+  }
+
+  return buildResult(collector, n);
+}
+
+/**
+ * Leser ASCII-punkter (ett punkt per linje, COUNT verdier per felt)
+ */
+function readASCIIPoints(bytes, header, layout) {
+  const text = new TextDecoder('utf-8').decode(bytes.subarray(header.dataOffset));
+  const lines = text.split(/\r?\n/);
+  const n = header.points;
+  const collector = createCollector(n, layout);
+
+  const ix = layout.x.tokenIndex;
+  const iy = layout.y.tokenIndex;
+  const iz = layout.z.tokenIndex;
+
+  let p = 0;
+  for (let l = 0; l < lines.length && p < n; l++) {
+    const line = lines[l].trim();
+    if (line === '') continue;
+
+    const tokens = line.split(/\s+/);
+    if (tokens.length < layout.tokensPerPoint) {
+      throw new Error(`PCD point ${p} has ${tokens.length} values, expected ${layout.tokensPerPoint}`);
+    }
+    p++;
+
+    // parseFloat gir NaN for "nan", slik at ugyldige punkter hoppes over
+    const i = collector.add(parseFloat(tokens[ix]), parseFloat(tokens[iy]), parseFloat(tokens[iz]));
+    if (i === -1) continue;
+
+    const i3 = i * 3;
+
+    if (layout.rgb) {
+      let packed;
+      if (layout.rgb.type === 'F') {
+        packedFloat[0] = parseFloat(tokens[layout.rgb.tokenIndex]);
+        packed = packedUint[0];
+      } else {
+        packed = parseInt(tokens[layout.rgb.tokenIndex], 10);
+      }
+      storePackedRGB(collector.colors, i3, packed);
+    }
+
+    if (layout.hasNormals) {
+      collector.normals[i3] = parseFloat(tokens[layout.nx.tokenIndex]);
+      collector.normals[i3 + 1] = parseFloat(tokens[layout.ny.tokenIndex]);
+      collector.normals[i3 + 2] = parseFloat(tokens[layout.nz.tokenIndex]);
+    }
+
+    if (layout.intensity) {
+      collector.intensity[i] = parseFloat(tokens[layout.intensity.tokenIndex]);
+    }
+  }
+
+  if (p < n) {
+    throw new Error(`PCD file is truncated: expected ${n} points, found ${p}`);
+  }
+
+  return buildResult(collector, n);
+}
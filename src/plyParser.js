@@ -0,0 +1,398 @@
+/**
+ * PLY parser - Leser ASCII, binary_little_endian og binary_big_endian
+ * Mapper vertex-elementet til det felles resultatformatet (se parsePointFile i parser.js):
+ * { positions, colors, count, bounds, attributes }
+ */
+
+// Størrelse i bytes for hver PLY-type (både gamle og nye navn)
+const PLY_TYPES = {
+  char: 1, int8: 1,
+  uchar: 1, uint8: 1,
+  short: 2, int16: 2,
+  ushort: 2, uint16: 2,
+  int: 4, int32: 4,
+  uint: 4, uint32: 4,
+  float: 4, float32: 4,
+  double: 8, float64: 8
+};
+
+// Maks verdi per type, brukes for å normalisere heltalls-farger til 0-1
+const PLY_TYPE_MAX = {
+  char: 127, int8: 127,
+  uchar: 255, uint8: 255,
+  short: 32767, int16: 32767,
+  ushort: 65535, uint16: 65535,
+  int: 2147483647, int32: 2147483647,
+  uint: 4294967295, uint32: 4294967295
+};
+
+const SUPPORTED_FORMATS = ['ascii', 'binary_little_endian', 'binary_big_endian'];
+
+const INTENSITY_NAMES = ['intensity', 'scalar_intensity', 'reflectance'];
+
+/**
+ * Parser en PLY-fil fra en ArrayBuffer
+ * Returnerer colors = null hvis filen ikke har red/green/blue, slik at kalleren
+ * kan fylle inn høydefarger.
+ * @param {ArrayBuffer} buffer - Hele filinnholdet
+ * @returns {Object} { positions, colors, count, bounds, attributes }
+ */
+export function parsePLYFile(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const header = parsePLYHeader(bytes);
+
+  const vertexIndex = header.elements.findIndex(el => el.name === 'vertex');
+  if (vertexIndex === -1) {
+    throw new Error('PLY file has no "vertex" element');
+  }
+
+  const vertex = header.elements[vertexIndex];
+  const layout = getVertexLayout(vertex);
+
+  console.log(`PLY: format=${header.format}, ${vertex.count} vertices, properties: ${vertex.properties.map(p => p.name).join(', ')}`);
+
+  if (header.format === 'ascii') {
+    return readASCIIVertices(bytes, header, vertexIndex, layout);
+  }
+  return readBinaryVertices(buffer, header, vertexIndex, layout);
+}
+
+/**
+ * Leser PLY-headeren og finner hvor dataene starter
+ */
+function parsePLYHeader(bytes) {
+  // Headeren er alltid ASCII, les de første 64 kB (mer enn nok for alle vanlige headere)
+  const headerText = new TextDecoder('ascii').decode(bytes.subarray(0, Math.min(bytes.length, 65536)));
+
+  if (!headerText.startsWith('ply')) {
+    throw new Error('Not a PLY file (missing "ply" magic number)');
+  }
+
+  const endMatch = /end_header[ \t]*\r?\n/.exec(headerText);
+  if (!endMatch) {
+    throw new Error('PLY header is missing "end_header"');
+  }
+
+  const dataOffset = endMatch.index + endMatch[0].length;
+  const lines = headerText.slice(0, endMatch.index).split(/\r?\n/);
+
+  let format = null;
+  const elements = [];
+  let currentElement = null;
+
+  for (let i = 1; i < lines.length; i++) {
+    const tokens = lines[i].trim().split(/\s+/);
+    const keyword = tokens[0];
+
+    if (!keyword || keyword === 'comment' || keyword === 'obj_info') continue;
+
+    if (keyword === 'format') {
+      format = tokens[1];
+      if (!SUPPORTED_FORMATS.includes(format)) {
+        throw new Error(`Unsupported PLY format "${format}"`);
+      }
+      if (tokens[2] !== '1.0') {
+        throw new Error(`Unsupported PLY version "${tokens[2]}"`);
+      }
+    } else if (keyword === 'element') {
+      currentElement = {
+        name: tokens[1],
+        count: parseInt(tokens[2], 10),
+        properties: []
+      };
+      if (!Number.isFinite(currentElement.count) || currentElement.count < 0) {
+        throw new Error(`Invalid count for PLY element "${tokens[1]}"`);
+      }
+      elements.push(currentElement);
+    } else if (keyword === 'property') {
+      if (!currentElement) {
+        throw new Error(`PLY property "${tokens[tokens.length - 1]}" declared before any element`);
+      }
+      if (tokens[1] === 'list') {
+        checkType(tokens[2]);
+        checkType(tokens[3]);
+        currentElement.properties.push({
+          name: tokens[4],
+          isList: true,
+          countType: tokens[2],
+          type: tokens[3]
+        });
+      } else {
+        checkType(tokens[1]);
+        currentElement.properties.push({ name: tokens[2], isList: false, type: tokens[1] });
+      }
+    } else {
+      throw new Error(`Unknown PLY header keyword "${keyword}" on line ${i + 1}`);
+    }
+  }
+
+  if (!format) {
+    throw new Error('PLY header is missing the "format" line');
+  }
+
+  return { format, elements, dataOffset };
+}
+
+function checkType(type) {
+  if (!(type in PLY_TYPES)) {
+    throw new Error(`Unknown PLY property type "${type}"`);
+  }
+}
+
+/**
+ * Finner hvilke properties i vertex-elementet som brukes og hvor de ligger
+ */
+function getVertexLayout(vertex) {
+  const listProperty = vertex.properties.find(p => p.isList);
+  if (listProperty) {
+    throw new Error(`Unsupported PLY layout: vertex element has list property "${listProperty.name}"`);
+  }
+
+  const indexOf = (names) => vertex.properties.findIndex(p => names.includes(p.name.toLowerCase()));
+
+  const layout = {
+    x: indexOf(['x']),
+    y: indexOf(['y']),
+    z: indexOf(['z']),
+    red: indexOf(['red', 'r', 'diffuse_red']),
+    green: indexOf(['green', 'g', 'diffuse_green']),
+    blue: indexOf(['blue', 'b', 'diffuse_blue']),
+    nx: indexOf(['nx', 'normal_x']),
+    ny: indexOf(['ny', 'normal_y']),
+    nz: indexOf(['nz', 'normal_z']),
+    intensity: indexOf(INTENSITY_NAMES)
+  };
+
+  if (layout.x === -1 || layout.y === -1 || layout.z === -1) {
+    throw new Error('Unsupported PLY layout: vertex element must have x, y and z properties');
+  }
+
+  layout.hasColor = layout.red !== -1 && layout.green !== -1 && layout.blue !== -1;
+  layout.hasNormals = layout.nx !== -1 && layout.ny !== -1 && layout.nz !== -1;
+  layout.hasIntensity = layout.intensity !== -1;
+  // Heltallsintensitet er aldri normalisert; flyttall avgjøres av verdiene (parser.parsePointFile)
+  layout.intensityInteger = layout.hasIntensity && PLY_TYPE_MAX[vertex.properties[layout.intensity].type] !== undefined;
+
+  // Heltallsfarger skaleres med typens maksverdi, flyttall antas å være 0-1
+  layout.colorScale = layout.hasColor ? 1 / (PLY_TYPE_MAX[vertex.properties[layout.red].type] || 1) : 1;
+
+  return layout;
+}
+
+/**
+ * Allokerer output-arrays for vertex-elementet
+ */
+function createOutput(count, layout) {
+  return {
+    positions: new Float64Array(count * 3),
+    colors: layout.hasColor ? new Float32Array(count * 3) : null,
+    normals: layout.hasNormals ? new Float32Array(count * 3) : null,
+    intensity: layout.hasIntensity ? new Float32Array(count) : null
+  };
+}
+
+/**
+ * Skriver ett punkt til output og oppdaterer bounds
+ * values[] er property-verdiene for ett vertex i header-rekkefølge
+ */
+function storeVertex(out, i, values, layout, bounds) {
+  const x = values[layout.x];
+  const y = values[layout.y];
+  const z = values[layout.z];
+  const i3 = i * 3;
+
+  out.positions[i3] = x;
+  out.positions[i3 + 1] = y;
+  out.positions[i3 + 2] = z;
+
+  if (x < bounds.minX) bounds.minX = x;
+  if (x > bounds.maxX) bounds.maxX = x;
+  if (y < bounds.minY) bounds.minY = y;
+  if (y > bounds.maxY) bounds.maxY = y;
+  if (z < bounds.minZ) bounds.minZ = z;
+  if (z > bounds.maxZ) bounds.maxZ = z;
+
+  if (out.colors) {
+    out.colors[i3] = values[layout.red] * layout.colorScale;
+    out.colors[i3 + 1] = values[layout.green] * layout.colorScale;
+    out.colors[i3 + 2] = values[layout.blue] * layout.colorScale;
+  }
+
+  if (out.normals) {
+    out.normals[i3] = values[layout.nx];
+    out.normals[i3 + 1] = values[layout.ny];
+    out.normals[i3 + 2] = values[layout.nz];
+  }
+
+  if (out.intensity) {
+    out.intensity[i] = values[layout.intensity];
+  }
+}
+
+/**
+ * Bygger resultat-objektet i det felles formatet (se parsePointFile i parser.js)
+ */
+function buildResult(out, count, bounds, layout) {
+  const attributes = {};
+  if (out.normals) attributes.normal = { array: out.normals, itemSize: 3 };
+  if (out.intensity) attributes.intensity = { array: out.intensity, itemSize: 1 };
+
+  console.log(`Parsed ${count} PLY points. Z-Range: ${bounds.minZ} to ${bounds.maxZ}`);
+
+  return {
+    positions: out.positions,
+    colors: out.colors,
+    count,
+    bounds,
+    attributes,
+    ...(layout.intensityInteger && { intensityNormalized: false })
+  };
+}
+
+function emptyBounds() {
+  return {
+    minX: Infinity, maxX: -Infinity,
+    minY: Infinity, maxY: -Infinity,
+    minZ: Infinity, maxZ: -Infinity
+  };
+}
+
+/**
+ * Leser ASCII-data. Elementer før vertex hoppes over linje for linje.
+ */
+function readASCIIVertices(bytes, header, vertexIndex, layout) {
+  const text = new TextDecoder('utf-8').decode(bytes.subarray(header.dataOffset));
+  const lines = text.split(/\r?\n/);
+
+  // Hver linje er ett element; hopp over alle linjer for tidligere elementer
+  let lineIndex = 0;
+  for (let e = 0; e < vertexIndex; e++) {
+    lineIndex += header.elements[e].count;
+  }
+
+  const vertex = header.elements[vertexIndex];
+  const count = vertex.count;
+  const numProps = vertex.properties.length;
+  const out = createOutput(count, layout);
+  const bounds = emptyBounds();
+  const values = new Array(numProps);
+
+  let i = 0;
+  while (i < count) {
+    if (lineIndex >= lines.length) {
+      throw new Error(`PLY file is truncated: expected ${count} vertices, found ${i}`);
+    }
+
+    const line = lines[lineIndex++].trim();
+    if (line === '') continue;
+
+    const tokens = line.split(/\s+/);
+    if (tokens.length < numProps) {
+      throw new Error(`PLY vertex ${i} has ${tokens.length} values, expected ${numProps}`);
+    }
+
+    for (let p = 0; p < numProps; p++) {
+      values[p] = parseFloat(tokens[p]);
+    }
+
+    storeVertex(out, i, values, layout, bounds);
+    i++;
+  }
+
+  return buildResult(out, count, bounds, layout);
+}
+
+/**
+ * Lager en leser-funksjon for en gitt type og endianness
+ */
+function createReader(view, type, littleEndian) {
+  switch (type) {
+    case 'char': case 'int8': return (o) => view.getInt8(o);
+    case 'uchar': case 'uint8': return (o) => view.getUint8(o);
+    case 'short': case 'int16': return (o) => view.getInt16(o, littleEndian);
+    case 'ushort': case 'uint16': return (o) => view.getUint16(o, littleEndian);
+    case 'int': case 'int32': return (o) => view.getInt32(o, littleEndian);
+    case 'uint': case 'uint32': return (o) => view.getUint32(o, littleEndian);
+    case 'float': case 'float32': return (o) => view.getFloat32(o, littleEndian);
+    case 'double': case 'float64': return (o) => view.getFloat64(o, littleEndian);
+    default: throw new Error(`Unknown PLY property type "${type}"`);
+  }
+}
+
+/**
+ * Hopper over et binært element (kan inneholde lister, f.eks. face)
+ * Returnerer ny offset
+ */
+function skipBinaryElement(view, element, offset, littleEndian) {
+  const hasList = element.properties.some(p => p.isList);
+
+  if (!hasList) {
+    const stride = element.properties.reduce((sum, p) => sum + PLY_TYPES[p.type], 0);
+    return offset + stride * element.count;
+  }
+
+  const countReaders = element.properties.map(p => p.isList ? createReader(view, p.countType, littleEndian) : null);
+
+  for (let i = 0; i < element.count; i++) {
+    for (let p = 0; p < element.properties.length; p++) {
+      const prop = element.properties[p];
+      if (prop.isList) {
+        const n = countReaders[p](offset);
+        offset += PLY_TYPES[prop.countType] + n * PLY_TYPES[prop.type];
+      } else {
+        offset += PLY_TYPES[prop.type];
+      }
+      if (offset > view.byteLength) {
+        throw new Error(`PLY file is truncated inside element "${element.name}"`);
+      }
+    }
+  }
+
+  return offset;
+}
+
+/**
+ * Leser binære data (little- eller big-endian)
+ */
+function readBinaryVertices(buffer, header, vertexIndex, layout) {
+  const view = new DataView(buffer);
+  const littleEndian = header.format === 'binary_little_endian';
+
+  let offset = header.dataOffset;
+  for (let e = 0; e < vertexIndex; e++) {
+    offset = skipBinaryElement(view, header.elements[e], offset, littleEndian);
+  }
+
+  const vertex = header.elements[vertexIndex];
+  const count = vertex.count;
+  const numProps = vertex.properties.length;
+
+  // Forhåndsberegn offset og leser for hver property i vertex-recorden
+  const readers = [];
+  const propOffsets = [];
+  let stride = 0;
+  for (const prop of vertex.properties) {
+    propOffsets.push(stride);
+    readers.push(createReader(view, prop.type, littleEndian));
+    stride += PLY_TYPES[prop.type];
+  }
+
+  if (offset + stride * count > buffer.byteLength) {
+    const available = Math.floor((buffer.byteLength - offset) / stride);
+    throw new Error(`PLY file is truncated: expected ${count} vertices, found ${Math.max(0, available)}`);
+  }
+
+  const out = createOutput(count, layout);
+  const bounds = emptyBounds();
+  const values = new Array(numProps);
+
+  for (let i = 0; i < count; i++) {
+    const base = offset + i * stride;
+    for (let p = 0; p < numProps; p++) {
+      values[p] = readers[p](base + propOffsets[p]);
+    }
+    storeVertex(out, i, values, layout, bounds);
+  }
+
+  return buildResult(out, count, bounds, layout);
+}
@@ -0,0 +1,393 @@
+import * as THREE from 'three';
+import * as viewer from './viewer.js';
+import * as selection from './selection.js';
+import { isPointClipped, isClippingActive } from './clipping.js';
+import { getColorByMode, getColorByAttribute, isClassVisible } from './attributeColors.js';
+import { formatCoordinate } from './parser.js';
+import { downloadBlob } from './download.js';
+
+/**
+ * Eksport av punkter til LAS 1.4, binær PLY, CSV og XYZ
+ *
+ * Punktene skrives alltid i originale koordinater: lagets Float64-koordinater fra filen,
+ * eller sentrert + koordinat-offset for lag uten originaldata (f.eks. default-skyen).
+ * Farger er RGB fra filen; lag uten RGB får fargene som vises (høydefarger, uten utbleking).
+ */
+
+export const EXPORT_FORMATS = {
+  las: 'LAS 1.4',
+  ply: 'PLY (binary)',
+  csv: 'CSV',
+  xyz: 'XYZ'
+};
+
+export const EXPORT_SCOPES = {
+  all: 'Full cloud (all layers)',
+  selection: 'Selection',
+  visible: 'Visible points (visible layers and classes, not clipped)'
+};
+
+export const DELIMITERS = {
+  ',': 'Comma (,)',
+  ';': 'Semicolon (;)',
+  ' ': 'Space',
+  '\t': 'Tab'
+};
+
+const FILE_EXTENSIONS = { las: 'las', ply: 'ply', csv: 'csv', xyz: 'xyz' };
+
+// Desimaler når filen ikke sier noe om presisjonen (LAS-skala 0.001 = millimeter)
+const DEFAULT_DECIMALS = 3;
+
+// Linjer per tekstbit i Blob-en (hindrer én gigantisk streng for store skyer)
+const TEXT_CHUNK_LINES = 100000;
+
+const LAS_HEADER_SIZE = 375;
+
+/**
+ * Samler punktene som skal eksporteres
+ * @param {string} scope - Nøkkel i EXPORT_SCOPES
+ * @param {Object} attributes - { color, intensity, classification } - hvilke attributter som tas med
+ * @returns {{ count: number, positions: Float64Array, colors: Float32Array|null,
+ *   intensity: Float32Array|null, classification: Uint8Array|null, decimals: number|null,
+ *   intensityNormalized: boolean }}
+ *   decimals er filens presisjon (høyeste over lagene), null hvis ukjent. intensityNormalized: intensiteten
+ *   er 0-1 fra kilden (lag med 16-bit intensitet i samme eksport gjør at de normaliserte skaleres opp)
+ */
+export function collectPoints(scope, attributes) {
+  const layers = viewer.getLayers().filter(layer => scope === 'all' || layer.points.visible);
+  const offset = viewer.getCoordinateOffset();
+  const clipping = scope === 'visible' && isClippingActive();
+  // Klasser som er skjult i paletten tegnes ikke (se pointShading.js), så de er ikke synlige
+  const classAttribute = scope === 'visible' && getColorByMode() === 'classification' ? getColorByAttribute() : null;
+  const point = new THREE.Vector3();
+
+  // Punktene per lag som er med (1 = eksporteres)
+  const parts = layers.map(layer => {
+    const pointCloud = layer.points;
+    const positions = pointCloud.geometry.attributes.position.array;
+    const count = positions.length / 3;
+    const include = scope === 'selection'
+      ? (selection.getSelectionMask(pointCloud) ?? new Uint8Array(count))
+      : new Uint8Array(count).fill(1);
+
+    if (clipping) {
+      for (let i = 0; i < count; i++) {
+        if (include[i] && isPointClipped(point.fromArray(positions, i * 3))) include[i] = 0;
+      }
+    }
+
+    const classes = classAttribute ? pointCloud.geometry.attributes[classAttribute] : null;
+    if (classes && classes.itemSize === 1) {
+      for (let i = 0; i < count; i++) {
+        // Samme avrunding som klasse-oppslaget i shaderen
+        const classId = Math.min(Math.max(Math.floor(classes.array[i] + 0.5), 0), 255);
+        if (include[i] && !isClassVisible(classId)) include[i] = 0;
+      }
+    }
+
+    let included = 0;
+    for (let i = 0; i < count; i++) included += include[i];
+    return { pointCloud, include, included };
+  });
+
+  const total = parts.reduce((sum, part) => sum + part.included, 0);
+  const result = {
+    count: total,
+    positions: new Float64Array(total * 3),
+    colors: attributes.color ? new Float32Array(total * 3) : null,
+    intensity: attributes.intensity ? new Float32Array(total) : null,
+    classification: attributes.classification ? new Uint8Array(total) : null,
+    decimals: null,
+    intensityNormalized: false
+  };
+
+  // Kildens intensitetsskala per lag (fra parseren), ikke gjettet fra verdiene som eksporteres
+  const intensityLayers = parts.filter(({ pointCloud, included }) =>
+    included > 0 && pointCloud.geometry.attributes.intensity);
+  result.intensityNormalized = intensityLayers.length > 0 &&
+    intensityLayers.every(({ pointCloud }) => pointCloud.geometry.userData.intensityNormalized);
+
+  let j = 0;
+  parts.forEach(({ pointCloud, include, included }) => {
+    if (included === 0) return;
+
+    const geometry = pointCloud.geometry;
+    const centered = geometry.attributes.position.array;
+    const { originalPositions, coordinateDecimals } = geometry.userData;
+    const colors = geometry.attributes.trueColor?.array ?? geometry.attributes.color.array;
+    const intensity = geometry.attributes.intensity?.array;
+    const intensityScale = geometry.userData.intensityNormalized && !result.intensityNormalized ? 65535 : 1;
+    const classification = geometry.attributes.classification?.array;
+
+    if (coordinateDecimals !== null && coordinateDecimals !== undefined) {
+      result.decimals = Math.max(result.decimals ?? 0, coordinateDecimals);
+    }
+
+    for (let i = 0; i < include.length; i++) {
+      if (!include[i]) continue;
+      const i3 = i * 3;
+      const j3 = j * 3;
+
+      if (originalPositions) {
+        result.positions[j3] = originalPositions[i3];
+        result.positions[j3 + 1] = originalPositions[i3 + 1];
+        result.positions[j3 + 2] = originalPositions[i3 + 2];
+      } else {
+        result.positions[j3] = centered[i3] + offset.x;
+        result.positions[j3 + 1] = centered[i3 + 1] + offset.y;
+        result.positions[j3 + 2] = centered[i3 + 2] + offset.z;
+      }
+
+      if (result.colors) {
+        result.colors[j3] = colors[i3];
+        result.colors[j3 + 1] = colors[i3 + 1];
+        result.colors[j3 + 2] = colors[i3 + 2];
+      }
+      if (result.intensity && intensity) result.intensity[j] = intensity[i] * intensityScale;
+      if (result.classification && classification) result.classification[j] = classification[i];
+      j++;
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Samler punktene, skriver filen og laster den ned
+ * @param {Object} options - Fra eksport-dialogen { format, scope, precision, delimiter, attributes }
+ * @param {string} [baseName] - Grunnlag for filnavnet (f.eks. filnavnet som er lastet)
+ * @returns {number} Antall eksporterte punkter (0: ingen fil)
+ */
+export function exportPoints(options, baseName = '') {
+  const points = collectPoints(options.scope, options.attributes);
+  if (points.count === 0) return 0;
+
+  const fileName = getExportFileName(baseName, options.scope, options.format);
+  downloadBlob(createExportBlob(points, options), fileName);
+
+  console.log(`✓ ${points.count} punkter eksportert til ${fileName}`);
+  return points.count;
+}
+
+/**
+ * Lager eksportfilen
+ * @param {Object} points - Fra collectPoints()
+ * @param {Object} options - { format, precision: 'auto'|antall desimaler, delimiter }
+ * @returns {Blob}
+ */
+export function createExportBlob(points, { format, precision = 'auto', delimiter = ',' }) {
+  // 'auto': filens presisjon (tekst: korteste eksakte verdi hvis ukjent)
+  const decimals = precision === 'auto' ? points.decimals : Number(precision);
+
+  switch (format) {
+    case 'las':
+      return new Blob([writeLAS(points, decimals ?? DEFAULT_DECIMALS)], { type: 'application/octet-stream' });
+    case 'ply':
+      return new Blob([writePLY(points)], { type: 'application/octet-stream' });
+    case 'csv':
+      return new Blob(writeText(points, decimals, delimiter, true), { type: 'text/csv' });
+    case 'xyz':
+      return new Blob(writeText(points, decimals, delimiter, false), { type: 'text/plain' });
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+}
+
+/**
+ * Filnavn for eksporten, f.eks. "terrain_selection.las"
+ */
+export function getExportFileName(baseName, scope, format) {
+  const name = (baseName || 'point_cloud').replace(/\.[^.]+$/, '').replace(/[^\w.-]+/g, '_');
+  return `${name}${scope === 'all' ? '' : `_${scope}`}.${FILE_EXTENSIONS[format]}`;
+}
+
+/**
+ * Tekstformat: én linje per punkt (CSV med overskrift)
+ * @returns {string[]} Biter til Blob-en
+ */
+function writeText(points, decimals, delimiter, header) {
+  const { count, positions, colors, intensity, classification } = points;
+  const chunks = [];
+  let lines = [];
+
+  if (header) {
+    const columns = ['X', 'Y', 'Z'];
+    if (colors) columns.push('R', 'G', 'B');
+    if (intensity) columns.push('Intensity');
+    if (classification) columns.push('Classification');
+    lines.push(columns.join(delimiter));
+  }
+
+  for (let i = 0; i < count; i++) {
+    const i3 = i * 3;
+    const values = [
+      formatCoordinate(positions[i3], decimals),
+      formatCoordinate(positions[i3 + 1], decimals),
+      formatCoordinate(positions[i3 + 2], decimals)
+    ];
+    if (colors) {
+      values.push(toByte(colors[i3]), toByte(colors[i3 + 1]), toByte(colors[i3 + 2]));
+    }
+    if (intensity) values.push(Number(intensity[i].toPrecision(7))); // Float32 uten støysifre
+    if (classification) values.push(classification[i]);
+    lines.push(values.join(delimiter));
+
+    if (lines.length >= TEXT_CHUNK_LINES) {
+      chunks.push(lines.join('\n') + '\n');
+      lines = [];
+    }
+  }
+  if (lines.length > 0) chunks.push(lines.join('\n') + '\n');
+
+  return chunks;
+}
+
+/**
+ * Binær PLY (little endian); koordinatene som double så ingen presisjon går tapt
+ * @returns {ArrayBuffer}
+ */
+function writePLY(points) {
+  const { count, positions, colors, intensity, classification } = points;
+
+  const header = [
+    'ply',
+    'format binary_little_endian 1.0',
+    'comment Exported by CloudStream3D',
+    `element vertex ${count}`,
+    'property double x',
+    'property double y',
+    'property double z'
+  ];
+  if (colors) header.push('property uchar red', 'property uchar green', 'property uchar blue');
+  if (intensity) header.push('property float intensity');
+  if (classification) header.push('property uchar classification');
+  header.push('end_header', '');
+
+  const headerBytes = new TextEncoder().encode(header.join('\n'));
+  const recordLength = 24 + (colors ? 3 : 0) + (intensity ? 4 : 0) + (classification ? 1 : 0);
+  const buffer = new ArrayBuffer(headerBytes.length + count * recordLength);
+  new Uint8Array(buffer).set(headerBytes);
+
+  const view = new DataView(buffer);
+  let o = headerBytes.length;
+  for (let i = 0; i < count; i++) {
+    const i3 = i * 3;
+    view.setFloat64(o, positions[i3], true);
+    view.setFloat64(o + 8, positions[i3 + 1], true);
+    view.setFloat64(o + 16, positions[i3 + 2], true);
+    o += 24;
+    if (colors) {
+      view.setUint8(o, toByte(colors[i3]));
+      view.setUint8(o + 1, toByte(colors[i3 + 1]));
+      view.setUint8(o + 2, toByte(colors[i3 + 2]));
+      o += 3;
+    }
+    if (intensity) {
+      view.setFloat32(o, intensity[i], true);
+      o += 4;
+    }
+    if (classification) {
+      view.setUint8(o, classification[i]);
+      o += 1;
+    }
+  }
+
+  return buffer;
+}
+
+/**
+ * LAS 1.4 med punktformat 6 (uten farger) eller 7 (med RGB)
+ * Skalaen er 10^-decimals, offset er minimum avrundet ned, så heltallene holder seg små.
+ * @returns {ArrayBuffer}
+ */
+function writeLAS(points, decimals) {
+  const { count, positions, colors, intensity, classification } = points;
+  const pointFormat = colors ? 7 : 6;
+  const recordLength = colors ? 36 : 30;
+  const scale = Math.pow(10, -decimals);
+  // Intensitet normalisert til 0-1 i kilden (f.eks. PLY) skaleres til 16 bit
+  const intensityScale = points.intensityNormalized ? 65535 : 1;
+
+  const bounds = getBounds(positions, count);
+  const offset = [Math.floor(bounds.min[0]), Math.floor(bounds.min[1]), Math.floor(bounds.min[2])];
+  const maxInteger = Math.max(...bounds.max.map((max, axis) => (max - offset[axis]) / scale));
+  if (maxInteger > 2147483647) {
+    throw new Error(`The extent is too large for LAS with ${decimals} decimals - choose lower precision`);
+  }
+
+  const buffer = new ArrayBuffer(LAS_HEADER_SIZE + count * recordLength);
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+
+  // Public header block (LAS 1.4 R15, tabell 3)
+  bytes.set([0x4c, 0x41, 0x53, 0x46], 0);               // "LASF"
+  view.setUint16(6, 0x10, true);                         // Global encoding: WKT (påkrevd for format 6-10)
+  view.setUint8(24, 1);                                  // Versjon 1.4
+  view.setUint8(25, 4);
+  writeAscii(bytes, 26, 32, 'OTHER');                    // System identifier
+  writeAscii(bytes, 58, 32, 'CloudStream3D');            // Generating software
+  const now = new Date();
+  const dayOfYear = Math.floor((now - new Date(now.getFullYear(), 0, 0)) / 86400000);
+  view.setUint16(90, dayOfYear, true);
+  view.setUint16(92, now.getFullYear(), true);
+  view.setUint16(94, LAS_HEADER_SIZE, true);
+  view.setUint32(96, LAS_HEADER_SIZE, true);             // Offset til punktdata (ingen VLR-er)
+  view.setUint8(104, pointFormat);
+  view.setUint16(105, recordLength, true);
+  // Legacy punktantall (107-130) er 0 for format 6-10
+  for (let axis = 0; axis < 3; axis++) {
+    view.setFloat64(131 + axis * 8, scale, true);
+    view.setFloat64(155 + axis * 8, offset[axis], true);
+    view.setFloat64(179 + axis * 16, bounds.max[axis], true);
+    view.setFloat64(187 + axis * 16, bounds.min[axis], true);
+  }
+  view.setBigUint64(247, BigInt(count), true);
+  view.setBigUint64(255, BigInt(count), true);           // Alle punkter er første retur
+
+  let o = LAS_HEADER_SIZE;
+  for (let i = 0; i < count; i++) {
+    const i3 = i * 3;
+    view.setInt32(o, Math.round((positions[i3] - offset[0]) / scale), true);
+    view.setInt32(o + 4, Math.round((positions[i3 + 1] - offset[1]) / scale), true);
+    view.setInt32(o + 8, Math.round((positions[i3 + 2] - offset[2]) / scale), true);
+    view.setUint16(o + 12, intensity ? clamp(Math.round(intensity[i] * intensityScale), 0, 65535) : 0, true);
+    view.setUint8(o + 14, 0x11);                         // Retur 1 av 1
+    view.setUint8(o + 16, classification ? classification[i] : 0);
+    if (colors) {
+      view.setUint16(o + 30, Math.round(clamp(colors[i3], 0, 1) * 65535), true);
+      view.setUint16(o + 32, Math.round(clamp(colors[i3 + 1], 0, 1) * 65535), true);
+      view.setUint16(o + 34, Math.round(clamp(colors[i3 + 2], 0, 1) * 65535), true);
+    }
+    o += recordLength;
+  }
+
+  return buffer;
+}
+
+function getBounds(positions, count) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < count; i++) {
+    for (let axis = 0; axis < 3; axis++) {
+      const value = positions[i * 3 + axis];
+      if (value < min[axis]) min[axis] = value;
+      if (value > max[axis]) max[axis] = value;
+    }
+  }
+  return { min, max };
+}
+
+function writeAscii(bytes, offset, length, text) {
+  for (let i = 0; i < Math.min(text.length, length); i++) {
+    bytes[offset + i] = text.charCodeAt(i) & 0x7f;
+  }
+}
+
+function toByte(value) {
+  return Math.round(clamp(value, 0, 1) * 255);
+}
+
+function clamp(value, min, max) {
+  return value < min ? min : (value > max ? max : value);
+}
@@ -0,0 +1,317 @@
+import * as THREE from 'three';
+import { COLOR_ATTRIBUTE, getColorByMode, getAttributeUniforms } from './attributeColors.js';
+import { MAX_CLIP_PLANES, getClippingUniforms } from './clipping.js';
+import { SELECTION_ATTRIBUTE, getSelectionUniforms } from './selection.js';
+
+/**
+ * Dybdebasert skyggelegging av punktskyen
+ * - Punktform: firkant (standard), rund eller paraboloid (rund med dybde som en kule)
+ * - Adaptiv punktstørrelse: punktene blir minst like store som punktavstanden
+ *   i octree-noden, slik at grove LOD-nivåer ikke får hull
+ * - Eye-Dome Lighting (EDL): etterbehandling som mørklegger piksler der naboene
+ *   ligger nærmere kameraet, så kanter og overflatestruktur blir synlige
+ * - Farging etter attributt (intensitet, klassifisering ...) direkte i shaderen,
+ *   se attributeColors.js
+ * - Klippeplan og klippeboks (se clipping.js)
+ * - Utbleking av punkter utenfor seleksjonen (se selection.js)
+ */
+
+export const POINT_SHAPES = {
+  square: 'Square',
+  round: 'Round',
+  paraboloid: 'Paraboloid'
+};
+
+// Punktstørrelse i forhold til nodens punktavstand i adaptiv modus
+const ADAPTIVE_SIZE_FACTOR = 1.2;
+
+// Naboer som sammenlignes i EDL (retninger rundt pikselen)
+const EDL_NEIGHBOURS = 8;
+
+// Felles tilstand for alle punkt-materialer; endringer krever ny kompilering (se setPointShape)
+const shading = {
+  shape: 'square',
+  adaptiveSize: false
+};
+
+/**
+ * Setter punktform for alle punkt-materialer
+ * @param {string} shape - 'square', 'round' eller 'paraboloid'
+ */
+export function setPointShape(shape) {
+  shading.shape = POINT_SHAPES[shape] ? shape : 'square';
+}
+
+export function getPointShape() {
+  return shading.shape;
+}
+
+/**
+ * Slår adaptiv punktstørrelse av/på for alle punkt-materialer
+ */
+export function setAdaptiveSize(enabled) {
+  shading.adaptiveSize = enabled;
+}
+
+export function getAdaptiveSize() {
+  return shading.adaptiveSize;
+}
+
+/**
+ * Utvider et PointsMaterial med punktform, adaptiv størrelse, attributt-farging og klipping
+ * Materialet må få needsUpdate = true når formen, adaptiv størrelse eller
+ * fargeattributtet endres.
+ * @param {THREE.PointsMaterial} material - Node-materialet
+ * @param {Object} nodeUniforms - { nodeSpacing: { value } } for noden materialet tegner
+ * @param {THREE.BufferGeometry} geometry - Node-geometrien (har fargeattributtet hvis laget har det)
+ */
+export function enhancePointMaterial(material, nodeUniforms, geometry) {
+  // Paraboloid skriver gl_FragDepth (trenger utvidelsen i WebGL1)
+  material.extensions = { fragDepth: true };
+
+  // Lag uten attributtet beholder fargebufferet
+  const colorByMode = () => (geometry.attributes[COLOR_ATTRIBUTE] ? getColorByMode() : null);
+  const hasSelection = () => Boolean(geometry.attributes[SELECTION_ATTRIBUTE]);
+
+  material.onBeforeCompile = (shader) => {
+    shader.uniforms.nodeSpacing = nodeUniforms.nodeSpacing;
+    Object.assign(shader.uniforms, getAttributeUniforms(), getClippingUniforms(), getSelectionUniforms());
+
+    const defines = [];
+    if (shading.shape !== 'square') defines.push('#define POINT_SHAPE_ROUND');
+    if (shading.shape === 'paraboloid') defines.push('#define POINT_SHAPE_PARABOLOID');
+    if (shading.adaptiveSize) defines.push('#define ADAPTIVE_POINT_SIZE');
+    if (colorByMode() === 'ramp') defines.push('#define COLOR_BY_ATTRIBUTE');
+    if (colorByMode() === 'classification') defines.push('#define COLOR_BY_CLASSIFICATION');
+    if (hasSelection()) defines.push('#define SELECTION_FADE');
+    const header = defines.join('\n');
+
+    shader.vertexShader = `${header}
+uniform float nodeSpacing;
+uniform vec4 clipPlanes[ ${MAX_CLIP_PLANES} ];
+uniform int clipPlaneCount;
+uniform int clipBoxMode;
+uniform mat4 clipBoxInverse;
+#ifdef POINT_SHAPE_PARABOLOID
+  varying float vCenterDepth;
+  varying float vFrontDepth;
+#endif
+#if defined( COLOR_BY_ATTRIBUTE ) || defined( COLOR_BY_CLASSIFICATION )
+  attribute float ${COLOR_ATTRIBUTE};
+  uniform vec2 attributeRange;
+  uniform sampler2D attributeRamp;
+  uniform sampler2D classificationPalette;
+#endif
+#ifdef SELECTION_FADE
+  attribute float ${SELECTION_ATTRIBUTE};
+  uniform float selectionFade;
+#endif
+${shader.vertexShader}`.replace('#include <color_vertex>', `#include <color_vertex>
+  #if defined( COLOR_BY_ATTRIBUTE ) && defined( USE_COLOR )
+    float attributeT = clamp( ( ${COLOR_ATTRIBUTE} - attributeRange.x ) / max( attributeRange.y - attributeRange.x, 1e-6 ), 0.0, 1.0 );
+    vColor = texture2D( attributeRamp, vec2( ( attributeT * 255.0 + 0.5 ) / 256.0, 0.5 ) ).rgb;
+  #endif
+  #ifdef COLOR_BY_CLASSIFICATION
+    float classId = clamp( floor( ${COLOR_ATTRIBUTE} + 0.5 ), 0.0, 255.0 );
+    vec4 classColor = texture2D( classificationPalette, vec2( ( classId + 0.5 ) / 256.0, 0.5 ) );
+    #ifdef USE_COLOR
+      vColor = classColor.rgb;
+    #endif
+  #endif
+  #if defined( SELECTION_FADE ) && defined( USE_COLOR )
+    // Punkter utenfor seleksjonen (maske 0) blekes mot lys grå, etter attributt-fargingen
+    vColor = mix( vColor, vec3( 0.9 ), selectionFade * ( 1.0 - ${SELECTION_ATTRIBUTE} ) );
+  #endif`).replace('#include <fog_vertex>', `#include <fog_vertex>
+  #ifdef COLOR_BY_CLASSIFICATION
+    // Skjulte klasser (alfa 0 i paletten) havner utenfor klipperommet
+    if ( classColor.a < 0.5 ) gl_Position = vec4( 0.0, 0.0, 2.0, 1.0 );
+  #endif
+  // Klippeplan og klippeboks (samme regel som clipping.isPointClipped)
+  vec3 clipPosition = ( modelMatrix * vec4( transformed, 1.0 ) ).xyz;
+  bool clipped = false;
+  for ( int i = 0; i < ${MAX_CLIP_PLANES}; i ++ ) {
+    if ( i >= clipPlaneCount ) break;
+    if ( dot( clipPlanes[ i ].xyz, clipPosition ) + clipPlanes[ i ].w < 0.0 ) clipped = true;
+  }
+  if ( clipBoxMode != 0 ) {
+    vec3 boxPosition = ( clipBoxInverse * vec4( clipPosition, 1.0 ) ).xyz;
+    bool insideBox = all( lessThanEqual( abs( boxPosition ), vec3( 0.5 ) ) );
+    if ( insideBox != ( clipBoxMode == 1 ) ) clipped = true;
+  }
+  if ( clipped ) gl_Position = vec4( 0.0, 0.0, 2.0, 1.0 );`).replace('gl_PointSize = size;', `
+  #ifdef ADAPTIVE_POINT_SIZE
+    // Punktavstanden i noden (verdensenheter) i samme enhet som size:
+    // piksler for ortografisk kamera, før avstandsdemping for perspektiv
+    float adaptiveSize = nodeSpacing * ${ADAPTIVE_SIZE_FACTOR.toFixed(2)} * projectionMatrix[ 1 ][ 1 ];
+    if ( ! isPerspectiveMatrix( projectionMatrix ) ) adaptiveSize *= scale;
+    gl_PointSize = max( size, adaptiveSize );
+  #else
+    gl_PointSize = size;
+  #endif
+`).replace('#include <logdepthbuf_vertex>', `#include <logdepthbuf_vertex>
+  #ifdef POINT_SHAPE_PARABOLOID
+    // Dybden i sentrum og på toppen av kula (radius i verdensenheter)
+    float pixelsPerUnit = projectionMatrix[ 1 ][ 1 ] * scale;
+    if ( isPerspectiveMatrix( projectionMatrix ) ) pixelsPerUnit /= - mvPosition.z;
+    float pointRadius = 0.5 * gl_PointSize / pixelsPerUnit;
+    vec4 frontPosition = projectionMatrix * vec4( mvPosition.xy, mvPosition.z + pointRadius, 1.0 );
+    vCenterDepth = 0.5 * gl_Position.z / gl_Position.w + 0.5;
+    vFrontDepth = 0.5 * frontPosition.z / frontPosition.w + 0.5;
+  #endif`);
+
+    shader.fragmentShader = `${header}
+#ifdef POINT_SHAPE_PARABOLOID
+  varying float vCenterDepth;
+  varying float vFrontDepth;
+#endif
+${shader.fragmentShader}`.replace('#include <clipping_planes_fragment>', `#include <clipping_planes_fragment>
+  #ifdef POINT_SHAPE_ROUND
+    vec2 pointCoord = gl_PointCoord * 2.0 - 1.0;
+    float radiusSq = dot( pointCoord, pointCoord );
+    if ( radiusSq > 1.0 ) discard;
+  #endif
+  #ifdef POINT_SHAPE_PARABOLOID
+    gl_FragDepth = mix( vCenterDepth, vFrontDepth, 1.0 - radiusSq );
+  #endif`);
+  };
+
+  // Egen program-variant per kombinasjon av form, størrelse, attributt-farging og seleksjon
+  material.customProgramCacheKey = () => `points-${shading.shape}-${shading.adaptiveSize}-${colorByMode()}-${hasSelection()}`;
+}
+
+/**
+ * Eye-Dome Lighting som etterbehandling
+ * Scenen tegnes til en render target med dybde-tekstur, og et skjermdekkende
+ * kvadrat skygger hver piksel ut fra log-dybden til naboene (som i Potree).
+ */
+export class EDLPass {
+  constructor() {
+    this.enabled = false;
+    this.strength = 1.0;
+    this.radius = 1.4;
+    this.renderTarget = null;
+
+    this.material = new THREE.ShaderMaterial({
+      uniforms: {
+        tColor: { value: null },
+        tDepth: { value: null },
+        resolution: { value: new THREE.Vector2() },
+        cameraNear: { value: 0.1 },
+        cameraFar: { value: 1000 },
+        orthographic: { value: false },
+        strength: { value: this.strength },
+        radius: { value: this.radius }
+      },
+      vertexShader: /* glsl */`
+        varying vec2 vUv;
+        void main() {
+          vUv = uv;
+          gl_Position = vec4( position.xy, 0.0, 1.0 );
+        }
+      `,
+      fragmentShader: /* glsl */`
+        #include <packing>
+        #define NEIGHBOUR_COUNT ${EDL_NEIGHBOURS}
+
+        uniform sampler2D tColor;
+        uniform sampler2D tDepth;
+        uniform vec2 resolution;
+        uniform float cameraNear;
+        uniform float cameraFar;
+        uniform bool orthographic;
+        uniform float strength;
+        uniform float radius;
+        varying vec2 vUv;
+
+        // log2 av avstanden til kameraet; 0 for bakgrunn
+        float logDepth( vec2 uv ) {
+          float depth = texture2D( tDepth, uv ).x;
+          if ( depth >= 1.0 ) return 0.0;
+          float viewZ = orthographic
+            ? orthographicDepthToViewZ( depth, cameraNear, cameraFar )
+            : perspectiveDepthToViewZ( depth, cameraNear, cameraFar );
+          return log2( max( - viewZ, 1e-6 ) );
+        }
+
+        void main() {
+          vec4 color = texture2D( tColor, vUv );
+          float depth = logDepth( vUv );
+
+          if ( depth != 0.0 ) {
+            vec2 uvRadius = radius / resolution;
+            float sum = 0.0;
+            for ( int i = 0; i < NEIGHBOUR_COUNT; i++ ) {
+              float angle = 6.283185307 * float( i ) / float( NEIGHBOUR_COUNT );
+              float neighbourDepth = logDepth( vUv + uvRadius * vec2( cos( angle ), sin( angle ) ) );
+              if ( neighbourDepth != 0.0 ) sum += max( 0.0, depth - neighbourDepth );
+            }
+            float shade = exp( - sum / float( NEIGHBOUR_COUNT ) * 300.0 * strength );
+            color.rgb *= shade;
+          }
+
+          gl_FragColor = color;
+          #include <colorspace_fragment>
+        }
+      `,
+      depthTest: false,
+      depthWrite: false
+    });
+
+    this.quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this.material);
+    this.quad.frustumCulled = false;
+    this.quadScene = new THREE.Scene();
+    this.quadScene.add(this.quad);
+    this.quadCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+  }
+
+  /**
+   * Lager render target med dybde-tekstur i riktig størrelse
+   * (DepthTexture følger ikke med i WebGLRenderTarget.setSize, så den lages på nytt)
+   */
+  setSize(width, height) {
+    if (this.renderTarget && this.renderTarget.width === width && this.renderTarget.height === height) return;
+
+    if (this.renderTarget) {
+      this.renderTarget.depthTexture.dispose();
+      this.renderTarget.dispose();
+    }
+
+    const depthTexture = new THREE.DepthTexture(width, height);
+    depthTexture.type = THREE.UnsignedIntType;
+    this.renderTarget = new THREE.WebGLRenderTarget(width, height, { depthTexture, type: THREE.HalfFloatType });
+    this.material.uniforms.resolution.value.set(width, height);
+  }
+
+  /**
+   * Tegner scenen med EDL til skjermen (eller aktiv tegneflate)
+   */
+  render(renderer, scene, camera) {
+    const size = renderer.getDrawingBufferSize(new THREE.Vector2());
+    this.setSize(size.x, size.y);
+
+    renderer.setRenderTarget(this.renderTarget);
+    renderer.render(scene, camera);
+    renderer.setRenderTarget(null);
+
+    const uniforms = this.material.uniforms;
+    uniforms.tColor.value = this.renderTarget.texture;
+    uniforms.tDepth.value = this.renderTarget.depthTexture;
+    uniforms.cameraNear.value = camera.near;
+    uniforms.cameraFar.value = camera.far;
+    uniforms.orthographic.value = !!camera.isOrthographicCamera;
+    uniforms.strength.value = this.strength;
+    uniforms.radius.value = this.radius;
+
+    renderer.render(this.quadScene, this.quadCamera);
+  }
+
+  dispose() {
+    if (this.renderTarget) {
+      this.renderTarget.depthTexture.dispose();
+      this.renderTarget.dispose();
+      this.renderTarget = null;
+    }
+    this.material.dispose();
+    this.quad.geometry.dispose();
+  }
+}
@@ -47,50 +47,83 @@ function distanceAlongLine(point, lineStart, lineEnd) {
 }
 
 /**
- * Extracts profile points from point cloud
+ * Checks if a box can contain points within halfThickness of the vertical plane
+ * (signed distances of the four XY corners must straddle the slice)
+ */
+function boxIntersectsSlice(box, lineStart, lineEnd, halfThickness) {
+  const lineDir = new THREE.Vector2(lineEnd.x - lineStart.x, lineEnd.y - lineStart.y).normalize();
+  const normalX = -lineDir.y;
+  const normalY = lineDir.x;
+
+  let minDist = Infinity;
+  let maxDist = -Infinity;
+  for (const x of [box.min.x, box.max.x]) {
+    for (const y of [box.min.y, box.max.y]) {
+      const dist = (x - lineStart.x) * normalX + (y - lineStart.y) * normalY;
+      minDist = Math.min(minDist, dist);
+      maxDist = Math.max(maxDist, dist);
+    }
+  }
+
+  return minDist <= halfThickness && maxDist >= -halfThickness;
+}
+
+/**
+ * Extracts profile points from point cloud(s)
  * @param {THREE.Vector3} lineStart - Start point of profile line (centered coordinates)
  * @param {THREE.Vector3} lineEnd - End point of profile line (centered coordinates)
  * @param {number} thickness - Thickness of profile slice in meters
- * @param {THREE.Points} pointCloud - Point cloud object
+ * @param {THREE.Points|THREE.Points[]} pointClouds - Point cloud object or all visible layers
  * @returns {Array} Array of profile points with {distance, z, color}
  */
-export function getProfilePoints(lineStart, lineEnd, thickness, pointCloud) {
-  if (!pointCloud) return [];
+export function getProfilePoints(lineStart, lineEnd, thickness, pointClouds) {
+  const clouds = (Array.isArray(pointClouds) ? pointClouds : [pointClouds]).filter(Boolean);
+  if (clouds.length === 0) return [];
   
-  const positions = pointCloud.geometry.attributes.position.array;
-  const colors = pointCloud.geometry.attributes.color.array;
   const halfThickness = thickness / 2;
   
   const points = [];
   
-  // Iterate through all points
-  for (let i = 0; i < positions.length; i += 3) {
-    const point = new THREE.Vector3(
-      positions[i],
-      positions[i + 1],
-      positions[i + 2]
-    );
-    
-    // Check if point is within thickness from vertical plane
-    const distToPlane = distanceToVerticalPlane(point, lineStart, lineEnd);
-    
-    if (distToPlane <= halfThickness) {
-      // Calculate distance along profile line
-      const distAlong = distanceAlongLine(point, lineStart, lineEnd);
-      
-      // Get color
-      const color = new THREE.Color(
-        colors[i],
-        colors[i + 1],
-        colors[i + 2]
-      );
-      
-      points.push({
-        distance: distAlong,
-        z: point.z,
-        color: color,
-        distToPlane: distToPlane  // For debugging/filtering
-      });
+  for (const pointCloud of clouds) {
+    const positions = pointCloud.geometry.attributes.position.array;
+    const colors = pointCloud.geometry.attributes.color.array;
+
+    // Only visit octree nodes whose box reaches the slice
+    const octree = pointCloud.userData.octree;
+    const ranges = octree
+      ? octree.queryRanges(box => boxIntersectsSlice(box, lineStart, lineEnd, halfThickness))
+      : [[0, positions.length / 3]];
+
+    for (const [start, end] of ranges) {
+      for (let i = start * 3; i < end * 3; i += 3) {
+        const point = new THREE.Vector3(
+          positions[i],
+          positions[i + 1],
+          positions[i + 2]
+        );
+
+        // Check if point is within thickness from vertical plane
+        const distToPlane = distanceToVerticalPlane(point, lineStart, lineEnd);
+
+        if (distToPlane <= halfThickness) {
+          // Calculate distance along profile line
+          const distAlong = distanceAlongLine(point, lineStart, lineEnd);
+
+          // Get color
+          const color = new THREE.Color(
+            colors[i],
+            colors[i + 1],
+            colors[i + 2]
+          );
+
+          points.push({
+            distance: distAlong,
+            z: point.z,
+            color: color,
+            distToPlane: distToPlane  // For debugging/filtering
+          });
+        }
+      }
     }
   }
   
@@ -904,9 +937,8 @@ export class ProfileTool {
     const scene = viewer.getScene();
     const camera = viewer.getCamera();
     const renderer = viewer.getRenderer();
-    const pointCloud = viewer.getPointCloud();
     
-    if (!scene || !camera || !renderer || !pointCloud) {
+    if (!scene || !camera || !renderer || viewer.getVisiblePointClouds().length === 0) {
       console.warn('Cannot start profile drawing: missing required components');
       return;
     }
@@ -924,12 +956,14 @@ export class ProfileTool {
       mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
       
       // Raycast to find intersection with point cloud bounding box center plane
+      // Aktivt kamera (projeksjonen kan ha blitt byttet etter at tegningen startet)
       const raycaster = new THREE.Raycaster();
-      raycaster.setFromCamera(mouse, camera);
+      raycaster.setFromCamera(mouse, viewer.getCamera());
       
-      // Get center Z from point cloud
-      pointCloud.geometry.computeBoundingBox();
-      const bbox = pointCloud.geometry.boundingBox;
+      // Get center Z from all layers
+      const layersBounds = viewer.getLayersBoundingBox(false);
+      if (!layersBounds) return;
+      const bbox = layersBounds.boundingBox;
       const centerZ = (bbox.min.z + bbox.max.z) / 2;
       
       // Create a large horizontal plane at center Z for intersection
@@ -983,12 +1017,12 @@ export class ProfileTool {
           updateProfileLine(scene, this.profileStartPoint, this.profileEndPoint);
           this.profileLine = scene.children.find(obj => obj.type === 'Line');
           
-          // Extract profile points
+          // Extract profile points from all visible layers
           this.profilePoints = getProfilePoints(
             this.profileStartPoint, 
             this.profileEndPoint, 
             this.profileThickness, 
-            pointCloud
+            viewer.getVisiblePointClouds()
           );
           
           // Call completion callback if set
@@ -1019,15 +1053,14 @@ export class ProfileTool {
     this.profileThickness = thickness;
     
     if (this.profileStartPoint && this.profileEndPoint) {
-      const pointCloud = viewer.getPointCloud();
-      if (!pointCloud) return;
+      const pointClouds = viewer.getVisiblePointClouds();
       
       // Re-extract profile points with new thickness
       this.profilePoints = getProfilePoints(
         this.profileStartPoint, 
         this.profileEndPoint, 
         this.profileThickness, 
-        pointCloud
+        pointClouds
       );
       
       // Update visualization
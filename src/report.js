@@ -5,6 +5,7 @@
 import { jsPDF } from 'jspdf';
 import * as viewer from './viewer.js';
 import { getFileName } from './stats.js';
+import * as colorMap from './colorMap.js';
 
 // Konstanter
 const PAGE_WIDTH = 210;
@@ -36,6 +37,12 @@ export async function generatePDFReport(reportData, renderer, stats, profileTool
         await createProfilePage(pdf, profileTool, reportData);
       }
     }
+
+    // === SISTE SIDE (optional): SELEKSJON ===
+    if (reportData.selection) {
+      pdf.addPage();
+      createSelectionPage(pdf, reportData.selection);
+    }
     
     // Footer på alle sider
     addFooter(pdf);
@@ -394,6 +401,54 @@ async function createProfilePage(pdf, profileTool, reportData) {
   }
 }
 
+/**
+ * Selection statistics page (se selectionStats.calculateSelectionStats)
+ */
+function createSelectionPage(pdf, selection) {
+  let yPos = 25;
+
+  // Header
+  pdf.setFillColor(41, 128, 185);
+  pdf.rect(0, 0, PAGE_WIDTH, 15, 'F');
+  pdf.setTextColor(255, 255, 255);
+  pdf.setFontSize(10);
+  pdf.setFont('helvetica', 'bold');
+  pdf.text('Selection Statistics', MARGIN, 10);
+
+  pdf.setTextColor(50, 50, 50);
+
+  yPos = drawSectionHeader(pdf, 'Selected Points', yPos);
+  const selectionData = [
+    ['Number of points', selection.count.toLocaleString('nb-NO')],
+    ['Area (convex hull, XY)', `${selection.hullArea.toFixed(2)} m²`],
+    ['Point density', selection.density !== null ? `${selection.density.toFixed(1)} pts/m²` : '-'],
+    ['Height range (Z)', `${selection.minZ.toFixed(2)} to ${selection.maxZ.toFixed(2)} m`],
+    ['Mean height (Z)', `${selection.meanZ.toFixed(2)} m`],
+    ['Standard deviation (Z)', `${selection.stdZ.toFixed(3)} m`]
+  ];
+  yPos = drawTable(pdf, selectionData, yPos) + 8;
+
+  yPos = drawSectionHeader(pdf, 'Z-Height Distribution', yPos);
+
+  try {
+    // Flat seleksjon: gi histogrammet et spenn på 1 m
+    const maxZ = selection.maxZ > selection.minZ ? selection.maxZ : selection.minZ + 1;
+    const histogramDataUrl = createHistogramImage(selection.positions, selection.minZ, maxZ);
+    const histHeight = 60;
+
+    pdf.addImage(histogramDataUrl, 'PNG', MARGIN, yPos, CONTENT_WIDTH, histHeight);
+    yPos += histHeight + 5;
+
+    pdf.setFontSize(8);
+    pdf.setTextColor(100, 100, 100);
+    pdf.text('Distribution of the selected points across elevation ranges', PAGE_WIDTH / 2, yPos, { align: 'center' });
+  } catch (error) {
+    console.error('❌ Error generating selection histogram:', error);
+    pdf.setFontSize(9);
+    pdf.text('Could not generate histogram', MARGIN, yPos);
+  }
+}
+
 /**
  * Creates VERTICAL color legend for Z-values
  * Returns a DataURL with gradient and labels
@@ -425,12 +480,12 @@ function createLegend(minZ, maxZ) {
   // Draw color gradient VERTICALLY (top to bottom = high to low)
   const gradient = ctx.createLinearGradient(0, barY, 0, barY + barHeight);
   
-  // Top = high elevation (red), Bottom = low elevation (blue)
-  gradient.addColorStop(0, 'hsl(0, 100%, 40%)');      // Dark red (high Z) - TOP
-  gradient.addColorStop(0.25, 'hsl(60, 100%, 45%)');  // Dark yellow
-  gradient.addColorStop(0.5, 'hsl(120, 100%, 35%)');  // Dark green
-  gradient.addColorStop(0.75, 'hsl(180, 100%, 35%)'); // Dark cyan
-  gradient.addColorStop(1, 'hsl(216, 100%, 35%)');    // Dark blue (low Z) - BOTTOM
+  // Same colour map and range as the map, with the same darker print tones
+  // Top = high elevation, Bottom = low elevation (stops reversed to keep offsets increasing)
+  const range = colorMap.resolveRange(minZ, maxZ);
+  colorMap.getGradientStops(range).reverse().forEach(stop => {
+    gradient.addColorStop(1 - stop.offset, colorMap.shadeForPrint(stop.color).getStyle());
+  });
   
   ctx.fillStyle = gradient;
   ctx.fillRect(barX, barY, barWidth, barHeight);
@@ -446,14 +501,14 @@ function createLegend(minZ, maxZ) {
   ctx.textAlign = 'left';
   
   // Top label (max Z)
-  ctx.fillText(`${maxZ.toFixed(1)} m`, barX + barWidth + 5, barY + 5);
+  ctx.fillText(`${range.max.toFixed(1)} m`, barX + barWidth + 5, barY + 5);
   
   // Middle label
-  const midZ = (minZ + maxZ) / 2;
+  const midZ = (range.min + range.max) / 2;
   ctx.fillText(`${midZ.toFixed(1)} m`, barX + barWidth + 5, barY + barHeight / 2 + 4);
   
   // Bottom label (min Z)
-  ctx.fillText(`${minZ.toFixed(1)} m`, barX + barWidth + 5, barY + barHeight);
+  ctx.fillText(`${range.min.toFixed(1)} m`, barX + barWidth + 5, barY + barHeight);
   
   // Title at top
   ctx.fillStyle = '#333';
@@ -493,6 +548,7 @@ function createHistogramImage(positions, minZ, maxZ) {
   }
   
   const maxCount = Math.max(...bins);
+  const colorRange = colorMap.resolveRange(minZ, maxZ);
   
   // Drawing parameters
   const padding = { top: 40, right: 60, bottom: 80, left: 80 };
@@ -525,11 +581,9 @@ function createHistogramImage(positions, minZ, maxZ) {
     const binStart = minZ + (i * binSize);
     const binEnd = binStart + binSize;
     const avgZ = (binStart + binEnd) / 2;
-    const normalizedZ = (avgZ - minZ) / range;
     
-    // Use same color scheme as dashboard (blue to red)
-    const hue = (0.6 - normalizedZ * 0.6) * 360;
-    ctx.fillStyle = `hsl(${hue}, 100%, 50%)`;
+    // Use same colour map and range as the dashboard
+    ctx.fillStyle = colorMap.getColor(avgZ, colorRange).getStyle();
     
     // Draw bar
     ctx.fillRect(x, y, width, barHeight);
@@ -1,9 +1,28 @@
 import * as THREE from 'three';
 import { TransformControls } from 'three/examples/jsm/controls/TransformControls.js';
+import { OBB } from 'three/examples/jsm/math/OBB.js';
+import { setClipBox } from './clipping.js';
 
 let selectionBox, boxEdges, transformControls;
-let originalColors = null;
-let coordinateOffset = { x: 0, y: 0, z: 0 }; // Lagrer offset fra sentreringen
+let committedMasks = new Map(); // Seleksjonen boksen kombineres med (før boksen ble flyttet)
+let combineMode = 'replace';
+let selectionChangeListeners = [];
+
+// Seleksjonen lagres per punkt i lagets geometri (Uint8, 1 = valgt)
+export const SELECTION_ATTRIBUTE = 'selection';
+
+export const COMBINE_MODES = {
+  replace: 'Replace',
+  add: 'Add (union)',
+  subtract: 'Subtract (difference)',
+  intersect: 'Intersect'
+};
+
+// Utblekingen gjøres i shaderen (pointShading.js) ut fra seleksjonsmasken, så den
+// virker i alle fargemoduser uten å skrive om fargebufferet
+const uniforms = {
+  selectionFade: { value: 0 } // 1: punkter utenfor seleksjonen blekes mot lys grå
+};
 
 const boxGeometry = new THREE.BoxGeometry(1, 1, 1);
 const edgesGeometry = new THREE.EdgesGeometry(boxGeometry);
@@ -67,189 +86,307 @@ export function updateBoxSize(width, height, depth) {
 }
 
 /**
- * Velger punkter innenfor boksen
+ * Klippeboksen (clipping.js) følger selection box - kalles når boksen er flyttet,
+ * rotert eller skalert
  */
-export function selectPointsInBox(pointCloud, boxSettings, showAlert = false) {
-  if (!pointCloud) {
-    if (showAlert) {
-      alert('Upload a point cloud first!');
-    }
-    return 0;
-  }
-  
-  const positions = pointCloud.geometry.attributes.position.array;
-  const colors = pointCloud.geometry.attributes.color.array;
-  
-  // Lagre originale farger hvis ikke allerede gjort
-  if (!originalColors) {
-    originalColors = new Float32Array(colors);
-  }
-  
+export function updateClipBox() {
+  selectionBox.updateMatrixWorld();
+  setClipBox(selectionBox.matrixWorld);
+}
+
+/**
+ * Gjør om én punktsky eller en liste (synlige lag) til en liste
+ */
+function toCloudList(pointClouds) {
+  return (Array.isArray(pointClouds) ? pointClouds : [pointClouds]).filter(Boolean);
+}
+
+/**
+ * Test for om et punkt (lagets koordinater) er inne i selection box
+ * @returns {function(number, number, number): boolean}
+ */
+function createBoxTest() {
   // Hent boksens inverse transformasjonsmatrise for korrekt rotasjonshåndtering
   const boxMatrix = new THREE.Matrix4();
   // Bruk scale(1,1,1) fordi vi sjekker scale separat
   boxMatrix.compose(selectionBox.position, selectionBox.quaternion, new THREE.Vector3(1, 1, 1));
   const inverseMatrix = new THREE.Matrix4().copy(boxMatrix).invert();
-  
-  let selectedCount = 0;
+  const scale = selectionBox.scale.clone();
   const pointVector = new THREE.Vector3();
-  
-  // Gå gjennom alle punkter
-  for (let i = 0; i < positions.length; i += 3) {
-    const x = positions[i];
-    const y = positions[i + 1];
-    const z = positions[i + 2];
-    
-    const colorIndex = i;
-    
+
+  return (x, y, z) => {
     // Transformer punktet til boksens lokale koordinatsystem (uten scale)
-    pointVector.set(x, y, z);
-    pointVector.applyMatrix4(inverseMatrix);
-    
-    // Nå må vi ta hensyn til scale siden vi ikke inkluderte den i matrisen
-    const localX = pointVector.x / selectionBox.scale.x;
-    const localY = pointVector.y / selectionBox.scale.y;
-    const localZ = pointVector.z / selectionBox.scale.z;
-    
-    // Sjekk mot ±0.5 (siden box geometry er 1x1x1)
-    const isInside = (Math.abs(localX) <= 0.5 &&
-                      Math.abs(localY) <= 0.5 &&
-                      Math.abs(localZ) <= 0.5);
-    
-    if (isInside) {
-      // Punkter INNI boksen: Behold originale farger (høyde-basert gradient)
-      colors[colorIndex] = originalColors[colorIndex];
-      colors[colorIndex + 1] = originalColors[colorIndex + 1];
-      colors[colorIndex + 2] = originalColors[colorIndex + 2];
-      selectedCount++;
-    } else {
-      // Punkter UTENFOR boksen
-      if (boxSettings.hideOutside) {
-        // Blek dem ut (lys grå/hvit)
-        colors[colorIndex] = 0.9;
-        colors[colorIndex + 1] = 0.9;
-        colors[colorIndex + 2] = 0.9;
-      } else {
-        // Behold originale farger
-        colors[colorIndex] = originalColors[colorIndex];
-        colors[colorIndex + 1] = originalColors[colorIndex + 1];
-        colors[colorIndex + 2] = originalColors[colorIndex + 2];
-      }
-    }
+    pointVector.set(x, y, z).applyMatrix4(inverseMatrix);
+
+    // Sjekk mot ±0.5 (box geometry er 1x1x1), med scale tatt med her
+    return Math.abs(pointVector.x / scale.x) <= 0.5 &&
+           Math.abs(pointVector.y / scale.y) <= 0.5 &&
+           Math.abs(pointVector.z / scale.z) <= 0.5;
+  };
+}
+
+/**
+ * Kaller callback med indeksen til hvert punkt inne i selection box
+ * Bare octree-nodene som berører boksen testes (som lassoen), så en liten boks
+ * i en stor punktsky sjekker få punkter.
+ * @param {function(number): void} callback
+ */
+function forEachPointInBox(pointCloud, callback) {
+  const positions = pointCloud.geometry.attributes.position.array;
+  const count = positions.length / 3;
+  const boxTest = createBoxTest();
+
+  const octree = pointCloud.userData.octree;
+  let ranges = [[0, count]];
+  if (octree) {
+    const boxMatrix = new THREE.Matrix4().compose(selectionBox.position, selectionBox.quaternion, selectionBox.scale);
+    const obb = new OBB(new THREE.Vector3(), new THREE.Vector3(0.5, 0.5, 0.5)).applyMatrix4(boxMatrix);
+    ranges = octree.queryRanges(box => obb.intersectsBox3(box));
   }
-  
-  // Oppdater farger
-  pointCloud.geometry.attributes.color.needsUpdate = true;
-  
-  console.log(`${selectedCount} punkter valgt`);
-  
-  // Vis alert kun hvis eksplisitt forespurt
-  if (showAlert) {
-    alert(`${selectedCount} punkter valgt! Punkter utenfor boksen er nå bleket ut.`);
+
+  for (const [start, end] of ranges) {
+    for (let i = start; i < end; i++) {
+      if (boxTest(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2])) callback(i);
+    }
   }
-  
-  return selectedCount;
 }
 
 /**
- * Gjenoppretter originale farger
+ * Punktene i en punktsky som er inne i selection box (uavhengig av seleksjonen)
+ * @returns {Uint8Array} 1 for punkter inne i boksen
  */
-export function restoreOriginalColors(pointCloud) {
-  if (!pointCloud || !originalColors) return;
-  
-  const colors = pointCloud.geometry.attributes.color.array;
-  for (let i = 0; i < originalColors.length; i++) {
-    colors[i] = originalColors[i];
+export function getPointsInBox(pointCloud) {
+  const inside = new Uint8Array(pointCloud.geometry.attributes.position.count);
+  forEachPointInBox(pointCloud, i => { inside[i] = 1; });
+  return inside;
+}
+
+/**
+ * Seleksjonsmasken til en punktsky (1 = valgt), lagret som attributt på lagets geometri
+ * @param {boolean} [create=true] - Lag en tom maske hvis den mangler eller har feil lengde
+ * @returns {Uint8Array|null}
+ */
+function getMask(pointCloud, create = true) {
+  const geometry = pointCloud.geometry;
+  const count = geometry.attributes.position.count;
+  let attribute = geometry.attributes[SELECTION_ATTRIBUTE];
+
+  if (!attribute || attribute.count !== count) {
+    if (!create) return null;
+    attribute = new THREE.BufferAttribute(new Uint8Array(count), 1);
+    geometry.setAttribute(SELECTION_ATTRIBUTE, attribute);
   }
-  pointCloud.geometry.attributes.color.needsUpdate = true;
+  return attribute.array;
+}
+
+function setMask(pointCloud, values) {
+  getMask(pointCloud).set(values);
+  pointCloud.geometry.attributes[SELECTION_ATTRIBUTE].needsUpdate = true;
 }
 
 /**
- * Nullstiller originale farger
+ * Seleksjonsmasken til en punktsky, eller null hvis ingenting er valgt i den ennå
+ * @returns {Uint8Array|null} 1 for valgte punkter, i lagets punktrekkefølge
  */
-export function resetOriginalColors() {
-  originalColors = null;
+export function getSelectionMask(pointCloud) {
+  return getMask(pointCloud, false);
 }
 
 /**
- * Setter koordinat-offset for å kunne eksportere originale koordinater
+ * Antall valgte punkter i lagene
+ * @param {THREE.Points|THREE.Points[]} pointClouds
  */
-export function setCoordinateOffset(offsetX, offsetY, offsetZ) {
-  coordinateOffset.x = offsetX;
-  coordinateOffset.y = offsetY;
-  coordinateOffset.z = offsetZ;
-  console.log(`Koordinat-offset satt til: (${offsetX.toFixed(2)}, ${offsetY.toFixed(2)}, ${offsetZ.toFixed(2)})`);
+export function getSelectedCount(pointClouds) {
+  let count = 0;
+  for (const pointCloud of toCloudList(pointClouds)) {
+    const mask = getMask(pointCloud, false);
+    if (!mask) continue;
+    for (let i = 0; i < mask.length; i++) count += mask[i];
+  }
+  return count;
 }
 
 /**
- * Lagrer valgte punkter til fil
+ * Kombinerer et nytt valg med det forrige
+ * @param {Uint8Array|null} previous - Forrige valg (null = ingenting valgt)
+ * @param {Uint8Array} next - Nytt valg (endres og returneres)
+ * @param {string} mode - Nøkkel i COMBINE_MODES
+ * @returns {Uint8Array}
  */
-export function saveSelectedPoints(pointCloud, boxSettings) {
-  if (!pointCloud) {
-    alert('Upload a point cloud first!');
-    return;
+export function combineSelection(previous, next, mode) {
+  if (mode === 'replace' || !previous || previous.length !== next.length) {
+    if (mode === 'subtract' || mode === 'intersect') next.fill(0);
+    return next;
   }
-  
-  const positions = pointCloud.geometry.attributes.position.array;
-  
-  // Hent boksens inverse transformasjonsmatrise for korrekt rotasjonshåndtering
-  const boxMatrix = new THREE.Matrix4();
-  // Bruk scale(1,1,1) fordi vi sjekker scale separat
-  boxMatrix.compose(selectionBox.position, selectionBox.quaternion, new THREE.Vector3(1, 1, 1));
-  const inverseMatrix = new THREE.Matrix4().copy(boxMatrix).invert();
-  
-  // Samle valgte punkter
-  const selectedPoints = [];
-  const pointVector = new THREE.Vector3();
-  
-  for (let i = 0; i < positions.length; i += 3) {
-    const x = positions[i];
-    const y = positions[i + 1];
-    const z = positions[i + 2];
-    
-    // Transformer punktet til boksens lokale koordinatsystem (uten scale)
-    pointVector.set(x, y, z);
-    pointVector.applyMatrix4(inverseMatrix);
-    
-    // Ta hensyn til scale
-    const localX = pointVector.x / selectionBox.scale.x;
-    const localY = pointVector.y / selectionBox.scale.y;
-    const localZ = pointVector.z / selectionBox.scale.z;
-    
-    // Sjekk mot ±0.5 (box geometry er 1x1x1)
-    if (Math.abs(localX) <= 0.5 &&
-        Math.abs(localY) <= 0.5 &&
-        Math.abs(localZ) <= 0.5) {
-      
-      // Konverter tilbake til originale koordinater før eksport (2 desimaler)
-      const originalX = x + coordinateOffset.x;
-      const originalY = y + coordinateOffset.y;
-      const originalZ = z + coordinateOffset.z;
-      
-      selectedPoints.push(`${originalX.toFixed(2)} ${originalY.toFixed(2)} ${originalZ.toFixed(2)}`);
-    }
+
+  for (let i = 0; i < next.length; i++) {
+    if (mode === 'add') next[i] = previous[i] | next[i];
+    else if (mode === 'subtract') next[i] = previous[i] & (next[i] ^ 1);
+    else if (mode === 'intersect') next[i] = previous[i] & next[i];
   }
-  
-  if (selectedPoints.length === 0) {
-    console.warn('Ingen punkter i boksen!');
-    return;
+  return next;
+}
+
+/**
+ * Velger kombinasjon for boks og lasso (uten Shift/Alt)
+ * @param {string} mode - Nøkkel i COMBINE_MODES
+ */
+export function setCombineMode(mode) {
+  combineMode = COMBINE_MODES[mode] ? mode : 'replace';
+}
+
+export function getCombineMode() {
+  return combineMode;
+}
+
+/**
+ * Varsles med antall valgte punkter hver gang seleksjonen er fremhevet på nytt
+ * @param {function(number): void} callback
+ */
+export function onSelectionChange(callback) {
+  selectionChangeListeners.push(callback);
+}
+
+/**
+ * Felles uniformer for node-materialene (utbleking av punkter som ikke er valgt)
+ */
+export function getSelectionUniforms() {
+  return uniforms;
+}
+
+/**
+ * Bleker ut punktene som ikke er valgt (ingen utbleking når ingenting er valgt)
+ * @returns {number} Antall valgte punkter
+ */
+function highlightSelection(clouds, boxSettings) {
+  const selectedCount = getSelectedCount(clouds);
+  const fade = selectedCount > 0 && boxSettings.hideOutside;
+
+  // Lag uten maske har ingenting valgt - de trenger en tom maske for å bli bleket
+  if (fade) clouds.forEach(pointCloud => getMask(pointCloud));
+  uniforms.selectionFade.value = fade ? 1 : 0;
+
+  selectionChangeListeners.forEach(callback => callback(selectedCount));
+  return selectedCount;
+}
+
+/**
+ * Husker seleksjonen som utgangspunkt for boksen (se selectPointsInBox)
+ * Kalles også når lagene har fått nye punktdata (redigering, angre).
+ * @param {THREE.Points|THREE.Points[]} pointClouds
+ */
+export function commitSelection(pointClouds) {
+  toCloudList(pointClouds).forEach(pointCloud => {
+    const mask = getMask(pointCloud, false);
+    if (mask) committedMasks.set(pointCloud, mask.slice());
+    else committedMasks.delete(pointCloud);
+  });
+}
+
+/**
+ * Velger punkter innenfor boksen, kombinert med seleksjonen fra før boksen ble flyttet
+ * Boksen er en forhåndsvisning til den brukes (applyBoxSelection) eller skjules (cancelBoxSelection).
+ * @param {THREE.Points|THREE.Points[]} pointClouds - Punktsky eller alle synlige lag
+ */
+export function selectPointsInBox(pointClouds, boxSettings) {
+  const clouds = toCloudList(pointClouds);
+  if (clouds.length === 0) return 0;
+
+  // Kalles for hver endring av boksen (TransformControls): masken skrives direkte
+  // i stedet for å lage nye buffere, og bare punktene inne i boksen endres
+  for (const pointCloud of clouds) {
+    const mask = getMask(pointCloud);
+    const committed = committedMasks.get(pointCloud);
+    const previous = committed && committed.length === mask.length ? committed : null;
+
+    // Utgangspunktet er seleksjonen fra før boksen for add/subtract, ellers tomt
+    if (previous && (combineMode === 'add' || combineMode === 'subtract')) mask.set(previous);
+    else mask.fill(0);
+
+    const value = combineMode === 'subtract' ? 0 : 1;
+    forEachPointInBox(pointCloud, i => {
+      if (combineMode !== 'intersect' || (previous && previous[i])) mask[i] = value;
+    });
+    pointCloud.geometry.attributes[SELECTION_ATTRIBUTE].needsUpdate = true;
   }
-  
-  // Opprett fil-innhold
-  const fileContent = selectedPoints.join('\n');
-  
-  // Opprett Blob og last ned
-  const blob = new Blob([fileContent], { type: 'text/plain' });
-  const url = URL.createObjectURL(blob);
-  const link = document.createElement('a');
-  link.href = url;
-  link.download = `selected_points_${Date.now()}.xyz`;
-  document.body.appendChild(link);
-  link.click();
-  document.body.removeChild(link);
-  URL.revokeObjectURL(url);
-  
-  console.log(`${selectedPoints.length} punkter lagret til fil: ${link.download}`);
+
+  // Antallet vises i dashboardet og statistikk-panelet (onSelectionChange)
+  return highlightSelection(clouds, boxSettings);
+}
+
+/**
+ * Bruker boksen: seleksjonen beholdes når boksen flyttes videre eller skjules
+ * (flere bokser kan slås sammen med COMBINE_MODES)
+ * @returns {number} Antall valgte punkter
+ */
+export function applyBoxSelection(pointClouds, boxSettings) {
+  const selectedCount = selectPointsInBox(pointClouds, boxSettings);
+  commitSelection(pointClouds);
+  return selectedCount;
+}
+
+/**
+ * Boksen skjules uten å være brukt: tilbake til seleksjonen fra før boksen
+ * @returns {number} Antall valgte punkter
+ */
+export function cancelBoxSelection(pointClouds, boxSettings) {
+  const clouds = toCloudList(pointClouds);
+  clouds.forEach(pointCloud => {
+    const mask = getMask(pointCloud, false);
+    if (mask) setMask(pointCloud, committedMasks.get(pointCloud) ?? new Uint8Array(mask.length));
+  });
+  return highlightSelection(clouds, boxSettings);
+}
+
+/**
+ * Kombinerer et nytt valg (f.eks. lasso) med seleksjonen
+ * @param {Map<THREE.Points, Uint8Array>} selections - 1 for punktene i det nye valget, per punktsky
+ * @param {string} [mode] - Nøkkel i COMBINE_MODES (standard: valgt kombinasjon)
+ * @returns {number} Antall valgte punkter
+ */
+export function combineWithSelection(selections, pointClouds, boxSettings, mode = combineMode) {
+  const clouds = toCloudList(pointClouds);
+  selections.forEach((values, pointCloud) => {
+    setMask(pointCloud, combineSelection(getMask(pointCloud, false)?.slice() ?? null, values, mode));
+  });
+  commitSelection(clouds);
+  return highlightSelection(clouds, boxSettings);
+}
+
+/**
+ * Snur seleksjonen: valgte punkter blir uvalgt og omvendt
+ * @returns {number} Antall valgte punkter
+ */
+export function invertSelection(pointClouds, boxSettings) {
+  const clouds = toCloudList(pointClouds);
+  clouds.forEach(pointCloud => {
+    const mask = getMask(pointCloud);
+    for (let i = 0; i < mask.length; i++) mask[i] ^= 1;
+    pointCloud.geometry.attributes[SELECTION_ATTRIBUTE].needsUpdate = true;
+  });
+  commitSelection(clouds);
+  return highlightSelection(clouds, boxSettings);
+}
+
+/**
+ * Fjerner seleksjonen (og utblekingen)
+ */
+export function clearSelection(pointClouds, boxSettings) {
+  const clouds = toCloudList(pointClouds);
+  clouds.forEach(pointCloud => {
+    const mask = getMask(pointCloud, false);
+    if (mask) setMask(pointCloud, new Uint8Array(mask.length));
+  });
+  commitSelection(clouds);
+  return highlightSelection(clouds, boxSettings);
+}
+
+/**
+ * Fremhever seleksjonen på nytt (etter endret utbleking eller synlige lag)
+ * @returns {number} Antall valgte punkter
+ */
+export function refreshSelection(pointClouds, boxSettings) {
+  return highlightSelection(toCloudList(pointClouds), boxSettings);
 }
 
 /**
@@ -270,6 +407,7 @@ export function positionSelectionBox(center, size, boxSettings) {
   boxSettings.height = size.y;
   boxSettings.depth = size.z;
   updateBoxSize(boxSettings.width, boxSettings.height, boxSettings.depth);
+  updateClipBox();
   
   console.log(`Selection box posisjon satt til: (${selectionBox.position.x.toFixed(2)}, ${selectionBox.position.y.toFixed(2)}, ${selectionBox.position.z.toFixed(2)})`);
   console.log(`Selection box størrelse satt til: ${size.x.toFixed(2)} x ${size.y.toFixed(2)} x ${size.z.toFixed(2)}`);
@@ -0,0 +1,275 @@
+import * as viewer from './viewer.js';
+import * as selection from './selection.js';
+import { calculateZHistogram, createHistogramBars } from './stats.js';
+import { DraggablePanel } from './ui.js';
+
+/**
+ * Statistikk for seleksjonen - antall, areal (konveks hull i XY), tetthet og Z-fordeling
+ *
+ * Panelet oppdateres hver gang seleksjonen endres (også mens boksen dras med
+ * TransformControls), høyst én gang per frame. Alt regnes i originale koordinater,
+ * rett fra lagenes arrays uten å kopiere de valgte punktene.
+ */
+
+// Søyler i Z-histogrammet (som dashboardet)
+const HISTOGRAM_BINS = 10;
+
+let panelElement = null;
+let updateScheduled = false;
+
+/**
+ * Regner ut statistikk for de valgte punktene i lagene
+ * Går rett over seleksjonsmasken og lagets arrays (ingen kopi av punktene), så den
+ * tåler å kjøres hver frame mens boksen dras.
+ * @param {THREE.Points[]} [pointClouds] - Standard: synlige lag
+ * @param {Object} [options]
+ * @param {boolean} [options.includePositions=false] - Ta med originale XYZ (Float64) for de valgte punktene (rapporten)
+ * @returns {Object|null} { count, minZ, maxZ, meanZ, stdZ, hullArea, density, histogram, positions? };
+ *   null hvis ingenting er valgt
+ */
+export function calculateSelectionStats(pointClouds = viewer.getVisiblePointClouds(), { includePositions = false } = {}) {
+  const count = selection.getSelectedCount(pointClouds);
+  if (count === 0) return null;
+
+  const offset = viewer.getCoordinateOffset();
+  const layers = pointClouds
+    .map(pointCloud => {
+      const mask = selection.getSelectionMask(pointCloud);
+      const originalPositions = pointCloud.geometry.userData.originalPositions;
+      // Originalkoordinater hvis laget har dem, ellers sentrerte + offset
+      return mask && {
+        mask,
+        positions: originalPositions ?? pointCloud.geometry.attributes.position.array,
+        offset: originalPositions ? { x: 0, y: 0, z: 0 } : offset
+      };
+    })
+    .filter(Boolean);
+
+  // Z: min/max og middelverdi/standardavvik (Welford, stabilt for store verdier), og
+  // XY relativt til første punkt, så hullet ikke mister presisjon (UTM o.l.)
+  const hull = createHullBuilder();
+  let minZ = Infinity;
+  let maxZ = -Infinity;
+  let meanZ = 0;
+  let sumSquares = 0;
+  let n = 0;
+
+  forEachSelected(layers, (x, y, z) => {
+    if (z < minZ) minZ = z;
+    if (z > maxZ) maxZ = z;
+    n++;
+    const delta = z - meanZ;
+    meanZ += delta / n;
+    sumSquares += delta * (z - meanZ);
+    hull.addExtreme(x, y);
+  });
+  forEachSelected(layers, (x, y) => hull.addCandidate(x, y));
+
+  const hullArea = hull.area();
+
+  // Flat seleksjon: én søyle med alle punktene i stedet for delt på null
+  const histogramMax = maxZ > minZ ? maxZ : minZ + 1;
+  const histogram = new Array(HISTOGRAM_BINS).fill(0);
+  layers.forEach(({ mask, positions, offset: layerOffset }) => {
+    calculateZHistogram(positions, minZ - layerOffset.z, histogramMax - layerOffset.z, HISTOGRAM_BINS, mask)
+      .forEach((value, bin) => { histogram[bin] += value; });
+  });
+
+  const result = {
+    count,
+    minZ,
+    maxZ,
+    meanZ,
+    stdZ: Math.sqrt(sumSquares / count),
+    hullArea,
+    density: hullArea > 0 ? count / hullArea : null,
+    histogram
+  };
+
+  if (includePositions) {
+    const positions = new Float64Array(count * 3);
+    let j = 0;
+    forEachSelected(layers, (x, y, z) => {
+      positions[j++] = x;
+      positions[j++] = y;
+      positions[j++] = z;
+    });
+    result.positions = positions;
+  }
+
+  return result;
+}
+
+/**
+ * Kaller callback med originale koordinater for hvert valgt punkt i lagene
+ */
+function forEachSelected(layers, callback) {
+  layers.forEach(({ mask, positions, offset }) => {
+    for (let i = 0; i < mask.length; i++) {
+      if (!mask[i]) continue;
+      const i3 = i * 3;
+      callback(positions[i3] + offset.x, positions[i3 + 1] + offset.y, positions[i3 + 2] + offset.z);
+    }
+  });
+}
+
+/**
+ * Konvekst hull i XY-planet i to runder over punktene uten å lagre dem:
+ * 1. addExtreme: ekstrempunkter i åtte retninger (åttekant)
+ * 2. addCandidate: bare punkter utenfor åttekanten kan ligge på hullet (Akl-Toussaint),
+ *    så bare et fåtall punkter må lagres og sorteres
+ * Koordinatene regnes relativt til første punkt, så kryssproduktene ikke mister presisjon.
+ */
+function createHullBuilder() {
+  // Retninger mot klokka fra øst
+  const directions = [[1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0], [-1, -1], [0, -1], [1, -1]];
+  const extremes = directions.map(() => null);
+  const best = directions.map(() => -Infinity);
+  const candidates = [];
+  let origin = null;
+  let octagon = null;
+
+  const isInsideOctagon = (px, py) => {
+    for (let k = 0; k < octagon.length; k++) {
+      const a = octagon[k];
+      const b = octagon[(k + 1) % octagon.length];
+      if ((b[0] - a[0]) * (py - a[1]) - (b[1] - a[1]) * (px - a[0]) <= 0) return false;
+    }
+    return true;
+  };
+
+  return {
+    addExtreme(x, y) {
+      if (!origin) origin = [x, y];
+      const px = x - origin[0];
+      const py = y - origin[1];
+      for (let d = 0; d < directions.length; d++) {
+        const value = directions[d][0] * px + directions[d][1] * py;
+        if (value > best[d]) {
+          best[d] = value;
+          extremes[d] = [px, py];
+        }
+      }
+    },
+
+    addCandidate(x, y) {
+      if (!octagon) {
+        octagon = extremes.filter((point, d) => {
+          const next = extremes[(d + 1) % extremes.length];
+          return point[0] !== next[0] || point[1] !== next[1];
+        });
+      }
+      // Punktene ligger på en linje (eller i ett punkt): arealet er 0
+      if (octagon.length < 3) return;
+      const px = x - origin[0];
+      const py = y - origin[1];
+      if (!isInsideOctagon(px, py)) candidates.push([px, py]);
+    },
+
+    area() {
+      return convexHullArea(candidates);
+    }
+  };
+}
+
+/**
+ * Arealet av det konvekse hullet rundt punktene (monotone chain + skolisseformelen)
+ * @param {Array<[number, number]>} points - XY-punkter (sorteres)
+ * @returns {number} Areal i m²
+ */
+export function convexHullArea(points) {
+  if (points.length < 3) return 0;
+  points.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+  // Nedre og øvre halvdel av hullet
+  const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+  const lower = [];
+  for (const point of points) {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], point) <= 0) lower.pop();
+    lower.push(point);
+  }
+  const upper = [];
+  for (let k = points.length - 1; k >= 0; k--) {
+    const point = points[k];
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], point) <= 0) upper.pop();
+    upper.push(point);
+  }
+  const hull = lower.slice(0, -1).concat(upper.slice(0, -1));
+
+  let area = 0;
+  for (let k = 0; k < hull.length; k++) {
+    const a = hull[k];
+    const b = hull[(k + 1) % hull.length];
+    area += a[0] * b[1] - b[0] * a[1];
+  }
+  return Math.abs(area) / 2;
+}
+
+/**
+ * Kobler statistikk-panelet til DOM og seleksjonen
+ */
+export function initSelectionStatsPanel() {
+  panelElement = document.getElementById('selection-stats-panel');
+  if (!panelElement) return;
+
+  new DraggablePanel(panelElement, panelElement.querySelector('.selection-stats-header'));
+  document.getElementById('selection-stats-close').addEventListener('click', () => setSelectionStatsVisible(false));
+
+  selection.onSelectionChange(() => scheduleUpdate());
+}
+
+/**
+ * Viser eller skjuler statistikk-panelet
+ */
+export function setSelectionStatsVisible(visible) {
+  if (!panelElement) return;
+  panelElement.style.display = visible ? 'flex' : 'none';
+  if (visible) scheduleUpdate();
+}
+
+export function isSelectionStatsVisible() {
+  return Boolean(panelElement) && panelElement.style.display !== 'none';
+}
+
+/**
+ * Samler endringene (f.eks. mange under en boks-drag) til én oppdatering per frame
+ */
+function scheduleUpdate() {
+  if (updateScheduled || !isSelectionStatsVisible()) return;
+  updateScheduled = true;
+  requestAnimationFrame(() => {
+    updateScheduled = false;
+    renderPanel(calculateSelectionStats());
+  });
+}
+
+function renderPanel(selectionStats) {
+  const content = panelElement.querySelector('.selection-stats-content');
+
+  if (!selectionStats) {
+    content.innerHTML = '<p class="no-data">No points selected - use the selection box or lasso</p>';
+    return;
+  }
+
+  const { count, minZ, maxZ, meanZ, stdZ, hullArea, density, histogram } = selectionStats;
+  const rows = [
+    ['Points', count.toLocaleString('nb-NO')],
+    ['Area (XY hull)', `${hullArea.toFixed(2)} m²`],
+    ['Density', density !== null ? `${density.toFixed(1)} pts/m²` : '–'],
+    ['Z min / max', `${minZ.toFixed(2)} / ${maxZ.toFixed(2)} m`],
+    ['Z mean', `${meanZ.toFixed(2)} m`],
+    ['Z std. dev.', `${stdZ.toFixed(3)} m`]
+  ];
+
+  content.innerHTML = `
+    ${rows.map(([label, value]) => `
+    <div class="stat-row">
+      <span class="stat-label">${label}:</span>
+      <span class="stat-value">${value}</span>
+    </div>`).join('')}
+    <h4>Z-Height Histogram</h4>
+    <div class="histogram">
+      ${createHistogramBars(histogram, minZ, maxZ > minZ ? maxZ : minZ + 1)}
+    </div>
+  `;
+}
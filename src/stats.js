@@ -2,15 +2,36 @@
  * Statistikk og dashboard-funksjonalitet
  */
 
-import * as THREE from 'three';
+import * as colorMap from './colorMap.js';
 
 let dashboardElement;
 let currentFileName = '';
-let currentMetadata = {
-  datum: 'ED50',
-  projection: 'UTM 32N'
-};
+let currentMetadata = {};
+let currentDiagnostics = null;
 let isDashboardMinimized = false;
+let currentHistogram = null; // { histogram, minZ, maxZ } - for nye farger uten ny opptelling
+let currentSelectedCount = 0; // Fra seleksjonsmasken (selection.js)
+
+// Metadata-felter som vises i dashboard, i denne rekkefølgen
+const METADATA_LABELS = {
+  format: 'File format',
+  systemIdentifier: 'System ID',
+  generatingSoftware: 'Software',
+  pointFormat: 'Point format',
+  crs: 'CRS',
+  datum: 'Datum',
+  projection: 'Projection'
+};
+
+// Feiltyper fra parse-diagnostikken (xyzParser.js), i denne rekkefølgen
+const DIAGNOSTIC_LABELS = {
+  skippedRows: 'Rows skipped',
+  tooFewColumns: 'Too few columns',
+  tooManyColumns: 'Too many columns',
+  nonNumeric: 'Non-numeric values',
+  nonFinite: 'NaN / Infinity',
+  duplicates: 'Duplicate points'
+};
 
 /**
  * Initialiserer dashboard
@@ -37,6 +58,7 @@ export function updateDashboard(pointCount, bounds, positions, fileName = '') {
   
   // Calculate histogram
   const histogram = calculateZHistogram(positions, minZ, maxZ, 10);
+  currentHistogram = { histogram, minZ, maxZ };
 
   // Calculate point resolution (average distance in flat areas)
   const resolution = calculatePointResolution(positions);
@@ -48,7 +70,7 @@ export function updateDashboard(pointCount, bounds, positions, fileName = '') {
     ${currentFileName ? `
     <div class="stat-row">
       <span class="stat-label">Filename:</span>
-      <span class="stat-value">${currentFileName}</span>
+      <span class="stat-value">${escapeHtml(currentFileName)}</span>
     </div>
     ` : ''}
 
@@ -57,6 +79,11 @@ export function updateDashboard(pointCount, bounds, positions, fileName = '') {
       <span class="stat-value">${pointCount.toLocaleString('nb-NO')}</span>
     </div>
 
+    <div class="stat-row">
+      <span class="stat-label">Selected points:</span>
+      <span class="stat-value selected-count">${currentSelectedCount.toLocaleString('nb-NO')}</span>
+    </div>
+
     <div class="stat-row">
       <span class="stat-label">Resolution:</span>
       <span class="stat-value">${resolution.toFixed(3)} m</span>
@@ -72,6 +99,10 @@ export function updateDashboard(pointCount, bounds, positions, fileName = '') {
       <span class="stat-value">${(maxZ - minZ).toFixed(2)} m</span>
     </div>
 
+    ${createMetadataSection()}
+
+    ${createDiagnosticsSection()}
+
     <div class="histogram-section">
       <h4>Z-Height Histogram</h4>
       <div class="histogram">
@@ -96,6 +127,16 @@ export function updateDashboard(pointCount, bounds, positions, fileName = '') {
   return resolution;
 }
 
+/**
+ * Oppdaterer antall valgte punkter uten å tegne dashboardet på nytt
+ * @param {number} count
+ */
+export function updateSelectedCount(count) {
+  currentSelectedCount = count;
+  const element = dashboardElement && dashboardElement.querySelector('.selected-count');
+  if (element) element.textContent = count.toLocaleString('nb-NO');
+}
+
 /**
  * Gets the current filename
  */
@@ -104,36 +145,104 @@ export function getFileName() {
 }
 
 /**
- * Updates metadata in dashboard
+ * Updates file metadata (format, system ID, CRS etc.) shown in dashboard
+ * Only the fields present in metadata are shown
  */
-export function updateMetadata(metadata) {
-  currentMetadata.datum = metadata.datum || 'ED50';
-  currentMetadata.projection = metadata.projection || 'UTM 32N';
+export function updateMetadata(metadata = {}) {
+  currentMetadata = { ...metadata };
 
   console.log('Updating metadata in dashboard:', currentMetadata);
 
   // Update dashboard if visible
   if (dashboardElement && dashboardElement.innerHTML) {
-    const statRows = dashboardElement.querySelectorAll('.stat-row');
+    const section = dashboardElement.querySelector('.metadata-section');
+    if (section) {
+      section.outerHTML = createMetadataSection();
+    }
+  }
+}
 
-    // statRows[0] = Datum, statRows[1] = Projection
-    if (statRows.length >= 2) {
-      const datumValue = statRows[0].querySelector('.stat-value');
-      const projValue = statRows[1].querySelector('.stat-value');
+/**
+ * Creates HTML for the metadata rows (always returns a wrapper so it can be replaced)
+ * Values come straight from the file header (system ID, software, CRS WKT) and are escaped
+ */
+function createMetadataSection() {
+  const rows = Object.entries(METADATA_LABELS)
+    .filter(([key]) => currentMetadata[key] !== undefined && currentMetadata[key] !== null && currentMetadata[key] !== '')
+    .map(([key, label]) => `
+      <div class="stat-row">
+        <span class="stat-label">${label}:</span>
+        <span class="stat-value">${escapeHtml(String(currentMetadata[key]))}</span>
+      </div>
+    `)
+    .join('');
 
-      if (datumValue) {
-        datumValue.textContent = currentMetadata.datum;
-        console.log('✓ Dashboard Datum updated to:', currentMetadata.datum);
-      }
+  return `<div class="metadata-section">${rows}</div>`;
+}
 
-      if (projValue) {
-        projValue.textContent = currentMetadata.projection;
-        console.log('✓ Dashboard Projection updated to:', currentMetadata.projection);
-      }
+/**
+ * Updates the parse diagnostics (malformed rows with line numbers) shown in dashboard
+ * @param {Object|null} diagnostics - From the text parsers, or null for formats without it
+ */
+export function updateDiagnostics(diagnostics = null) {
+  currentDiagnostics = diagnostics;
+
+  // Update dashboard if visible
+  if (dashboardElement && dashboardElement.innerHTML) {
+    const section = dashboardElement.querySelector('.diagnostics-section');
+    if (section) {
+      section.outerHTML = createDiagnosticsSection();
     }
   }
 }
 
+/**
+ * Formats the reported line numbers for one issue type ("lines 3, 7, 12 …")
+ */
+export function formatDiagnosticLines(issue) {
+  if (!issue || issue.lines.length === 0) return '';
+  const more = issue.count > issue.lines.length ? ', …' : '';
+  return `line${issue.lines.length > 1 ? 's' : ''} ${issue.lines.join(', ')}${more}`;
+}
+
+/**
+ * Creates HTML for the parse diagnostics (always returns a wrapper so it can be replaced)
+ */
+function createDiagnosticsSection() {
+  if (!currentDiagnostics) {
+    return '<div class="diagnostics-section"></div>';
+  }
+
+  const rows = Object.entries(DIAGNOSTIC_LABELS)
+    .filter(([key]) => currentDiagnostics[key]?.count > 0)
+    .map(([key, label]) => `
+      <div class="stat-row diagnostic-issue">
+        <span class="stat-label">${label}:</span>
+        <span class="stat-value">${currentDiagnostics[key].count.toLocaleString('nb-NO')}</span>
+      </div>
+      <div class="diagnostic-lines">${formatDiagnosticLines(currentDiagnostics[key])}</div>
+    `)
+    .join('');
+
+  // Store filer sjekkes bare delvis for duplikater (se xyzParser.MAX_DUPLICATE_CHECK_POINTS)
+  const duplicateNote = currentDiagnostics.duplicatesChecked ? `
+      <div class="diagnostic-lines">Duplicates checked among the first ${currentDiagnostics.duplicatesChecked.toLocaleString('nb-NO')} points only</div>
+    ` : '';
+
+  return `
+    <div class="diagnostics-section">
+      <h4>Parse Diagnostics</h4>
+      ${rows || `
+      <div class="stat-row diagnostic-ok">
+        <span class="stat-label">Rows checked:</span>
+        <span class="stat-value">✓ ${currentDiagnostics.dataRows.toLocaleString('nb-NO')}</span>
+      </div>
+      `}
+      ${duplicateNote}
+    </div>
+  `;
+}
+
 /**
  * Clears dashboard
  */
@@ -141,6 +250,19 @@ export function clearDashboard() {
   if (!dashboardElement) return;
   dashboardElement.innerHTML = '<p class="no-data">Upload a point cloud to see statistics</p>';
   isDashboardMinimized = false; // Reset minimize state
+  currentHistogram = null;
+  currentSelectedCount = 0;
+}
+
+/**
+ * Fargelegger histogrammet på nytt etter bytte av fargeskala eller verdiområde
+ */
+export function refreshHistogramColors() {
+  const container = dashboardElement && dashboardElement.querySelector('.histogram');
+  if (!container || !currentHistogram) return;
+
+  const { histogram, minZ, maxZ } = currentHistogram;
+  container.innerHTML = createHistogramBars(histogram, minZ, maxZ);
 }
 
 /**
@@ -287,36 +409,25 @@ function calculatePointResolution(positions) {
 }
 
 /**
- * Calculates color based on Z-value using the same elevation gradient as the point cloud
+ * Calculates color based on Z-value using the same colour map as the point cloud
  */
 function getColorForZ(z, minZ, maxZ) {
-  const zRange = maxZ - minZ || 1;
-  const normalizedZ = (z - minZ) / zRange;
-  const color = new THREE.Color();
-  color.setHSL(0.6 - normalizedZ * 0.6, 1.0, 0.5); // Blue (0.6) to red (0.0)
-  return color;
-}
-
-/**
- * Converts THREE.Color to CSS rgb string
- */
-function colorToCSS(color) {
-  const r = Math.round(color.r * 255);
-  const g = Math.round(color.g * 255);
-  const b = Math.round(color.b * 255);
-  return `rgb(${r}, ${g}, ${b})`;
+  return colorMap.getColor(z, colorMap.resolveRange(minZ, maxZ));
 }
 
 /**
  * Calculates histogram for Z-values
+ * @param {Uint8Array} [mask] - Bare punkter med 1 telles (f.eks. seleksjonsmasken)
+ * @returns {number[]} Antall punkter per søyle
  */
-function calculateZHistogram(positions, minZ, maxZ, numBins) {
+export function calculateZHistogram(positions, minZ, maxZ, numBins, mask = null) {
   const bins = new Array(numBins).fill(0);
   const range = maxZ - minZ;
   const binSize = range / numBins;
 
   // Count points in each bin
   for (let i = 0; i < positions.length; i += 3) {
+    if (mask && !mask[i / 3]) continue;
     const z = positions[i + 2]; // Z is the third value
 
     // Calculate which bin this point belongs to
@@ -335,7 +446,7 @@ function calculateZHistogram(positions, minZ, maxZ, numBins) {
 /**
  * Creates HTML for histogram bars with elevation-based colors
  */
-function createHistogramBars(histogram, minZ, maxZ) {
+export function createHistogramBars(histogram, minZ, maxZ) {
   const maxCount = Math.max(...histogram);
   const numBins = histogram.length;
   const binSize = (maxZ - minZ) / numBins;
@@ -365,7 +476,7 @@ function createHistogramBars(histogram, minZ, maxZ) {
 
     // Farge
     const color = getColorForZ((bin.min + bin.max) / 2, minZ, maxZ);
-    const cssColor = colorToCSS(color);
+    const cssColor = color.getStyle(); // sRGB, som punktene i 3D-visningen
 
     html += `
       <div class="histogram-column">
@@ -397,6 +508,7 @@ function formatCount(count) {
 
 /**
  * Shows a message in dashboard
+ * The message is plain text (file and archive entry names end up here), never HTML
  */
 export function showDashboardMessage(message, type = 'info') {
   if (!dashboardElement) return;
@@ -406,7 +518,10 @@ export function showDashboardMessage(message, type = 'info') {
   
   const messageDiv = document.createElement('div');
   messageDiv.className = `dashboard-message ${className}`;
-  messageDiv.innerHTML = `${icon} ${message}`;
+  const iconSpan = document.createElement('span');
+  iconSpan.className = 'dashboard-message-icon';
+  iconSpan.textContent = `${icon} `;
+  messageDiv.append(iconSpan, document.createTextNode(message));
   
   dashboardElement.insertBefore(messageDiv, dashboardElement.firstChild);
   
@@ -419,15 +534,23 @@ export function showDashboardMessage(message, type = 'info') {
 
 /**
  * Shows loading spinner with optional message
+ * Can be called repeatedly to update the message (e.g. with progress)
+ * @param {string} message - Text under the spinner
+ * @param {Function} [onCancel] - Shows a Cancel button that calls this when clicked
  */
-export function showLoadingSpinner(message = 'Loading...') {
+export function showLoadingSpinner(message = 'Loading...', onCancel = null) {
   const overlay = document.getElementById('loading-overlay');
   const text = overlay?.querySelector('.loading-text');
+  const cancelBtn = overlay?.querySelector('.loading-cancel-btn');
   
   if (overlay) {
     if (text) {
       text.textContent = message;
     }
+    if (cancelBtn) {
+      cancelBtn.style.display = onCancel ? 'block' : 'none';
+      cancelBtn.onclick = onCancel;
+    }
     overlay.classList.add('active');
   }
 }
@@ -440,5 +563,15 @@ export function hideLoadingSpinner() {
   
   if (overlay) {
     overlay.classList.remove('active');
+
+    const cancelBtn = overlay.querySelector('.loading-cancel-btn');
+    if (cancelBtn) {
+      cancelBtn.style.display = 'none';
+      cancelBtn.onclick = null;
+    }
   }
-}
\ No newline at end of file
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
@@ -1,13 +1,32 @@
+import * as THREE from 'three';
 import GUI from 'lil-gui';
 import * as viewer from './viewer.js';
 import * as selection from './selection.js';
 import * as stats from './stats.js';
 import * as report from './report.js';
 import * as grid from './grid.js';
+import * as colorMap from './colorMap.js';
+import * as attributeColors from './attributeColors.js';
+import * as bookmarks from './bookmarks.js';
+import * as clipping from './clipping.js';
+import * as capture from './capture.js';
+import * as lasso from './lasso.js';
+import * as editing from './editing.js';
+import * as selectionStats from './selectionStats.js';
+import * as pointExport from './pointExport.js';
+import { showExportDialog } from './exportDialog.js';
 
 let gui;
-let pointFolder, sceneFolder, controlsFolder, boxFolder, measurementFolder, profileFolder;
+let pointFolder, layersFolder, sceneFolder, controlsFolder, boxFolder, clippingFolder, measurementFolder, profileFolder;
 let boxControllers = {};
+let colorControllers = {};
+let legendRange = null; // Dataområdet legenden sist ble oppdatert med { minZ, maxZ }
+let classFolder;
+let projectionController;
+let clipPlaneControllers = []; // Én mappe per klippeplan i clippingSettings.planes
+let currentClasses = []; // Klasser i lagene: [{ classId, count }]
+let captureControllers = {};
+let editControllers = {};
 
 // Settings objekter
 export const settings = {
@@ -15,6 +34,22 @@ export const settings = {
   pointColor: '#ffffff',
   backgroundColor: '#000000',
   useHeightColor: true,
+  colorMode: 'height', // 'height', 'trueColor' (RGB fra filen) eller et attributtnavn (Color By)
+  colorMap: colorMap.getColorMap(), // Fargeskala for høydefarger (se colorMap.js)
+  autoColorRange: true, // Skalaen følger dataenes min/max
+  colorRangeMin: 0,     // Fast verdiområde (originale Z) når autoColorRange er av
+  colorRangeMax: 1,
+  colorSteps: '',       // Egendefinerte trinn, "Z:farge, Z:farge, ..."
+  attributeRamp: attributeColors.getAttributeRamp(), // Fargeskala for numeriske attributter
+  attributeRangeMin: 0,
+  attributeRangeMax: 1,
+  pointBudget: viewer.getPointBudget(), // Maks punkter som tegnes samtidig (octree LOD)
+  pointShape: 'square', // 'square', 'round' eller 'paraboloid'
+  adaptiveSize: false,  // Punktstørrelse etter punktavstanden i octree-noden
+  edl: false,           // Eye-Dome Lighting
+  edlStrength: 1.0,
+  edlRadius: 1.4,
+  projection: viewer.getProjection(), // 'perspective' eller 'orthographic'
   showAxes: false,
   showGrid: false,
   showLegend: true
@@ -26,9 +61,37 @@ export const reportSettings = {
   datum: 'ED50',
   projection: 'UTM 32N',
   description: 'Point cloud data',
+  includeSelection: true, // Egen side med statistikk for seleksjonen (hvis noe er valgt)
   generateReport: async () => await handleGenerateReport()
 };
 
+// Skjermbilde-oppløsninger: faktor av vinduet eller fast størrelse
+const SCREENSHOT_RESOLUTIONS = {
+  window: { label: 'Window', scale: 1 },
+  window2: { label: 'Window ×2', scale: 2 },
+  window4: { label: 'Window ×4', scale: 4 },
+  fullHD: { label: 'Full HD (1920×1080)', width: 1920, height: 1080 },
+  uhd4k: { label: '4K UHD (3840×2160)', width: 3840, height: 2160 },
+  uhd8k: { label: '8K UHD (7680×4320)', width: 7680, height: 4320 },
+  custom: { label: 'Custom' }
+};
+
+// Skjermbilde og video (se capture.js)
+export const captureSettings = {
+  resolution: 'window2', // Nøkkel i SCREENSHOT_RESOLUTIONS
+  width: 3840,           // Egendefinert størrelse
+  height: 2160,
+  transparent: false,
+  legend: true,          // Legenden tegnes på bildet hvis den vises
+  scaleBar: true,
+  saveScreenshot: null,  // Will be set later
+  videoMode: 'turntable', // 'turntable' eller 'bookmarks' (se capture.VIDEO_MODES)
+  duration: 10,          // Sekunder per runde (turntable)
+  secondsPerBookmark: 3,
+  fps: 30,
+  recordVideo: null      // Will be set later
+};
+
 // Lagre statistikk for rapport
 let currentStats = null;
 
@@ -42,10 +105,46 @@ export const boxSettings = {
   visible: false,
   transformMode: 'translate',
   hideOutside: true,
+  clipMode: 'off',     // Klippeboks: 'off', 'inside' eller 'outside' (se clipping.js)
   selectPoints: null,  // Will be set later
   saveSelected: null   // Will be set later
 };
 
+// Lasso/polygon-valg på skjermen (se lasso.js)
+export const lassoSettings = {
+  active: false,
+  shape: 'lasso',         // 'lasso' eller 'polygon' (se lasso.LASSO_SHAPES)
+  lassoTool: null         // Reference to LassoTool instance
+};
+
+// Seleksjonsmasken (se selection.js): boks og lasso kombineres etter combineMode
+export const selectionSettings = {
+  combineMode: 'replace', // 'replace', 'add', 'subtract' eller 'intersect' (lasso: Shift/Alt overstyrer)
+  invert: null,           // Will be set later
+  clear: null,            // Will be set later
+  showStats: null         // Will be set later
+};
+
+// Redigering av punktene med angre/gjør om (se editing.js)
+export const editSettings = {
+  deleteSelected: null,   // Will be set later
+  cropToSelection: null,  // Will be set later
+  cropToBox: null,        // Will be set later
+  undo: null,             // Will be set later
+  redo: null              // Will be set later
+};
+
+// Klippeplan: planet er n·p = position (sentrerte koordinater); punktene bak planet skjules
+export const clippingSettings = {
+  planes: [],        // { enabled, axis: 'x'|'y'|'z'|'custom', normalX/Y/Z, position, flip }
+  addPlane: null     // Will be set later
+};
+
+// Layer settings (one sub-folder per loaded file)
+export const layerSettings = {
+  onLayersChanged: null  // Will be set later (main.js updates dashboard, legend and grid)
+};
+
 // Measurement tool settings
 export const measurementSettings = {
   active: false,
@@ -66,24 +165,52 @@ export const profileSettings = {
  * Initializes the toolbar
  */
 export function initToolbar() {
-  const resetBtn = document.getElementById('toolbar-reset');
+  const viewBtn = document.getElementById('toolbar-view');
+  const viewMenu = document.getElementById('view-menu');
   const heatmapBtn = document.getElementById('toolbar-heatmap');
   const gridBtn = document.getElementById('toolbar-grid');
   const profileBtn = document.getElementById('toolbar-profile');
   const measurementBtn = document.getElementById('toolbar-measurement');
+  const screenshotBtn = document.getElementById('toolbar-screenshot');
+  const lassoBtn = document.getElementById('toolbar-lasso');
+
+  // View menu - reset, standardvisninger og projeksjon
+  const setViewMenuOpen = (open) => {
+    viewMenu.style.display = open ? 'flex' : 'none';
+    viewBtn.classList.toggle('active', open);
+    viewBtn.setAttribute('aria-expanded', String(open));
+  };
 
-    // Reset View button
-    resetBtn.addEventListener('click', () => {
-      const pointCloud = viewer.getPointCloud();
-      if (pointCloud) {
-        // Recompute bounding box and sphere
-        pointCloud.geometry.computeBoundingBox();
-        pointCloud.geometry.computeBoundingSphere();
-        
+  viewBtn.addEventListener('click', (event) => {
+    event.stopPropagation();
+    setViewMenuOpen(viewMenu.style.display === 'none');
+  });
+
+  // Lukk menyen ved klikk utenfor eller Escape
+  document.addEventListener('click', (event) => {
+    if (!viewMenu.contains(event.target)) setViewMenuOpen(false);
+  });
+  document.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') setViewMenuOpen(false);
+  });
+
+  viewMenu.querySelectorAll('[data-view]').forEach(item => {
+    item.addEventListener('click', () => {
+      setViewMenuOpen(false);
+      const view = item.dataset.view;
+
+      if (view !== 'reset') {
+        viewer.setViewPreset(view);
+        return;
+      }
+
+      // Bounding box and sphere around all visible layers
+      const layersBounds = viewer.getLayersBoundingBox();
+      if (layersBounds) {
         // Center camera on the point cloud
         viewer.centerCameraOnBounds(
-          pointCloud.geometry.boundingBox,
-          pointCloud.geometry.boundingSphere
+          layersBounds.boundingBox,
+          layersBounds.boundingSphere
         );
         
         console.log('Camera view reset to show entire point cloud');
@@ -91,25 +218,41 @@ export function initToolbar() {
         console.warn('No point cloud to reset view for');
       }
     });
+  });
+
+  viewMenu.querySelectorAll('[data-projection]').forEach(item => {
+    item.addEventListener('click', () => {
+      setViewMenuOpen(false);
+      setProjection(item.dataset.projection);
+    });
+  });
 
-  // Heatmap button - toggle height-based color
+  viewMenu.querySelectorAll('[data-navigation]').forEach(item => {
+    item.addEventListener('click', () => {
+      setViewMenuOpen(false);
+      setNavigationMode(item.dataset.navigation);
+    });
+  });
+  updateNavigationUI();
+  // Projeksjonen kan også byttes av andre (f.eks. kamera-bokmerker)
+  viewer.onCameraChange(() => {
+    settings.projection = viewer.getProjection();
+    updateProjectionUI();
+  });
+  updateProjectionUI();
+
+  // Heatmap button - switch between true colour and height for clouds with RGB,
+  // otherwise toggle height-based color on/off
   heatmapBtn.addEventListener('click', () => {
-    settings.useHeightColor = !settings.useHeightColor;
-    
-    const pointCloud = viewer.getPointCloud();
-    if (pointCloud) {
-      pointCloud.material.vertexColors = settings.useHeightColor;
-      if (!settings.useHeightColor) {
-        pointCloud.material.color.set(settings.pointColor);
-      }
-      pointCloud.material.needsUpdate = true;
+    if (viewer.hasTrueColor()) {
+      setColorMode(settings.colorMode === 'trueColor' ? 'height' : 'trueColor');
+      return;
     }
 
-    // Toggle active state
-    heatmapBtn.classList.toggle('active', settings.useHeightColor);
+    settings.useHeightColor = !settings.useHeightColor;
+    applyLayerMaterials();
 
-    // Update legend visibility
-    setLegendVisible(settings.useHeightColor);
+    updateColorModeUI();
     
     // Update GUI display
     updateDisplay();
@@ -129,6 +272,9 @@ export function initToolbar() {
       const isActive = !profileSettings.active;
       
       if (isActive) {
+        // The lasso also uses clicks in the view
+        if (lassoSettings.active) setLassoActive(false);
+
         profileSettings.active = true;
         
         // Set callback to re-enable controls when drawing completes
@@ -183,6 +329,7 @@ export function initToolbar() {
   measurementBtn.addEventListener('click', () => {
     if (measurementSettings.measurementTool) {
       measurementSettings.active = !measurementSettings.active;
+      if (measurementSettings.active && lassoSettings.active) setLassoActive(false);
       measurementSettings.measurementTool.setActive(measurementSettings.active);
       measurementBtn.classList.toggle('active', measurementSettings.active);
       
@@ -216,6 +363,12 @@ export function initToolbar() {
     }
   });
 
+  // Lasso button - draw a lasso/polygon to select points
+  lassoBtn.addEventListener('click', () => setLassoActive(!lassoSettings.active));
+
+  // Screenshot button - same settings as the Screenshot & Video folder
+  screenshotBtn.addEventListener('click', () => handleSaveScreenshot());
+
   // Set initial states
   heatmapBtn.classList.toggle('active', settings.useHeightColor);
   gridBtn.classList.toggle('active', settings.showGrid);
@@ -242,11 +395,47 @@ export function initGUI() {
   const sizeController = pointFolder.add(settings, 'pointSize', 0.01, 1, 0.01).name('Point Size');
   const colorController = pointFolder.addColor(settings, 'pointColor').name('Point Color');
   const heightColorController = pointFolder.add(settings, 'useHeightColor').name('Height-based Color');
+  colorControllers.mode = pointFolder.add(settings, 'colorMode', getColorModeOptions())
+    .name('Color By')
+    .onChange((value) => setColorMode(value));
+  setupColorByGUI();
+  setupColorMapGUI();
+  pointFolder.add(settings, 'pointBudget', 100000, 20000000, 100000)
+    .name('Point Budget')
+    .onChange((value) => viewer.setPointBudget(value));
+  pointFolder.add(settings, 'pointShape', { 'Square': 'square', 'Round': 'round', 'Paraboloid': 'paraboloid' })
+    .name('Point Shape')
+    .onChange((value) => viewer.setPointShading({ shape: value }));
+  pointFolder.add(settings, 'adaptiveSize')
+    .name('Adaptive Size')
+    .onChange((value) => viewer.setPointShading({ adaptiveSize: value }));
+  pointFolder.add(settings, 'edl')
+    .name('Eye-Dome Lighting')
+    .onChange((value) => {
+      viewer.setPointShading({ edl: value });
+      edlStrengthController.show(value);
+      edlRadiusController.show(value);
+    });
+  const edlStrengthController = pointFolder.add(settings, 'edlStrength', 0.1, 5, 0.1)
+    .name('EDL Strength')
+    .onChange((value) => viewer.setPointShading({ edlStrength: value }))
+    .hide();
+  const edlRadiusController = pointFolder.add(settings, 'edlRadius', 0.5, 4, 0.1)
+    .name('EDL Radius')
+    .onChange((value) => viewer.setPointShading({ edlRadius: value }))
+    .hide();
   pointFolder.close(); // Closed by default
 
+  // Layers folder - filled by refreshLayersGUI() when files are loaded
+  layersFolder = gui.addFolder('🗂️ Layers');
+  layersFolder.hide();
+
   // Scene settings folder
   sceneFolder = gui.addFolder('🎥 Scene Settings');
   const bgColorController = sceneFolder.addColor(settings, 'backgroundColor').name('Background Color');
+  projectionController = sceneFolder.add(settings, 'projection', { Perspective: 'perspective', Orthographic: 'orthographic' })
+    .name('Projection')
+    .onChange((value) => setProjection(value));
   sceneFolder.add(settings, 'showAxes').name('Show/Hide Axes').onChange((value) => {
     viewer.setAxesVisible(value);
   });
@@ -260,7 +449,8 @@ export function initGUI() {
 
   // Controls folder
   controlsFolder = gui.addFolder('🔧 Controls');
-  controlsFolder.add({ invertZ: () => handleInvertZ() }, 'invertZ').name('🔄 Invert Z-axis');
+  controlsFolder.add({ invertZ: () => handleInvertZ() }, 'invertZ').name('🔄 Invert Z-axis (undoable)');
+  controlsFolder.add({ exportPoints: () => handleExportPoints('all') }, 'exportPoints').name('📤 Export Points...');
 
   // Ensure Controls folder stays closed by default
   controlsFolder.close();
@@ -275,8 +465,23 @@ export function initGUI() {
   // Rapport & Lokasjon folder
   setupReportGUI();
 
+  // Skjermbilde & video folder
+  setupCaptureGUI();
+
   // Selection Box folder
   setupSelectionBoxGUI();
+
+  // Lasso folder
+  setupLassoGUI();
+
+  // Seleksjon folder (felles for boks og lasso)
+  setupSelectionGUI();
+
+  // Redigering folder (slett/beskjær, angre)
+  setupEditGUI();
+
+  // Klippeplan folder
+  setupClippingGUI();
   
   // Måleverktøy folder
   setupMeasurementGUI();
@@ -289,29 +494,22 @@ export function initGUI() {
     viewer.setBackgroundColor(value);
   });
 
+  // Global point size applies to every layer (each layer can be adjusted afterwards)
   sizeController.onChange((value) => {
-    const pointCloud = viewer.getPointCloud();
-    if (pointCloud) {
-      pointCloud.material.size = value;
-    }
+    viewer.getLayers().forEach(layer => {
+      layer.pointSize = value;
+      layer.points.material.size = value;
+    });
+    updateDisplay();
   });
 
-  colorController.onChange((value) => {
-    const pointCloud = viewer.getPointCloud();
-    if (pointCloud && !settings.useHeightColor) {
-      pointCloud.material.color.set(value);
-    }
+  colorController.onChange(() => {
+    applyLayerMaterials();
   });
 
-  heightColorController.onChange((value) => {
-    const pointCloud = viewer.getPointCloud();
-    if (pointCloud) {
-      pointCloud.material.vertexColors = value;
-      if (!value) {
-        pointCloud.material.color.set(settings.pointColor);
-      }
-      pointCloud.material.needsUpdate = true;
-    }
+  heightColorController.onChange(() => {
+    applyLayerMaterials();
+    updateColorModeUI();
   });
 
   // Ensure Controls folder stays closed after all initialization
@@ -339,6 +537,156 @@ export function initGUI() {
   return gui;
 }
 
+/**
+ * Valgene i Color By: høyde, RGB og attributtene lagene har
+ */
+function getColorModeOptions() {
+  const options = { 'Height': 'height', 'True color (RGB)': 'trueColor' };
+  viewer.getColorAttributes().forEach(name => {
+    options[attributeColors.getAttributeLabel(name)] = name;
+  });
+  return options;
+}
+
+/**
+ * Rampe og verdiområde for numeriske attributter, og klasse-liste for klassifisering
+ * (vises bare når det farges etter et slikt attributt)
+ */
+function setupColorByGUI() {
+  const rampOptions = Object.fromEntries(Object.entries(colorMap.COLOR_MAPS)
+    .filter(([key]) => key !== 'stepped')
+    .map(([key, label]) => [label, key]));
+
+  colorControllers.attributeRamp = pointFolder.add(settings, 'attributeRamp', rampOptions).name('Attribute Ramp')
+    .onChange((value) => {
+      attributeColors.setAttributeRamp(value);
+      renderLegendScale();
+    })
+    .hide();
+
+  const applyAttributeRange = () => {
+    attributeColors.setAttributeRange(settings.attributeRangeMin, settings.attributeRangeMax);
+    renderLegendScale();
+  };
+  colorControllers.attributeMin = pointFolder.add(settings, 'attributeRangeMin').name('Attribute Min')
+    .onFinishChange(applyAttributeRange)
+    .hide();
+  colorControllers.attributeMax = pointFolder.add(settings, 'attributeRangeMax').name('Attribute Max')
+    .onFinishChange(applyAttributeRange)
+    .hide();
+
+  classFolder = pointFolder.addFolder('🏷️ Classes');
+  classFolder.hide();
+}
+
+/**
+ * Bygger klasse-listen (én avkrysningsboks per klasse som finnes i lagene)
+ */
+function refreshClassGUI() {
+  [...classFolder.controllers].forEach(controller => controller.destroy());
+
+  currentClasses = viewer.getClassCounts();
+  currentClasses.forEach(({ classId, count }) => {
+    const info = attributeColors.getClassInfo(classId);
+    const classSettings = { visible: attributeColors.isClassVisible(classId) };
+    classFolder.add(classSettings, 'visible')
+      .name(`${classId} ${info.name} (${count.toLocaleString('nb-NO')})`)
+      .onChange((value) => {
+        attributeColors.setClassVisible(classId, value);
+        renderLegendScale();
+      });
+  });
+
+  classFolder.add({
+    showAll: () => {
+      currentClasses.forEach(({ classId }) => attributeColors.setClassVisible(classId, true));
+      refreshClassGUI();
+      renderLegendScale();
+    }
+  }, 'showAll').name('Show All Classes');
+}
+
+/**
+ * Viser kontrollene som hører til fargemodusen
+ */
+function updateColorByGUI() {
+  const attribute = attributeColors.getColorByAttribute();
+  const numeric = !!attribute && !attributeColors.isCategorical(attribute);
+
+  colorControllers.attributeRamp.show(numeric);
+  colorControllers.attributeMin.show(numeric);
+  colorControllers.attributeMax.show(numeric);
+
+  if (attribute && attributeColors.isCategorical(attribute)) {
+    refreshClassGUI();
+    classFolder.show();
+  } else {
+    classFolder.hide();
+  }
+}
+
+/**
+ * Legger til fargeskala, verdiområde og egendefinerte trinn i Point Cloud Settings
+ */
+function setupColorMapGUI() {
+  const mapOptions = Object.fromEntries(Object.entries(colorMap.COLOR_MAPS).map(([key, label]) => [label, key]));
+
+  pointFolder.add(settings, 'colorMap', mapOptions).name('Color Map').onChange((value) => {
+    // Egendefinerte trinn starter med jevne trinn over området som vises nå
+    if (value === 'stepped' && !settings.colorSteps && legendRange) {
+      const range = colorMap.resolveRange(legendRange.minZ, legendRange.maxZ);
+      settings.colorSteps = colorMap.createDefaultSteps(range.min, range.max);
+      colorMap.setCustomSteps(settings.colorSteps);
+    }
+    colorControllers.steps.show(value === 'stepped');
+    applyColorMap();
+  });
+
+  colorControllers.steps = pointFolder.add(settings, 'colorSteps').name('Steps (Z:color)')
+    .onFinishChange((value) => {
+      if (!colorMap.setCustomSteps(value)) {
+        stats.showDashboardMessage('⚠️ Invalid steps - use "Z:color, Z:color", e.g. "0:#2166ac, 5:yellow"', 'error');
+        settings.colorSteps = colorMap.getCustomStepsText();
+        colorControllers.steps.updateDisplay();
+        return;
+      }
+      settings.colorSteps = colorMap.getCustomStepsText();
+      colorControllers.steps.updateDisplay();
+      applyColorMap();
+    })
+    .hide();
+
+  pointFolder.add(settings, 'autoColorRange').name('Auto Color Range').onChange((value) => {
+    colorControllers.min.show(!value);
+    colorControllers.max.show(!value);
+    applyColorMap();
+  });
+  colorControllers.min = pointFolder.add(settings, 'colorRangeMin').name('Range Min (Z)')
+    .onFinishChange(() => applyColorMap())
+    .hide();
+  colorControllers.max = pointFolder.add(settings, 'colorRangeMax').name('Range Max (Z)')
+    .onFinishChange(() => applyColorMap())
+    .hide();
+}
+
+/**
+ * Tar i bruk valgt fargeskala og verdiområde i 3D-visningen, legenden og histogrammet
+ * (PDF-rapporten leser de samme innstillingene fra colorMap.js)
+ */
+function applyColorMap() {
+  colorMap.setColorMap(settings.colorMap);
+  if (settings.autoColorRange) {
+    colorMap.setColorRange(null);
+  } else {
+    colorMap.setColorRange(settings.colorRangeMin, settings.colorRangeMax);
+  }
+
+  viewer.recalculateColorsFromZ();
+
+  renderLegendScale();
+  stats.refreshHistogramColors();
+}
+
 /**
  * Sets up Selection Box GUI
  */
@@ -348,16 +696,16 @@ function setupSelectionBoxGUI() {
   boxControllers.visible = boxFolder.add(boxSettings, 'visible').name('Show Box').onChange((value) => {
     const selBox = selection.getSelectionBox();
     const transControls = selection.getTransformControls();
-    const pointCloud = viewer.getPointCloud();
 
     selBox.visible = value;
     transControls.visible = value;
 
-    // Automatically select points when box is activated (without alert)
-    if (value && pointCloud) {
-      selection.selectPointsInBox(pointCloud, boxSettings, false);
-    } else if (!value && pointCloud) {
-      selection.restoreOriginalColors(pointCloud);
+    // Automatically select points in all visible layers when box is activated (without alert)
+    if (value) {
+      selection.selectPointsInBox(viewer.getVisiblePointClouds(), boxSettings);
+    } else {
+      // Boksen var bare forhåndsvist - tilbake til seleksjonen fra før
+      selection.cancelBoxSelection(viewer.getVisiblePointClouds(), boxSettings);
     }
   });
 
@@ -366,66 +714,457 @@ function setupSelectionBoxGUI() {
   });
 
   boxFolder.add(boxSettings, 'hideOutside').name('Fade Outside').onChange(() => {
-    if (boxSettings.visible) {
-      selection.selectPointsInBox(viewer.getPointCloud(), boxSettings, false);
-    }
+    selection.refreshSelection(viewer.getVisiblePointClouds(), boxSettings);
+  });
+
+  // Klippeboks: skjuler punktene i shaderen (også når boksen ikke vises)
+  const clipModeOptions = Object.fromEntries(Object.entries(clipping.CLIP_BOX_MODES).map(([mode, label]) => [label, mode]));
+  boxFolder.add(boxSettings, 'clipMode', clipModeOptions).name('Clip Points').onChange((value) => {
+    clipping.setClipBoxMode(value);
+    selection.updateClipBox();
   });
 
   boxControllers.x = boxFolder.add(boxSettings, 'x', -100, 100, 0.1).name('Position X').onChange((value) => {
     selection.getSelectionBox().position.x = value;
-    if (boxSettings.visible) {
-      selection.selectPointsInBox(viewer.getPointCloud(), boxSettings, false);
-    }
+    handleBoxChanged();
   });
 
   boxControllers.y = boxFolder.add(boxSettings, 'y', -100, 100, 0.1).name('Position Y').onChange((value) => {
     selection.getSelectionBox().position.y = value;
-    if (boxSettings.visible) {
-      selection.selectPointsInBox(viewer.getPointCloud(), boxSettings, false);
-    }
+    handleBoxChanged();
   });
 
   boxControllers.z = boxFolder.add(boxSettings, 'z', -100, 100, 0.1).name('Position Z (Height)').onChange((value) => {
     selection.getSelectionBox().position.z = value;
-    if (boxSettings.visible) {
-      selection.selectPointsInBox(viewer.getPointCloud(), boxSettings, false);
-    }
+    handleBoxChanged();
   });
   
   boxControllers.width = boxFolder.add(boxSettings, 'width', 0.1, 50, 0.1).name('Width (X)').onChange((value) => {
     selection.updateBoxSize(value, boxSettings.height, boxSettings.depth);
-    if (boxSettings.visible) {
-      selection.selectPointsInBox(viewer.getPointCloud(), boxSettings, false);
-    }
+    handleBoxChanged();
   });
 
   boxControllers.height = boxFolder.add(boxSettings, 'height', 0.1, 50, 0.1).name('Depth (Y)').onChange((value) => {
     selection.updateBoxSize(boxSettings.width, value, boxSettings.depth);
-    if (boxSettings.visible) {
-      selection.selectPointsInBox(viewer.getPointCloud(), boxSettings, false);
-    }
+    handleBoxChanged();
   });
 
   boxControllers.depth = boxFolder.add(boxSettings, 'depth', 0.1, 50, 0.1).name('Height (Z)').onChange((value) => {
     selection.updateBoxSize(boxSettings.width, boxSettings.height, value);
-    if (boxSettings.visible) {
-      selection.selectPointsInBox(viewer.getPointCloud(), boxSettings, false);
-    }
+    handleBoxChanged();
   });
 
   // Buttons for selection and saving
   boxSettings.selectPoints = () => {
-    selection.selectPointsInBox(viewer.getPointCloud(), boxSettings, true);
-  };
-  boxSettings.saveSelected = () => {
-    selection.saveSelectedPoints(viewer.getPointCloud(), boxSettings);
+    const pointClouds = viewer.getVisiblePointClouds();
+    if (pointClouds.length === 0) {
+      stats.showDashboardMessage('⚠️ Load a point cloud first', 'error');
+      return;
+    }
+    const count = selection.applyBoxSelection(pointClouds, boxSettings);
+    stats.showDashboardMessage(`✓ ${count.toLocaleString('nb-NO')} points selected`, 'info');
+    selectionStats.setSelectionStatsVisible(true);
   };
+  boxSettings.saveSelected = () => handleExportPoints('selection');
 
   boxFolder.add(boxSettings, 'selectPoints').name('🔍 Select Points');
-  boxFolder.add(boxSettings, 'saveSelected').name('💾 Save Selected');
+  boxFolder.add(boxSettings, 'saveSelected').name('💾 Save Selected...');
   boxFolder.close();
 }
 
+/**
+ * Boksen er flyttet eller endret: oppdater klippeboksen og seleksjonen
+ */
+export function handleBoxChanged() {
+  selection.updateClipBox();
+  if (boxSettings.visible) {
+    selection.selectPointsInBox(viewer.getVisiblePointClouds(), boxSettings);
+  }
+}
+
+/**
+ * Sets up Lasso Selection GUI
+ */
+function setupLassoGUI() {
+  const lassoFolder = gui.addFolder('🪢 Lasso Selection');
+
+  lassoFolder.add(lassoSettings, 'active').name('Activate Lasso').onChange((value) => setLassoActive(value));
+
+  const shapeOptions = Object.fromEntries(Object.entries(lasso.LASSO_SHAPES).map(([shape, label]) => [label, shape]));
+  lassoFolder.add(lassoSettings, 'shape', shapeOptions).name('Shape').onChange((value) => {
+    lassoSettings.lassoTool?.setShape(value);
+  });
+
+  lassoFolder.close();
+}
+
+/**
+ * Sets up Selection GUI (seleksjonsmasken som boks og lasso bygger opp)
+ */
+function setupSelectionGUI() {
+  const selectionFolder = gui.addFolder('🧩 Selection');
+
+  // Antall valgte punkter vises alltid i dashboardet
+  selection.onSelectionChange(count => stats.updateSelectedCount(count));
+
+  const combineOptions = Object.fromEntries(Object.entries(selection.COMBINE_MODES).map(([mode, label]) => [label, mode]));
+  selectionFolder.add(selectionSettings, 'combineMode', combineOptions).name('Combine').onChange((value) => {
+    selection.setCombineMode(value);
+    lassoSettings.lassoTool?.setCombineMode(value);
+    if (boxSettings.visible) {
+      selection.selectPointsInBox(viewer.getVisiblePointClouds(), boxSettings);
+    }
+  });
+
+  selectionSettings.invert = () => {
+    const count = selection.invertSelection(viewer.getVisiblePointClouds(), boxSettings);
+    stats.showDashboardMessage(`✓ Selection inverted: ${count.toLocaleString('nb-NO')} points selected`, 'info');
+  };
+  selectionSettings.clear = () => {
+    selection.clearSelection(viewer.getVisiblePointClouds(), boxSettings);
+    stats.showDashboardMessage('✓ Selection cleared', 'info');
+  };
+
+  selectionFolder.add(selectionSettings, 'invert').name('🔄 Invert Selection');
+  selectionSettings.showStats = () => {
+    selectionStats.setSelectionStatsVisible(!selectionStats.isSelectionStatsVisible());
+  };
+
+  selectionFolder.add(selectionSettings, 'clear').name('🧹 Clear Selection');
+  selectionFolder.add(selectionSettings, 'showStats').name('📈 Selection Statistics');
+  selectionFolder.add(boxSettings, 'saveSelected').name('💾 Save Selected...');
+  selectionFolder.close();
+}
+
+/**
+ * Sets up Edit Points GUI (slette og beskjære punkter, angre/gjør om)
+ */
+function setupEditGUI() {
+  const editFolder = gui.addFolder('✏️ Edit Points');
+
+  editSettings.deleteSelected = () => handlePointEdit(editing.deleteSelected, 'No points selected');
+  editSettings.cropToSelection = () => handlePointEdit(editing.cropToSelection, 'No points selected');
+  editSettings.cropToBox = () => {
+    // Boksen beholder siste plassering når den er skjult - ikke beskjær til noe brukeren ikke ser
+    if (!boxSettings.visible) {
+      stats.showDashboardMessage('⚠️ Show the selection box first', 'error');
+      return;
+    }
+    handlePointEdit(editing.cropToBox, 'All points are inside the box');
+  };
+  editSettings.undo = () => handleUndo();
+  editSettings.redo = () => handleRedo();
+
+  editFolder.add(editSettings, 'deleteSelected').name('🗑️ Delete Selected');
+  editFolder.add(editSettings, 'cropToSelection').name('✂️ Crop to Selection');
+  editFolder.add(editSettings, 'cropToBox').name('📦 Crop to Box');
+  editControllers.undo = editFolder.add(editSettings, 'undo').name('↶ Undo (Ctrl+Z)').disable();
+  editControllers.redo = editFolder.add(editSettings, 'redo').name('↷ Redo (Ctrl+Y)').disable();
+  editFolder.close();
+
+  editing.onHistoryChange(({ undo, redo }) => {
+    editControllers.undo.name(undo ? `↶ Undo ${undo} (Ctrl+Z)` : '↶ Undo (Ctrl+Z)').enable(Boolean(undo));
+    editControllers.redo.name(redo ? `↷ Redo ${redo} (Ctrl+Y)` : '↷ Redo (Ctrl+Y)').enable(Boolean(redo));
+  });
+
+  // Nye punktdata i lagene: dashboard, legend, rapport-statistikk, grid og farger må følge med
+  editing.onPointsChanged(() => handlePointsChanged());
+
+  // Ctrl+Z / Ctrl+Y (Ctrl+Shift+Z) utenfor tekstfelt
+  document.addEventListener('keydown', (event) => {
+    if (!(event.ctrlKey || event.metaKey) || event.target.closest('input, textarea, select')) return;
+    const key = event.key.toLowerCase();
+    if (key === 'z' && !event.shiftKey) {
+      event.preventDefault();
+      handleUndo();
+    } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+      event.preventDefault();
+      handleRedo();
+    }
+  });
+}
+
+/**
+ * Sletter eller beskjærer punkter i de synlige lagene
+ * @param {function(THREE.Points[]): number} edit - Fra editing.js
+ * @param {string} emptyMessage - Vises når ingen punkter ble fjernet
+ */
+function handlePointEdit(edit, emptyMessage) {
+  const clouds = viewer.getVisiblePointClouds();
+  if (clouds.length === 0) {
+    stats.showDashboardMessage('⚠️ Load a point cloud first', 'error');
+    return;
+  }
+
+  try {
+    const removed = edit(clouds);
+    if (removed === 0) {
+      stats.showDashboardMessage(`⚠️ ${emptyMessage}`, 'error');
+      return;
+    }
+    stats.showDashboardMessage(`✓ ${removed.toLocaleString('nb-NO')} points removed`, 'info');
+  } catch (error) {
+    console.error('Point edit failed:', error);
+    stats.showDashboardMessage(`❌ ${error.message}`, 'error');
+  }
+}
+
+function handleUndo() {
+  const edit = editing.undo();
+  if (edit) stats.showDashboardMessage(`↶ Undone: ${edit.label}`, 'info');
+}
+
+function handleRedo() {
+  const edit = editing.redo();
+  if (edit) stats.showDashboardMessage(`↷ Redone: ${edit.label}`, 'info');
+}
+
+/**
+ * Lagene har fått nye punktdata (redigering, angre eller gjør om)
+ */
+function handlePointsChanged() {
+  // Eksplosjonen har hastigheter per punkt i default-skyen
+  viewer.setIsDefaultCloud(false, null);
+
+  // Dashboard, legend, rapport-statistikk (currentStats), grid og farger for alle lag
+  if (layerSettings.onLayersChanged) {
+    layerSettings.onLayersChanged();
+  }
+
+  // Seleksjonsmasken fulgte med punktene - boksen kombineres med den nye
+  selection.commitSelection(viewer.getVisiblePointClouds());
+  if (boxSettings.visible) {
+    selection.selectPointsInBox(viewer.getVisiblePointClouds(), boxSettings);
+  }
+}
+
+/**
+ * Slår lasso-verktøyet av/på (toolbar og GUI)
+ * Måle- og profilverktøyet slås av, siden de også bruker klikk i visningen.
+ */
+export function setLassoActive(active) {
+  const tool = lassoSettings.lassoTool;
+  if (!tool) return;
+
+  if (active && viewer.getVisiblePointClouds().length === 0) {
+    stats.showDashboardMessage('⚠️ Load a point cloud first', 'error');
+    active = false;
+  }
+
+  if (active) {
+    if (measurementSettings.active && measurementSettings.measurementTool) {
+      measurementSettings.active = false;
+      measurementSettings.measurementTool.setActive(false);
+      measurementSettings.measurementTool.hideMeasurementPanel();
+      document.getElementById('toolbar-measurement')?.classList.remove('active');
+    }
+    if (profileSettings.active && profileSettings.profileTool) {
+      profileSettings.profileTool.clearProfile();
+      profileSettings.active = false;
+      document.getElementById('toolbar-profile')?.classList.remove('active');
+    }
+  }
+
+  lassoSettings.active = active;
+  tool.setActive(active);
+  document.getElementById('toolbar-lasso')?.classList.toggle('active', active);
+
+  if (active) {
+    const hint = lassoSettings.shape === 'polygon'
+      ? '🪢 Click the corners, double-click to close (Shift add, Alt subtract)'
+      : '🪢 Drag around the points (Shift add, Alt subtract)';
+    stats.showDashboardMessage(hint, 'info');
+  }
+  updateDisplay();
+}
+
+/**
+ * Lasso/polygon er tegnet: velg punktene og kombiner med seleksjonen
+ */
+async function handleLassoComplete(polygon, mode) {
+  // Store valg (i workeren) viser fremdrift og kan avbrytes
+  const abortController = new AbortController();
+  const cancel = () => abortController.abort();
+
+  try {
+    const count = await lasso.selectWithPolygon(polygon, mode, boxSettings, {
+      signal: abortController.signal,
+      onProgress: (fraction) => {
+        stats.showLoadingSpinner(`Selecting points... ${Math.round(fraction * 100)}%`, cancel);
+      }
+    });
+    stats.hideLoadingSpinner();
+    stats.showDashboardMessage(`✓ ${count.toLocaleString('nb-NO')} points selected`, 'info');
+  } catch (error) {
+    stats.hideLoadingSpinner();
+    if (error.name === 'AbortError') {
+      stats.showDashboardMessage('Lasso selection cancelled', 'info');
+      return;
+    }
+    console.error('Lasso selection failed:', error);
+    stats.showDashboardMessage('❌ Lasso selection failed', 'error');
+  }
+}
+
+/**
+ * Sets reference to lasso tool
+ */
+export function setLassoTool(tool) {
+  lassoSettings.lassoTool = tool;
+  tool.setShape(lassoSettings.shape);
+  tool.setCombineMode(selectionSettings.combineMode);
+  tool.onComplete = (polygon, mode) => handleLassoComplete(polygon, mode);
+}
+
+/**
+ * Sets up Clipping Planes GUI (inntil clipping.MAX_CLIP_PLANES plan)
+ */
+function setupClippingGUI() {
+  clippingFolder = gui.addFolder('✂️ Clipping Planes');
+
+  clippingSettings.addPlane = () => {
+    if (clippingSettings.planes.length >= clipping.MAX_CLIP_PLANES) {
+      console.warn(`Max ${clipping.MAX_CLIP_PLANES} clipping planes`);
+      return;
+    }
+
+    // Nytt plan gjennom midten av skyen, vinkelrett på Z (skjuler det som er over)
+    const center = getClipPlaneBounds().getCenter(new THREE.Vector3());
+    clippingSettings.planes.push({
+      enabled: true,
+      axis: 'z',
+      normalX: 0,
+      normalY: 0,
+      normalZ: 1,
+      position: Number(center.z.toFixed(2)),
+      flip: false
+    });
+    refreshClippingGUI();
+    applyClipPlanes();
+  };
+
+  clippingFolder.add(clippingSettings, 'addPlane').name('➕ Add Plane');
+  clippingFolder.close();
+}
+
+/**
+ * Bygger én undermappe per klippeplan
+ */
+function refreshClippingGUI() {
+  clipPlaneControllers.forEach(folder => folder.destroy());
+  clipPlaneControllers = [];
+
+  clippingSettings.planes.forEach((plane, index) => {
+    const folder = clippingFolder.addFolder(`Plane ${index + 1}`);
+    const controllers = {};
+
+    folder.add(plane, 'enabled').name('Enabled').onChange(applyClipPlanes);
+    folder.add(plane, 'axis', { X: 'x', Y: 'y', Z: 'z', Custom: 'custom' }).name('Normal').onChange((axis) => {
+      if (axis !== 'custom') {
+        plane.normalX = axis === 'x' ? 1 : 0;
+        plane.normalY = axis === 'y' ? 1 : 0;
+        plane.normalZ = axis === 'z' ? 1 : 0;
+      }
+      const range = getClipPlaneRange(plane);
+      plane.position = Number(((range.min + range.max) / 2).toFixed(2));
+      updatePlaneControllers();
+      applyClipPlanes();
+    });
+
+    controllers.normal = ['normalX', 'normalY', 'normalZ'].map((key, i) =>
+      folder.add(plane, key, -1, 1, 0.01).name(`Normal ${'XYZ'[i]}`).onChange(applyClipPlanes)
+    );
+    controllers.position = folder.add(plane, 'position', -100, 100, 0.01).name('Position').onChange(applyClipPlanes);
+    folder.add(plane, 'flip').name('Flip Side').onChange(applyClipPlanes);
+
+    folder.add({
+      alignToView: () => {
+        // Planet står vinkelrett på synsretningen gjennom target; det bak target skjules
+        const direction = viewer.getCamera().getWorldDirection(new THREE.Vector3());
+        plane.axis = 'custom';
+        plane.normalX = Number(direction.x.toFixed(3));
+        plane.normalY = Number(direction.y.toFixed(3));
+        plane.normalZ = Number(direction.z.toFixed(3));
+        plane.position = Number(direction.dot(viewer.getControls().target).toFixed(2));
+        plane.flip = false;
+        updatePlaneControllers();
+        applyClipPlanes();
+      }
+    }, 'alignToView').name('🎥 Align to View');
+
+    folder.add({
+      remove: () => {
+        clippingSettings.planes.splice(index, 1);
+        refreshClippingGUI();
+        applyClipPlanes();
+      }
+    }, 'remove').name('🗑️ Remove Plane');
+
+    const updatePlaneControllers = () => {
+      const range = getClipPlaneRange(plane);
+      controllers.position.min(range.min).max(range.max);
+      controllers.normal.forEach(controller => controller.show(plane.axis === 'custom'));
+      folder.controllersRecursive().forEach(controller => controller.updateDisplay());
+    };
+    updatePlaneControllers();
+
+    clipPlaneControllers.push(folder);
+  });
+}
+
+/**
+ * Sender de aktive planene til clipping.js
+ */
+function applyClipPlanes() {
+  const planes = clippingSettings.planes
+    .filter(plane => plane.enabled)
+    .map(plane => {
+      const normal = new THREE.Vector3(plane.normalX, plane.normalY, plane.normalZ);
+      if (normal.lengthSq() === 0) normal.set(0, 0, 1);
+      normal.normalize();
+
+      // Synlig side: n·p <= position (eller >= når snudd)
+      return plane.flip
+        ? new THREE.Plane(normal, -plane.position)
+        : new THREE.Plane(normal.negate(), plane.position);
+    });
+  clipping.setClipPlanes(planes);
+}
+
+/**
+ * Sentrerte bounds for alle lag (standardboks før noe er lastet)
+ */
+function getClipPlaneBounds() {
+  const layersBounds = viewer.getLayers().length > 0 ? viewer.getLayersBoundingBox(false) : null;
+  return layersBounds
+    ? layersBounds.boundingBox
+    : new THREE.Box3(new THREE.Vector3(-100, -100, -100), new THREE.Vector3(100, 100, 100));
+}
+
+/**
+ * Verdiområdet for planets posisjon: n·p over hjørnene i skyens bounds
+ */
+function getClipPlaneRange(plane) {
+  const bounds = getClipPlaneBounds();
+  const normal = new THREE.Vector3(plane.normalX, plane.normalY, plane.normalZ);
+  if (normal.lengthSq() === 0) normal.set(0, 0, 1);
+  normal.normalize();
+
+  let min = Infinity;
+  let max = -Infinity;
+  for (let i = 0; i < 8; i++) {
+    const corner = new THREE.Vector3(
+      i & 1 ? bounds.max.x : bounds.min.x,
+      i & 2 ? bounds.max.y : bounds.min.y,
+      i & 4 ? bounds.max.z : bounds.min.z
+    );
+    const value = normal.dot(corner);
+    min = Math.min(min, value);
+    max = Math.max(max, value);
+  }
+  return { min: Math.floor(min), max: Math.ceil(max) };
+}
+
 /**
  * Updates GUI ranges based on data bounds
  */
@@ -447,9 +1186,105 @@ export function updateGUIRanges(bounds) {
   boxControllers.height.min(0.1).max(maxHeight);
   boxControllers.depth.min(0.1).max(maxDepth);
 
+  // Klippeplanenes posisjon følger de nye dataene
+  refreshClippingGUI();
+
+  // Fast fargeområde starter fra dataenes min/max når brukeren slår av Auto
+  if (settings.autoColorRange) {
+    settings.colorRangeMin = Number(minZ.toFixed(2));
+    settings.colorRangeMax = Number(maxZ.toFixed(2));
+    colorControllers.min.updateDisplay();
+    colorControllers.max.updateDisplay();
+  }
+
   console.log('GUI ranges updated based on data bounds');
 }
 
+/**
+ * Applies colour settings to every layer's material
+ * Layers with a solid layer colour ignore the global colour mode.
+ */
+export function applyLayerMaterials() {
+  viewer.getLayers().forEach(layer => {
+    const material = layer.points.material;
+    if (layer.useLayerColor) {
+      material.vertexColors = false;
+      material.color.set(layer.color);
+    } else {
+      material.vertexColors = settings.useHeightColor;
+      material.color.set(settings.useHeightColor ? 0xffffff : settings.pointColor);
+    }
+    material.needsUpdate = true;
+  });
+}
+
+/**
+ * Rebuilds the Layers folder with visibility, colour, point size and remove per layer
+ */
+export function refreshLayersGUI() {
+  [...layersFolder.folders].forEach(folder => folder.destroy());
+
+  const layers = viewer.getLayers();
+  layers.forEach(layer => {
+    const folder = layersFolder.addFolder(layer.name);
+
+    folder.add(layer.points, 'visible').name('Visible').onChange(() => {
+      handleLayerVisibilityChange();
+    });
+
+    folder.add(layer, 'pointSize', 0.01, 1, 0.01).name('Point Size').onChange((value) => {
+      layer.points.material.size = value;
+    });
+
+    folder.add(layer, 'useLayerColor').name('Solid Color').onChange(() => {
+      applyLayerMaterials();
+    });
+
+    folder.addColor(layer, 'color').name('Layer Color').onChange(() => {
+      // Picking a colour switches the layer to it
+      layer.useLayerColor = true;
+      applyLayerMaterials();
+      folder.controllersRecursive().forEach(controller => controller.updateDisplay());
+    });
+
+    folder.add({ remove: () => handleRemoveLayer(layer.id) }, 'remove').name('🗑️ Remove Layer');
+    folder.close();
+  });
+
+  layersFolder.show(layers.length > 0);
+}
+
+/**
+ * Selection and profile only use visible layers - update them when a layer is shown/hidden
+ */
+function handleLayerVisibilityChange() {
+  selection.refreshSelection(viewer.getVisiblePointClouds(), boxSettings);
+
+  if (profileSettings.profileTool) {
+    profileSettings.profileTool.updateThickness(profileSettings.profileTool.profileThickness);
+  }
+}
+
+/**
+ * Removes a layer from the session
+ */
+function handleRemoveLayer(id) {
+  const layer = viewer.getLayers().find(item => item.id === id);
+  if (!layer) return;
+
+  viewer.removeLayer(id);
+  refreshLayersGUI();
+
+  // Angre-historikken gjelder lagene slik de var
+  editing.clearHistory();
+
+  if (layerSettings.onLayersChanged) {
+    layerSettings.onLayersChanged();
+  }
+
+  stats.showDashboardMessage(`✓ Layer removed: ${layer.name}`, 'info');
+}
+
 /**
  * Opens point cloud folder
  */
@@ -470,40 +1305,91 @@ export function updateDisplay() {
 }
 
 /**
- * Handles Z-axis inversion
+ * Åpner eksport-dialogen og eksporterer punktene (LAS, PLY, CSV eller XYZ)
+ * @param {string} [scope] - Utvalg som er valgt i dialogen (nøkkel i pointExport.EXPORT_SCOPES)
+ */
+async function handleExportPoints(scope = 'all') {
+  const layers = viewer.getLayers();
+  if (layers.length === 0) {
+    stats.showDashboardMessage('⚠️ Load a point cloud first', 'error');
+    return;
+  }
+
+  const countPoints = (items) => items.reduce((sum, layer) => sum + layer.points.geometry.attributes.position.count, 0);
+  const hasAttribute = (name) => layers.some(layer => layer.points.geometry.attributes[name]);
+
+  const options = await showExportDialog({
+    scope,
+    counts: {
+      all: countPoints(layers),
+      selection: selection.getSelectedCount(viewer.getVisiblePointClouds()),
+      visible: countPoints(layers.filter(layer => layer.points.visible))
+    },
+    // Farger finnes alltid (RGB fra filen eller høydefargene)
+    available: { color: true, intensity: hasAttribute('intensity'), classification: hasAttribute('classification') }
+  });
+  if (!options) return;
+
+  stats.showLoadingSpinner(`Exporting ${pointExport.EXPORT_FORMATS[options.format]}...`);
+
+  // La spinneren vises før skrivingen låser nettleseren
+  await new Promise(resolve => requestAnimationFrame(() => setTimeout(resolve, 0)));
+
+  try {
+    const count = pointExport.exportPoints(options, stats.getFileName());
+    if (count === 0) {
+      stats.showDashboardMessage('⚠️ No points to export (all clipped)', 'error');
+    } else {
+      stats.showDashboardMessage(`✓ ${count.toLocaleString('nb-NO')} points exported`, 'info');
+    }
+  } catch (error) {
+    console.error('Error exporting points:', error);
+    stats.showDashboardMessage(`❌ ${error.message}`, 'error');
+  } finally {
+    stats.hideLoadingSpinner();
+  }
+}
+
+/**
+ * Handles Z-axis inversion (can be undone - inverting again restores it)
  */
 function handleInvertZ() {
+  if (invertZ()) {
+    editing.pushEdit({ label: 'Invert Z-axis', undo: () => invertZ(), redo: () => invertZ() });
+  }
+}
+
+/**
+ * Inverts Z for all layers and updates dashboard, legend, report stats, bookmarks, box and grid
+ * @returns {boolean} false if there was nothing to invert
+ */
+function invertZ() {
+  // Et fast fargeområde følger inverteringen (fargene regnes ut i invertZAxis)
+  if (!settings.autoColorRange && viewer.getLayers().length > 0) {
+    [settings.colorRangeMin, settings.colorRangeMax] = [-settings.colorRangeMax, -settings.colorRangeMin];
+    colorMap.setColorRange(settings.colorRangeMin, settings.colorRangeMax);
+  }
+
   const result = viewer.invertZAxis();
 
   if (!result) {
     console.warn('Could not invert Z-axis');
-    return;
+    return false;
   }
 
-  const { center, size, positions, boundingBox, originalMinZ, originalMaxZ } = result;
+  const { center, size, boundingBox, originalMinZ, originalMaxZ } = result;
 
-  const pointCount = positions.length / 3;
+  // Bokmerkene er i originale koordinater, som nå er speilet i Z
+  bookmarks.invertBookmarksZ();
 
-  // Get coordinate offset to calculate original X/Y bounds
+  // Get coordinate offset (Z is already inverted) for the grid
   const offset = viewer.getCoordinateOffset();
   
-  // Convert centered positions back to original for histogram
-  const originalPositions = new Float32Array(positions.length);
-  for (let i = 0; i < positions.length; i += 3) {
-    originalPositions[i] = positions[i] + offset.x;
-    originalPositions[i + 1] = positions[i + 1] + offset.y;
-    originalPositions[i + 2] = positions[i + 2] + offset.z;  // Using the inverted offset
-  }
+  // Original coordinates of all layers (inverted together with the clouds) for histogram
+  const { positions: originalPositions, count: pointCount, bounds } = viewer.getOriginalPositions();
 
   // Update dashboard with ORIGINAL values
-  stats.updateDashboard(pointCount, {
-    minX: boundingBox.min.x + offset.x,
-    maxX: boundingBox.max.x + offset.x,
-    minY: boundingBox.min.y + offset.y,
-    maxY: boundingBox.max.y + offset.y,
-    minZ: originalMinZ,  // Already converted to original in viewer.js
-    maxZ: originalMaxZ   // Already converted to original in viewer.js
-  }, originalPositions);
+  stats.updateDashboard(pointCount, bounds, originalPositions);
 
   // Update legend with new Z-values
   updateLegend(originalMinZ, originalMaxZ);
@@ -524,14 +1410,14 @@ function handleInvertZ() {
     // Invert box position Z
     selectionBox.position.z = -selectionBox.position.z;
     boxSettings.z = selectionBox.position.z;
-
-    // Update selection
-    selection.selectPointsInBox(viewer.getPointCloud(), boxSettings, false);
   } else {
     // Reposition selection box to new bounds (even if hidden)
     selection.positionSelectionBox(center, size, boxSettings);
   }
 
+  // Update selection (the selection mask keeps its points)
+  selection.refreshSelection(viewer.getVisiblePointClouds(), boxSettings);
+
   // Update GUI display
   updateDisplay();
 
@@ -540,6 +1426,7 @@ function handleInvertZ() {
   grid.setGridVisible(settings.showGrid);
 
   console.log('Z-axis inversion completed');
+  return true;
 }
 
 /**
@@ -594,11 +1481,186 @@ function setupReportGUI() {
   reportFolder.add(reportSettings, 'datum').name('Datum');
   reportFolder.add(reportSettings, 'projection').name('Projection');
   reportFolder.add(reportSettings, 'description').name('Description');
+  reportFolder.add(reportSettings, 'includeSelection').name('Include Selection Stats');
 
   reportFolder.add(reportSettings, 'generateReport').name('📥 Generate PDF Report');
   reportFolder.close();
 }
 
+/**
+ * Sets up Screenshot & Video GUI
+ */
+function setupCaptureGUI() {
+  const captureFolder = gui.addFolder('🎬 Screenshot & Video');
+
+  const resolutionOptions = Object.fromEntries(
+    Object.entries(SCREENSHOT_RESOLUTIONS).map(([key, { label }]) => [label, key])
+  );
+  captureFolder.add(captureSettings, 'resolution', resolutionOptions)
+    .name('Resolution')
+    .onChange(() => updateCaptureGUI());
+  captureControllers.width = captureFolder.add(captureSettings, 'width', 16, viewer.MAX_SCREENSHOT_SIZE, 1).name('Width (px)');
+  captureControllers.height = captureFolder.add(captureSettings, 'height', 16, viewer.MAX_SCREENSHOT_SIZE, 1).name('Height (px)');
+  captureFolder.add(captureSettings, 'transparent').name('Transparent Background');
+  captureFolder.add(captureSettings, 'legend').name('Include Legend');
+  captureFolder.add(captureSettings, 'scaleBar').name('Include Scale Bar');
+
+  captureSettings.saveScreenshot = () => handleSaveScreenshot();
+  captureFolder.add(captureSettings, 'saveScreenshot').name('📷 Save Screenshot (PNG)');
+
+  const videoFolder = captureFolder.addFolder('Video (WebM)');
+  const videoModeOptions = Object.fromEntries(
+    Object.entries(capture.VIDEO_MODES).map(([key, label]) => [label, key])
+  );
+  videoFolder.add(captureSettings, 'videoMode', videoModeOptions)
+    .name('Camera Path')
+    .onChange(() => updateCaptureGUI());
+  captureControllers.duration = videoFolder.add(captureSettings, 'duration', 2, 120, 1).name('Turn Duration (s)');
+  captureControllers.secondsPerBookmark = videoFolder.add(captureSettings, 'secondsPerBookmark', 0.5, 30, 0.5)
+    .name('Seconds per Bookmark');
+  videoFolder.add(captureSettings, 'fps', { '24': 24, '30': 30, '60': 60 }).name('Frame Rate');
+
+  captureSettings.recordVideo = () => handleRecordVideo();
+  captureControllers.record = videoFolder.add(captureSettings, 'recordVideo');
+
+  updateCaptureGUI();
+  captureFolder.close();
+}
+
+/**
+ * Viser feltene som gjelder valgt oppløsning og kamerabane
+ */
+function updateCaptureGUI() {
+  const custom = captureSettings.resolution === 'custom';
+  captureControllers.width.show(custom);
+  captureControllers.height.show(custom);
+
+  const turntable = captureSettings.videoMode === 'turntable';
+  captureControllers.duration.show(turntable);
+  captureControllers.secondsPerBookmark.show(!turntable);
+
+  captureControllers.record.name(capture.isRecording() ? '⏹ Stop Recording' : '⏺ Record Video');
+}
+
+/**
+ * Bildestørrelse for valgt oppløsning (vinduets størrelse ganget opp, eller fast)
+ */
+function getScreenshotSize() {
+  const preset = SCREENSHOT_RESOLUTIONS[captureSettings.resolution];
+  if (preset?.scale) {
+    return { width: window.innerWidth * preset.scale, height: window.innerHeight * preset.scale };
+  }
+  if (preset?.width) {
+    return { width: preset.width, height: preset.height };
+  }
+  return { width: captureSettings.width, height: captureSettings.height };
+}
+
+/**
+ * Legenden slik den vises nå (for skjermbildet), eller null hvis den er skjult
+ */
+function getLegendInfo() {
+  const legend = document.getElementById('height-legend');
+  if (!legend || legend.style.display === 'none') return null;
+
+  const attribute = attributeColors.getColorByAttribute();
+  if (attribute && attributeColors.isCategorical(attribute)) {
+    return {
+      title: attributeColors.getAttributeLabel(attribute),
+      classes: currentClasses
+        .filter(({ classId }) => attributeColors.isClassVisible(classId))
+        .map(({ classId }) => {
+          const info = attributeColors.getClassInfo(classId);
+          return { label: `${classId} ${info.name}`, color: info.color };
+        })
+    };
+  }
+
+  if (attribute) {
+    const ramp = attributeColors.getAttributeRamp();
+    const stops = [];
+    for (let i = 0; i <= 10; i++) {
+      stops.push({ offset: i / 10, color: colorMap.sampleRamp(ramp, i / 10).getStyle() });
+    }
+    return { title: attributeColors.getAttributeLabel(attribute), ...attributeColors.getAttributeRange(), stops };
+  }
+
+  if (!legendRange) return null;
+  const range = colorMap.resolveRange(legendRange.minZ, legendRange.maxZ);
+  return {
+    title: 'Elevation (Z)',
+    min: range.min,
+    max: range.max,
+    stops: colorMap.getGradientStops(range).map(stop => ({ offset: stop.offset, color: stop.color.getStyle() }))
+  };
+}
+
+/**
+ * Handles screenshot (GUI and toolbar)
+ */
+async function handleSaveScreenshot() {
+  if (viewer.getLayers().length === 0) {
+    stats.showDashboardMessage('⚠️ Load a point cloud first', 'error');
+    return;
+  }
+
+  const { width, height } = getScreenshotSize();
+  stats.showLoadingSpinner(`Rendering ${width} × ${height} screenshot...`);
+
+  // La spinneren vises før tegningen låser nettleseren
+  await new Promise(resolve => requestAnimationFrame(() => setTimeout(resolve, 0)));
+
+  try {
+    await capture.saveScreenshot({
+      width,
+      height,
+      transparent: captureSettings.transparent,
+      legend: captureSettings.legend ? getLegendInfo() : null,
+      scaleBar: captureSettings.scaleBar
+    });
+    stats.showDashboardMessage('✓ Screenshot saved', 'info');
+  } catch (error) {
+    console.error('Error saving screenshot:', error);
+    stats.showDashboardMessage(`❌ ${error.message}`, 'error');
+  } finally {
+    stats.hideLoadingSpinner();
+  }
+}
+
+/**
+ * Starter videoopptak, eller stopper det og laster ned det som er tatt opp
+ */
+async function handleRecordVideo() {
+  if (capture.isRecording()) {
+    capture.stopRecording();
+    return;
+  }
+
+  if (viewer.getLayers().length === 0) {
+    stats.showDashboardMessage('⚠️ Load a point cloud first', 'error');
+    return;
+  }
+
+  const recording = capture.recordVideo({
+    mode: captureSettings.videoMode,
+    duration: captureSettings.duration,
+    secondsPerBookmark: captureSettings.secondsPerBookmark,
+    fps: Number(captureSettings.fps)
+  });
+  updateCaptureGUI();
+  stats.showDashboardMessage('⏺ Recording video...', 'info');
+
+  try {
+    const filename = await recording;
+    stats.showDashboardMessage(filename ? '✓ Video saved' : 'Recording stopped before anything was captured', 'info');
+  } catch (error) {
+    console.error('Error recording video:', error);
+    stats.showDashboardMessage(`❌ ${error.message}`, 'error');
+  } finally {
+    updateCaptureGUI();
+  }
+}
+
 /**
  * Handles PDF report generation
  */
@@ -627,7 +1689,10 @@ async function handleGenerateReport() {
       areaX: currentStats.areaX,
       areaY: currentStats.areaY,
       resolution: currentStats.resolution,
-      positions: positions  // Add positions for histogram
+      positions: positions,  // Add positions for histogram
+      selection: reportSettings.includeSelection
+        ? selectionStats.calculateSelectionStats(viewer.getVisiblePointClouds(), { includePositions: true })
+        : null
     };
     
     await report.generatePDFReport(
@@ -673,24 +1738,78 @@ export function getGUI() {
 
 /**
  * Updates height legend with Z-values
+ * The labels follow the colour map range (the fixed range if the user has set one).
  */
 export function updateLegend(minZ, maxZ) {
   const legend = document.getElementById('height-legend');
   if (!legend) return;
 
+  legendRange = { minZ, maxZ };
+  renderLegendScale();
+
+  // Vis legenden hvis den er aktivert
+  if (settings.showLegend) {
+    legend.style.display = 'block';
+  }
+}
+
+/**
+ * Tegner gradient og verdier i legenden med valgt fargeskala
+ * Ved farging etter attributt vises attributtets rampe, eller klasse-listen for klassifisering.
+ */
+function renderLegendScale() {
+  const legend = document.getElementById('height-legend');
+  if (!legend) return;
+
+  const attribute = attributeColors.getColorByAttribute();
+  const categorical = !!attribute && attributeColors.isCategorical(attribute);
+
+  const title = legend.querySelector('.legend-title');
+  if (title) {
+    title.textContent = attribute ? attributeColors.getAttributeLabel(attribute) : 'Elevation (Z)';
+  }
+
+  const scale = legend.querySelector('.legend-scale');
+  const classList = legend.querySelector('.legend-classes');
+  legend.classList.toggle('legend-categorical', categorical);
+  if (scale) scale.style.display = categorical ? 'none' : '';
+  if (classList) classList.style.display = categorical ? 'block' : 'none';
+
+  if (categorical) {
+    if (classList) {
+      classList.innerHTML = currentClasses.map(({ classId }) => {
+        const info = attributeColors.getClassInfo(classId);
+        const hidden = attributeColors.isClassVisible(classId) ? '' : ' legend-class-hidden';
+        return `<li class="legend-class${hidden}"><span class="legend-swatch" style="background: ${info.color};"></span>${classId} ${info.name}</li>`;
+      }).join('');
+    }
+    return;
+  }
+
+  let range;
+  let gradientCSS;
+  if (attribute) {
+    range = attributeColors.getAttributeRange();
+    gradientCSS = attributeColors.getRampCSSGradient();
+  } else {
+    if (!legendRange) return;
+    range = colorMap.resolveRange(legendRange.minZ, legendRange.maxZ);
+    gradientCSS = colorMap.getCSSGradient(range);
+  }
+
+  const gradient = legend.querySelector('.legend-gradient');
+  if (gradient) {
+    gradient.style.background = gradientCSS;
+  }
+
   const maxLabel = legend.querySelector('.legend-max');
   const midLabel = legend.querySelector('.legend-mid');
   const minLabel = legend.querySelector('.legend-min');
 
   if (maxLabel && midLabel && minLabel) {
-    maxLabel.textContent = maxZ.toFixed(2);
-    midLabel.textContent = ((minZ + maxZ) / 2).toFixed(2);
-    minLabel.textContent = minZ.toFixed(2);
-  }
-
-  // Vis legenden hvis den er aktivert
-  if (settings.showLegend) {
-    legend.style.display = 'block';
+    maxLabel.textContent = range.max.toFixed(2);
+    midLabel.textContent = ((range.min + range.max) / 2).toFixed(2);
+    minLabel.textContent = range.min.toFixed(2);
   }
 }
 
@@ -704,6 +1823,107 @@ export function setLegendVisible(visible) {
   }
 }
 
+/**
+ * Setter fargemodus: 'height' (høyderampe) eller 'trueColor' (RGB fra filen)
+ * Faller tilbake til høyde hvis punktskyen ikke har RGB.
+ */
+export function setColorMode(mode) {
+  const previousAttribute = attributeColors.getColorByAttribute();
+
+  // Attributtene kan ha endret seg siden sist (lag lagt til eller fjernet)
+  colorControllers.mode.options(getColorModeOptions());
+  settings.colorMode = viewer.setColorMode(mode);
+
+  // Nytt numerisk attributt: rampen strekkes over hele verdiområdet
+  const attribute = attributeColors.getColorByAttribute();
+  if (attribute && attribute !== previousAttribute && !attributeColors.isCategorical(attribute)) {
+    const range = viewer.getAttributeRange(attribute);
+    if (range) {
+      settings.attributeRangeMin = range.min;
+      settings.attributeRangeMax = range.max;
+      attributeColors.setAttributeRange(range.min, range.max);
+    }
+  }
+  updateColorByGUI();
+
+  // Begge modusene bruker vertex colors
+  if (!settings.useHeightColor) {
+    settings.useHeightColor = true;
+    applyLayerMaterials();
+  }
+
+  updateColorModeUI();
+  updateDisplay();
+}
+
+/**
+ * Oppdaterer heatmap-knappen og legenden etter gjeldende fargemodus
+ */
+function updateColorModeUI() {
+  const heatmapBtn = document.getElementById('toolbar-heatmap');
+  const showsHeight = settings.useHeightColor && settings.colorMode === 'height';
+  const showsScale = settings.useHeightColor && settings.colorMode !== 'trueColor';
+
+  if (heatmapBtn) {
+    heatmapBtn.classList.toggle('active', showsHeight);
+    heatmapBtn.dataset.tooltip = viewer.hasTrueColor()
+      ? (settings.colorMode === 'trueColor' ? 'Color: true color (click for height)' : 'Color: height (click for true color)')
+      : 'Heatmap';
+  }
+
+  // Legenden gjelder høydefargene og farging etter attributt (ikke RGB)
+  renderLegendScale();
+  setLegendVisible(showsScale && (legendRange !== null || !!attributeColors.getColorByAttribute()));
+}
+
+/**
+ * Bytter mellom perspektiv og ortografisk visning (GUI og View-menyen)
+ * @param {string} projection - 'perspective' eller 'orthographic'
+ */
+export function setProjection(projection) {
+  viewer.setProjection(projection); // GUI oppdateres via onCameraChange (se initToolbar)
+}
+
+// Hjelpetekst som vises i dashboardet når en navigasjonsmodus velges
+const NAVIGATION_HINTS = {
+  orbit: '🖱️ Orbit: drag to rotate, right-drag to pan, wheel to zoom',
+  fly: '✈️ Fly: W/A/S/D to move, Q/E down/up, Shift faster, drag to look, wheel sets speed',
+  earth: '🌍 Earth: drag the terrain, right-drag to rotate, wheel zooms to cursor'
+};
+
+/**
+ * Bytter navigasjonsmodus (View-menyen): orbit, fly eller earth
+ */
+export function setNavigationMode(mode) {
+  const active = viewer.setNavigationMode(mode);
+  updateNavigationUI();
+  stats.showDashboardMessage(NAVIGATION_HINTS[active], 'info');
+}
+
+/**
+ * Markerer aktiv navigasjonsmodus i View-menyen
+ */
+function updateNavigationUI() {
+  const mode = viewer.getNavigationMode();
+  document.querySelectorAll('#view-menu [data-navigation]').forEach(item => {
+    const active = item.dataset.navigation === mode;
+    item.classList.toggle('active', active);
+    item.setAttribute('aria-checked', String(active));
+  });
+}
+
+/**
+ * Markerer aktiv projeksjon i View-menyen og GUI
+ */
+function updateProjectionUI() {
+  document.querySelectorAll('#view-menu [data-projection]').forEach(item => {
+    const active = item.dataset.projection === settings.projection;
+    item.classList.toggle('active', active);
+    item.setAttribute('aria-checked', String(active));
+  });
+  projectionController?.updateDisplay();
+}
+
 /**
  * Draggable Panel System
  * Gjør paneler flyttbare med drag & drop funksjonalitet
@@ -1,5 +1,33 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { PointOctree, updateOctrees, DEFAULT_POINT_BUDGET } from './octree.js';
+import { EDLPass, setPointShape, setAdaptiveSize } from './pointShading.js';
+import * as colorMap from './colorMap.js';
+import { setColorByAttribute, getColorByAttribute } from './attributeColors.js';
+import { NavigationControls } from './navigation.js';
+import { SELECTION_ATTRIBUTE } from './selection.js';
+
+// Standardvisninger: retning fra target mot kameraet (Z er opp)
+// Plan-visningen heller en anelse mot sør, så OrbitControls ikke ser rett langs up-aksen
+const VIEW_PRESETS = {
+  top: new THREE.Vector3(0, -0.001, 1),
+  front: new THREE.Vector3(0, -1, 0),
+  side: new THREE.Vector3(1, 0, 0),
+  iso: new THREE.Vector3(1, -1, 1)
+};
+
+// Varighet på kamera-overganger
+const CAMERA_ANIMATION_MS = 700;
+
+// Near/far følger punktskyen (se updateClippingPlanes):
+// margin rundt skyens kule, og near aldri mindre enn en andel av far / avstanden til target
+const CLIP_MARGIN = 1.1;
+const MIN_NEAR_RATIO = 1e-6;
+const NEAR_TARGET_RATIO = 0.01;
+
+// Skjermbilder: største bilde (nettleserens canvas-grense) og største flis per render
+export const MAX_SCREENSHOT_SIZE = 16384;
+const MAX_SCREENSHOT_TILE = 4096;
 
 /**
  * PointCloudViewer class for managing 3D point cloud visualization
@@ -11,11 +39,25 @@ export class PointCloudViewer {
     this.renderer = null;
     this.controls = null;
     this.axesHelper = null;
-    this.pointCloud = null;
+    this.pointCloud = null; // Aktivt lag (sist lastet) - for kode som bare trenger én sky
+    this.layers = []; // Lag i økten: { id, name, points, pointSize, color, useLayerColor }
+    this.nextLayerId = 1;
     this.coordinateOffset = { x: 0, y: 0, z: 0 }; // Lagrer offset fra sentrering
     this.isDefaultCloud = false; // Flagg for å vite om det er default-skyen
     this.explosionVelocities = null; // Lagrer velocity-data for eksplosjon
     this.measurementTool = null; // Referanse til measurement tool for rendering
+    this.colorMode = 'height'; // Farger som vises nå: 'height', 'trueColor' eller et attributtnavn
+    this.pointBudget = DEFAULT_POINT_BUDGET; // Maks antall punkter som tegnes (alle lag)
+    this.lodFrame = 0;
+    this.lodStats = null; // Siste LOD-oppdatering: { visibleNodes, visiblePoints, loadedPoints }
+    this.edlPass = null; // Eye-Dome Lighting (etterbehandling), opprettes i init()
+    this.perspectiveCamera = null;
+    this.orthographicCamera = null; // Brukes i stedet for perspektiv når projection er 'orthographic'
+    this.projection = 'perspective';
+    this.cameraAnimation = null; // Pågående overgang (se animateCameraTo)
+    this.cameraChangeListeners = []; // Kalles med nytt kamera når projeksjonen byttes
+    this.navigation = null; // Fly / earth-navigasjon i tillegg til OrbitControls (se navigation.js)
+    this.clock = new THREE.Clock(); // Tid mellom frames (fly-farten)
 
     if (containerElement) {
       this.init(containerElement);
@@ -46,6 +88,11 @@ export class PointCloudViewer {
     this.camera.up.set(0, 0, 1);
     this.camera.position.set(5, 5, 5);
     this.camera.lookAt(0, 0, 0);
+    this.perspectiveCamera = this.camera;
+
+    // Ortografisk kamera for plan- og snitt-visninger (synsfeltet settes ved bytte)
+    this.orthographicCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.1, 1000);
+    this.orthographicCamera.up.set(0, 0, 1);
 
     // Sett opp renderer (preserveDrawingBuffer for PDF screenshots)
     this.renderer = new THREE.WebGLRenderer({
@@ -53,6 +100,7 @@ export class PointCloudViewer {
       preserveDrawingBuffer: true  // Nødvendig for screenshots
     });
     this.renderer.setSize(window.innerWidth, window.innerHeight);
+    this.edlPass = new EDLPass();
 
     // Append to provided container or document.body
     const targetContainer = containerElement || document.body;
@@ -63,6 +111,12 @@ export class PointCloudViewer {
     this.controls.enableDamping = true;
     this.controls.dampingFactor = 0.05;
 
+    // Brukeren tar over kameraet - avbryt pågående overgang
+    this.controls.addEventListener('start', () => this.stopCameraAnimation());
+
+    // Fly- og earth-navigasjon (OrbitControls er aktiv i orbit-modus)
+    this.navigation = new NavigationControls(this, this.renderer.domElement);
+
     // Håndter resize av nettleservindu - bind til this instance
     window.addEventListener('resize', () => this.onWindowResize());
 
@@ -74,8 +128,9 @@ export class PointCloudViewer {
    */
   onWindowResize() {
     if (this.camera && this.renderer) {
-      this.camera.aspect = window.innerWidth / window.innerHeight;
-      this.camera.updateProjectionMatrix();
+      this.perspectiveCamera.aspect = window.innerWidth / window.innerHeight;
+      this.perspectiveCamera.updateProjectionMatrix();
+      this.setOrthographicHeight(this.orthographicCamera.top);
       this.renderer.setSize(window.innerWidth, window.innerHeight);
     }
   }
@@ -85,8 +140,12 @@ export class PointCloudViewer {
    */
   animate() {
     requestAnimationFrame(() => this.animate());
+    this.updateCameraAnimation();
+    this.navigation.update(this.clock.getDelta());
     this.controls.update();
-    this.renderer.render(this.scene, this.camera);
+    this.updateClippingPlanes();
+    this.updateLOD();
+    this.renderScene();
 
     // Render measurement labels hvis measurement tool er aktiv
     if (this.measurementTool) {
@@ -94,6 +153,83 @@ export class PointCloudViewer {
     }
   }
 
+  /**
+   * Velger octree-nodene som skal tegnes for kameraet (felles punktbudsjett for alle lag)
+   * @param {THREE.Camera} [camera] - Kameraet det tegnes med
+   * @param {number} [viewportHeight] - Høyde i piksler (standard: tegneflaten)
+   * @param {Object} [options] - { loadAll } last alle valgte noder med en gang
+   */
+  updateLOD(camera = this.camera, viewportHeight = null, { loadAll = false } = {}) {
+    if (this.layers.length === 0) {
+      this.lodStats = null;
+      return;
+    }
+
+    const height = viewportHeight ?? this.renderer.getDrawingBufferSize(new THREE.Vector2()).y;
+    this.lodStats = updateOctrees(
+      this.layers.map(layer => layer.points.userData.octree),
+      camera,
+      height,
+      { pointBudget: this.pointBudget, loadAll, frame: ++this.lodFrame }
+    );
+  }
+
+  /**
+   * Tegner scenen, med Eye-Dome Lighting hvis det er slått på
+   */
+  renderScene(camera = this.camera) {
+    if (this.edlPass?.enabled) {
+      this.edlPass.render(this.renderer, this.scene, camera);
+    } else {
+      this.renderer.render(this.scene, camera);
+    }
+  }
+
+  /**
+   * Setter punktform, adaptiv størrelse og EDL (felles for alle lag)
+   * @param {Object} options - { shape, adaptiveSize, edl, edlStrength, edlRadius } (utelatte verdier beholdes)
+   */
+  setPointShading({ shape, adaptiveSize, edl, edlStrength, edlRadius } = {}) {
+    let recompile = false;
+    if (shape !== undefined) {
+      setPointShape(shape);
+      recompile = true;
+    }
+    if (adaptiveSize !== undefined) {
+      setAdaptiveSize(adaptiveSize);
+      recompile = true;
+    }
+    if (recompile) {
+      this.layers.forEach(layer => layer.points.userData.octree.refreshMaterials());
+    }
+
+    if (edl !== undefined) this.edlPass.enabled = edl;
+    if (edlStrength !== undefined) this.edlPass.strength = edlStrength;
+    if (edlRadius !== undefined) this.edlPass.radius = edlRadius;
+  }
+
+  /**
+   * Setter punktbudsjettet (maks antall punkter som tegnes samtidig)
+   */
+  setPointBudget(pointBudget) {
+    this.pointBudget = pointBudget;
+    console.log(`Point budget: ${pointBudget.toLocaleString('nb-NO')} points`);
+  }
+
+  /**
+   * Henter punktbudsjettet
+   */
+  getPointBudget() {
+    return this.pointBudget;
+  }
+
+  /**
+   * Henter statistikk fra siste LOD-oppdatering (null hvis ingen lag)
+   */
+  getLODStats() {
+    return this.lodStats;
+  }
+
   /**
    * Setter koordinat-offset (brukes ved inversjon)
    */
@@ -111,21 +247,34 @@ export class PointCloudViewer {
   }
 
   /**
-   * Legger til punktsky i scenen
+   * Erstatter alle lag med én punktsky (brukes for default-skyen)
+   * @param {Object} [attributes] - Ekstra per-punkt attributter fra loaderen, { navn: { array, itemSize } }
    */
-  addPointCloud(positions, colors, pointSize, useHeightColor, pointColor) {
-    // Fjern gammel punktsky hvis den finnes
-    if (this.pointCloud) {
-      this.scene.remove(this.pointCloud);
-      this.pointCloud.geometry.dispose();
-      this.pointCloud.material.dispose();
-    }
+  addPointCloud(positions, colors, pointSize, useHeightColor, pointColor, attributes = {}) {
+    this.clearLayers();
+    return this.addLayer('Point cloud', positions, colors, pointSize, useHeightColor, pointColor, attributes);
+  }
 
+  /**
+   * Legger til en punktsky som et nytt lag i scenen
+   * Alle lag deler samme koordinat-offset, så posisjonene må være sentrert med den.
+   * Punktskyen holder alle punktene; scenen tegner dem via lagets octree (LOD).
+   * @param {string} name - Lagnavn (filnavn)
+   * @param {Object} [attributes] - Ekstra per-punkt attributter fra loaderen, { navn: { array, itemSize } }
+   * @param {Array<Object>} [octreeNodes] - Node-tabell fra octree.buildOctree (arrays i node-rekkefølge)
+   * @returns {THREE.Points} Punktskyen for laget
+   */
+  addLayer(name, positions, colors, pointSize, useHeightColor, pointColor, attributes = {}, octreeNodes = null) {
     // Opprett BufferGeometry
     const geometry = new THREE.BufferGeometry();
     geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
     geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
 
+    // Ekstra attributter (normaler, intensitet osv.) legges på samme geometri
+    for (const [name, attribute] of Object.entries(attributes)) {
+      geometry.setAttribute(name, new THREE.BufferAttribute(attribute.array, attribute.itemSize));
+    }
+
     // Opprett materiale for punktene
     const material = new THREE.PointsMaterial({
       size: pointSize,
@@ -134,15 +283,214 @@ export class PointCloudViewer {
       color: useHeightColor ? 0xffffff : pointColor
     });
 
-    // Lag punktsky
-    this.pointCloud = new THREE.Points(geometry, material);
-    this.scene.add(this.pointCloud);
+    // Lag punktsky - legges ikke i scenen, octree-nodene tegner den
+    const points = new THREE.Points(geometry, material);
+    points.name = name;
+
+    const octree = new PointOctree(points, octreeNodes);
+    octree.setColorAttribute(getColorByAttribute());
+    points.userData.octree = octree;
+    this.scene.add(octree.group);
+
+    const layer = {
+      id: this.nextLayerId++,
+      name,
+      points,
+      pointSize,
+      color: '#ffffff',     // Ensfarge for laget
+      useLayerColor: false  // true: vis laget i ensfarge i stedet for fargemodus
+    };
+    points.userData.layerId = layer.id;
+    this.layers.push(layer);
+    this.pointCloud = points;
 
-    return this.pointCloud;
+    if (this.layers.length === 1) {
+      this.colorMode = 'height';
+    }
+
+    console.log(`Layer added: ${name} (${positions.length / 3} points, ${octree.nodes.length} octree nodes, ${this.layers.length} layers)`);
+    return points;
+  }
+
+  /**
+   * Fjerner et lag og frigjør GPU-ressursene
+   */
+  removeLayer(id) {
+    const index = this.layers.findIndex(layer => layer.id === id);
+    if (index === -1) return;
+
+    const [layer] = this.layers.splice(index, 1);
+    const octree = layer.points.userData.octree;
+    this.scene.remove(octree.group);
+    octree.dispose();
+    layer.points.geometry.dispose();
+    layer.points.material.dispose();
+
+    if (this.pointCloud === layer.points) {
+      this.pointCloud = this.layers.length > 0 ? this.layers[this.layers.length - 1].points : null;
+    }
+
+    console.log(`Layer removed: ${layer.name} (${this.layers.length} layers left)`);
+  }
+
+  /**
+   * Punktdataene til et lag: attributtene, originalkoordinatene og octree-nodene
+   * Brukes av redigering (editing.js) for å kunne bytte tilbake ved angre.
+   * @returns {{ attributes: Object, originalPositions: Float64Array|null, octreeNodes: Array<Object> }|null}
+   */
+  getLayerData(id) {
+    const layer = this.layers.find(item => item.id === id);
+    if (!layer) return null;
+
+    const geometry = layer.points.geometry;
+    return {
+      attributes: { ...geometry.attributes },
+      originalPositions: geometry.userData.originalPositions ?? null,
+      octreeNodes: layer.points.userData.octree.nodes.map(({ start, count, level, spacing, children }) =>
+        ({ start, count, level, spacing, children }))
+    };
+  }
+
+  /**
+   * Erstatter punktdataene til et lag (f.eks. etter sletting) og lager octreet på nytt
+   * Lagets THREE.Points og materiale beholdes, så farger, synlighet og seleksjon følger laget.
+   * @param {number} id - Lag-ID
+   * @param {Object} data - Som fra getLayerData()
+   * @returns {boolean} false hvis laget ikke finnes lenger
+   */
+  setLayerData(id, { attributes, originalPositions, octreeNodes }) {
+    const layer = this.layers.find(item => item.id === id);
+    if (!layer) return false;
+
+    const points = layer.points;
+    const geometry = points.geometry;
+    Object.keys(geometry.attributes).forEach(name => geometry.deleteAttribute(name));
+    for (const [name, attribute] of Object.entries(attributes)) {
+      geometry.setAttribute(name, attribute);
+    }
+    geometry.userData.originalPositions = originalPositions;
+    geometry.boundingBox = null;
+    geometry.boundingSphere = null;
+
+    // Node-geometriene er visninger av de gamle arrayene - bytt hele octreet
+    const previousOctree = points.userData.octree;
+    this.scene.remove(previousOctree.group);
+    previousOctree.dispose();
+
+    const octree = new PointOctree(points, octreeNodes);
+    octree.setColorAttribute(getColorByAttribute());
+    points.userData.octree = octree;
+    this.scene.add(octree.group);
+
+    console.log(`Layer updated: ${layer.name} (${geometry.attributes.position.count} points)`);
+    return true;
+  }
+
+  /**
+   * Fjerner alle lag
+   */
+  clearLayers() {
+    [...this.layers].forEach(layer => this.removeLayer(layer.id));
+  }
+
+  /**
+   * Henter alle lag i økten
+   */
+  getLayers() {
+    return this.layers;
+  }
+
+  /**
+   * Henter punktskyene for synlige lag (seleksjon, måling og profil jobber på disse)
+   */
+  getVisiblePointClouds() {
+    return this.layers.filter(layer => layer.points.visible).map(layer => layer.points);
+  }
+
+  /**
+   * Felles bounding box og sphere for lagene (sentrerte koordinater)
+   * @param {boolean} [visibleOnly] - Bare synlige lag
+   * @returns {{ boundingBox: THREE.Box3, boundingSphere: THREE.Sphere }|null} null hvis ingen lag
+   */
+  getLayersBoundingBox(visibleOnly = true) {
+    const clouds = visibleOnly ? this.getVisiblePointClouds() : this.layers.map(layer => layer.points);
+    if (clouds.length === 0) return null;
+
+    const boundingBox = new THREE.Box3();
+    clouds.forEach(cloud => {
+      cloud.geometry.computeBoundingBox();
+      boundingBox.union(cloud.geometry.boundingBox);
+    });
+
+    const boundingSphere = new THREE.Sphere();
+    if (clouds.length === 1) {
+      clouds[0].geometry.computeBoundingSphere();
+      boundingSphere.copy(clouds[0].geometry.boundingSphere);
+    } else {
+      boundingBox.getBoundingSphere(boundingSphere);
+    }
+
+    return { boundingBox, boundingSphere };
   }
 
   /**
-   * Henter punktskyen
+   * Samler originale koordinater (Float64) og bounds for lagene
+   * Lag uten originaldata (f.eks. default-skyen) konverteres tilbake via offset.
+   * @param {boolean} [visibleOnly] - Bare synlige lag
+   * @returns {{ positions: Float64Array, count: number, bounds: Object }}
+   */
+  getOriginalPositions(visibleOnly = false) {
+    const layers = visibleOnly ? this.layers.filter(layer => layer.points.visible) : this.layers;
+    const offset = this.coordinateOffset;
+
+    const parts = layers.map(layer => {
+      const geometry = layer.points.geometry;
+      if (geometry.userData.originalPositions) {
+        return geometry.userData.originalPositions;
+      }
+      const centered = geometry.attributes.position.array;
+      const original = new Float64Array(centered.length);
+      for (let i = 0; i < centered.length; i += 3) {
+        original[i] = centered[i] + offset.x;
+        original[i + 1] = centered[i + 1] + offset.y;
+        original[i + 2] = centered[i + 2] + offset.z;
+      }
+      return original;
+    });
+
+    // Ett lag: bruk arrayet direkte i stedet for å kopiere
+    let positions;
+    if (parts.length === 1) {
+      positions = parts[0];
+    } else {
+      positions = new Float64Array(parts.reduce((length, part) => length + part.length, 0));
+      let start = 0;
+      parts.forEach(part => {
+        positions.set(part, start);
+        start += part.length;
+      });
+    }
+
+    const bounds = {
+      minX: Infinity, maxX: -Infinity,
+      minY: Infinity, maxY: -Infinity,
+      minZ: Infinity, maxZ: -Infinity
+    };
+    for (let i = 0; i < positions.length; i += 3) {
+      const x = positions[i], y = positions[i + 1], z = positions[i + 2];
+      if (x < bounds.minX) bounds.minX = x;
+      if (x > bounds.maxX) bounds.maxX = x;
+      if (y < bounds.minY) bounds.minY = y;
+      if (y > bounds.maxY) bounds.maxY = y;
+      if (z < bounds.minZ) bounds.minZ = z;
+      if (z > bounds.maxZ) bounds.maxZ = z;
+    }
+
+    return { positions, count: positions.length / 3, bounds };
+  }
+
+  /**
+   * Henter punktskyen (aktivt lag)
    */
   getPointCloud() {
     return this.pointCloud;
@@ -155,6 +503,277 @@ export class PointCloudViewer {
     this.pointCloud = cloud;
   }
 
+  /**
+   * Setter det ortografiske kameraets synsfelt (halv høyde i verdensenheter ved zoom 1)
+   */
+  setOrthographicHeight(halfHeight) {
+    const aspect = window.innerWidth / window.innerHeight;
+    const camera = this.orthographicCamera;
+    camera.top = halfHeight;
+    camera.bottom = -halfHeight;
+    camera.left = -halfHeight * aspect;
+    camera.right = halfHeight * aspect;
+    camera.updateProjectionMatrix();
+  }
+
+  /**
+   * Kule rundt alle synlige lag fra octree-rotnodene (billig nok til hver frame)
+   * @returns {THREE.Sphere|null} null hvis ingen synlige lag
+   */
+  getLayersSphere() {
+    const box = new THREE.Box3();
+    this.layers.forEach(layer => {
+      const root = layer.points.userData.octree.nodes[0];
+      if (layer.points.visible && root) box.union(root.box);
+    });
+    return box.isEmpty() ? null : box.getBoundingSphere(new THREE.Sphere());
+  }
+
+  /**
+   * Tilpasser near/far til punktskyen og kameraets avstand til den
+   * Kalles hver frame: far dekker hele skyen uansett hvor langt ut det zoomes,
+   * og near er så stor som mulig for å unngå z-fighting på nært hold.
+   * @param {THREE.Sphere} [sphere] - Kule rundt skyen (standard: octree-rotnodene til synlige lag)
+   */
+  updateClippingPlanes(sphere = this.getLayersSphere()) {
+    if (!sphere) return;
+
+    const camera = this.camera;
+    const radius = Math.max(sphere.radius, 1e-3) * CLIP_MARGIN;
+    const viewDirection = camera.getWorldDirection(new THREE.Vector3());
+    let depth = sphere.center.clone().sub(camera.position).dot(viewDirection); // Avstand langs synsretningen
+
+    // Ortografisk: avstanden påvirker ikke bildet, så kameraet trekkes bakover ut av skyen
+    // (punkter bak kameraet ville ellers blitt klippet bort)
+    if (camera.isOrthographicCamera && depth < radius * 2) {
+      camera.position.addScaledVector(viewDirection, depth - radius * 2);
+      depth = radius * 2;
+    }
+
+    const near = Math.max(
+      depth - radius,
+      camera.position.distanceTo(this.controls.target) * NEAR_TARGET_RATIO,
+      (depth + radius) * MIN_NEAR_RATIO
+    );
+    const far = Math.max(depth + radius, near * 2);
+
+    if (camera.near !== near || camera.far !== far) {
+      camera.near = near;
+      camera.far = far;
+      camera.updateProjectionMatrix();
+    }
+  }
+
+  /**
+   * Bytter mellom perspektiv og ortografisk kamera med samme utsnitt
+   * Utsnittet i avstanden til target beholdes, så bildet ikke hopper.
+   * OrbitControls, TransformControls og måleverktøyet må bruke det nye kameraet (se onCameraChange).
+   * @param {string} projection - 'perspective' eller 'orthographic'
+   * @returns {string} Projeksjonen som brukes
+   */
+  setProjection(projection) {
+    if (projection !== 'perspective' && projection !== 'orthographic') return this.projection;
+    if (projection === this.projection) return this.projection;
+
+    this.stopCameraAnimation();
+    const target = this.controls.target;
+    const perspective = this.perspectiveCamera;
+    const orthographic = this.orthographicCamera;
+    const tanHalfFov = Math.tan(THREE.MathUtils.degToRad(perspective.fov) / 2);
+
+    if (projection === 'orthographic') {
+      const distance = perspective.position.distanceTo(target);
+      this.setOrthographicHeight(distance * tanHalfFov);
+      orthographic.zoom = 1;
+
+      // updateClippingPlanes trekker kameraet bakover hvis det står inne i punktskyen
+      orthographic.position.copy(perspective.position);
+      orthographic.up.copy(perspective.up);
+      orthographic.lookAt(target);
+      this.camera = orthographic;
+    } else {
+      const halfHeight = orthographic.top / orthographic.zoom;
+      const direction = orthographic.position.clone().sub(target).normalize();
+      perspective.position.copy(target).addScaledVector(direction, halfHeight / tanHalfFov);
+      perspective.up.copy(orthographic.up);
+      perspective.lookAt(target);
+      this.camera = perspective;
+    }
+
+    this.projection = projection;
+    this.controls.object = this.camera;
+    this.controls.update();
+    this.updateClippingPlanes();
+    this.cameraChangeListeners.forEach(callback => callback(this.camera));
+
+    console.log(`Projection: ${projection}`);
+    return projection;
+  }
+
+  /**
+   * Bytter navigasjonsmodus
+   * @param {string} mode - 'orbit', 'fly' eller 'earth' (se navigation.js)
+   * @returns {string} Modusen som brukes
+   */
+  setNavigationMode(mode) {
+    this.stopCameraAnimation();
+    return this.navigation.setMode(mode);
+  }
+
+  getNavigationMode() {
+    return this.navigation.getMode();
+  }
+
+  /**
+   * Henter projeksjonen som brukes ('perspective' eller 'orthographic')
+   */
+  getProjection() {
+    return this.projection;
+  }
+
+  /**
+   * Registrerer en funksjon som får det nye kameraet når projeksjonen byttes
+   */
+  onCameraChange(callback) {
+    this.cameraChangeListeners.push(callback);
+  }
+
+  /**
+   * Flytter kameraet til en standardvisning som viser alle synlige lag
+   * @param {string} preset - 'top', 'front', 'side' eller 'iso'
+   * @returns {Promise<void>} Når overgangen er ferdig
+   */
+  setViewPreset(preset) {
+    const direction = VIEW_PRESETS[preset];
+    const sphere = this.getLayersSphere();
+    if (!direction || !sphere) return Promise.resolve();
+
+    const radius = sphere.radius || 1;
+    const view = { target: sphere.center.clone() };
+
+    if (this.camera.isOrthographicCamera) {
+      // Avstanden er fri; zoom bestemmer utsnittet
+      view.position = sphere.center.clone().addScaledVector(direction.clone().normalize(), radius * 3);
+      view.zoom = this.orthographicCamera.top / (radius * 1.1);
+    } else {
+      const halfFov = THREE.MathUtils.degToRad(this.camera.fov) / 2;
+      const distance = radius / Math.sin(halfFov) * 1.1;
+      view.position = sphere.center.clone().addScaledVector(direction.clone().normalize(), distance);
+    }
+
+    console.log(`View preset: ${preset}`);
+    return this.animateCameraTo(view);
+  }
+
+  /**
+   * Flytter kameraet jevnt til en ny posisjon og target
+   * Retning og avstand fra target interpoleres hver for seg, så kameraet svinger
+   * rundt punktskyen i stedet for å gå gjennom den.
+   * @param {Object} view - { position: Vector3, target: Vector3, zoom?: number (ortografisk) }
+   * @param {number} [duration] - Millisekunder
+   * @returns {Promise<void>} Når overgangen er ferdig eller avbrutt
+   */
+  animateCameraTo({ position, target, zoom = null }, duration = CAMERA_ANIMATION_MS) {
+    this.stopCameraAnimation();
+
+    const camera = this.camera;
+    const fromOffset = camera.position.clone().sub(this.controls.target);
+    const toOffset = position.clone().sub(target);
+
+    return new Promise(resolve => {
+      this.cameraAnimation = {
+        start: performance.now(),
+        duration,
+        resolve,
+        fromTarget: this.controls.target.clone(),
+        toTarget: target.clone(),
+        fromDistance: fromOffset.length(),
+        toDistance: toOffset.length(),
+        fromDirection: fromOffset.normalize(),
+        rotation: new THREE.Quaternion().setFromUnitVectors(fromOffset, toOffset.clone().normalize()),
+        fromZoom: camera.zoom,
+        toZoom: zoom ?? camera.zoom
+      };
+    });
+  }
+
+  /**
+   * Kameraets tilstand i sentrerte koordinater (bokmerker)
+   * @returns {{position: THREE.Vector3, target: THREE.Vector3, up: THREE.Vector3, projection: string, viewHeight: number|null}}
+   *   viewHeight er synlig høyde i verdensenheter (bare ortografisk)
+   */
+  getCameraState() {
+    const camera = this.camera;
+    return {
+      position: camera.position.clone(),
+      target: this.controls.target.clone(),
+      up: camera.up.clone(),
+      projection: this.projection,
+      viewHeight: camera.isOrthographicCamera ? (camera.top - camera.bottom) / camera.zoom : null
+    };
+  }
+
+  /**
+   * Flytter kameraet jevnt til en lagret tilstand (se getCameraState)
+   * Projeksjonen byttes først, så overgangen skjer i riktig kamera.
+   * OrbitControls roterer fortsatt rundt up-vektoren den ble laget med (Z).
+   * @returns {Promise<void>} Når overgangen er ferdig
+   */
+  applyCameraState({ position, target, up, projection, viewHeight = null }, duration = CAMERA_ANIMATION_MS) {
+    this.setProjection(projection);
+
+    if (up) {
+      this.perspectiveCamera.up.copy(up).normalize();
+      this.orthographicCamera.up.copy(up).normalize();
+    }
+
+    const camera = this.camera;
+    const zoom = camera.isOrthographicCamera && viewHeight
+      ? (camera.top - camera.bottom) / viewHeight
+      : null;
+
+    return this.animateCameraTo({ position, target, zoom }, duration);
+  }
+
+  /**
+   * Avbryter pågående kamera-overgang (kameraet blir stående der det er)
+   */
+  stopCameraAnimation() {
+    if (!this.cameraAnimation) return;
+    const { resolve } = this.cameraAnimation;
+    this.cameraAnimation = null;
+    resolve();
+  }
+
+  /**
+   * Ett steg av kamera-overgangen (kalles fra animate før controls.update)
+   */
+  updateCameraAnimation(now = performance.now()) {
+    const animation = this.cameraAnimation;
+    if (!animation) return;
+
+    const t = Math.min((now - animation.start) / animation.duration, 1);
+    const k = t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2; // ease-in-out
+
+    const rotation = new THREE.Quaternion().slerp(animation.rotation, k);
+    const direction = animation.fromDirection.clone().applyQuaternion(rotation);
+    const distance = THREE.MathUtils.lerp(animation.fromDistance, animation.toDistance, k);
+
+    this.controls.target.lerpVectors(animation.fromTarget, animation.toTarget, k);
+    this.camera.position.copy(this.controls.target).addScaledVector(direction, distance);
+    this.camera.lookAt(this.controls.target);
+
+    if (this.camera.isOrthographicCamera) {
+      this.camera.zoom = THREE.MathUtils.lerp(animation.fromZoom, animation.toZoom, k);
+      this.camera.updateProjectionMatrix();
+    }
+
+    if (t === 1) {
+      this.cameraAnimation = null;
+      animation.resolve();
+    }
+  }
+
   /**
    * Oppdaterer kamera for å sentrere på punktsky
    */
@@ -174,19 +793,19 @@ export class PointCloudViewer {
     console.log(`  Max dimension: ${maxDim.toFixed(2)}`);
 
     // Sentrer kameraet perfekt på punktskyen
+    this.stopCameraAnimation();
     const radius = boundingSphere.radius;
-    const fov = this.camera.fov * (Math.PI / 180);
+    const fov = this.perspectiveCamera.fov * (Math.PI / 180);
     let distance = Math.abs(radius / Math.sin(fov / 2));
 
     // Legg til litt ekstra avstand for bedre visning
     distance *= 1.5;
 
-    // Juster kamera clipping planes for store scener
-    this.camera.near = radius / 1000;
-    this.camera.far = radius * 100;
-    this.camera.updateProjectionMatrix();
-
-    console.log(`Kamera innstillinger: near=${this.camera.near.toFixed(3)}, far=${this.camera.far.toFixed(1)}, distance=${distance.toFixed(2)}`);
+    // Ortografisk: samme utsnitt som perspektivet ville gitt i denne avstanden
+    if (this.camera.isOrthographicCamera) {
+      this.camera.zoom = 1;
+      this.setOrthographicHeight(distance * Math.tan(fov / 2));
+    }
 
     // Plasser kameraet i en god vinkel (Z er opp, så vi ser fra siden/ovenifra)
     // X = høyre, Y = fremover, Z = opp
@@ -200,6 +819,10 @@ export class PointCloudViewer {
     this.controls.target.copy(center);
     this.controls.update();
 
+    // Clipping planes for den nye kameraposisjonen (store scener klippes ellers)
+    this.updateClippingPlanes(boundingSphere);
+    console.log(`Kamera innstillinger: near=${this.camera.near.toFixed(3)}, far=${this.camera.far.toFixed(1)}, distance=${distance.toFixed(2)}`);
+
     // Juster AxesHelper størrelse basert på modellstørrelse
     const axesSize = maxDim * 0.3;
     this.axesHelper.scale.setScalar(axesSize / 5); // 5 er original størrelse
@@ -261,7 +884,9 @@ export class PointCloudViewer {
   async generateMapImage(resolution = 2048, pointResolution = null) {
     return new Promise((resolve, reject) => {
       try {
-        if (!this.pointCloud) {
+        // Alle synlige lag kommer med på kartet
+        const clouds = this.getVisiblePointClouds();
+        if (clouds.length === 0) {
           reject(new Error('Ingen punktsky å visualisere'));
           return;
         }
@@ -274,59 +899,54 @@ export class PointCloudViewer {
           height: this.renderer.domElement.height
         };
 
-        // Lagre original material-innstillinger
-        const originalPointSize = this.pointCloud.material.size;
-        const originalOpacity = this.pointCloud.material.opacity;
-        const originalTransparent = this.pointCloud.material.transparent;
+        // Lagre original material-innstillinger og farger per lag
+        const originalStates = clouds.map(cloud => ({
+          size: cloud.material.size,
+          opacity: cloud.material.opacity,
+          transparent: cloud.material.transparent,
+          colors: cloud.geometry.attributes.color.array.slice()
+        }));
 
         // === 2. Sett opp kart-modus for PDF ===
         this.scene.background = new THREE.Color(0xffffff); // Hvit bakgrunn
         if (this.axesHelper) this.axesHelper.visible = false;
 
+      // FARGE-FIX: Mørkere toner for PDF (samme som legenden i rapporten, se colorMap.shadeForPrint)
+      const tempColor = new THREE.Color();
+
+      clouds.forEach((cloud, index) => {
         // VISIBILITY BOOST: Øk punktstørrelse betydelig for tydeligere punkter
         // Sjekk at pointResolution faktisk er et tall (ikke null/undefined)
         if (pointResolution && !isNaN(pointResolution)) {
-          this.pointCloud.material.size = pointResolution * 10;
+          cloud.material.size = pointResolution * 10;
         } else {
-          this.pointCloud.material.size = originalPointSize * 10;  // Fallback
+          cloud.material.size = originalStates[index].size * 10;  // Fallback
         }
 
         // Full opasitet for kraftige, solide farger
-        this.pointCloud.material.opacity = 1.0;
-        this.pointCloud.material.transparent = false;
-        this.pointCloud.material.needsUpdate = true;
-
-        // Lagre originale farger
-        const originalColors = this.pointCloud.geometry.attributes.color.array.slice();
-        const colors = this.pointCloud.geometry.attributes.color.array;
-      
-      // FARGE-FIX: Konverter til mørkere, mer mettede farger for PDF
-      // Bruker Three.js Color-klasse for enkel HSL-konvertering
-      const tempColor = new THREE.Color();
-      const hsl = {}; // Objekt for å lagre HSL verdier
-
-      // FARGE-FIX: Bruk Three.js sin innebygde funksjonalitet (Mye raskere og tryggere)
-      for (let i = 0; i < colors.length; i += 3) {
-        // 1. Les nåværende farge
-        tempColor.setRGB(colors[i], colors[i + 1], colors[i + 2]);
-
-        // 2. Konverter til HSL
-        tempColor.getHSL(hsl);
-
-        // 3. Øk "trykket" i fargene for PDF (Maks metning, mørkere tone)
-        // Behold hue (hsl.h), sett saturation til 1.0, lightness til 0.35
-        tempColor.setHSL(hsl.h, 1.0, 0.35);
-
-        // 4. Skriv tilbake til arrayet
-        colors[i] = tempColor.r;
-        colors[i + 1] = tempColor.g;
-        colors[i + 2] = tempColor.b;
-      }
-      this.pointCloud.geometry.attributes.color.needsUpdate = true;
+        cloud.material.opacity = 1.0;
+        cloud.material.transparent = false;
+        cloud.material.needsUpdate = true;
+
+        // FARGE-FIX: Bruk Three.js sin innebygde funksjonalitet (Mye raskere og tryggere)
+        const colors = cloud.geometry.attributes.color.array;
+        for (let i = 0; i < colors.length; i += 3) {
+          // 1. Les nåværende farge
+          tempColor.setRGB(colors[i], colors[i + 1], colors[i + 2]);
+
+          // 2. Mørkere tone med samme fargetone og metning, så fargeskalaen er gjenkjennelig
+          colorMap.shadeForPrint(tempColor);
+
+          // 3. Skriv tilbake til arrayet
+          colors[i] = tempColor.r;
+          colors[i + 1] = tempColor.g;
+          colors[i + 2] = tempColor.b;
+        }
+        cloud.geometry.attributes.color.needsUpdate = true;
+      });
 
         // === 3. Beregn bounds for ortografisk kamera ===
-        this.pointCloud.geometry.computeBoundingBox();
-        const boundingBox = this.pointCloud.geometry.boundingBox;
+        const { boundingBox } = this.getLayersBoundingBox();
         const center = new THREE.Vector3();
         boundingBox.getCenter(center);
 
@@ -374,7 +994,8 @@ export class PointCloudViewer {
 
         // === 6. Render til høy-oppløselig bilde ===
         this.renderer.setSize(resolution, resolution);
-        this.renderer.render(this.scene, orthoCamera);
+        this.updateLOD(orthoCamera, resolution, { loadAll: true });
+        this.renderScene(orthoCamera);
         const imageDataUrl = this.renderer.domElement.toDataURL('image/png', 1.0);
 
         // === 7. Gjenopprett original tilstand ===
@@ -384,20 +1005,21 @@ export class PointCloudViewer {
         this.scene.background = originalBackground;
         if (this.axesHelper) this.axesHelper.visible = originalAxesVisible;
       
-        // Gjenopprett original material-innstillinger
-        this.pointCloud.material.size = originalPointSize;
-        this.pointCloud.material.opacity = originalOpacity;
-        this.pointCloud.material.transparent = originalTransparent;
-        this.pointCloud.material.needsUpdate = true;
-
-        // Gjenopprett originale farger
-        for (let i = 0; i < originalColors.length; i++) {
-          colors[i] = originalColors[i];
-        }
-        this.pointCloud.geometry.attributes.color.needsUpdate = true;
+        // Gjenopprett original material-innstillinger og farger
+        clouds.forEach((cloud, index) => {
+          const state = originalStates[index];
+          cloud.material.size = state.size;
+          cloud.material.opacity = state.opacity;
+          cloud.material.transparent = state.transparent;
+          cloud.material.needsUpdate = true;
+
+          cloud.geometry.attributes.color.array.set(state.colors);
+          cloud.geometry.attributes.color.needsUpdate = true;
+        });
 
         this.renderer.setSize(originalRendererSize.width, originalRendererSize.height);
-        this.renderer.render(this.scene, this.camera);
+        this.updateLOD();
+        this.renderScene();
 
         // Beregn koordinater for akser
         const gridCenterOriginal = {
@@ -437,6 +1059,125 @@ export class PointCloudViewer {
   });
 }
 
+  /**
+   * Tegner gjeldende visning i valgfri oppløsning (skjermbilde)
+   * Bildet tegnes i fliser med setViewOffset, så størrelsen ikke begrenses av GPU-ens
+   * maks teksturstørrelse. Punktene får samme størrelse i forhold til bildet som på skjermen.
+   * Gjennomsiktig bakgrunn: hver flis tegnes mot svart og hvit bakgrunn, og alfa regnes ut
+   * fra forskjellen (tegneflaten har ingen alfakanal).
+   * @param {Object} options - { width, height, transparent }
+   * @returns {HTMLCanvasElement} Bildet
+   */
+  captureScreenshot({ width, height, transparent = false }) {
+    width = Math.round(width);
+    height = Math.round(height);
+    if (!(width >= 1 && height >= 1 && width <= MAX_SCREENSHOT_SIZE && height <= MAX_SCREENSHOT_SIZE)) {
+      throw new Error(`Screenshot size must be between 1 and ${MAX_SCREENSHOT_SIZE} pixels`);
+    }
+
+    const renderer = this.renderer;
+    const tileSize = Math.min(renderer.capabilities.maxTextureSize, MAX_SCREENSHOT_TILE);
+
+    // Kopi av kameraet med bildets sideforhold (samme synsfelt i høyden)
+    const camera = this.camera.clone();
+    const aspect = width / height;
+    if (camera.isOrthographicCamera) {
+      camera.left = camera.bottom * aspect;
+      camera.right = camera.top * aspect;
+    } else {
+      camera.aspect = aspect;
+    }
+    camera.updateProjectionMatrix();
+
+    // === Lagre tilstand ===
+    const screenSize = renderer.getSize(new THREE.Vector2());
+    const pixelRatio = renderer.getPixelRatio();
+    const background = this.scene.background;
+    const sizes = this.layers.map(layer => layer.points.material.size);
+
+    const output = document.createElement('canvas');
+    output.width = width;
+    output.height = height;
+    const outputCtx = output.getContext('2d');
+
+    const tileCanvas = document.createElement('canvas');
+    const tileCtx = tileCanvas.getContext('2d', { willReadFrequently: true });
+
+    const renderTile = (tileWidth, tileHeight) => {
+      this.renderScene(camera);
+      tileCtx.clearRect(0, 0, tileWidth, tileHeight);
+      tileCtx.drawImage(renderer.domElement, 0, 0);
+      return tileCtx.getImageData(0, 0, tileWidth, tileHeight);
+    };
+
+    try {
+      renderer.setPixelRatio(1);
+
+      for (let y = 0; y < height; y += tileSize) {
+        for (let x = 0; x < width; x += tileSize) {
+          const tileWidth = Math.min(tileSize, width - x);
+          const tileHeight = Math.min(tileSize, height - y);
+
+          camera.setViewOffset(width, height, x, y, tileWidth, tileHeight);
+          renderer.setSize(tileWidth, tileHeight, false);
+          tileCanvas.width = tileWidth;
+          tileCanvas.height = tileHeight;
+
+          // Punktstørrelse: perspektiv skaleres med flisens høyde, ortografisk er i piksler
+          this.layers.forEach((layer, index) => {
+            const material = layer.points.material;
+            const scale = camera.isPerspectiveCamera && material.sizeAttenuation
+              ? height / tileHeight
+              : height / screenSize.y;
+            material.size = sizes[index] * scale;
+          });
+
+          // Detaljnivå for flisen (frustum med view offset, piksler i hele bildet)
+          this.updateLOD(camera, height, { loadAll: true });
+
+          if (!transparent) {
+            outputCtx.putImageData(renderTile(tileWidth, tileHeight), x, y);
+            continue;
+          }
+
+          this.scene.background = new THREE.Color(0x000000);
+          const black = renderTile(tileWidth, tileHeight);
+          this.scene.background = new THREE.Color(0xffffff);
+          const white = renderTile(tileWidth, tileHeight).data;
+
+          // Dekning = 1 - (hvit - svart); fargen er svart-bildet delt på dekningen
+          const pixels = black.data;
+          for (let i = 0; i < pixels.length; i += 4) {
+            const alpha = 255 - (white[i + 1] - pixels[i + 1]);
+            if (alpha <= 0) {
+              pixels[i] = pixels[i + 1] = pixels[i + 2] = pixels[i + 3] = 0;
+              continue;
+            }
+            const k = 255 / alpha;
+            pixels[i] = Math.min(255, pixels[i] * k);
+            pixels[i + 1] = Math.min(255, pixels[i + 1] * k);
+            pixels[i + 2] = Math.min(255, pixels[i + 2] * k);
+            pixels[i + 3] = Math.min(255, alpha);
+          }
+          outputCtx.putImageData(black, x, y);
+        }
+      }
+    } finally {
+      // === Gjenopprett tilstand ===
+      this.scene.background = background;
+      this.layers.forEach((layer, index) => {
+        layer.points.material.size = sizes[index];
+      });
+      renderer.setPixelRatio(pixelRatio);
+      renderer.setSize(screenSize.x, screenSize.y, false);
+      this.updateLOD();
+      this.renderScene();
+    }
+
+    console.log(`✓ Screenshot rendered: ${width} × ${height} px`);
+    return output;
+  }
+
   /**
    * Henter camera
    */
@@ -531,11 +1272,8 @@ export class PointCloudViewer {
         requestAnimationFrame(animate);
       } else {
         console.log('✓ Eksplosjon fullført!');
-        // Fjern punktskyen fra scenen
-        this.scene.remove(this.pointCloud);
-        if (this.pointCloud.geometry) this.pointCloud.geometry.dispose();
-        if (this.pointCloud.material) this.pointCloud.material.dispose();
-        this.pointCloud = null;
+        // Fjern punktskyen (laget) fra scenen
+        this.removeLayer(this.pointCloud.userData.layerId);
         this.isDefaultCloud = false;
         this.explosionVelocities = null;
 
@@ -548,47 +1286,154 @@ export class PointCloudViewer {
   }
 
   /**
-   * Recalculates point colors based on current Z-values
-   * Used after Z-axis inversion to update colors correctly
+   * Sjekker om noen av lagene har RGB fra filen (trueColor-attributt)
    */
-  recalculateColorsFromZ() {
-    if (!this.pointCloud) return;
+  hasTrueColor() {
+    return this.layers.some(layer => !!layer.points.geometry.attributes.trueColor);
+  }
 
-    const positions = this.pointCloud.geometry.attributes.position.array;
-    const colors = this.pointCloud.geometry.attributes.color.array;
+  /**
+   * Attributter med én verdi per punkt som punktene kan farges etter (alle lag)
+   * @returns {string[]} Attributtnavn, f.eks. ['intensity', 'classification']
+   */
+  getColorAttributes() {
+    const names = new Set();
+    this.layers.forEach(layer => {
+      for (const [name, attribute] of Object.entries(layer.points.geometry.attributes)) {
+        // Seleksjonsmasken er ikke en punktverdi å fargelegge etter
+        if (attribute.itemSize === 1 && name !== SELECTION_ATTRIBUTE) names.add(name);
+      }
+    });
+    return [...names];
+  }
 
-    // First pass: find min/max Z
-    let minZ = Infinity;
-    let maxZ = -Infinity;
+  /**
+   * Laveste og høyeste verdi av et attributt over alle lag
+   * @returns {{min: number, max: number}|null} null hvis ingen lag har attributtet
+   */
+  getAttributeRange(name) {
+    let min = Infinity;
+    let max = -Infinity;
+
+    this.layers.forEach(layer => {
+      const attribute = layer.points.geometry.attributes[name];
+      if (!attribute) return;
+      const array = attribute.array;
+      for (let i = 0; i < array.length; i++) {
+        const value = array[i];
+        if (value < min) min = value;
+        if (value > max) max = value;
+      }
+    });
 
-    for (let i = 0; i < positions.length; i += 3) {
-      const z = positions[i + 2];
-      minZ = Math.min(minZ, z);
-      maxZ = Math.max(maxZ, z);
+    return min <= max ? { min, max } : null;
+  }
+
+  /**
+   * Antall punkter per klasse over alle lag (for klasse-listen i GUI)
+   * @param {string} [name='classification'] - Kategorisk attributt
+   * @returns {Array<{classId: number, count: number}>} Klasser som finnes, sortert etter id
+   */
+  getClassCounts(name = 'classification') {
+    const counts = new Uint32Array(256);
+
+    this.layers.forEach(layer => {
+      const attribute = layer.points.geometry.attributes[name];
+      if (!attribute) return;
+      const array = attribute.array;
+      for (let i = 0; i < array.length; i++) {
+        counts[array[i] & 0xff]++;
+      }
+    });
+
+    const classes = [];
+    counts.forEach((count, classId) => {
+      if (count > 0) classes.push({ classId, count });
+    });
+    return classes;
+  }
+
+  /**
+   * Bytter mellom høydefarger, true-colour (RGB fra filen) og farging etter attributt for alle lag
+   * Lag uten RGB eller uten attributtet vises med høydefarger.
+   * Attributt-farging skjer i shaderen, så fargebufferet beholder høydefargene.
+   * @param {string} mode - 'height', 'trueColor' eller et navn fra getColorAttributes()
+   * @returns {string} Modusen som faktisk vises (høyde hvis ingen lag har RGB / attributtet)
+   */
+  setColorMode(mode) {
+    let resolvedMode = 'height';
+    if (mode === 'trueColor' && this.hasTrueColor()) {
+      resolvedMode = 'trueColor';
+    } else if (mode !== 'height' && this.getColorAttributes().includes(mode)) {
+      resolvedMode = mode;
+    }
+    const previousMode = this.colorMode;
+    this.colorMode = resolvedMode;
+
+    const colorAttribute = resolvedMode === 'height' || resolvedMode === 'trueColor' ? null : resolvedMode;
+    setColorByAttribute(colorAttribute);
+    this.layers.forEach(layer => layer.points.userData.octree.setColorAttribute(colorAttribute));
+
+    if (resolvedMode === 'trueColor') {
+      this.layers.forEach(layer => {
+        const geometry = layer.points.geometry;
+        if (!geometry.attributes.trueColor) return;
+        geometry.attributes.color.array.set(geometry.attributes.trueColor.array);
+        geometry.attributes.color.needsUpdate = true;
+      });
     }
 
-    const zRange = maxZ - minZ || 1; // Avoid division by zero
+    // Fargebufferet har høydefarger i alle andre moduser (attributtene farges i shaderen);
+    // bare når vi går fra true-colour må RGB fra filen byttes ut med høydefarger igjen
+    if (previousMode === 'trueColor' && resolvedMode !== 'trueColor') {
+      this.recalculateColorsFromZ();
+    }
 
-    // Opprett tempColor objekt utenfor loopen for å unngå GC overhead
-    const tempColor = new THREE.Color();
+    console.log(`Color mode: ${resolvedMode}`);
+    return resolvedMode;
+  }
 
-    // Second pass: recalculate colors based on normalized Z
-    for (let i = 0; i < positions.length; i += 3) {
-      const z = positions[i + 2];
-      const normalizedZ = (z - minZ) / zRange;
+  /**
+   * Henter fargemodus som vises nå
+   */
+  getColorMode() {
+    return this.colorMode;
+  }
 
-      // Use same color gradient as in parser: blue (0.6) to red (0.0)
-      tempColor.setHSL(0.6 - normalizedZ * 0.6, 1.0, 0.5);
+  /**
+   * Recalculates point colors based on current Z-values
+   * Used after Z-axis inversion and when the colour map or its range changes
+   */
+  recalculateColorsFromZ() {
+    // Lag som viser true-colour beholder RGB fra filen
+    const heightLayers = this.layers.filter(layer =>
+      this.colorMode !== 'trueColor' || !layer.points.geometry.attributes.trueColor);
+    if (heightLayers.length === 0) return;
 
-      const colorIndex = i; // Color array has same indices as position array
-      colors[colorIndex] = tempColor.r;
-      colors[colorIndex + 1] = tempColor.g;
-      colors[colorIndex + 2] = tempColor.b;
-    }
+    // First pass: find min/max Z across all layers so the colours are comparable
+    let minZ = Infinity;
+    let maxZ = -Infinity;
+
+    this.layers.forEach(layer => {
+      const positions = layer.points.geometry.attributes.position.array;
+      for (let i = 0; i < positions.length; i += 3) {
+        const z = positions[i + 2];
+        if (z < minZ) minZ = z;
+        if (z > maxZ) maxZ = z;
+      }
+    });
+
+    // Second pass: colours from the shared colour map (range and steps are in original Z)
+    heightLayers.forEach(layer => {
+      const geometry = layer.points.geometry;
+      colorMap.computeColors(geometry.attributes.position.array, minZ, maxZ,
+        geometry.attributes.color.array, this.coordinateOffset.z);
 
-    // Mark colors as updated
-    this.pointCloud.geometry.attributes.color.needsUpdate = true;
-    console.log('Colors recalculated based on inverted Z-values');
+      // Mark colors as updated
+      geometry.attributes.color.needsUpdate = true;
+    });
+
+    console.log(`Height colors recalculated for ${heightLayers.length} layer(s)`);
   }
 
   /**
@@ -596,33 +1441,42 @@ export class PointCloudViewer {
    * Returnerer nye bounds for oppdatering av andre komponenter
    */
   invertZAxis() {
-    if (!this.pointCloud) {
+    if (this.layers.length === 0) {
       console.warn('Ingen punktsky å invertere');
       return null;
     }
 
-    const positions = this.pointCloud.geometry.attributes.position.array;
+    // Alle lag deler offset, så alle må inverteres sammen
+    this.layers.forEach(layer => {
+      const geometry = layer.points.geometry;
+      const positions = geometry.attributes.position.array;
 
-    // Inverter alle Z-verdier (sentrerte koordinater)
-    for (let i = 0; i < positions.length; i += 3) {
-      positions[i + 2] = -positions[i + 2]; // Z er den tredje verdien
-    }
+      // Inverter alle Z-verdier (sentrerte koordinater)
+      for (let i = 0; i < positions.length; i += 3) {
+        positions[i + 2] = -positions[i + 2]; // Z er den tredje verdien
+      }
+
+      // Originale koordinater (Float64) må følge med
+      const originalPositions = geometry.userData.originalPositions;
+      if (originalPositions) {
+        for (let i = 2; i < originalPositions.length; i += 3) {
+          originalPositions[i] = -originalPositions[i];
+        }
+      }
+
+      // Marker at posisjoner er oppdatert
+      geometry.attributes.position.needsUpdate = true;
+    });
 
     // Inverter også Z-offset for korrekt konvertering tilbake til originale koordinater
     this.coordinateOffset.z = -this.coordinateOffset.z;
     console.log(`Z-offset invertert til: ${this.coordinateOffset.z.toFixed(2)}`);
 
-    // Marker at posisjoner er oppdatert
-    this.pointCloud.geometry.attributes.position.needsUpdate = true;
-
-    // Recalculate colors based on new Z-values
+    // Recalculate height colors based on new Z-values (true colour is independent of Z)
     this.recalculateColorsFromZ();
 
-    // Beregn nye bounds (sentrerte)
-    this.pointCloud.geometry.computeBoundingBox();
-    this.pointCloud.geometry.computeBoundingSphere();
-
-    const boundingBox = this.pointCloud.geometry.boundingBox;
+    // Beregn nye bounds (sentrerte) over alle lag
+    const { boundingBox } = this.getLayersBoundingBox(false);
     const center = new THREE.Vector3();
     boundingBox.getCenter(center);
 
@@ -658,6 +1512,9 @@ export class PointCloudViewer {
     this.controls.target.copy(center);
     this.controls.update();
 
+    // Octree-boksene oppdateres først ved neste LOD-oppdatering - bruk de nye bounds
+    this.updateClippingPlanes(boundingBox.getBoundingSphere(new THREE.Sphere()));
+
     // Juster AxesHelper
     const axesSize = maxDim * 0.3;
     this.axesHelper.scale.setScalar(axesSize / 5); // 5 er original størrelse
@@ -669,7 +1526,6 @@ export class PointCloudViewer {
       boundingBox,
       center,
       size,
-      positions,
       originalMinZ,
       originalMaxZ
     };
@@ -696,14 +1552,90 @@ export function getCoordinateOffset() {
   return defaultViewer.getCoordinateOffset();
 }
 
-export function addPointCloud(positions, colors, pointSize, useHeightColor, pointColor) {
-  return defaultViewer.addPointCloud(positions, colors, pointSize, useHeightColor, pointColor);
+export function setPointBudget(pointBudget) {
+  defaultViewer.setPointBudget(pointBudget);
+}
+
+export function getPointBudget() {
+  return defaultViewer.getPointBudget();
+}
+
+export function getLODStats() {
+  return defaultViewer.getLODStats();
+}
+
+export function setPointShading(options) {
+  defaultViewer.setPointShading(options);
+}
+
+export function addPointCloud(positions, colors, pointSize, useHeightColor, pointColor, attributes = {}) {
+  return defaultViewer.addPointCloud(positions, colors, pointSize, useHeightColor, pointColor, attributes);
 }
 
 export function getPointCloud() {
   return defaultViewer.getPointCloud();
 }
 
+export function addLayer(name, positions, colors, pointSize, useHeightColor, pointColor, attributes = {}, octreeNodes = null) {
+  return defaultViewer.addLayer(name, positions, colors, pointSize, useHeightColor, pointColor, attributes, octreeNodes);
+}
+
+export function removeLayer(id) {
+  defaultViewer.removeLayer(id);
+}
+
+export function getLayerData(id) {
+  return defaultViewer.getLayerData(id);
+}
+
+export function setLayerData(id, data) {
+  return defaultViewer.setLayerData(id, data);
+}
+
+export function clearLayers() {
+  defaultViewer.clearLayers();
+}
+
+export function getLayers() {
+  return defaultViewer.getLayers();
+}
+
+export function getVisiblePointClouds() {
+  return defaultViewer.getVisiblePointClouds();
+}
+
+export function getLayersBoundingBox(visibleOnly = true) {
+  return defaultViewer.getLayersBoundingBox(visibleOnly);
+}
+
+export function getOriginalPositions(visibleOnly = false) {
+  return defaultViewer.getOriginalPositions(visibleOnly);
+}
+
+export function hasTrueColor() {
+  return defaultViewer.hasTrueColor();
+}
+
+export function setColorMode(mode) {
+  return defaultViewer.setColorMode(mode);
+}
+
+export function getColorAttributes() {
+  return defaultViewer.getColorAttributes();
+}
+
+export function getAttributeRange(name) {
+  return defaultViewer.getAttributeRange(name);
+}
+
+export function getClassCounts(name) {
+  return defaultViewer.getClassCounts(name);
+}
+
+export function getColorMode() {
+  return defaultViewer.getColorMode();
+}
+
 export function setPointCloud(cloud) {
   defaultViewer.setPointCloud(cloud);
 }
@@ -740,6 +1672,50 @@ export async function generateMapImage(resolution = 2048, pointResolution = null
   return await defaultViewer.generateMapImage(resolution, pointResolution);
 }
 
+export function captureScreenshot(options) {
+  return defaultViewer.captureScreenshot(options);
+}
+
+export function setProjection(projection) {
+  return defaultViewer.setProjection(projection);
+}
+
+export function getProjection() {
+  return defaultViewer.getProjection();
+}
+
+export function setNavigationMode(mode) {
+  return defaultViewer.setNavigationMode(mode);
+}
+
+export function getNavigationMode() {
+  return defaultViewer.getNavigationMode();
+}
+
+export function onCameraChange(callback) {
+  defaultViewer.onCameraChange(callback);
+}
+
+export function setViewPreset(preset) {
+  return defaultViewer.setViewPreset(preset);
+}
+
+export function animateCameraTo(view, duration) {
+  return defaultViewer.animateCameraTo(view, duration);
+}
+
+export function stopCameraAnimation() {
+  return defaultViewer.stopCameraAnimation();
+}
+
+export function getCameraState() {
+  return defaultViewer.getCameraState();
+}
+
+export function applyCameraState(state, duration) {
+  return defaultViewer.applyCameraState(state, duration);
+}
+
 export function getCamera() {
   return defaultViewer.getCamera();
 }
@@ -775,3 +1751,7 @@ export function animateExplosion(callback) {
 export function invertZAxis() {
   return defaultViewer.invertZAxis();
 }
+
+export function recalculateColorsFromZ() {
+  return defaultViewer.recalculateColorsFromZ();
+}
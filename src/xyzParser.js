@@ -0,0 +1,538 @@
+/**
+ * Linjebaserte parsere for tekstformater (XYZ, XYZRGB og CSV/TXT med kolonneoppsett)
+ * Parserne tar imot tekst i biter (kun hele linjer) slik at store filer kan
+ * strømmes i en Web Worker uten at hele filen må ligge i én streng.
+ * Ingen avhengigheter til DOM eller Three.js - brukes både i worker og hovedtråd.
+ */
+
+// Antall linjenumre som rapporteres per feiltype i diagnostikken
+export const MAX_REPORTED_LINES = 10;
+
+// Duplikater letes bare etter blant så mange punkter (hash-tabellen er ~4 byte × 1,5-3 per punkt)
+export const MAX_DUPLICATE_CHECK_POINTS = 10_000_000;
+
+// Tekstlige ikke-endelige verdier som noen eksportører skriver ut
+const NON_FINITE_PATTERN = /^[+-]?(nan|inf|infinity)$/i;
+
+/**
+ * Voksende typed array - dobler kapasiteten ved behov
+ */
+class GrowableArray {
+  constructor(initialCapacity, ArrayType = Float32Array) {
+    this.ArrayType = ArrayType;
+    this.array = new ArrayType(Math.max(initialCapacity, 1024));
+    this.length = 0;
+  }
+
+  ensureCapacity(extra) {
+    if (this.length + extra <= this.array.length) return;
+
+    let capacity = this.array.length * 2;
+    while (capacity < this.length + extra) capacity *= 2;
+    const grown = new this.ArrayType(capacity);
+    grown.set(this.array.subarray(0, this.length));
+    this.array = grown;
+  }
+
+  // Trim ned til faktisk størrelse (ny buffer som kan overføres til hovedtråden)
+  toArray() {
+    return this.array.slice(0, this.length);
+  }
+}
+
+/**
+ * Felles bounds-sporing for parserne
+ */
+function createBounds() {
+  return {
+    minX: Infinity, maxX: -Infinity,
+    minY: Infinity, maxY: -Infinity,
+    minZ: Infinity, maxZ: -Infinity
+  };
+}
+
+function expandBounds(bounds, x, y, z) {
+  if (x < bounds.minX) bounds.minX = x;
+  if (x > bounds.maxX) bounds.maxX = x;
+  if (y < bounds.minY) bounds.minY = y;
+  if (y > bounds.maxY) bounds.maxY = y;
+  if (z < bounds.minZ) bounds.minZ = z;
+  if (z > bounds.maxZ) bounds.maxZ = z;
+}
+
+/**
+ * Teller desimaler i et tall slik det står i filen ("12.340" → 3)
+ * @returns {number} Antall desimaler, eller -1 for eksponent-notasjon
+ */
+function countDecimals(text, decimalMark = '.') {
+  if (text.indexOf('e') !== -1 || text.indexOf('E') !== -1) return -1;
+  const mark = text.indexOf(decimalMark);
+  return mark === -1 ? 0 : text.length - mark - 1;
+}
+
+/**
+ * Samler største antall desimaler; null hvis noen verdier bruker eksponent
+ */
+function createDecimalsTracker() {
+  let maxDecimals = 0;
+  let hasExponent = false;
+  return {
+    add(text, decimalMark) {
+      const decimals = countDecimals(text, decimalMark);
+      if (decimals === -1) hasExponent = true;
+      else if (decimals > maxDecimals) maxDecimals = decimals;
+    },
+    result() {
+      return hasExponent ? null : maxDecimals;
+    }
+  };
+}
+
+/**
+ * Skalerer RGB til 0-1 (filer kan bruke 0-1, 0-255 eller 0-65535)
+ */
+function normalizeColors(colors, maxColor) {
+  const colorScale = maxColor <= 1 ? 1 : maxColor <= 255 ? 1 / 255 : 1 / 65535;
+  if (colorScale !== 1) {
+    for (let i = 0; i < colors.length; i++) {
+      colors[i] *= colorScale;
+    }
+  }
+  return colors;
+}
+
+/**
+ * Samler linjebasert diagnostikk for en fil
+ * Hver feiltype har antall og de første MAX_REPORTED_LINES linjenumrene (1-basert).
+ * - skippedRows: rader som ikke ga et punkt (uansett årsak)
+ * - tooFewColumns / tooManyColumns: avvik fra kolonneantallet i første gyldige rad
+ * - nonNumeric: koordinater som ikke er tall
+ * - nonFinite: NaN/Infinity i koordinatene
+ * - duplicates: punkter med nøyaktig samme XYZ som et tidligere punkt
+ *   (duplicatesChecked: antall punkter som ble sjekket hvis ikke alle, se MAX_DUPLICATE_CHECK_POINTS)
+ */
+function createDiagnostics() {
+  const issues = {
+    skippedRows: { count: 0, lines: [] },
+    tooFewColumns: { count: 0, lines: [] },
+    tooManyColumns: { count: 0, lines: [] },
+    nonNumeric: { count: 0, lines: [] },
+    nonFinite: { count: 0, lines: [] },
+    duplicates: { count: 0, lines: [] }
+  };
+  let dataRows = 0;
+  let expectedColumns = 0;
+  let duplicatesChecked = null;
+
+  return {
+    // Kalles for hver datarad (ikke tomme linjer eller kommentarer)
+    countRow() {
+      dataRows++;
+    },
+
+    report(kind, lineNumber) {
+      const issue = issues[kind];
+      issue.count++;
+      if (issue.lines.length < MAX_REPORTED_LINES) {
+        issue.lines.push(lineNumber);
+      }
+    },
+
+    // Sjekker kolonneantallet mot første gyldige rad (raden brukes likevel)
+    checkColumns(columnCount, lineNumber) {
+      if (columnCount < expectedColumns) this.report('tooFewColumns', lineNumber);
+      else if (columnCount > expectedColumns) this.report('tooManyColumns', lineNumber);
+    },
+
+    setExpectedColumns(columnCount) {
+      if (expectedColumns === 0) expectedColumns = columnCount;
+    },
+
+    // Bare de første punktene er sjekket for duplikater
+    limitDuplicateCheck(checkedPoints) {
+      duplicatesChecked = checkedPoints;
+    },
+
+    result() {
+      const skipped = issues.skippedRows.count;
+      if (skipped > 0) {
+        console.warn(`Skipped ${skipped} of ${dataRows} rows (first at lines ${issues.skippedRows.lines.join(', ')})`);
+      }
+      return { dataRows, expectedColumns, duplicatesChecked, ...issues };
+    }
+  };
+}
+
+/**
+ * Finner årsaken til at koordinatene i en rad ikke kan brukes
+ * @param {number[]} values - Tolkede verdier
+ * @param {string[]} texts - Verdiene slik de står i filen
+ * @returns {string|null} 'nonNumeric', 'nonFinite' eller null hvis alle er gyldige
+ */
+function coordinateIssue(values, texts) {
+  for (let i = 0; i < values.length; i++) {
+    if (Number.isFinite(values[i])) continue;
+    // Number('Infinity') er Infinity, men 'nan' og 'inf' gir NaN
+    return Number.isNaN(values[i]) && !NON_FINITE_PATTERN.test(texts[i]) ? 'nonNumeric' : 'nonFinite';
+  }
+  return null;
+}
+
+/**
+ * Rapporterer punkter med nøyaktig samme XYZ som et tidligere punkt
+ * Hash-tabell med åpen adressering over bit-mønsteret til koordinatene,
+ * slik at vi slipper å lage en streng-nøkkel per punkt. Store filer sjekkes bare
+ * for de første MAX_DUPLICATE_CHECK_POINTS punktene, så tabellen ikke blir hundrevis av MB.
+ * @param {Float64Array} positions - XYZ-posisjoner (minst count * 3 verdier)
+ * @param {number} count - Antall punkter
+ * @param {Uint32Array} lineNumbers - Linjenummer for hvert punkt
+ * @param {Object} diagnostics - Fra createDiagnostics()
+ */
+function reportDuplicates(positions, count, lineNumbers, diagnostics) {
+  if (count < 2) return;
+
+  if (count > MAX_DUPLICATE_CHECK_POINTS) {
+    console.warn(`Duplicate check limited to the first ${MAX_DUPLICATE_CHECK_POINTS.toLocaleString('nb-NO')} of ${count.toLocaleString('nb-NO')} points`);
+    diagnostics.limitDuplicateCheck(MAX_DUPLICATE_CHECK_POINTS);
+    count = MAX_DUPLICATE_CHECK_POINTS;
+  }
+
+  // Maks ~67% fyllgrad
+  let size = 1024;
+  while (size < count + (count >> 1)) size *= 2;
+  const mask = size - 1;
+  const table = new Int32Array(size).fill(-1);
+  const bits = new Uint32Array(positions.buffer, positions.byteOffset, count * 6);
+
+  for (let i = 0; i < count; i++) {
+    const b = i * 6;
+    let hash = Math.imul(bits[b] ^ bits[b + 1], 0x9e3779b1) ^
+      Math.imul(bits[b + 2] ^ bits[b + 3], 0x85ebca77) ^
+      Math.imul(bits[b + 4] ^ bits[b + 5], 0xc2b2ae3d);
+    hash ^= hash >>> 15;
+
+    let slot = hash & mask;
+    while (true) {
+      const j = table[slot];
+      if (j === -1) {
+        table[slot] = i;
+        break;
+      }
+      if (positions[j * 3] === positions[i * 3] &&
+          positions[j * 3 + 1] === positions[i * 3 + 1] &&
+          positions[j * 3 + 2] === positions[i * 3 + 2]) {
+        diagnostics.report('duplicates', lineNumbers[i]);
+        break;
+      }
+      slot = (slot + 1) & mask;
+    }
+  }
+}
+
+/**
+ * Lager en strømmende parser for whitespace-separerte XYZ/XYZRGB-filer
+ * Filen parses linje for linje slik at en ødelagt rad aldri låner tall fra
+ * neste rad, og hver avvikende rad rapporteres med linjenummer (diagnostics).
+ * Koordinatene lagres i Float64 slik at UTM-verdier beholder full presisjon.
+ * @param {number} [estimatedPoints] - Forventet antall punkter (for pre-allokering)
+ * @returns {{ parseLines: function(string): void, finish: function(): Object }}
+ */
+export function createXYZLineParser(estimatedPoints = 0) {
+  const positions = new GrowableArray(estimatedPoints * 3, Float64Array);
+  const lineNumbers = new GrowableArray(estimatedPoints, Uint32Array);
+  const decimals = createDecimalsTracker();
+  const diagnostics = createDiagnostics();
+  let colors = null; // Allokeres ved første linje med RGB
+  let count = 0;
+  let lineNumber = 0;
+  let rgbPoints = 0;
+  let minColor = Infinity, maxColor = -Infinity;
+  const bounds = createBounds();
+
+  return {
+    /**
+     * Parser en tekstbit som bare inneholder hele linjer
+     */
+    parseLines(text) {
+      let start = 0;
+      while (start < text.length) {
+        let end = text.indexOf('\n', start);
+        if (end === -1) end = text.length;
+        const line = text.substring(start, end);
+        start = end + 1;
+        lineNumber++;
+
+        const values = splitColumns(line, 'whitespace');
+        if (values.length === 0 || values[0][0] === '#') continue;
+        diagnostics.countRow();
+
+        if (values.length < 3) {
+          diagnostics.report('tooFewColumns', lineNumber);
+          diagnostics.report('skippedRows', lineNumber);
+          continue;
+        }
+
+        const x = Number(values[0]);
+        const y = Number(values[1]);
+        const z = Number(values[2]);
+
+        const issue = coordinateIssue([x, y, z], values);
+        if (issue) {
+          diagnostics.report(issue, lineNumber);
+          diagnostics.report('skippedRows', lineNumber);
+          continue;
+        }
+
+        // Første gyldige rad bestemmer forventet antall kolonner (3 eller 6)
+        diagnostics.setExpectedColumns(values.length);
+        diagnostics.checkColumns(values.length, lineNumber);
+
+        positions.ensureCapacity(3);
+        const i3 = positions.length;
+        positions.array[i3] = x;
+        positions.array[i3 + 1] = y;
+        positions.array[i3 + 2] = z;
+        positions.length += 3;
+
+        lineNumbers.ensureCapacity(1);
+        lineNumbers.array[lineNumbers.length++] = lineNumber;
+
+        decimals.add(values[0]);
+        decimals.add(values[1]);
+        decimals.add(values[2]);
+
+        // RGB-kolonner (skaleres etter at hele filen er lest)
+        if (values.length >= 6) {
+          const r = Number(values[3]);
+          const g = Number(values[4]);
+          const b = Number(values[5]);
+          if (Number.isFinite(r) && Number.isFinite(g) && Number.isFinite(b)) {
+            if (!colors) {
+              colors = new GrowableArray(positions.array.length);
+            }
+            colors.ensureCapacity(i3 + 3 - colors.length);
+            colors.array[i3] = r;
+            colors.array[i3 + 1] = g;
+            colors.array[i3 + 2] = b;
+            colors.length = i3 + 3;
+            minColor = Math.min(minColor, r, g, b);
+            maxColor = Math.max(maxColor, r, g, b);
+            rgbPoints++;
+          }
+        }
+
+        expandBounds(bounds, x, y, z);
+        count++;
+      }
+    },
+
+    /**
+     * Avslutter parsingen og returnerer { positions, colors, count, bounds, decimals, diagnostics }
+     */
+    finish() {
+      // RGB brukes bare hvis alle punktene har farger i et gyldig område (0-1, 0-255 eller 0-65535)
+      let trueColors = null;
+      if (count > 0 && rgbPoints === count && minColor >= 0 && maxColor <= 65535) {
+        trueColors = normalizeColors(colors.toArray(), maxColor);
+        console.log(`RGB columns detected (max value ${maxColor})`);
+      } else if (rgbPoints > 0) {
+        console.warn(`Ignoring extra columns: only ${rgbPoints} of ${count} lines look like RGB (range ${minColor} to ${maxColor})`);
+      }
+
+      reportDuplicates(positions.array, count, lineNumbers.array, diagnostics);
+
+      console.log(`Parsed ${count} points. Z-Range: ${bounds.minZ} to ${bounds.maxZ}`);
+
+      return {
+        positions: positions.toArray(),
+        colors: trueColors, // RGB fra filen, eller null
+        count,
+        bounds,
+        decimals: decimals.result(), // Koordinat-desimaler i filen (for eksport)
+        diagnostics: diagnostics.result() // Linjenumre for ødelagte rader
+      };
+    }
+  };
+}
+
+/**
+ * Deler en tekstlinje i kolonner
+ * @param {string} line - Linjen som skal deles
+ * @param {string} delimiter - 'whitespace' eller et skilletegn (',', ';', '\t', '|')
+ * @returns {string[]} Kolonneverdier (trimmet, uten anførselstegn)
+ */
+export function splitColumns(line, delimiter) {
+  if (delimiter === 'whitespace') {
+    const trimmed = line.trim();
+    return trimmed ? trimmed.split(/\s+/) : [];
+  }
+
+  // Rask vei når linjen ikke har anførselstegn
+  if (line.indexOf('"') === -1) {
+    return line.split(delimiter).map(value => value.trim());
+  }
+
+  // Enkel CSV-quoting: "1,5";"2,5" eller "1,5","2,5"
+  const values = [];
+  let current = '';
+  let inQuotes = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"') {
+      if (inQuotes && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else {
+        inQuotes = !inQuotes;
+      }
+    } else if (char === delimiter && !inQuotes) {
+      values.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  values.push(current.trim());
+  return values;
+}
+
+/**
+ * Tolker et tall med valgt desimaltegn
+ * @returns {number} Tallet, eller NaN hvis verdien ikke er numerisk
+ */
+export function parseColumnNumber(text, decimalMark = '.') {
+  if (text === undefined || text === '') return NaN;
+  return Number(decimalMark === ',' ? text.replace(',', '.') : text);
+}
+
+/**
+ * Lager en strømmende parser for CSV/TXT med brukervalgt kolonneoppsett (fra import-dialogen)
+ * @param {Object} mapping - { delimiter, decimalMark, skipLines, columns: { x, y, z, r, g, b, intensity } }
+ *   Kolonneindekser er 0-baserte, -1 betyr ikke i bruk. X/Y/Z er påkrevd.
+ * @param {number} [estimatedPoints] - Forventet antall punkter (for pre-allokering)
+ * @returns {{ parseLines: function(string): void, finish: function(): Object }}
+ */
+export function createDelimitedLineParser(mapping, estimatedPoints = 0) {
+  const { delimiter, decimalMark, skipLines = 0, columns } = mapping;
+  const { x: xCol, y: yCol, z: zCol, r: rCol = -1, g: gCol = -1, b: bCol = -1, intensity: iCol = -1 } = columns;
+  const hasRGB = rCol >= 0 && gCol >= 0 && bCol >= 0;
+  const hasIntensity = iCol >= 0;
+
+  const positions = new GrowableArray(estimatedPoints * 3, Float64Array);
+  const lineNumbers = new GrowableArray(estimatedPoints, Uint32Array);
+  const decimals = createDecimalsTracker();
+  const diagnostics = createDiagnostics();
+  const colors = hasRGB ? new GrowableArray(estimatedPoints * 3) : null;
+  const intensity = hasIntensity ? new GrowableArray(estimatedPoints) : null;
+
+  let count = 0;
+  let lineIndex = 0;
+  let maxColor = 0;
+  // Kolonnene som må finnes for at raden skal gi et punkt
+  const requiredColumns = Math.max(xCol, yCol, zCol) + 1;
+  const bounds = createBounds();
+
+  return {
+    /**
+     * Parser en tekstbit som bare inneholder hele linjer
+     */
+    parseLines(text) {
+      let start = 0;
+      while (start < text.length) {
+        let end = text.indexOf('\n', start);
+        if (end === -1) end = text.length;
+        const line = text.substring(start, end);
+        start = end + 1;
+
+        const lineNumber = ++lineIndex;
+        if (lineNumber <= skipLines) continue;
+
+        const trimmed = line.trim();
+        if (!trimmed || trimmed[0] === '#') continue;
+        diagnostics.countRow();
+
+        // Hele linjen splittes: trim() ville fjernet tomme kolonner først på linjen med tab-skille
+        const values = splitColumns(line, delimiter);
+        if (values.length < requiredColumns) {
+          diagnostics.report('tooFewColumns', lineNumber);
+          diagnostics.report('skippedRows', lineNumber);
+          continue;
+        }
+
+        const x = parseColumnNumber(values[xCol], decimalMark);
+        const y = parseColumnNumber(values[yCol], decimalMark);
+        const z = parseColumnNumber(values[zCol], decimalMark);
+
+        const issue = coordinateIssue([x, y, z], [values[xCol], values[yCol], values[zCol]]);
+        if (issue) {
+          diagnostics.report(issue, lineNumber);
+          diagnostics.report('skippedRows', lineNumber);
+          continue;
+        }
+
+        // Første gyldige rad bestemmer forventet antall kolonner
+        diagnostics.setExpectedColumns(values.length);
+        diagnostics.checkColumns(values.length, lineNumber);
+
+        positions.ensureCapacity(3);
+        const i3 = positions.length;
+        positions.array[i3] = x;
+        positions.array[i3 + 1] = y;
+        positions.array[i3 + 2] = z;
+        positions.length += 3;
+
+        expandBounds(bounds, x, y, z);
+
+        lineNumbers.ensureCapacity(1);
+        lineNumbers.array[lineNumbers.length++] = lineNumber;
+
+        decimals.add(values[xCol], decimalMark);
+        decimals.add(values[yCol], decimalMark);
+        decimals.add(values[zCol], decimalMark);
+
+        if (hasRGB) {
+          const r = parseColumnNumber(values[rCol], decimalMark) || 0;
+          const g = parseColumnNumber(values[gCol], decimalMark) || 0;
+          const b = parseColumnNumber(values[bCol], decimalMark) || 0;
+          colors.ensureCapacity(3);
+          colors.array[i3] = r;
+          colors.array[i3 + 1] = g;
+          colors.array[i3 + 2] = b;
+          colors.length += 3;
+          maxColor = Math.max(maxColor, r, g, b);
+        }
+
+        if (hasIntensity) {
+          intensity.ensureCapacity(1);
+          intensity.array[intensity.length++] = parseColumnNumber(values[iCol], decimalMark) || 0;
+        }
+
+        count++;
+      }
+    },
+
+    /**
+     * Avslutter parsingen og returnerer { positions, colors, count, bounds, attributes, decimals, diagnostics }
+     */
+    finish() {
+      reportDuplicates(positions.array, count, lineNumbers.array, diagnostics);
+
+      console.log(`Parsed ${count} points. Z-Range: ${bounds.minZ} to ${bounds.maxZ}`);
+
+      const attributes = {};
+      if (hasIntensity) {
+        attributes.intensity = { array: intensity.toArray(), itemSize: 1 };
+      }
+
+      return {
+        positions: positions.toArray(),
+        colors: hasRGB ? normalizeColors(colors.toArray(), maxColor) : null,
+        count,
+        bounds,
+        attributes,
+        decimals: decimals.result(),
+        diagnostics: diagnostics.result()
+      };
+    }
+  };
+}